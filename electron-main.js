@@ -1,10 +1,57 @@
-import { app, BrowserWindow, Menu, ipcMain, Tray, screen, globalShortcut } from 'electron';
+import { app, BrowserWindow, Menu, ipcMain, Tray, screen, globalShortcut, dialog, shell, Notification, powerMonitor, clipboard, nativeImage, protocol } from 'electron';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import StickerDataManager from './utils/stickerUtils.js';
 import { debug, info, warn, error, setDebugEnabled, setLogLevel } from './utils/debugUtils.js';
 import { performanceMonitor } from './utils/performanceMonitor.js';
+import { STICKER_TYPES } from './utils/stickerStore.js';
+import { getTrashItemLabel } from './utils/stickerTrash.js';
+import { isSafeLinkUrl } from './ui/markdownRenderer.js';
+import { normalizeAppearance, STICKER_PALETTE } from './utils/stickerAppearance.js';
+import { normalizeTags, hasTag, collectTags } from './utils/stickerTags.js';
+import { StickerSearchIndex } from './utils/stickerSearch.js';
+import { ATTACHMENT_GC_INTERVAL, isAttachmentId } from './utils/stickerAttachments.js';
+import { normalizeStickerDisplay, resolveStickerPosition, updateDisplayPlacement } from './utils/stickerDisplays.js';
+import { LAYOUT_STRATEGIES, LAYOUT_LABELS, DEFAULT_LAYOUT_OPTIONS, normalizeLayoutOptions, calculateLayout } from './utils/stickerLayout.js';
+import { getNextWorkspace } from './utils/stickerWorkspaces.js';
+import { DEFAULT_SNAP_OPTIONS, normalizeSnapOptions, snapPosition, snapResize } from './utils/stickerSnapping.js';
+import {
+  ALIGN_MODES,
+  ALIGN_LABELS,
+  normalizeStickerGroup,
+  createGroupId,
+  expandToGroups,
+  findStickersInRect,
+  alignStickers
+} from './utils/stickerGroups.js';
+import { DEFAULT_STICKER_TEMPLATES, getTemplatePlaceholders, createStickerFromTemplate } from './utils/stickerTemplates.js';
+import {
+  DEFAULT_SNOOZE_MINUTES,
+  normalizeReminder,
+  isReminderDue,
+  snoozeReminder,
+  dismissReminder
+} from './utils/stickerReminders.js';
+import { ReminderScheduler } from './utils/reminderScheduler.js';
+import { pruneBackups, DEFAULT_BACKUP_RETENTION, BACKUP_PRUNE_INTERVAL } from './utils/backupRetention.js';
+import { SNAPSHOT_INTERVAL, SNAPSHOT_REASONS } from './utils/stickerSnapshots.js';
+import { StoreWatcher, CONFLICT_CHOICES } from './utils/storeWatcher.js';
+import {
+  configureEncryption,
+  isEncryptionEnabled,
+  isEncryptionUnlocked,
+  unlockEncryption
+} from './utils/encryption.js';
+import {
+  resolveDataLocation,
+  getDataPaths,
+  setDataPaths,
+  isDataEntryName,
+  findMoveConflicts,
+  moveDataDirectory
+} from './utils/dataLocation.js';
+import { setLogDirectory } from './utils/logger.js';
 
 // Enable debug mode during development
 if (!app.isPackaged) {
@@ -18,12 +65,72 @@ if (!app.isPackaged) {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Define the user data path
-const userDataPath = app.getPath('userData');
+// Electron's user data directory; it also holds the setting naming a user-chosen data directory
+const defaultDataPath = app.getPath('userData');
+
+// Where sticker data, preferences and logs live: next to the executable in
+// portable mode, in a user-chosen directory, or in Electron's user data directory
+const dataLocation = resolveDataLocation({ defaultDir: defaultDataPath });
+const userDataPath = dataLocation.dataDir;
+
+// In portable mode Chromium's own files (caches, local storage) stay next to the executable too
+if (dataLocation.portable) {
+  app.setPath('userData', userDataPath);
+}
+
+// Services read their paths from here when they are first imported
+const dataPaths = getDataPaths(userDataPath, { portable: dataLocation.portable });
+setDataPaths(dataPaths);
+setLogDirectory(dataPaths.logDir);
 
 // Initialize the sticker data manager
 const stickerManager = new StickerDataManager(userDataPath);
 
+// Sticker data in the user data directory is encrypted once a passphrase is set up
+configureEncryption(userDataPath, { isDataEntry: isDataEntryName });
+
+// Sticker reminders go off from the main process, so they work while windows are hidden
+const reminderScheduler = new ReminderScheduler({ onDue: showDueReminder });
+
+// How often the write-ahead journal is folded into the sticker store
+const JOURNAL_COMPACT_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// How often we check whether a scheduled snapshot is due; checking more often than
+// SNAPSHOT_INTERVAL means a snapshot missed while the machine slept is caught up
+const SNAPSHOT_CHECK_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+// Most entries shown in the "Restore from Snapshot" submenu
+const SNAPSHOT_MENU_LIMIT = 15;
+
+// Global shortcut that leaves ghost (click-through) mode
+const GHOST_MODE_SHORTCUT = 'CommandOrControl+Shift+G';
+
+// Global shortcut that opens the sticker search palette
+const SEARCH_SHORTCUT = 'CommandOrControl+Shift+F';
+
+// Global shortcut for switching to the next saved workspace
+const WORKSPACE_SHORTCUT = 'CommandOrControl+Alt+W';
+
+// Global shortcut for selecting stickers with a lasso
+const LASSO_SHORTCUT = 'CommandOrControl+Shift+L';
+
+// Smallest size of a sticker window, and the height of a collapsed one (its header bar)
+const STICKER_MIN_SIZE = { width: 150, height: 80 };
+const COLLAPSED_STICKER_HEIGHT = 36;
+
+// Displays report several changes while a laptop docks or undocks; stickers are moved once they settle
+const DISPLAY_CHANGE_DELAY = 500;
+
+// Largest window a new image sticker opens with; bigger images are scaled down to fit
+const IMAGE_STICKER_MAX_SIZE = { width: 480, height: 480 };
+
+// URL scheme sticker windows load images from. Attachments may be encrypted, so
+// the main process serves them decrypted rather than the windows reading the files.
+const ATTACHMENT_PROTOCOL = 'sticker-attachment';
+protocol.registerSchemesAsPrivileged([
+  { scheme: ATTACHMENT_PROTOCOL, privileges: { standard: true, secure: true } }
+]);
+
 // Import services (will be initialized when imported)
 // These services are initialized dynamically
 let whisperService;
@@ -124,6 +231,7 @@ function initializeServices() {
             }
 
             const success = preferencesService.setPreferences(prefsObject);
+            refreshTrayMenu();
             return { success };
           } catch (error) {
             console.error('Error setting preferences:', error);
@@ -138,6 +246,7 @@ function initializeServices() {
             }
 
             const success = preferencesService.resetToDefaults();
+            refreshTrayMenu();
             return { success };
           } catch (error) {
             console.error('Error resetting preferences:', error);
@@ -156,6 +265,25 @@ function initializeServices() {
 let mainWindow;
 let tray = null;
 let stickerWindows = new Map(); // Map to track sticker windows
+let storeWatcher = null; // Watches the sticker store for external changes
+let passphrasePrompt = null; // The open passphrase window: { window, mode, onSubmit }
+let searchWindow = null; // The open search palette
+let settingsWindow = null; // The open settings window
+let lassoWindow = null; // The open lasso overlay for selecting stickers
+let workspacePrompt = null; // The open "Save Workspace" window
+let historyWindow = null; // The open revision history window: { window, stickerId }
+const searchIndex = new StickerSearchIndex(); // Stickers as they were when the palette opened
+const reminderNotifications = new Set(); // Shown notifications, kept so they aren't garbage collected
+const ghostStickers = new Set(); // IDs of stickers in click-through ghost mode
+const collapsedStickers = new Set(); // IDs of stickers rolled up to their header bar
+const stickerTags = new Map(); // Tags of the open stickers by ID, for showing one tag at a time
+const stickerHomeDisplays = new Map(); // Display each open sticker belongs on, by ID (see utils/stickerDisplays.js)
+let displayChangeTimer = null; // Pending move of the stickers after the displays changed
+let tagFilter = null; // Tag whose stickers are the only ones shown, or null when all are shown
+let activeWorkspaceId = null; // Workspace last switched to or saved, or null
+let snapSuspended = false; // Whether the key that turns snapping off (Alt) is held in a sticker window
+const selectedStickers = new Set(); // IDs of the stickers selected for group operations
+const stickerGroups = new Map(); // Group of each open sticker that is in one, by ID (see utils/stickerGroups.js)
 
 // Set a flag to track if the app is quitting
 app.isQuitting = false;
@@ -234,39 +362,11 @@ function createTray() {
     // Create new tray with icon
     tray = new Tray(trayIcon);
 
-    const contextMenu = Menu.buildFromTemplate([
-      {
-        label: 'Add New Sticker',
-        accelerator: 'CmdOrCtrl+N',
-        click: () => {
-          createStickerWindow();
-        }
-      },
-      {
-        label: 'Toggle Visibility',
-        accelerator: 'CmdOrCtrl+M',
-        click: () => {
-          toggleStickersVisibility();
-        }
-      },
-      {
-        label: 'Re-align Stickers',
-        accelerator: 'CmdOrCtrl+,',
-        click: () => {
-          realignStickers();
-        }
-      },
-      { type: 'separator' },
-      {
-        label: 'Exit',
-        click: () => {
-          app.quit();
-        }
-      }
-    ]);
-
     tray.setToolTip('FloatingStickers');
-    tray.setContextMenu(contextMenu);
+    tray.setContextMenu(buildTrayMenu([], [], [], []));
+
+    // Fill in the "Recently Closed", snapshot, workspace and template submenus once they have been read
+    refreshTrayMenu();
 
     // Add click handler for Windows to show context menu on left-click as well
     if (process.platform === 'win32') {
@@ -281,6 +381,556 @@ function createTray() {
   }
 }
 
+// Menu items for a list, or a disabled placeholder when the list is empty
+function itemsOrPlaceholder(items, placeholder) {
+  return items.length > 0 ? items : [{ label: placeholder, enabled: false }];
+}
+
+// Build the tray context menu
+function buildTrayMenu(recentlyClosed, snapshots, workspaces, templates) {
+  const snapshotItems = snapshots.slice(0, SNAPSHOT_MENU_LIMIT).map(snapshot => ({
+    label: `${new Date(snapshot.time).toLocaleString()} (${snapshot.reason})`,
+    click: () => {
+      restoreFromSnapshot(snapshot);
+    }
+  }));
+
+  const recentlyClosedItems = recentlyClosed.map(sticker => ({
+    label: getTrashItemLabel(sticker),
+    click: () => {
+      reopenClosedSticker(sticker.id);
+    }
+  }));
+
+  return Menu.buildFromTemplate([
+    {
+      label: 'Add New Sticker',
+      accelerator: 'CmdOrCtrl+N',
+      click: () => {
+        createStickerWindow();
+      }
+    },
+    {
+      label: 'New Sticker from Clipboard Image',
+      click: () => {
+        createImageStickerFromClipboard();
+      }
+    },
+    {
+      label: 'New from Template',
+      submenu: buildTemplateMenu(templates)
+    },
+    {
+      label: 'Search Stickers…',
+      accelerator: SEARCH_SHORTCUT,
+      click: () => {
+        openSearchWindow();
+      }
+    },
+    {
+      label: 'Toggle Visibility',
+      accelerator: 'CmdOrCtrl+M',
+      click: () => {
+        toggleStickersVisibility();
+      }
+    },
+    {
+      label: 'Re-align Stickers',
+      accelerator: 'CmdOrCtrl+,',
+      click: () => {
+        realignStickers();
+      }
+    },
+    {
+      label: 'Arrange Layout',
+      submenu: buildLayoutMenu()
+    },
+    {
+      label: 'Snap to Grid and Edges',
+      type: 'checkbox',
+      checked: getSnapOptions().enabled,
+      click: (menuItem) => {
+        setSnapEnabled(menuItem.checked);
+      }
+    },
+    {
+      label: 'Workspaces',
+      submenu: buildWorkspaceMenu(workspaces)
+    },
+    {
+      label: selectedStickers.size > 0 ? `Selection (${selectedStickers.size})` : 'Selection',
+      submenu: buildSelectionMenu()
+    },
+    {
+      label: 'Show Only Tag',
+      submenu: buildTagFilterMenu()
+    },
+    {
+      label: 'Leave Ghost Mode',
+      accelerator: GHOST_MODE_SHORTCUT,
+      enabled: ghostStickers.size > 0,
+      click: () => {
+        leaveGhostMode();
+      }
+    },
+    {
+      label: 'Recently Closed',
+      submenu: itemsOrPlaceholder(recentlyClosedItems, 'No recently closed stickers')
+    },
+    { type: 'separator' },
+    {
+      label: 'Take Snapshot',
+      click: () => {
+        takeSnapshot();
+      }
+    },
+    {
+      label: 'Restore from Snapshot',
+      submenu: itemsOrPlaceholder(snapshotItems, 'No snapshots yet')
+    },
+    { type: 'separator' },
+    {
+      label: 'Data Folder',
+      submenu: [
+        {
+          label: 'Open Data Folder',
+          click: () => {
+            shell.openPath(userDataPath);
+          }
+        },
+        {
+          label: dataLocation.portable ? 'Move Data Folder… (portable mode)' : 'Move Data Folder…',
+          enabled: !dataLocation.portable,
+          click: () => {
+            chooseDataFolder();
+          }
+        },
+        {
+          label: 'Use Default Data Folder',
+          enabled: dataLocation.custom,
+          click: () => {
+            moveDataFolder(defaultDataPath);
+          }
+        }
+      ]
+    },
+    ...(isEncryptionEnabled()
+      ? [
+        {
+          label: 'Change Passphrase…',
+          click: () => {
+            changeStickerPassphrase();
+          }
+        },
+        {
+          label: 'Lock Stickers',
+          click: () => {
+            lockStickers();
+          }
+        }
+      ]
+      : [
+        {
+          label: 'Set Up Encryption…',
+          click: () => {
+            setUpStickerEncryption();
+          }
+        }
+      ]),
+    {
+      label: 'Settings…',
+      click: () => {
+        openSettingsWindow();
+      }
+    },
+    { type: 'separator' },
+    {
+      label: 'Exit',
+      click: () => {
+        app.quit();
+      }
+    }
+  ]);
+}
+
+// Build the "Show Only Tag" submenu from the tags of the open stickers
+function buildTagFilterMenu() {
+  const tags = listStickerTags();
+
+  return [
+    {
+      label: 'All Stickers',
+      type: 'radio',
+      checked: tagFilter === null,
+      click: () => {
+        showAllStickers();
+      }
+    },
+    { type: 'separator' },
+    ...itemsOrPlaceholder(tags.map(tag => ({
+      label: tag,
+      type: 'radio',
+      checked: hasTag({ tags: [tag] }, tagFilter),
+      click: () => {
+        showStickersWithTag(tag);
+      }
+    })), 'No tagged stickers')
+  ];
+}
+
+// Build the "New from Template" submenu from the saved templates
+function buildTemplateMenu(templates) {
+  return [
+    ...itemsOrPlaceholder(templates.map(template => ({
+      label: template.name,
+      click: () => {
+        createNewSticker(null, { templateId: template.id });
+      }
+    })), 'No templates'),
+    { type: 'separator' },
+    {
+      label: 'Manage Templates…',
+      click: () => {
+        openSettingsWindow();
+      }
+    }
+  ];
+}
+
+// Build the "Workspaces" submenu from the saved workspaces
+function buildWorkspaceMenu(workspaces) {
+  return [
+    ...itemsOrPlaceholder(workspaces.map(workspace => ({
+      label: workspace.name,
+      type: 'checkbox',
+      checked: workspace.id === activeWorkspaceId,
+      click: () => {
+        switchWorkspace(workspace.id);
+      }
+    })), 'No saved workspaces'),
+    { type: 'separator' },
+    {
+      label: 'Next Workspace',
+      accelerator: WORKSPACE_SHORTCUT,
+      enabled: workspaces.length > 0,
+      click: () => {
+        switchToNextWorkspace();
+      }
+    },
+    {
+      label: 'Save Workspace…',
+      click: () => {
+        openWorkspacePrompt();
+      }
+    },
+    {
+      label: 'Delete Workspace',
+      enabled: workspaces.length > 0,
+      submenu: itemsOrPlaceholder(workspaces.map(workspace => ({
+        label: workspace.name,
+        click: () => {
+          deleteWorkspace(workspace);
+        }
+      })), 'No saved workspaces')
+    }
+  ];
+}
+
+// Rebuild the tray menu with the current recently closed stickers, snapshots, workspaces and templates
+async function refreshTrayMenu() {
+  if (!tray || tray.isDestroyed()) return;
+
+  try {
+    const recentlyClosed = await stickerManager.getRecentlyClosed();
+    const snapshots = await stickerManager.listSnapshots();
+    const workspaces = await stickerManager.loadWorkspaces();
+    const templates = await stickerManager.loadTemplates();
+    tray.setContextMenu(buildTrayMenu(recentlyClosed, snapshots, workspaces, templates));
+  } catch (error) {
+    console.error('Error refreshing tray menu:', error);
+  }
+}
+
+// Reopen a closed sticker from the trash with its original content, position and size
+async function reopenClosedSticker(stickerId) {
+  const result = await stickerManager.restoreSticker(stickerId);
+
+  if (result.success) {
+    console.log(`Reopening closed sticker ID=${stickerId}`);
+    createStickerWindow(result.sticker);
+    reminderScheduler.schedule(result.sticker.id, result.sticker.reminder);
+  } else {
+    console.error(`Failed to reopen sticker ID=${stickerId}:`, result.error);
+  }
+
+  await refreshTrayMenu();
+}
+
+// Take a snapshot of all stickers on demand
+async function takeSnapshot() {
+  const result = await stickerManager.createSnapshot(SNAPSHOT_REASONS.MANUAL);
+
+  if (!result.success) {
+    console.error('Failed to take snapshot:', result.error);
+    dialog.showErrorBox('Snapshot failed', `The snapshot could not be taken: ${result.error}`);
+  }
+
+  await refreshTrayMenu();
+}
+
+// Take a scheduled snapshot if the last one is older than SNAPSHOT_INTERVAL
+async function takeScheduledSnapshot() {
+  try {
+    const result = await stickerManager.createSnapshotIfDue(SNAPSHOT_INTERVAL);
+
+    if (!result.success) {
+      console.error('Failed to take scheduled snapshot:', result.error);
+    } else if (result.snapshot) {
+      await refreshTrayMenu();
+    }
+  } catch (error) {
+    console.error('Error taking scheduled snapshot:', error);
+  }
+}
+
+// Confirm with a preview, then swap the live stickers for a snapshot and
+// recreate the sticker windows from the restored data. The menu lists snapshots
+// by file name only; the snapshot itself is read here, once one is chosen.
+async function restoreFromSnapshot(listed) {
+  const summary = await stickerManager.getSnapshotSummary(listed.id);
+  if (!summary.success) {
+    console.error(`Failed to read snapshot ${listed.id}:`, summary.error);
+    dialog.showErrorBox('Restore failed', `The snapshot could not be read: ${summary.error}`);
+    return;
+  }
+  const { snapshot } = summary;
+
+  const { response } = await dialog.showMessageBox({
+    type: 'question',
+    buttons: ['Restore', 'Cancel'],
+    defaultId: 0,
+    cancelId: 1,
+    message: `Restore ${snapshot.stickerCount} sticker${snapshot.stickerCount === 1 ? '' : 's'} ` +
+      `from ${new Date(snapshot.time).toLocaleString()}?`,
+    detail: [
+      ...snapshot.preview.map(label => `• ${label}`),
+      ...(snapshot.stickerCount > snapshot.preview.length
+        ? [`…and ${snapshot.stickerCount - snapshot.preview.length} more`]
+        : []),
+      '',
+      'Your current stickers will be replaced. A snapshot of them is taken first, ' +
+        'so this can be undone from the same menu.'
+    ].join('\n')
+  });
+
+  if (response !== 0) return;
+
+  // Save what the windows show first, including edits still waiting for their
+  // save, so the pre-restore snapshot holds them and the restore can be undone.
+  // Then destroy rather than close the windows so no pending save from the old
+  // board reaches the store after the restore.
+  await saveOpenStickers();
+  for (const win of stickerWindows.values()) {
+    if (!win.isDestroyed()) {
+      win.destroy();
+    }
+  }
+  stickerWindows.clear();
+
+  const result = await stickerManager.restoreSnapshot(snapshot.id);
+  if (!result.success) {
+    console.error(`Failed to restore snapshot ${snapshot.id}:`, result.error);
+    dialog.showErrorBox('Restore failed', `The snapshot could not be restored: ${result.error}`);
+  }
+
+  // Either way, bring back whatever the store now holds
+  await loadSavedStickers();
+  await refreshTrayMenu();
+}
+
+// Show the passphrase window and resolve once a submission succeeds (true) or
+// the window is closed without one (false). onSubmit(values) resolves to
+// { success, error }; on failure the error is shown and the window stays open.
+function showPassphraseWindow(mode, onSubmit) {
+  if (passphrasePrompt) {
+    passphrasePrompt.window.focus();
+    return Promise.resolve(false);
+  }
+
+  return new Promise(resolve => {
+    const win = new BrowserWindow({
+      width: 420,
+      height: mode === 'change' ? 460 : 380,
+      resizable: false,
+      minimizable: false,
+      maximizable: false,
+      fullscreenable: false,
+      alwaysOnTop: true,
+      title: 'FloatingStickers',
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        preload: path.join(__dirname, 'preload-passphrase.js')
+      }
+    });
+
+    passphrasePrompt = {
+      window: win,
+      mode,
+      onSubmit: async values => {
+        const result = await onSubmit(values);
+        if (result.success) {
+          resolve(true);
+          win.destroy();
+        }
+        return result;
+      }
+    };
+
+    win.setMenuBarVisibility(false);
+    win.loadFile('passphrase.html');
+
+    win.on('closed', () => {
+      passphrasePrompt = null;
+      resolve(false); // No effect after a successful submission
+    });
+  });
+}
+
+// Ask for the passphrase until the sticker data is unlocked.
+// Resolves to false if the user gives up.
+async function unlockStickers() {
+  if (!isEncryptionEnabled() || isEncryptionUnlocked()) {
+    return true;
+  }
+
+  return await showPassphraseWindow('unlock', async ({ currentPassphrase }) => {
+    try {
+      return await unlockEncryption(currentPassphrase)
+        ? { success: true }
+        : { success: false, error: 'That passphrase is not correct.' };
+    } catch (error) {
+      console.error('Error unlocking stickers:', error);
+      return { success: false, error: `The stickers could not be unlocked: ${error.message}` };
+    }
+  });
+}
+
+// Encrypt all sticker data with a new passphrase
+async function setUpStickerEncryption() {
+  const done = await showPassphraseWindow('setup', ({ passphrase }) =>
+    stickerManager.enableEncryption(passphrase)
+  );
+
+  if (done) {
+    refreshTrayMenu();
+  }
+}
+
+// Re-encrypt all sticker data with a new passphrase
+async function changeStickerPassphrase() {
+  await showPassphraseWindow('change', ({ currentPassphrase, passphrase }) =>
+    stickerManager.changeEncryptionPassphrase(currentPassphrase, passphrase)
+  );
+}
+
+// Hide the stickers and forget the key until the passphrase is entered again
+async function lockStickers() {
+  // Destroy rather than close the windows: closing would remove the stickers
+  for (const win of stickerWindows.values()) {
+    if (!win.isDestroyed()) {
+      win.destroy();
+    }
+  }
+  stickerWindows.clear();
+
+  // Saves that are already queued still finish with the key
+  await stickerManager.lockEncryption();
+
+  if (!await unlockStickers()) {
+    app.quit();
+    return;
+  }
+
+  await loadSavedStickers();
+  await refreshTrayMenu();
+}
+
+// Let the user pick a folder and move the data there
+async function chooseDataFolder() {
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title: 'Move Data Folder',
+    defaultPath: userDataPath,
+    buttonLabel: 'Move Here',
+    properties: ['openDirectory', 'createDirectory']
+  });
+
+  if (!canceled && filePaths.length > 0) {
+    await moveDataFolder(filePaths[0]);
+  }
+}
+
+// Move all sticker data to another folder and restart the app from there.
+// Data already in that folder is only replaced after confirmation.
+async function moveDataFolder(targetDir) {
+  const conflicts = await findMoveConflicts(userDataPath, targetDir);
+
+  const confirmation = conflicts.length > 0
+    ? {
+      type: 'warning',
+      buttons: ['Replace', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+      message: `${targetDir} already holds sticker data`,
+      detail: `These will be replaced with your current data:\n\n${conflicts.map(name => `• ${name}`).join('\n')}\n\n` +
+        'FloatingStickers restarts after the move.'
+    }
+    : {
+      type: 'question',
+      buttons: ['Move', 'Cancel'],
+      defaultId: 0,
+      cancelId: 1,
+      message: `Move your stickers to ${targetDir}?`,
+      detail: 'FloatingStickers restarts after the move.'
+    };
+  const { response } = await dialog.showMessageBox(confirmation);
+
+  if (response !== 0) return;
+
+  // Get everything on disk and stop writing before the files are copied
+  if (storeWatcher) {
+    storeWatcher.stop();
+  }
+  await saveOpenStickers();
+  await stickerManager.compactJournal();
+  for (const win of stickerWindows.values()) {
+    if (!win.isDestroyed()) {
+      win.destroy();
+    }
+  }
+  stickerWindows.clear();
+
+  const result = await moveDataDirectory(userDataPath, targetDir, {
+    settingsDir: defaultDataPath,
+    overwrite: conflicts.length > 0
+  });
+
+  if (result.success) {
+    // Every service picks up the new location on start; the before-quit save is skipped
+    app.relaunch();
+    app.exit(0);
+    return;
+  }
+
+  console.error(`Failed to move data to ${targetDir}:`, result.error);
+  dialog.showErrorBox('Move failed', `Your stickers were not moved and are still in ${userDataPath}.\n\n${result.error}`);
+
+  await loadSavedStickers();
+  if (storeWatcher) {
+    storeWatcher.start();
+  }
+}
+
 // Fallback function in case tray creation fails
 function createSimpleControlWindow() {
   console.log('Creating simple control window as fallback...');
@@ -336,7 +986,7 @@ function createStickerWindow(stickerData = null) {
   const displays = screen.getAllDisplays();
 
   // Determine which display to use (prefer second display if available)
-  const targetDisplay = displays.length > 1 ? displays[1] : displays[0];
+  const targetDisplay = getDefaultDisplay(displays);
   const workArea = targetDisplay.workArea;
 
   let x, y;
@@ -345,26 +995,9 @@ function createStickerWindow(stickerData = null) {
   const stickerHeight = 80; // Header (40px) + single line of text (40px)
 
   if (stickerData?.position) {
-    // Use position from sticker data
-    x = stickerData.position.x;
-    y = stickerData.position.y;
-
-    // Check if the sticker is on any display
-    let onAnyDisplay = false;
-    for (const display of displays) {
-      const bounds = display.bounds;
-      if (x >= bounds.x && x < bounds.x + bounds.width &&
-          y >= bounds.y && y < bounds.y + bounds.height) {
-        onAnyDisplay = true;
-        break;
-      }
-    }
-
-    // If not on any display, adjust to target display
-    if (!onAnyDisplay) {
-      x = workArea.x + GRID_SIZE;
-      y = workArea.y + GRID_SIZE;
-    }
+    // Put the sticker back on the display it belongs on; if that display isn't
+    // connected, it goes to the same spot on the target display for now
+    ({ x, y } = resolveStickerPosition(stickerData, displays, targetDisplay));
   } else {
     // Calculate initial position based on existing stickers
     let lowestY = workArea.y + GRID_SIZE;
@@ -397,11 +1030,15 @@ function createStickerWindow(stickerData = null) {
 
   // Create a unique ID for this sticker if it doesn't have one
   const stickerId = stickerData?.id || Date.now().toString();
+  const appearance = normalizeAppearance(stickerData?.appearance);
+  const pinned = stickerData?.pinned === true;
+  const collapsed = stickerData?.collapsed === true;
+  const height = collapsed ? COLLAPSED_STICKER_HEIGHT : (stickerData?.size?.height || stickerHeight);
 
   // Create the sticker window
   const stickerWindow = new BrowserWindow({
     width: stickerData?.size?.width || stickerWidth,
-    height: stickerData?.size?.height || stickerHeight,
+    height,
     x: x,
     y: y,
     frame: false,
@@ -412,19 +1049,35 @@ function createStickerWindow(stickerData = null) {
       contextIsolation: true,
       preload: path.join(__dirname, 'preload-sticker.js')
     },
-    alwaysOnTop: false,
+    alwaysOnTop: pinned,
     skipTaskbar: true,
+    opacity: appearance.opacity,
     show: false, // Don't show until everything is ready
   });
 
   // Track this sticker window by its ID
   stickerWindows.set(stickerId, stickerWindow);
+  stickerHomeDisplays.set(
+    stickerId,
+    normalizeStickerDisplay(stickerData?.display) || updateDisplayPlacement(null, stickerWindow.getBounds(), displays)
+  );
+  stickerTags.set(stickerId, normalizeTags(stickerData?.tags));
+  if (normalizeStickerGroup(stickerData?.group)) {
+    stickerGroups.set(stickerId, normalizeStickerGroup(stickerData.group));
+  }
+  applyStickerPin(stickerId, pinned);
+
+  // Links in Markdown stickers open in the browser, never inside the sticker window
+  stickerWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+  stickerWindow.webContents.on('will-navigate', (event) => {
+    event.preventDefault();
+  });
 
   // Load the sticker HTML file
   stickerWindow.loadFile('sticker.html');
 
-  // Set a minimum size
-  stickerWindow.setMinimumSize(150, 80);
+  // Set a minimum size (collapsed stickers may be as small as their header)
+  applyStickerCollapsed(stickerId, collapsed);
 
   // When the window is ready to show
   stickerWindow.once('ready-to-show', () => {
@@ -434,10 +1087,23 @@ function createStickerWindow(stickerData = null) {
     const dataToSend = {
       id: stickerId,
       content: stickerData?.content || '',
+      type: stickerData?.type,
+      format: stickerData?.format,
+      items: stickerData?.items,
+      completedItems: stickerData?.completedItems,
+      appearance,
+      pinned,
+      collapsed,
+      expandedHeight: stickerData?.expandedHeight,
+      title: stickerData?.title || '',
+      tags: stickerTags.get(stickerId),
+      reminder: stickerData?.reminder || null,
+      image: stickerData?.image || null,
+      imageUrl: getStickerImageUrl(stickerData?.image),
       position: { x, y },
       size: {
         width: stickerData?.size?.width || stickerWidth,
-        height: stickerData?.size?.height || stickerHeight
+        height
       }
     };
 
@@ -468,6 +1134,20 @@ function createStickerWindow(stickerData = null) {
   stickerWindow.on('closed', () => {
     // Remove from our tracking Map
     stickerWindows.delete(stickerId);
+
+    collapsedStickers.delete(stickerId);
+    stickerHomeDisplays.delete(stickerId);
+    stickerGroups.delete(stickerId);
+    const wasSelected = selectedStickers.delete(stickerId);
+    const hadTags = (stickerTags.get(stickerId) || []).length > 0;
+    stickerTags.delete(stickerId);
+    closeRevisionHistory(stickerId);
+
+    // A closed ghost no longer needs "Leave Ghost Mode", its tags may no longer be used,
+    // and the selection shrinks
+    if (ghostStickers.delete(stickerId) || wasSelected || hadTags) {
+      refreshTrayMenu();
+    }
   });
 
   // When the sticker is moved
@@ -487,6 +1167,15 @@ function createStickerWindow(stickerData = null) {
     stickerWindow.webContents.send('position-updated', updatedPosition);
   });
 
+  // Snap the edges being dragged while the sticker is resized (Windows and macOS only)
+  stickerWindow.on('will-resize', (event, newBounds) => {
+    const snapped = getSnappedResize(stickerId, newBounds);
+    if (!snapped) return;
+
+    event.preventDefault();
+    stickerWindow.setBounds(snapped);
+  });
+
   // Also track resize events to ensure size is saved correctly
   stickerWindow.on('resize', () => {
     if (stickerWindow.isDestroyed()) return;
@@ -501,6 +1190,40 @@ function createStickerWindow(stickerData = null) {
     stickerWindow.webContents.send('size-updated', updatedSize);
   });
 
+  // Right-click shows the sticker's menu
+  stickerWindow.webContents.on('context-menu', () => {
+    Menu.buildFromTemplate([
+      ...(selectedStickers.has(stickerId)
+        ? [
+          { label: `Selection (${selectedStickers.size})`, submenu: buildSelectionMenu() },
+          { type: 'separator' }
+        ]
+        : []),
+      {
+        label: 'Pin on Top',
+        type: 'checkbox',
+        checked: stickerWindow.isAlwaysOnTop(),
+        click: (menuItem) => {
+          stickerWindow.webContents.send('pin-updated', menuItem.checked);
+        }
+      },
+      {
+        label: 'Ghost Mode (click-through)',
+        accelerator: GHOST_MODE_SHORTCUT,
+        click: () => {
+          setStickerGhost(stickerId, true);
+        }
+      },
+      { type: 'separator' },
+      {
+        label: 'Revision History…',
+        click: () => {
+          openRevisionHistory(stickerId);
+        }
+      }
+    ]).popup({ window: stickerWindow });
+  });
+
   // Return the ID we assigned to this sticker
   return stickerId;
 }
@@ -523,13 +1246,61 @@ if (isDevelopment()) {
 
 // When Electron has finished initialization
 app.whenReady().then(async () => {
+  protocol.handle(ATTACHMENT_PROTOCOL, serveAttachment);
   createWindow();
 
   // Initialize our services
   initializeServices();
 
+  if (dataLocation.unavailableDir) {
+    dialog.showMessageBox({
+      type: 'warning',
+      message: `Your data folder ${dataLocation.unavailableDir} is not available`,
+      detail: `Stickers are loaded from ${userDataPath} until it is available again. ` +
+        'Restart FloatingStickers once the folder is back.'
+    });
+  }
+
+  // Encrypted stickers can't be shown until they are unlocked
+  if (!await unlockStickers()) {
+    app.quit();
+    return;
+  }
+
   // Load saved stickers from file
   await loadSavedStickers();
+  await migrateStickerTemplates();
+
+  // Prune old backups now and then periodically
+  pruneDataBackups();
+  setInterval(pruneDataBackups, BACKUP_PRUNE_INTERVAL);
+
+  // Delete images no sticker refers to any more, now and then periodically
+  collectUnusedAttachments();
+  setInterval(collectUnusedAttachments, ATTACHMENT_GC_INTERVAL);
+
+  // Periodically compact the sticker journal so it doesn't grow between restarts
+  setInterval(() => {
+    stickerManager.compactJournal().catch(err => {
+      console.error('Error compacting sticker journal:', err);
+    });
+  }, JOURNAL_COMPACT_INTERVAL);
+
+  // Pick up changes made to the store by sync tools or by hand
+  storeWatcher = new StoreWatcher(stickerManager.storeFilePath, { onChange: applyExternalChanges });
+  storeWatcher.start();
+
+  // Take scheduled snapshots so there is always a recent board to go back to
+  takeScheduledSnapshot();
+  setInterval(takeScheduledSnapshot, SNAPSHOT_CHECK_INTERVAL);
+
+  // Timers don't run while the machine sleeps; catch up on reminders that came due meanwhile
+  powerMonitor.on('resume', rescheduleReminders);
+
+  // Send stickers back to their monitor when it is reconnected, and off monitors that are gone
+  screen.on('display-added', scheduleStickerDisplayRestore);
+  screen.on('display-removed', scheduleStickerDisplayRestore);
+  screen.on('display-metrics-changed', scheduleStickerDisplayRestore);
 
   // Register global shortcuts
   globalShortcut.register('CommandOrControl+N', () => {
@@ -544,6 +1315,23 @@ app.whenReady().then(async () => {
     realignStickers();
   });
 
+  globalShortcut.register(SEARCH_SHORTCUT, () => {
+    openSearchWindow();
+  });
+
+  // Ghosts ignore the mouse, so leaving ghost mode needs a shortcut
+  globalShortcut.register(GHOST_MODE_SHORTCUT, () => {
+    toggleGhostMode();
+  });
+
+  globalShortcut.register(WORKSPACE_SHORTCUT, () => {
+    switchToNextWorkspace();
+  });
+
+  globalShortcut.register(LASSO_SHORTCUT, () => {
+    openLassoWindow();
+  });
+
   // Run tests in development mode
   if (isDevelopment() && testLoader) {
     info('App', 'Running tests in development mode');
@@ -560,23 +1348,395 @@ app.whenReady().then(async () => {
 
 // Use performance monitoring for sticker loading
 
-// Load stickers from file and create sticker windows
-async function loadSavedStickers() {
-  console.log('Loading stickers data...');
-
-  // Start performance monitoring
-  performanceMonitor.mark('loadSavedStickers-start');
+// Delete backups in the user data directory that the retention policy doesn't keep
+async function pruneDataBackups() {
+  const policy = preferencesService
+    ? preferencesService.getPreference('backupRetention', DEFAULT_BACKUP_RETENTION)
+    : DEFAULT_BACKUP_RETENTION;
 
   try {
-    // Check if sticker data files exist
-    const layoutPath = stickerManager.layoutFilePath;
-    const contentPath = stickerManager.contentFilePath;
-    const layoutExists = fs.existsSync(layoutPath);
-    const contentExists = fs.existsSync(contentPath);
+    await pruneBackups(userDataPath, policy);
+  } catch (error) {
+    console.error('Error pruning backups:', error);
+  }
+}
+
+// Delete attachment files that neither the stickers, the trash nor a snapshot refer to
+async function collectUnusedAttachments() {
+  try {
+    const result = await stickerManager.collectAttachmentGarbage();
+    if (!result.success) {
+      console.error('Failed to delete unused attachments:', result.error);
+    }
+  } catch (error) {
+    console.error('Error deleting unused attachments:', error);
+  }
+}
+
+// Reload stickers changed outside the app and update, open or close their windows.
+// With openWindows false (while quitting) stickers without a window are returned instead.
+async function applyExternalChanges({ openWindows = true } = {}) {
+  const unopened = [];
+  const result = await stickerManager.reloadExternalChanges({
+    resolveConflict: promptStickerConflict,
+    // Text typed into a sticker but not saved yet counts as an edit here too
+    readUnsavedContent: sticker => (sticker.type || STICKER_TYPES.TEXT) === STICKER_TYPES.TEXT
+      ? requestStickerContent(sticker.id)
+      : null
+  });
+
+  if (result.error) {
+    console.error('Error reloading external sticker changes:', result.error);
+  }
+  if (!result.changed) return unopened;
+
+  for (const sticker of [...result.added, ...result.updated]) {
+    reminderScheduler.schedule(sticker.id, sticker.reminder);
+
+    const win = stickerWindows.get(sticker.id);
+    if (!win || win.isDestroyed()) {
+      if (openWindows) {
+        createStickerWindow(sticker);
+      } else {
+        unopened.push(sticker);
+      }
+      continue;
+    }
+
+    // Collapsing changes the minimum height, so it goes first
+    applyStickerCollapsed(sticker.id, sticker.collapsed === true);
+
+    // The change may come from a machine with other monitors; keep the sticker on one of ours
+    const displays = screen.getAllDisplays();
+    const position = resolveStickerPosition(sticker, displays, getDefaultDisplay(displays));
+    stickerHomeDisplays.set(sticker.id, normalizeStickerDisplay(sticker.display));
+    win.setBounds({
+      x: position.x,
+      y: position.y,
+      width: sticker.size.width,
+      height: sticker.collapsed ? COLLAPSED_STICKER_HEIGHT : sticker.size.height
+    });
+    win.webContents.send('position-updated', { x: position.x, y: position.y });
+    win.webContents.send('sticker-content-restored', sticker.content);
+    win.webContents.send('format-updated', sticker.format);
+    win.webContents.send('checklist-updated', {
+      type: sticker.type,
+      items: sticker.items,
+      completedItems: sticker.completedItems
+    });
+    win.webContents.send('appearance-updated', sticker.appearance);
+    win.webContents.send('reminder-updated', sticker.reminder || null);
+    win.webContents.send('pin-updated', sticker.pinned === true);
+    win.webContents.send('details-updated', { title: sticker.title || '', tags: sticker.tags || [] });
+    updateStickerTags(sticker.id, sticker.tags);
+    setStickerGroup(sticker.id, sticker.group);
+    win.webContents.send('collapse-updated', {
+      collapsed: sticker.collapsed === true,
+      expandedHeight: sticker.expandedHeight
+    });
+    applyStickerOpacity(sticker.id, sticker.appearance);
+    applyStickerPin(sticker.id, sticker.pinned === true);
+  }
+
+  // The sticker is already gone from the store, so close the window without removing it again
+  for (const stickerId of result.removed) {
+    reminderScheduler.cancel(stickerId);
+    const win = stickerWindows.get(stickerId);
+    if (win && !win.isDestroyed()) {
+      win.destroy();
+    }
+  }
+
+  await refreshTrayMenu();
+  return unopened;
+}
+
+// Ask an open sticker window for the text it shows, including edits not saved yet.
+// Resolves to null if the sticker has no window or it doesn't answer in time.
+function requestStickerContent(stickerId, timeout = 1000) {
+  const win = stickerWindows.get(stickerId);
+  if (!win || win.isDestroyed()) return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const channel = `content-response-${stickerId}`;
+    const timer = setTimeout(() => {
+      ipcMain.removeListener(channel, onResponse);
+      resolve(null);
+    }, timeout);
+
+    function onResponse(_, content) {
+      clearTimeout(timer);
+      resolve(typeof content === 'string' ? content : null);
+    }
+
+    ipcMain.once(channel, onResponse);
+    win.webContents.send('get-content');
+  });
+}
+
+// Ask which version to keep when a sticker changed both here and outside the app
+async function promptStickerConflict({ local, external, unsaved }) {
+  const describe = sticker => sticker ? getTrashItemLabel(sticker, 60) : '(deleted)';
+
+  const { response } = await dialog.showMessageBox({
+    type: 'warning',
+    buttons: ['Keep Mine', 'Use Theirs'],
+    defaultId: 0,
+    cancelId: 0,
+    message: `"${describe(local || external)}" was changed outside FloatingStickers`,
+    detail: `This sticker also has ${unsaved ? 'unsaved edits' : 'edits'} here that the other copy doesn't have.\n\n` +
+      `Here: ${describe(local)}\n` +
+      `Other copy: ${describe(external)}`
+  });
+
+  return response === 1 ? CONFLICT_CHOICES.THEIRS : CONFLICT_CHOICES.MINE;
+}
+
+// Show a sticker, raise it above other windows and flash it in the taskbar
+function drawAttentionToSticker(stickerId) {
+  const win = stickerWindows.get(stickerId);
+  if (!win || win.isDestroyed()) return;
+
+  if (!win.isVisible()) {
+    win.showInactive();
+  }
+  win.moveTop();
+  win.flashFrame(true);
+}
+
+// Show a sticker and give it focus (e.g. from a reminder notification)
+function focusSticker(stickerId) {
+  const win = stickerWindows.get(stickerId);
+  if (!win || win.isDestroyed()) return;
+
+  win.show();
+  win.focus();
+  win.flashFrame(false);
+}
+
+// Bring a sticker to the front and flash it so it can be spotted, even if it was
+// hidden (e.g. by "Toggle Visibility" or a tag filter) or minimized
+function jumpToSticker(stickerId) {
+  const win = stickerWindows.get(stickerId);
+  if (!win || win.isDestroyed()) return false;
+
+  if (win.isMinimized()) {
+    win.restore();
+  }
+  focusSticker(stickerId);
+  win.moveTop();
+  win.webContents.send('sticker-flash');
+  return true;
+}
+
+// Open the search palette on the display with the mouse pointer, indexing the stickers as they are now
+async function openSearchWindow() {
+  if (searchWindow) {
+    searchWindow.focus();
+    return;
+  }
+
+  // Locked stickers can't be read, let alone searched
+  if (isEncryptionEnabled() && !isEncryptionUnlocked()) {
+    console.warn('Stickers are locked, not opening search');
+    return;
+  }
+
+  try {
+    searchIndex.setStickers(await stickerManager.loadStickerData());
+  } catch (error) {
+    console.error('Error indexing stickers for search:', error);
+    return;
+  }
+
+  const { workArea } = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+  const width = 520;
+  const height = 420;
+
+  searchWindow = new BrowserWindow({
+    width,
+    height,
+    x: Math.round(workArea.x + (workArea.width - width) / 2),
+    y: Math.round(workArea.y + workArea.height / 5),
+    frame: false,
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    alwaysOnTop: true,
+    skipTaskbar: true,
+    show: false,
+    title: 'Search Stickers',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload-search.js')
+    }
+  });
+
+  searchWindow.loadFile('search.html');
+  searchWindow.once('ready-to-show', () => {
+    searchWindow.show();
+  });
+
+  // Like other command palettes, it goes away when something else gets focus
+  searchWindow.on('blur', () => {
+    closeSearchWindow();
+  });
+  searchWindow.on('closed', () => {
+    searchWindow = null;
+  });
+}
+
+function closeSearchWindow() {
+  if (searchWindow && !searchWindow.isDestroyed()) {
+    searchWindow.close();
+  }
+}
+
+// IPC for searching the stickers from the search palette
+ipcMain.handle('search-stickers', (_, query) => {
+  return { success: true, results: searchIndex.search(query) };
+});
+
+// IPC for jumping to a search result; the palette closes
+ipcMain.handle('open-search-result', (_, stickerId) => {
+  closeSearchWindow();
+
+  const id = String(stickerId);
+  if (!jumpToSticker(id)) {
+    console.warn(`Search result ${id} has no open sticker window`);
+    return { success: false, error: 'Sticker not found' };
+  }
+  return { success: true };
+});
+
+ipcMain.handle('close-search', () => {
+  closeSearchWindow();
+});
+
+// Show a native notification for a reminder. The snooze and dismiss buttons are only
+// shown on macOS; elsewhere clicking the notification shows the sticker, which has both.
+function showReminderNotification({ title, body, stickerId, withActions = true }) {
+  if (!Notification.isSupported()) {
+    console.warn('Notifications are not supported, reminder shown on the sticker only');
+    return;
+  }
+
+  const notification = new Notification({
+    title,
+    body,
+    actions: withActions
+      ? [{ type: 'button', text: `Snooze ${DEFAULT_SNOOZE_MINUTES} min` }, { type: 'button', text: 'Dismiss' }]
+      : []
+  });
+
+  notification.on('click', () => focusSticker(stickerId));
+  notification.on('action', (_, index) => {
+    if (index === 0) {
+      snoozeStickerReminder(stickerId);
+    } else {
+      dismissStickerReminder(stickerId);
+    }
+  });
+  notification.on('close', () => reminderNotifications.delete(notification));
+
+  reminderNotifications.add(notification);
+  notification.show();
+}
+
+// A reminder came due while the app is running
+async function showDueReminder(stickerId) {
+  try {
+    const store = await stickerManager.loadStore();
+    const sticker = store.stickers.find(record => record.id === stickerId);
+    if (!sticker || !sticker.reminder) return;
+
+    const win = stickerWindows.get(stickerId);
+    if (win && !win.isDestroyed()) {
+      win.webContents.send('reminder-updated', sticker.reminder);
+    }
+    drawAttentionToSticker(stickerId);
+    showReminderNotification({ title: 'Sticker reminder', body: getTrashItemLabel(sticker, 80), stickerId });
+  } catch (error) {
+    console.error(`Error showing reminder for sticker ID=${stickerId}:`, error);
+  }
+}
+
+// Report reminders that came due while the app was closed (or the machine slept)
+function reportOverdueReminders(overdue, stickers) {
+  if (overdue.length === 0) return;
+
+  overdue.forEach(({ stickerId }) => drawAttentionToSticker(stickerId));
+
+  const labels = overdue.map(({ stickerId }) => getTrashItemLabel(stickers.find(sticker => sticker.id === stickerId) || {}, 60));
+  const more = overdue.length > 3 ? `\n…and ${overdue.length - 3} more` : '';
+
+  showReminderNotification({
+    title: overdue.length === 1 ? 'Missed sticker reminder' : `${overdue.length} missed sticker reminders`,
+    body: labels.slice(0, 3).join('\n') + more,
+    stickerId: overdue[0].stickerId,
+    withActions: overdue.length === 1
+  });
+}
+
+// Rebuild every reminder timer from the store, e.g. after the machine wakes up
+async function rescheduleReminders() {
+  try {
+    const store = await stickerManager.loadStore();
+    reportOverdueReminders(reminderScheduler.rebuild(store.stickers), store.stickers);
+  } catch (error) {
+    console.error('Error rescheduling reminders:', error);
+  }
+}
+
+// Store a sticker's new reminder, schedule it and show it on the sticker.
+// `reminder` may be a function of the current reminder (see updateStickerReminder).
+async function setStickerReminder(stickerId, reminder) {
+  const result = await stickerManager.updateStickerReminder(stickerId, reminder);
+
+  if (!result.success) {
+    console.error(`Failed to update reminder of sticker ID=${stickerId}:`, result.error);
+    return result;
+  }
+
+  const next = result.sticker.reminder || null;
+  reminderScheduler.schedule(stickerId, next);
+
+  const win = stickerWindows.get(stickerId);
+  if (win && !win.isDestroyed()) {
+    win.webContents.send('reminder-updated', next);
+    if (!next || !isReminderDue(next)) {
+      win.flashFrame(false);
+    }
+  }
+
+  return { success: true, reminder: next };
+}
+
+function snoozeStickerReminder(stickerId, minutes = DEFAULT_SNOOZE_MINUTES) {
+  return setStickerReminder(stickerId, reminder => snoozeReminder(reminder, minutes));
+}
+
+// Done for now: one-off reminders are removed, recurring ones move to their next occurrence
+function dismissStickerReminder(stickerId) {
+  return setStickerReminder(stickerId, reminder => dismissReminder(reminder));
+}
+
+// Load stickers from file and create sticker windows
+async function loadSavedStickers() {
+  console.log('Loading stickers data...');
+
+  // Start performance monitoring
+  performanceMonitor.mark('loadSavedStickers-start');
+
+  try {
+    // Check if the sticker store exists (legacy files are migrated on load)
+    const storePath = stickerManager.storeFilePath;
+    const storeExists = fs.existsSync(storePath);
 
-    console.log(`Sticker data files: layout=${layoutExists ? 'exists' : 'missing'}, content=${contentExists ? 'exists' : 'missing'}`);
-    console.log(`Layout path: ${layoutPath}`);
-    console.log(`Content path: ${contentPath}`);
+    console.log(`Sticker store: ${storeExists ? 'exists' : 'missing'}`);
+    console.log(`Store path: ${storePath}`);
 
     // Load the merged sticker data
     console.log('Calling stickerManager.loadStickerData()');
@@ -591,6 +1751,9 @@ async function loadSavedStickers() {
 
     console.info(`Loading ${stickers.length} stickers`);
 
+    // Timers are rebuilt from the stored reminders; those already due are reported once the windows are up
+    const overdueReminders = reminderScheduler.rebuild(stickers);
+
     // If no stickers found, don't do anything
     if (stickers.length === 0) {
       console.info('No stickers found to load');
@@ -653,6 +1816,11 @@ async function loadSavedStickers() {
     await createStickersSequentially(stickers);
 
     console.info(`Successfully created ${stickers.length} sticker windows`);
+
+    // List the tags of the stickers under "Show Only Tag"
+    refreshTrayMenu();
+
+    reportOverdueReminders(overdueReminders, stickers);
   } catch (error) {
     console.error('Error loading stickers:', error);
     // Don't crash the app, just show an empty state
@@ -670,39 +1838,29 @@ function toggleStickersVisibility() {
   });
 
   // If any are visible, hide all; otherwise, show all
+  if (!anyVisible) {
+    showAllStickers();
+    return;
+  }
   stickerWindows.forEach(win => {
     if (win && !win.isDestroyed()) {
-      if (anyVisible) {
-        win.hide();
-      } else {
-        win.show();
-      }
+      win.hide();
     }
   });
 }
 
-// Settings window functionality has been removed
-
-// Make sure we properly clean up before quitting
-app.on('before-quit', async () => {
-  app.isQuitting = true;
-
-  console.log('[DEBUG] App is quitting, saving sticker data...');
-  console.log(`[DEBUG] User data path: ${app.getPath('userData')}`);
-  console.log(`[DEBUG] Layout file path: ${stickerManager.layoutFilePath}`);
-  console.log(`[DEBUG] Content file path: ${stickerManager.contentFilePath}`);
-
-  // Save all sticker data before quitting
+// Save every open sticker window's content, position and size in a single write
+// (before quitting, or before the data is moved)
+async function saveOpenStickers(extraStickers = []) {
   try {
     // Ensure the user data directory exists
-    const userDataPath = app.getPath('userData');
     if (!fs.existsSync(userDataPath)) {
       console.log(`Creating user data directory: ${userDataPath}`);
       await fs.promises.mkdir(userDataPath, { recursive: true });
     }
 
-    // Collect all sticker data
-    const stickersToSave = [];
+    // Collect all sticker data, starting with stickers that have no window yet
+    const stickersToSave = [...extraStickers];
     const contentPromises = [];
 
     // First, request content from all sticker windows
@@ -731,6 +1889,7 @@ app.on('before-quit', async () => {
               id: stickerId,
               position: { x, y },
               size: { width, height },
+              display: stickerHomeDisplays.get(stickerId),
               content: content || ''
             });
           });
@@ -742,6 +1901,7 @@ app.on('before-quit', async () => {
               id: stickerId,
               position: { x, y },
               size: { width, height },
+              display: stickerHomeDisplays.get(stickerId),
               content: ''
             });
           }, 1000); // 1000ms timeout (increased from 500ms)
@@ -753,57 +1913,157 @@ app.on('before-quit', async () => {
 
     // Wait for all content to be collected
     if (contentPromises.length > 0) {
-      console.log(`Collecting content from ${contentPromises.length} stickers before quitting`);
+      console.log(`Collecting content from ${contentPromises.length} stickers`);
       const results = await Promise.all(contentPromises);
       stickersToSave.push(...results);
     }
 
     // Only save if we have stickers
     if (stickersToSave.length > 0) {
-      console.log(`Saving data for ${stickersToSave.length} stickers before quitting`);
+      console.log(`Saving data for ${stickersToSave.length} stickers`);
 
       // Log the sticker data for debugging
       stickersToSave.forEach((sticker, index) => {
         console.log(`Sticker ${index + 1}/${stickersToSave.length}: ID=${sticker.id}, Content length=${sticker.content ? sticker.content.length : 0}`);
       });
 
-      // Save both layout and content data
-      const layoutData = stickersToSave.map(s => ({
-        id: s.id,
-        position: s.position,
-        size: s.size
-      }));
-
-      const contentData = stickersToSave.map(s => ({
-        id: s.id,
-        content: s.content || ''
-      }));
-
-      console.log(`Layout data: ${layoutData.length} items`);
-      console.log(`Content data: ${contentData.length} items`);
-      console.log(`Layout file path: ${stickerManager.layoutFilePath}`);
-      console.log(`Content file path: ${stickerManager.contentFilePath}`);
+      console.log(`Store file path: ${stickerManager.storeFilePath}`);
 
-      // Save both files
+      // Save all stickers to the store in a single write
       try {
-        const layoutSaved = await stickerManager.saveLayoutData(layoutData);
-        const contentSaved = await stickerManager.saveContentData(contentData);
+        const saved = await stickerManager.saveStickers(stickersToSave);
 
-        console.log(`Save results: layout=${layoutSaved}, content=${contentSaved}`);
+        console.log(`Save result: ${saved}`);
 
-        if (!layoutSaved || !contentSaved) {
-          console.error('Failed to save sticker data before quitting');
+        if (!saved) {
+          console.error('Failed to save sticker data');
         }
       } catch (saveError) {
         console.error('Error during save operation:', saveError);
       }
     } else {
-      console.log('No stickers to save before quitting');
+      console.log('No stickers to save');
+    }
+  } catch (error) {
+    console.error('Error saving sticker data:', error);
+  }
+}
+
+// Open the settings window, or bring it to the front if it is already open
+function openSettingsWindow() {
+  if (settingsWindow) {
+    settingsWindow.focus();
+    return;
+  }
+
+  settingsWindow = new BrowserWindow({
+    width: 680,
+    height: 720,
+    minWidth: 480,
+    minHeight: 400,
+    show: false,
+    title: 'Sticker Settings',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload-settings.js')
     }
+  });
+
+  settingsWindow.setMenuBarVisibility(false);
+  settingsWindow.loadFile('settings.html');
+  settingsWindow.once('ready-to-show', () => {
+    settingsWindow.show();
+  });
+  settingsWindow.on('closed', () => {
+    settingsWindow = null;
+  });
+}
+
+// IPC for reading the sticker templates in the settings window
+ipcMain.handle('get-sticker-templates', async () => {
+  try {
+    return { success: true, templates: await stickerManager.loadTemplates() };
   } catch (error) {
-    console.error('Error saving sticker data before quit:', error);
+    console.error('Error loading sticker templates:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC for saving the sticker templates; the tray's "New from Template" submenu follows
+ipcMain.handle('set-sticker-templates', async (_, templates) => {
+  if (!Array.isArray(templates)) {
+    return { success: false, error: 'Invalid sticker templates' };
+  }
+
+  const result = await stickerManager.saveTemplates(templates);
+  refreshTrayMenu();
+  return result;
+});
+
+// IPC for going back to the templates that come with the app
+ipcMain.handle('reset-sticker-templates', async () => {
+  const result = await stickerManager.saveTemplates(DEFAULT_STICKER_TEMPLATES);
+  refreshTrayMenu();
+  return result;
+});
+
+// IPC for reading the auto-arrange layout in the settings window
+ipcMain.handle('get-layout-options', () => {
+  return { success: true, layout: getLayoutOptions(), strategies: LAYOUT_LABELS };
+});
+
+// IPC for saving the auto-arrange layout; the stickers are arranged with it straight away
+ipcMain.handle('set-layout-options', (_, layout) => {
+  if (!preferencesService) {
+    return { success: false, error: 'Preferences Service not initialized' };
+  }
+  if (!layout || typeof layout !== 'object') {
+    return { success: false, error: 'Invalid layout options' };
+  }
+
+  const success = preferencesService.setPreference('stickerLayout', layout);
+  refreshTrayMenu();
+  realignStickers();
+  return { success, layout: getLayoutOptions() };
+});
+
+// IPC for the snapping options shown in the settings window
+ipcMain.handle('get-snap-options', () => {
+  return { success: true, snapping: getSnapOptions() };
+});
+
+ipcMain.handle('set-snap-options', (_, snapping) => {
+  if (!preferencesService) {
+    return { success: false, error: 'Preferences Service not initialized' };
+  }
+  if (!snapping || typeof snapping !== 'object') {
+    return { success: false, error: 'Invalid snapping options' };
+  }
+
+  const success = preferencesService.setPreference('stickerSnapping', snapping);
+  refreshTrayMenu();
+  return { success, snapping: getSnapOptions() };
+});
+
+// Make sure we properly clean up before quitting
+app.on('before-quit', async () => {
+  app.isQuitting = true;
+
+  console.log('[DEBUG] App is quitting, saving sticker data...');
+  console.log(`[DEBUG] User data path: ${userDataPath}`);
+  console.log(`[DEBUG] Store file path: ${stickerManager.storeFilePath}`);
+
+  // Stop watching, but take in any external change first so the windows,
+  // and therefore the save below, include it
+  let unopenedStickers = [];
+  if (storeWatcher) {
+    storeWatcher.stop();
+    unopenedStickers = await applyExternalChanges({ openWindows: false });
   }
 
+  await saveOpenStickers(unopenedStickers);
+
   // Unregister all shortcuts
   globalShortcut.unregisterAll();
 });
@@ -816,6 +2076,25 @@ app.on('window-all-closed', function () {
   }
 });
 
+// IPC for the passphrase window
+ipcMain.handle('get-passphrase-mode', () => {
+  return passphrasePrompt ? passphrasePrompt.mode : null;
+});
+
+ipcMain.handle('submit-passphrase', (_, values) => {
+  if (!passphrasePrompt) {
+    return { success: false, error: 'The passphrase window is no longer open' };
+  }
+
+  return passphrasePrompt.onSubmit(values || {});
+});
+
+ipcMain.handle('cancel-passphrase', () => {
+  if (passphrasePrompt) {
+    passphrasePrompt.window.close();
+  }
+});
+
 // IPC for saving stickers data to file system
 ipcMain.handle('save-stickers', async (_, stickersData) => {
   try {
@@ -823,33 +2102,9 @@ ipcMain.handle('save-stickers', async (_, stickersData) => {
       return { success: false, error: 'Invalid data format' };
     }
 
-    // Split into layout and content
-    const layoutData = stickersData.map(sticker => ({
-      id: String(sticker.id || Date.now()),
-      position: {
-        x: Number(sticker.position?.x || 0),
-        y: Number(sticker.position?.y || 0)
-      },
-      size: {
-        width: Number(sticker.size?.width || 250),
-        height: Number(sticker.size?.height || 80)
-      }
-    }));
-
-    const contentData = stickersData.map(sticker => ({
-      id: String(sticker.id || Date.now()),
-      content: String(sticker.content || '')
-    }));
-
-    // Save both files
-    const layoutSaved = await stickerManager.saveLayoutData(layoutData);
-    const contentSaved = await stickerManager.saveContentData(contentData);
+    const saved = await stickerManager.saveStickers(stickersData);
 
-    return {
-      success: layoutSaved && contentSaved,
-      layoutSaved,
-      contentSaved
-    };
+    return { success: saved };
   } catch (error) {
     console.error('Error saving stickers:', error);
     return { success: false, error: error.message };
@@ -868,8 +2123,54 @@ ipcMain.handle('load-stickers', async () => {
   }
 });
 
-// IPC for creating a new sticker
-ipcMain.handle('create-sticker', async (_, stickerData) => {
+// Move sticker templates an older version kept in the plain preferences file
+// into the data directory, where they are encrypted with the stickers
+async function migrateStickerTemplates() {
+  try {
+    const { default: preferences } = await import('./services/preferencesService.js');
+    const templates = preferences.getLegacyTemplates();
+    if (!templates) return;
+
+    const result = await stickerManager.importTemplates(templates);
+    if (!result.success) {
+      console.error('Failed to move sticker templates out of the preferences:', result.error);
+      return;
+    }
+
+    preferences.clearLegacyTemplates();
+    refreshTrayMenu();
+  } catch (error) {
+    console.error('Error moving sticker templates out of the preferences:', error);
+  }
+}
+
+// Build the data of a new sticker from a template, filling in its placeholders.
+// The clipboard is only read when the template asks for it.
+async function getTemplateStickerData(templateId) {
+  const templates = await stickerManager.loadTemplates();
+  const template = templates.find(entry => entry.id === String(templateId));
+  if (!template) {
+    throw new Error(`Unknown sticker template: ${templateId}`);
+  }
+
+  return createStickerFromTemplate(template, {
+    now: new Date(),
+    clipboard: getTemplatePlaceholders(template).includes('clipboard') ? clipboard.readText() : ''
+  });
+}
+
+// Create and save a new sticker. With a `templateId` option the sticker starts from
+// that template; fields given in stickerData override the template's.
+async function createNewSticker(stickerData, options = {}) {
+  if (options?.templateId) {
+    try {
+      stickerData = { ...await getTemplateStickerData(options.templateId), ...stickerData };
+    } catch (error) {
+      console.error('[ERROR] Error creating sticker from template:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   console.log('[DEBUG] Creating new sticker with data:', stickerData ? { id: stickerData.id } : 'undefined');
 
   // Log content details if available
@@ -890,7 +2191,14 @@ ipcMain.handle('create-sticker', async (_, stickerData) => {
     if (stickerData) {
       const sanitizedData = {
         id: stickerId,
+        type: stickerData.type,
+        format: stickerData.format,
         content: stickerData.content || '',
+        items: stickerData.items,
+        image: stickerData.image,
+        title: stickerData.title,
+        tags: stickerData.tags,
+        appearance: stickerData.appearance,
         position: stickerData.position || { x: 0, y: 0 },
         size: stickerData.size || { width: 250, height: 80 }
       };
@@ -917,31 +2225,157 @@ ipcMain.handle('create-sticker', async (_, stickerData) => {
     console.error('[ERROR] Error creating new sticker:', error);
     return { success: false, error: error.message };
   }
+}
+
+// IPC for creating a new sticker, optionally from a template ({ templateId })
+ipcMain.handle('create-sticker', (_, stickerData, options) => {
+  return createNewSticker(stickerData, options);
 });
 
-// IPC for updating sticker position and content
-ipcMain.handle('update-sticker', async (_, stickerData) => {
-  console.log(`[DEBUG] update-sticker IPC called for sticker ID=${stickerData?.id}`);
+// URL the sticker window shows an image sticker's image from, or null without one
+function getStickerImageUrl(image) {
+  if (!image?.attachmentId) return null;
+
+  if (!isAttachmentId(image.attachmentId)) {
+    console.error('Invalid sticker image:', image.attachmentId);
+    return null;
+  }
+  return `${ATTACHMENT_PROTOCOL}://attachments/${image.attachmentId}`;
+}
 
+// Answer a sticker window's request for an attachment, decrypting it if needed
+async function serveAttachment(request) {
   try {
-    // Validate sticker data
-    if (!stickerData || typeof stickerData !== 'object') {
-      console.error(`[ERROR] Invalid sticker data provided to update-sticker:`, stickerData);
-      return { success: false, error: 'Invalid sticker data provided' };
-    }
+    const { data, mimeType } = await stickerManager.attachments.read(path.posix.basename(request.url));
+    return new Response(data, { headers: { 'Content-Type': mimeType } });
+  } catch (error) {
+    console.error('Error serving sticker image:', error);
+    return new Response(null, { status: 404 });
+  }
+}
 
-    // Log content details
-    if (stickerData.content !== undefined) {
-      console.log(`[DEBUG] Content to update: length=${stickerData.content ? stickerData.content.length : 0}`);
-      if (stickerData.content && stickerData.content.length > 0) {
+// Window size that shows a whole image below the sticker header, scaled down to
+// IMAGE_STICKER_MAX_SIZE if it is larger
+function getImageStickerSize(image) {
+  const width = image.width || IMAGE_STICKER_MAX_SIZE.width;
+  const height = image.height || IMAGE_STICKER_MAX_SIZE.height;
+  const scale = Math.min(1, IMAGE_STICKER_MAX_SIZE.width / width, IMAGE_STICKER_MAX_SIZE.height / height);
+
+  return {
+    width: Math.max(STICKER_MIN_SIZE.width, Math.round(width * scale)),
+    height: Math.max(STICKER_MIN_SIZE.height, Math.round(height * scale) + COLLAPSED_STICKER_HEIGHT)
+  };
+}
+
+// Store an image in the attachments folder. The image's own size is read from
+// the data where Electron can decode it, otherwise the size given is used.
+async function storeStickerImage(buffer, size = {}) {
+  const result = await stickerManager.saveAttachment(buffer);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const decoded = nativeImage.createFromBuffer(buffer).getSize();
+  return {
+    attachmentId: result.attachment.id,
+    width: decoded.width || Math.round(Number(size.width)) || 0,
+    height: decoded.height || Math.round(Number(size.height)) || 0
+  };
+}
+
+// Create an image sticker, offset from another sticker's window if one is given
+function createImageSticker(image, nearStickerId = null) {
+  const near = nearStickerId ? stickerWindows.get(nearStickerId) : null;
+  const stickerData = { type: 'image', image, size: getImageStickerSize(image) };
+
+  if (near && !near.isDestroyed()) {
+    const [x, y] = near.getPosition();
+    stickerData.position = { x: x + 24, y: y + 24 };
+  }
+
+  return createNewSticker(stickerData);
+}
+
+// Make an image sticker from the image on the clipboard, e.g. a screenshot
+async function createImageStickerFromClipboard() {
+  const image = clipboard.readImage();
+  if (image.isEmpty()) {
+    dialog.showMessageBox({
+      type: 'info',
+      message: 'There is no image on the clipboard',
+      detail: 'Copy an image or take a screenshot to the clipboard first.'
+    });
+    return;
+  }
+
+  try {
+    await createImageSticker(await storeStickerImage(image.toPNG(), image.getSize()));
+  } catch (error) {
+    console.error('Error creating image sticker from the clipboard:', error);
+    dialog.showErrorBox('Image sticker failed', `The image could not be added: ${error.message}`);
+  }
+}
+
+// IPC for an image pasted or dropped into a sticker. With `replace` (an empty sticker)
+// the image is only stored and the sticker turns itself into an image sticker;
+// otherwise a new image sticker is created next to it.
+ipcMain.handle('add-sticker-image', async (_, stickerId, data, options = {}) => {
+  try {
+    if (!(data instanceof Uint8Array)) {
+      throw new Error('Invalid image data');
+    }
+
+    const image = await storeStickerImage(Buffer.from(data), options?.size);
+    if (options?.replace) {
+      return { success: true, image, imageUrl: getStickerImageUrl(image), size: getImageStickerSize(image) };
+    }
+
+    const result = await createImageSticker(image, String(stickerId));
+    return { ...result, image };
+  } catch (error) {
+    console.error('Error adding sticker image:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC for updating sticker position and content
+ipcMain.handle('update-sticker', async (_, stickerData) => {
+  console.log(`[DEBUG] update-sticker IPC called for sticker ID=${stickerData?.id}`);
+
+  try {
+    // Validate sticker data
+    if (!stickerData || typeof stickerData !== 'object') {
+      console.error(`[ERROR] Invalid sticker data provided to update-sticker:`, stickerData);
+      return { success: false, error: 'Invalid sticker data provided' };
+    }
+
+    // Log content details
+    if (stickerData.content !== undefined) {
+      console.log(`[DEBUG] Content to update: length=${stickerData.content ? stickerData.content.length : 0}`);
+      if (stickerData.content && stickerData.content.length > 0) {
         console.log(`[DEBUG] Content preview: "${stickerData.content.substring(0, 50)}${stickerData.content.length > 50 ? '...' : ''}"`);
       }
     }
 
+    // The main process keeps track of the display the sticker belongs on
+    if (stickerData.position && stickerWindows.has(String(stickerData.id))) {
+      stickerData.display = updateStickerHomeDisplay(String(stickerData.id), stickerData.position);
+    }
+
     // Use the sticker manager to update the sticker
     console.log(`[DEBUG] Calling stickerManager.updateSticker`);
     const result = await stickerManager.updateSticker(stickerData);
     console.log(`[DEBUG] updateSticker result:`, result);
+
+    if (result.success && stickerData.appearance) {
+      applyStickerOpacity(String(stickerData.id), stickerData.appearance);
+    }
+    if (result.success && typeof stickerData.pinned === 'boolean') {
+      applyStickerPin(String(stickerData.id), stickerData.pinned);
+    }
+    if (result.success && stickerData.tags !== undefined) {
+      updateStickerTags(String(stickerData.id), stickerData.tags);
+    }
     return result;
   } catch (error) {
     console.error('[ERROR] Error updating sticker:', error);
@@ -949,11 +2383,681 @@ ipcMain.handle('update-sticker', async (_, stickerData) => {
   }
 });
 
+// Opacity is a window property, so the main process applies it; colors and fonts are styled in the window
+function applyStickerOpacity(stickerId, appearance) {
+  const win = stickerWindows.get(stickerId);
+  if (win && !win.isDestroyed()) {
+    win.setOpacity(normalizeAppearance(appearance).opacity);
+  }
+}
+
+// Keep track of a sticker's tags; the tray lists the tags in use
+function updateStickerTags(stickerId, tags) {
+  if (!stickerWindows.has(stickerId)) return;
+
+  const previous = stickerTags.get(stickerId) || [];
+  const next = normalizeTags(tags);
+  stickerTags.set(stickerId, next);
+
+  if (JSON.stringify(previous) !== JSON.stringify(next)) {
+    refreshTrayMenu();
+  }
+}
+
+// Tags used by the open stickers, sorted
+function listStickerTags() {
+  return collectTags([...stickerTags.values()].map(tags => ({ tags })));
+}
+
+// Show the stickers carrying a tag and hide all others, e.g. to switch between "work" and "personal"
+function showStickersWithTag(tag) {
+  let shown = 0;
+  tagFilter = tag;
+
+  stickerWindows.forEach((win, stickerId) => {
+    if (!win || win.isDestroyed()) return;
+
+    if (hasTag({ tags: stickerTags.get(stickerId) }, tag)) {
+      win.show();
+      shown++;
+    } else {
+      win.hide();
+    }
+  });
+
+  console.log(`Showing ${shown} stickers tagged "${tag}"`);
+  refreshTrayMenu();
+  return shown;
+}
+
+// Show every sticker, ending any tag filter
+function showAllStickers() {
+  tagFilter = null;
+  stickerWindows.forEach(win => {
+    if (win && !win.isDestroyed()) {
+      win.show();
+    }
+  });
+  refreshTrayMenu();
+}
+
+// The visible stickers as they are now, for saving as a workspace
+function captureVisibleStickers() {
+  const stickers = [];
+
+  stickerWindows.forEach((win, stickerId) => {
+    if (!win || win.isDestroyed() || !win.isVisible()) return;
+
+    const bounds = win.getBounds();
+    stickers.push({
+      id: stickerId,
+      position: { x: bounds.x, y: bounds.y },
+      size: { width: bounds.width, height: bounds.height },
+      pinned: win.isAlwaysOnTop(),
+      collapsed: collapsedStickers.has(stickerId),
+      display: stickerHomeDisplays.get(stickerId)
+    });
+  });
+
+  return stickers;
+}
+
+// Save the visible stickers as a workspace; saving under an existing name replaces it
+async function saveWorkspace(name) {
+  const result = await stickerManager.saveWorkspace(name, captureVisibleStickers());
+  if (!result.success) {
+    return result;
+  }
+
+  activeWorkspaceId = result.workspace.id;
+  await refreshTrayMenu();
+  return { success: true, workspace: result.workspace };
+}
+
+// Put the open sticker windows where a workspace has them. Windows are moved rather
+// than recreated; stickers the workspace doesn't list are hidden, never deleted.
+function applyWorkspace(workspace) {
+  const entries = new Map(workspace.stickers.map(entry => [entry.id, entry]));
+  const displays = screen.getAllDisplays();
+  const fallbackDisplay = getDefaultDisplay(displays);
+  let shown = 0;
+
+  stickerWindows.forEach((win, stickerId) => {
+    if (!win || win.isDestroyed()) return;
+
+    const entry = entries.get(stickerId);
+    if (!entry) {
+      win.hide();
+      return;
+    }
+
+    // A sticker collapsed or expanded since the workspace was saved keeps its current height
+    const [, currentHeight] = win.getSize();
+    const height = entry.collapsed === collapsedStickers.has(stickerId) ? entry.size.height : currentHeight;
+    const { x, y } = resolveStickerPosition({ ...entry, size: { ...entry.size, height } }, displays, fallbackDisplay);
+
+    moveStickerWindow(win, { x, y, width: entry.size.width, height }, true);
+    stickerHomeDisplays.set(stickerId, normalizeStickerDisplay(entry.display) || stickerHomeDisplays.get(stickerId));
+    win.show();
+    win.webContents.send('position-updated', { x, y });
+
+    if (win.isAlwaysOnTop() !== entry.pinned) {
+      applyStickerPin(stickerId, entry.pinned);
+      win.webContents.send('pin-updated', entry.pinned);
+    }
+    shown++;
+  });
+
+  return shown;
+}
+
+// Switch to a saved workspace, ending any tag filter
+async function switchWorkspace(workspaceId) {
+  const workspace = (await stickerManager.loadWorkspaces()).find(entry => entry.id === workspaceId);
+  if (!workspace) {
+    console.warn(`Workspace ${workspaceId} not found`);
+    return false;
+  }
+
+  tagFilter = null;
+  activeWorkspaceId = workspace.id;
+  const shown = applyWorkspace(workspace);
+
+  console.log(`Switched to workspace "${workspace.name}" with ${shown} stickers`);
+  await refreshTrayMenu();
+  return true;
+}
+
+// Switch to the workspace after the current one, e.g. from "coding" to "meetings"
+async function switchToNextWorkspace() {
+  const next = getNextWorkspace(await stickerManager.loadWorkspaces(), activeWorkspaceId);
+  if (next) {
+    await switchWorkspace(next.id);
+  }
+}
+
+// Delete a workspace after asking; its stickers stay as they are
+async function deleteWorkspace(workspace) {
+  const { response } = await dialog.showMessageBox({
+    type: 'question',
+    buttons: ['Delete', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    message: `Delete the workspace "${workspace.name}"?`,
+    detail: 'Its stickers are not deleted.'
+  });
+  if (response !== 0) return;
+
+  const result = await stickerManager.deleteWorkspace(workspace.id);
+  if (!result.success) {
+    console.error('Error deleting workspace:', result.error);
+    return;
+  }
+
+  if (activeWorkspaceId === workspace.id) {
+    activeWorkspaceId = null;
+  }
+  await refreshTrayMenu();
+}
+
+// Ask for a name and save the visible stickers as a workspace
+function openWorkspacePrompt() {
+  if (workspacePrompt) {
+    workspacePrompt.focus();
+    return;
+  }
+
+  workspacePrompt = new BrowserWindow({
+    width: 420,
+    height: 340,
+    resizable: false,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    alwaysOnTop: true,
+    title: 'Save Workspace',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload-workspace.js')
+    }
+  });
+
+  workspacePrompt.setMenuBarVisibility(false);
+  workspacePrompt.loadFile('workspace.html');
+
+  workspacePrompt.on('closed', () => {
+    workspacePrompt = null;
+  });
+}
+
+// IPC for the "Save Workspace" window
+ipcMain.handle('get-workspace-names', async () => {
+  const workspaces = await stickerManager.loadWorkspaces();
+  const current = workspaces.find(workspace => workspace.id === activeWorkspaceId);
+  return { names: workspaces.map(workspace => workspace.name), current: current ? current.name : null };
+});
+
+ipcMain.handle('save-workspace', async (_, name) => {
+  const result = await saveWorkspace(name);
+  if (result.success && workspacePrompt) {
+    workspacePrompt.close();
+  }
+  return result;
+});
+
+ipcMain.handle('cancel-save-workspace', () => {
+  if (workspacePrompt) {
+    workspacePrompt.close();
+  }
+});
+
+// Open sticker windows among some sticker IDs
+function getOpenStickerIds(stickerIds) {
+  return stickerIds.filter(id => {
+    const win = stickerWindows.get(id);
+    return win && !win.isDestroyed();
+  });
+}
+
+// Stickers that move when a sticker is dragged: the selection it is in (or just
+// the sticker), together with everything grouped with them
+function getMovingStickers(stickerId) {
+  const start = selectedStickers.has(stickerId) ? [...selectedStickers] : [stickerId];
+  return getOpenStickerIds(expandToGroups(start, stickerGroups));
+}
+
+// Add stickers to the selection or take them out of it, showing it in their windows
+function setStickersSelected(stickerIds, selected) {
+  let changed = false;
+
+  getOpenStickerIds(stickerIds).forEach(id => {
+    if (selectedStickers.has(id) === selected) return;
+
+    if (selected) {
+      selectedStickers.add(id);
+    } else {
+      selectedStickers.delete(id);
+    }
+    stickerWindows.get(id).webContents.send('selection-updated', selected);
+    changed = true;
+  });
+
+  if (changed) {
+    refreshTrayMenu();
+  }
+}
+
+// Select a sticker, or unselect it if it is selected; its group comes along
+function toggleStickerSelection(stickerId) {
+  setStickersSelected(expandToGroups([stickerId], stickerGroups), !selectedStickers.has(stickerId));
+}
+
+function clearStickerSelection() {
+  setStickersSelected([...selectedStickers], false);
+}
+
+// Select the visible stickers a lasso touches, with their groups
+function selectStickersInRect(rect, additive) {
+  const boxes = [];
+  stickerWindows.forEach((win, stickerId) => {
+    if (win && !win.isDestroyed() && win.isVisible()) {
+      boxes.push({ id: stickerId, ...win.getBounds() });
+    }
+  });
+
+  if (!additive) {
+    clearStickerSelection();
+  }
+  const ids = expandToGroups(findStickersInRect(boxes, rect), stickerGroups);
+  setStickersSelected(ids, true);
+  return ids.length;
+}
+
+// Cover the display with the pointer with an overlay to drag a lasso on
+function openLassoWindow() {
+  if (lassoWindow) {
+    lassoWindow.focus();
+    return;
+  }
+
+  const { bounds } = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+  lassoWindow = new BrowserWindow({
+    ...bounds,
+    frame: false,
+    transparent: true,
+    resizable: false,
+    movable: false,
+    minimizable: false,
+    maximizable: false,
+    fullscreenable: false,
+    hasShadow: false,
+    skipTaskbar: true,
+    show: false,
+    title: 'Select Stickers',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload-lasso.js')
+    }
+  });
+
+  // Above pinned stickers, which float at the same level
+  lassoWindow.setAlwaysOnTop(true, 'screen-saver');
+  lassoWindow.loadFile('lasso.html');
+  lassoWindow.once('ready-to-show', () => {
+    lassoWindow.show();
+    lassoWindow.focus();
+  });
+
+  lassoWindow.on('blur', () => {
+    closeLassoWindow();
+  });
+  lassoWindow.on('closed', () => {
+    lassoWindow = null;
+  });
+}
+
+function closeLassoWindow() {
+  if (lassoWindow && !lassoWindow.isDestroyed()) {
+    lassoWindow.close();
+  }
+}
+
+// Remember the group a sticker is in; null takes it out of its group
+function setStickerGroup(stickerId, group) {
+  if (!stickerWindows.has(stickerId)) return;
+
+  const id = normalizeStickerGroup(group);
+  if (id) {
+    stickerGroups.set(stickerId, id);
+  } else {
+    stickerGroups.delete(stickerId);
+  }
+}
+
+// Line up the selected stickers; groups are lined up as one
+function alignSelectedStickers(mode) {
+  const boxes = getOpenStickerIds([...selectedStickers]).map(id => ({ id, ...stickerWindows.get(id).getBounds() }));
+
+  alignStickers(boxes, mode, stickerGroups).forEach(({ id, x, y }) => {
+    const win = stickerWindows.get(id);
+    const [currentX, currentY] = win.getPosition();
+    if (x === currentX && y === currentY) return;
+
+    moveStickerWindow(win, { x, y });
+    win.webContents.send('position-updated', { x, y });
+  });
+}
+
+// Change the selected stickers in the store, then show the change in their windows
+async function updateSelectedStickers(changes, showChange) {
+  const result = await stickerManager.updateStickers(getOpenStickerIds([...selectedStickers]), changes);
+  if (!result.success) {
+    console.error('Error updating the selected stickers:', result.error);
+  }
+
+  (result.stickers || []).forEach(sticker => {
+    const win = stickerWindows.get(sticker.id);
+    if (win && !win.isDestroyed()) {
+      showChange(sticker, win);
+    }
+  });
+  return result.success;
+}
+
+function colorSelectedStickers(background) {
+  return updateSelectedStickers({ appearance: { background } }, (sticker, win) => {
+    win.webContents.send('appearance-updated', sticker.appearance);
+    applyStickerOpacity(sticker.id, sticker.appearance);
+  });
+}
+
+// Add a tag to the selected stickers, or remove it from them
+function tagSelectedStickers(tag, add) {
+  const changes = existing => ({
+    tags: add
+      ? [...(existing.tags || []), tag]
+      : (existing.tags || []).filter(other => !hasTag({ tags: [other] }, tag))
+  });
+
+  return updateSelectedStickers(changes, (sticker, win) => {
+    win.webContents.send('details-updated', { title: sticker.title || '', tags: sticker.tags || [] });
+    updateStickerTags(sticker.id, sticker.tags);
+  });
+}
+
+// Put the selected stickers in a new group, so they move as one from now on
+function groupSelectedStickers() {
+  const group = createGroupId();
+  return updateSelectedStickers({ group }, sticker => {
+    setStickerGroup(sticker.id, sticker.group);
+  });
+}
+
+function ungroupSelectedStickers() {
+  return updateSelectedStickers({ group: null }, sticker => {
+    setStickerGroup(sticker.id, null);
+  });
+}
+
+function hideSelectedStickers() {
+  getOpenStickerIds([...selectedStickers]).forEach(id => {
+    stickerWindows.get(id).hide();
+  });
+  clearStickerSelection();
+}
+
+// Close the selected stickers after asking; like closing them one by one, they go to the trash
+async function deleteSelectedStickers() {
+  const stickerIds = getOpenStickerIds([...selectedStickers]);
+  if (stickerIds.length === 0) return;
+
+  const { response } = await dialog.showMessageBox({
+    type: 'question',
+    buttons: ['Delete', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    message: `Delete ${stickerIds.length} sticker${stickerIds.length === 1 ? '' : 's'}?`,
+    detail: 'They can be reopened from "Recently Closed" in the tray menu.'
+  });
+  if (response !== 0) return;
+
+  for (const stickerId of stickerIds) {
+    const result = await stickerManager.removeSticker(stickerId);
+    if (!result.success) {
+      console.error(`Error removing sticker ${stickerId}:`, result.error);
+      continue;
+    }
+
+    reminderScheduler.cancel(stickerId);
+    const win = stickerWindows.get(stickerId);
+    if (win && !win.isDestroyed()) {
+      win.destroy();
+    }
+  }
+
+  refreshTrayMenu();
+}
+
+// Build the "Selection" submenu: selecting stickers, and what can be done with the selection
+function buildSelectionMenu() {
+  const selected = getOpenStickerIds([...selectedStickers]);
+  const hasSelection = selected.length > 0;
+  const selectedTags = collectTags(selected.map(id => ({ tags: stickerTags.get(id) })));
+  const allTags = listStickerTags();
+
+  return [
+    {
+      label: 'Select with Lasso…',
+      accelerator: LASSO_SHORTCUT,
+      click: () => {
+        openLassoWindow();
+      }
+    },
+    {
+      label: 'Clear Selection',
+      enabled: hasSelection,
+      click: () => {
+        clearStickerSelection();
+      }
+    },
+    { type: 'separator' },
+    ...Object.values(ALIGN_MODES).map(mode => ({
+      label: ALIGN_LABELS[mode],
+      enabled: selected.length > 1,
+      click: () => {
+        alignSelectedStickers(mode);
+      }
+    })),
+    { type: 'separator' },
+    {
+      label: 'Color',
+      enabled: hasSelection,
+      submenu: Object.entries(STICKER_PALETTE).map(([name, color]) => ({
+        label: name.charAt(0).toUpperCase() + name.slice(1),
+        click: () => {
+          colorSelectedStickers(color);
+        }
+      }))
+    },
+    {
+      label: 'Add Tag',
+      enabled: hasSelection,
+      submenu: itemsOrPlaceholder(allTags.map(tag => ({
+        label: tag,
+        click: () => {
+          tagSelectedStickers(tag, true);
+        }
+      })), 'No tags yet')
+    },
+    {
+      label: 'Remove Tag',
+      enabled: selectedTags.length > 0,
+      submenu: itemsOrPlaceholder(selectedTags.map(tag => ({
+        label: tag,
+        click: () => {
+          tagSelectedStickers(tag, false);
+        }
+      })), 'No tags')
+    },
+    { type: 'separator' },
+    {
+      label: 'Group',
+      enabled: selected.length > 1,
+      click: () => {
+        groupSelectedStickers();
+      }
+    },
+    {
+      label: 'Ungroup',
+      enabled: selected.some(id => stickerGroups.has(id)),
+      click: () => {
+        ungroupSelectedStickers();
+      }
+    },
+    { type: 'separator' },
+    {
+      label: 'Hide',
+      enabled: hasSelection,
+      click: () => {
+        hideSelectedStickers();
+      }
+    },
+    {
+      label: 'Delete…',
+      enabled: hasSelection,
+      click: () => {
+        deleteSelectedStickers();
+      }
+    }
+  ];
+}
+
+// IPC for Ctrl+click (Cmd+click on macOS) on a sticker header
+ipcMain.handle('toggle-sticker-selection', (_, stickerId) => {
+  toggleStickerSelection(String(stickerId));
+  return { success: true, selected: selectedStickers.has(String(stickerId)) };
+});
+
+ipcMain.handle('clear-sticker-selection', () => {
+  clearStickerSelection();
+});
+
+// IPC for the lasso overlay
+ipcMain.handle('lasso-select', (_, rect, additive) => {
+  closeLassoWindow();
+  if (!rect || typeof rect !== 'object') {
+    return { success: false, error: 'Invalid lasso' };
+  }
+
+  const selected = selectStickersInRect({
+    x: Number(rect.x) || 0,
+    y: Number(rect.y) || 0,
+    width: Number(rect.width) || 0,
+    height: Number(rect.height) || 0
+  }, additive === true);
+  return { success: true, selected };
+});
+
+ipcMain.handle('cancel-lasso', () => {
+  closeLassoWindow();
+});
+
+// Pinned stickers float above other apps, including full-screen ones
+function applyStickerPin(stickerId, pinned) {
+  const win = stickerWindows.get(stickerId);
+  if (!win || win.isDestroyed()) return;
+
+  // The 'screen-saver' level keeps the sticker above full-screen windows on macOS
+  win.setAlwaysOnTop(pinned, 'screen-saver');
+  if (process.platform === 'darwin') {
+    win.setVisibleOnAllWorkspaces(pinned, { visibleOnFullScreen: true });
+  }
+}
+
+// Ghost stickers let clicks pass through to the windows below them. Ghost mode
+// is never saved: a sticker that ignores the mouse at launch couldn't be reached.
+function setStickerGhost(stickerId, ghost) {
+  const id = String(stickerId);
+  const win = stickerWindows.get(id);
+  if (!win || win.isDestroyed()) {
+    ghostStickers.delete(id);
+    return false;
+  }
+
+  win.setIgnoreMouseEvents(ghost);
+  if (ghost) {
+    ghostStickers.add(id);
+  } else {
+    ghostStickers.delete(id);
+  }
+  win.webContents.send('ghost-updated', ghost);
+
+  console.log(`Sticker ${id} ${ghost ? 'entered' : 'left'} ghost mode`);
+  refreshTrayMenu();
+  return true;
+}
+
+// Turn every ghost back into a normal sticker
+function leaveGhostMode() {
+  for (const stickerId of [...ghostStickers]) {
+    setStickerGhost(stickerId, false);
+  }
+}
+
+// The ghost mode shortcut brings ghosts back; with no ghosts it turns the focused sticker into one
+function toggleGhostMode() {
+  if (ghostStickers.size > 0) {
+    leaveGhostMode();
+    return;
+  }
+
+  const focused = BrowserWindow.getFocusedWindow();
+  for (const [stickerId, win] of stickerWindows.entries()) {
+    if (win === focused) {
+      setStickerGhost(stickerId, true);
+      return;
+    }
+  }
+}
+
+// Collapsed stickers are rolled up to their header bar, so they may be smaller than other stickers
+function applyStickerCollapsed(stickerId, collapsed) {
+  const win = stickerWindows.get(stickerId);
+  if (!win || win.isDestroyed()) return false;
+
+  if (collapsed) {
+    collapsedStickers.add(stickerId);
+  } else {
+    collapsedStickers.delete(stickerId);
+  }
+  win.setMinimumSize(STICKER_MIN_SIZE.width, collapsed ? COLLAPSED_STICKER_HEIGHT : STICKER_MIN_SIZE.height);
+  return true;
+}
+
+// IPC for collapsing or expanding a sticker; the window resizes itself once this returns
+ipcMain.handle('set-sticker-collapsed', (_, stickerId, collapsed) => {
+  return { success: applyStickerCollapsed(String(stickerId), collapsed === true) };
+});
+
+// IPC for entering or leaving ghost mode
+ipcMain.handle('set-sticker-ghost', (_, stickerId, ghost) => {
+  return { success: setStickerGhost(stickerId, ghost === true) };
+});
+
 // IPC for removing a sticker
 ipcMain.handle('remove-sticker', async (_, stickerId) => {
   try {
-    // Use the sticker manager to remove the sticker
+    // Use the sticker manager to move the sticker to the trash
     const result = await stickerManager.removeSticker(stickerId);
+    if (result.success) {
+      reminderScheduler.cancel(String(stickerId));
+    }
+
+    // Show it under "Recently Closed"
+    refreshTrayMenu();
+
     return result;
   } catch (error) {
     console.error('Error removing sticker:', error);
@@ -961,6 +3065,160 @@ ipcMain.handle('remove-sticker', async (_, stickerId) => {
   }
 });
 
+// Roll a sticker back to an earlier revision and show it in the live window
+async function restoreStickerRevision(stickerId, rev) {
+  const result = await stickerManager.restoreRevision(stickerId, rev);
+
+  if (result.success) {
+    const win = stickerWindows.get(stickerId);
+    if (win && !win.isDestroyed()) {
+      win.webContents.send('sticker-content-restored', result.sticker.content);
+    }
+  } else {
+    console.error(`Failed to restore revision ${rev} of sticker ID=${stickerId}:`, result.error);
+  }
+
+  return result;
+}
+
+// Show a sticker's revisions with what each would change, to roll back to one
+function openRevisionHistory(stickerId) {
+  if (historyWindow && historyWindow.stickerId === stickerId) {
+    historyWindow.window.focus();
+    return;
+  }
+  closeRevisionHistory();
+
+  const win = new BrowserWindow({
+    width: 680,
+    height: 480,
+    minWidth: 480,
+    minHeight: 320,
+    minimizable: false,
+    fullscreenable: false,
+    alwaysOnTop: true,
+    title: 'Revision History',
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload-history.js')
+    }
+  });
+
+  win.setMenuBarVisibility(false);
+  win.loadFile('history.html');
+
+  historyWindow = { window: win, stickerId };
+  win.on('closed', () => {
+    if (historyWindow && historyWindow.window === win) {
+      historyWindow = null;
+    }
+  });
+}
+
+// Close the revision history window, or only if it shows the given sticker
+function closeRevisionHistory(stickerId = null) {
+  if (historyWindow && (stickerId === null || historyWindow.stickerId === stickerId) &&
+    !historyWindow.window.isDestroyed()) {
+    historyWindow.window.close();
+  }
+}
+
+// IPC for the revision history window: the sticker it shows
+ipcMain.handle('get-history-sticker', async () => {
+  if (!historyWindow) {
+    return { stickerId: null, label: '' };
+  }
+
+  const { stickerId } = historyWindow;
+  const sticker = (await stickerManager.loadStickerData()).find(record => record.id === stickerId);
+  return { stickerId, label: sticker ? getTrashItemLabel(sticker, 60) : '(deleted)' };
+});
+
+ipcMain.handle('close-revision-history', () => {
+  closeRevisionHistory();
+});
+
+// IPC for listing a sticker's revisions
+ipcMain.handle('get-sticker-revisions', async (_, stickerId) => {
+  try {
+    const revisions = await stickerManager.getStickerRevisions(stickerId);
+    return { success: true, revisions };
+  } catch (error) {
+    console.error('Error loading sticker revisions:', error);
+    return { success: false, error: error.message, revisions: [] };
+  }
+});
+
+// IPC for diffing a revision against the current content
+ipcMain.handle('get-sticker-revision-diff', async (_, stickerId, rev) => {
+  try {
+    return await stickerManager.getRevisionDiff(stickerId, rev);
+  } catch (error) {
+    console.error('Error diffing sticker revision:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC for restoring a revision into the live sticker
+ipcMain.handle('restore-sticker-revision', async (_, stickerId, rev) => {
+  try {
+    return await restoreStickerRevision(stickerId, rev);
+  } catch (error) {
+    console.error('Error restoring sticker revision:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC for setting or removing a sticker's reminder
+ipcMain.handle('set-sticker-reminder', async (_, stickerId, reminder) => {
+  if (reminder !== null && !normalizeReminder(reminder)) {
+    return { success: false, error: 'Invalid reminder' };
+  }
+
+  try {
+    return await setStickerReminder(String(stickerId), reminder && normalizeReminder(reminder));
+  } catch (error) {
+    console.error('Error setting sticker reminder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC for snoozing or dismissing a reminder that came due
+ipcMain.handle('snooze-sticker-reminder', async (_, stickerId, minutes) => {
+  try {
+    return await snoozeStickerReminder(String(stickerId), minutes);
+  } catch (error) {
+    console.error('Error snoozing sticker reminder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('dismiss-sticker-reminder', async (_, stickerId) => {
+  try {
+    return await dismissStickerReminder(String(stickerId));
+  } catch (error) {
+    console.error('Error dismissing sticker reminder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC for opening a link clicked in a Markdown sticker
+ipcMain.handle('open-sticker-link', async (_, href) => {
+  if (typeof href !== 'string' || !isSafeLinkUrl(href)) {
+    console.warn('Refusing to open unsafe sticker link:', href);
+    return { success: false, error: 'Only web and email links can be opened' };
+  }
+
+  try {
+    await shell.openExternal(href);
+    return { success: true };
+  } catch (error) {
+    console.error('Error opening sticker link:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // IPC for toggling stickers visibility
 ipcMain.handle('toggle-stickers-visibility', () => {
   toggleStickersVisibility();
@@ -969,14 +3227,23 @@ ipcMain.handle('toggle-stickers-visibility', () => {
 
 // IPC for showing all stickers (keeping this for compatibility)
 ipcMain.handle('show-all-stickers', () => {
-  stickerWindows.forEach(win => {
-    if (win && !win.isDestroyed()) {
-      win.show();
-    }
-  });
+  showAllStickers();
   return { success: true };
 });
 
+// IPC for showing only the stickers carrying a tag
+ipcMain.handle('show-stickers-with-tag', (_, tag) => {
+  if (typeof tag !== 'string' || tag.trim() === '') {
+    return { success: false, error: 'Invalid tag provided' };
+  }
+  return { success: true, shown: showStickersWithTag(tag.trim()) };
+});
+
+// IPC for listing the tags of the open stickers
+ipcMain.handle('list-sticker-tags', () => {
+  return { success: true, tags: listStickerTags(), activeTag: tagFilter };
+});
+
 // IPC for hiding all stickers (keeping this for compatibility)
 ipcMain.handle('hide-all-stickers', () => {
   stickerWindows.forEach(win => {
@@ -993,13 +3260,12 @@ ipcMain.handle('realign-stickers', () => {
   return { success: true };
 });
 
-// Function to realign stickers in a vertical-first layout with multi-screen support
+// Function to realign stickers with the chosen layout, separately on each display
 function realignStickers() {
   // Start performance monitoring
   performanceMonitor.mark('realignStickers-start');
 
-  const GRID_SIZE = 20;
-  const BOTTOM_MARGIN = 200; // Space to leave at the bottom of the screen
+  const layoutOptions = getLayoutOptions();
 
   // Get all available displays
   const displays = screen.getAllDisplays();
@@ -1024,7 +3290,7 @@ function realignStickers() {
   displays.forEach(display => {
     const stickersForDisplay = stickersByDisplay[display.id] || [];
     if (stickersForDisplay.length > 0) {
-      alignStickersOnDisplay(display, stickersForDisplay, GRID_SIZE, BOTTOM_MARGIN);
+      alignStickersOnDisplay(display, stickersForDisplay, layoutOptions);
     }
   });
   performanceMonitor.measure('alignStickers', 'alignStickers-start');
@@ -1033,6 +3299,221 @@ function realignStickers() {
   performanceMonitor.measure('realignStickers-total', 'realignStickers-start');
 }
 
+// Get the auto-arrange layout and its gaps and margins
+function getLayoutOptions() {
+  const options = preferencesService
+    ? preferencesService.getPreference('stickerLayout', DEFAULT_LAYOUT_OPTIONS)
+    : DEFAULT_LAYOUT_OPTIONS;
+  return normalizeLayoutOptions(options);
+}
+
+// Switch the auto-arrange layout and arrange the stickers with it straight away
+function setLayoutStrategy(strategy) {
+  if (preferencesService) {
+    preferencesService.setPreference('stickerLayout', { ...getLayoutOptions(), strategy });
+  }
+  refreshTrayMenu();
+  realignStickers();
+}
+
+// Build the "Arrange Layout" submenu, one entry per layout strategy
+function buildLayoutMenu() {
+  const { strategy: current } = getLayoutOptions();
+
+  return [
+    ...Object.values(LAYOUT_STRATEGIES).map(strategy => ({
+      label: LAYOUT_LABELS[strategy],
+      type: 'radio',
+      checked: strategy === current,
+      click: () => {
+        setLayoutStrategy(strategy);
+      }
+    })),
+    { type: 'separator' },
+    {
+      label: 'Gaps and Margins…',
+      click: () => {
+        openSettingsWindow();
+      }
+    }
+  ];
+}
+
+// Display new stickers go on, and stickers whose display is gone (the second one if available)
+function getDefaultDisplay(displays = screen.getAllDisplays()) {
+  return displays.length > 1 ? displays[1] : displays[0];
+}
+
+// Work out (and remember) the display a sticker belongs on after it was moved or saved.
+// Stickers moved off a disconnected monitor keep it, so they can go back there.
+function updateStickerHomeDisplay(stickerId, position) {
+  const win = stickerWindows.get(stickerId);
+  const [width, height] = win && !win.isDestroyed() ? win.getSize() : [0, 0];
+  const placement = updateDisplayPlacement(
+    stickerHomeDisplays.get(stickerId),
+    { x: position.x, y: position.y, width, height },
+    screen.getAllDisplays()
+  );
+
+  stickerHomeDisplays.set(stickerId, placement);
+  return placement;
+}
+
+// Move (and optionally resize) a sticker window; the size it leaves out stays as it is.
+// On Windows a window moved onto a display with another scale factor is first sized
+// for the display it came from; setting the bounds again once it is on the new
+// display puts it exactly where it was asked to go. Animation only applies on macOS.
+function moveStickerWindow(win, { x, y, width, height }, animate = false) {
+  const [currentWidth, currentHeight] = win.getSize();
+  const target = { x, y, width: width ?? currentWidth, height: height ?? currentHeight };
+  win.setBounds(target, animate);
+
+  const bounds = win.getBounds();
+  if (bounds.x !== target.x || bounds.y !== target.y || bounds.width !== target.width || bounds.height !== target.height) {
+    win.setBounds(target);
+  }
+}
+
+// Move the stickers after the displays changed, once the changes have settled
+function scheduleStickerDisplayRestore() {
+  clearTimeout(displayChangeTimer);
+  displayChangeTimer = setTimeout(restoreStickerDisplays, DISPLAY_CHANGE_DELAY);
+}
+
+// Get the options for snapping stickers while they are dragged or resized
+function getSnapOptions() {
+  const options = preferencesService
+    ? preferencesService.getPreference('stickerSnapping', DEFAULT_SNAP_OPTIONS)
+    : DEFAULT_SNAP_OPTIONS;
+  return normalizeSnapOptions(options);
+}
+
+// Turn snapping on or off from the tray menu
+function setSnapEnabled(enabled) {
+  if (preferencesService) {
+    preferencesService.setPreference('stickerSnapping', { ...getSnapOptions(), enabled });
+  }
+  refreshTrayMenu();
+}
+
+// What a sticker snaps to at some bounds: the work area of the display there and the other visible stickers
+function getSnapContext(stickerId, bounds, companions = []) {
+  const neighbours = [];
+  stickerWindows.forEach((win, otherId) => {
+    if (otherId !== stickerId && !companions.includes(otherId) && win && !win.isDestroyed() && win.isVisible()) {
+      neighbours.push(win.getBounds());
+    }
+  });
+
+  return {
+    workArea: screen.getDisplayMatching(bounds).workArea,
+    neighbours,
+    options: getSnapOptions()
+  };
+}
+
+// Snapped bounds for a sticker being resized, or null when it isn't snapped
+function getSnappedResize(stickerId, newBounds) {
+  const win = stickerWindows.get(stickerId);
+  if (!win || win.isDestroyed() || snapSuspended || !getSnapOptions().enabled) return null;
+
+  const previous = win.getBounds();
+  const snapped = snapResize(newBounds, previous, {
+    ...getSnapContext(stickerId, newBounds),
+    minSize: {
+      width: STICKER_MIN_SIZE.width,
+      height: collapsedStickers.has(stickerId) ? COLLAPSED_STICKER_HEIGHT : STICKER_MIN_SIZE.height
+    }
+  });
+  const unchanged = snapped.x === newBounds.x && snapped.y === newBounds.y &&
+    snapped.width === newBounds.width && snapped.height === newBounds.height;
+  return unchanged ? null : snapped;
+}
+
+// Move a sticker dragged by its header, snapping it unless the snap key is held.
+// The selection or group it is in moves along by the same amount.
+function dragSticker(stickerId, position, suspended) {
+  const win = stickerWindows.get(stickerId);
+  if (!win || win.isDestroyed()) return;
+
+  const companions = getMovingStickers(stickerId).filter(id => id !== stickerId);
+  const [width, height] = win.getSize();
+  const bounds = { x: Math.round(position.x), y: Math.round(position.y), width, height };
+  const target = suspended ? bounds : snapPosition(bounds, getSnapContext(stickerId, bounds, companions));
+
+  const [currentX, currentY] = win.getPosition();
+  const dx = target.x - currentX;
+  const dy = target.y - currentY;
+  if (dx === 0 && dy === 0) return;
+
+  moveStickerWindow(win, { x: target.x, y: target.y });
+  companions.forEach(id => {
+    const companion = stickerWindows.get(id);
+    const [x, y] = companion.getPosition();
+    moveStickerWindow(companion, { x: x + dx, y: y + dy });
+  });
+}
+
+// IPC for dragging a sticker by its header; sent for every pointer move, so it doesn't reply
+ipcMain.on('drag-sticker', (_, stickerId, position, suspended) => {
+  if (!position || typeof position !== 'object') return;
+  dragSticker(String(stickerId), position, suspended === true);
+});
+
+// IPC for the end of a header drag: the sticker, and any that moved with it, save where they ended up
+ipcMain.handle('end-sticker-drag', (_, stickerId) => {
+  const id = String(stickerId);
+  const win = stickerWindows.get(id);
+  if (!win || win.isDestroyed()) {
+    return { success: false, error: 'Sticker not found' };
+  }
+
+  getMovingStickers(id).forEach(movedId => {
+    const moved = stickerWindows.get(movedId);
+    const [x, y] = moved.getPosition();
+    moved.webContents.send('position-updated', { x, y });
+  });
+
+  const [x, y] = win.getPosition();
+  return { success: true, position: { x, y } };
+});
+
+// IPC for the snap key being pressed or released in a sticker window
+ipcMain.on('set-snap-suspended', (_, suspended) => {
+  snapSuspended = suspended === true;
+});
+
+// Put every sticker on the display it belongs on. Stickers whose display is
+// gone move to the same spot on the default display, and come back when it returns.
+function restoreStickerDisplays() {
+  displayChangeTimer = null;
+  const displays = screen.getAllDisplays();
+  if (displays.length === 0) return;
+
+  const fallbackDisplay = getDefaultDisplay(displays);
+  let moved = 0;
+
+  stickerWindows.forEach((win, stickerId) => {
+    if (!win || win.isDestroyed()) return;
+
+    const bounds = win.getBounds();
+    const { x, y } = resolveStickerPosition(
+      { position: bounds, size: bounds, display: stickerHomeDisplays.get(stickerId) },
+      displays,
+      fallbackDisplay
+    );
+    if (x === bounds.x && y === bounds.y) return;
+
+    moveStickerWindow(win, { x, y });
+    win.webContents.send('position-updated', { x, y });
+    moved++;
+  });
+
+  if (moved > 0) {
+    console.log(`Displays changed; moved ${moved} stickers to their displays`);
+  }
+}
+
 // Helper: Group stickers by the display they're on
 function groupStickersByDisplay(stickers, displays) {
   const stickersByDisplay = {};
@@ -1063,54 +3544,37 @@ function groupStickersByDisplay(stickers, displays) {
   return stickersByDisplay;
 }
 
+// Helper: Size a sticker takes up when aligned. Collapsed stickers only take up their
+// header bar, even while a panel opened from it makes the window taller.
+function getStickerLayoutSize(win) {
+  const [width, height] = win.getSize();
+  const collapsed = [...collapsedStickers].some(stickerId => stickerWindows.get(stickerId) === win);
+  return [width, collapsed ? COLLAPSED_STICKER_HEIGHT : height];
+}
+
 // Helper: Align stickers on a specific display
-function alignStickersOnDisplay(display, stickers, gridSize, bottomMargin) {
+function alignStickersOnDisplay(display, stickers, layoutOptions) {
   if (stickers.length === 0) return;
 
   performanceMonitor.mark(`alignDisplay-${display.id}-start`);
 
   // Get display work area (accounts for taskbar, etc.)
   const workArea = screen.getDisplayMatching(display.bounds).workArea;
-  const maxHeight = workArea.height - bottomMargin;
 
-  // Sort stickers by their vertical position (top to bottom)
-  // This is more efficient than repeatedly calling getPosition in the sort function
-  const stickersWithPosition = stickers.map(win => {
+  // Describe each sticker as a box for the layout engine
+  const stickerIds = new Map([...stickerWindows].map(([stickerId, win]) => [win, stickerId]));
+  const windowsById = new Map();
+  const boxes = stickers.map(win => {
+    const id = stickerIds.get(win);
     const [x, y] = win.getPosition();
-    return { win, x, y };
-  });
-
-  stickersWithPosition.sort((a, b) => a.y - b.y);
-
-  // Use the horizontal position of the first sticker as the alignment point
-  const baseX = stickersWithPosition[0].x;
-  let currentY = workArea.y + gridSize;
-  let maxWidthInColumn = 0;
-
-  // Pre-calculate sizes to avoid repeated calls to getSize
-  const stickerSizes = stickersWithPosition.map(({ win }) => {
-    return win.getSize();
+    const [width, height] = getStickerLayoutSize(win);
+    windowsById.set(id, win);
+    return { id, x, y, width, height, tags: stickerTags.get(id) };
   });
 
   // Position each sticker
-  stickersWithPosition.forEach(({ win }, index) => {
-    const [winWidth, winHeight] = stickerSizes[index];
-
-    // Start a new column if this sticker would exceed screen height
-    if (currentY + winHeight > workArea.y + maxHeight && index > 0) {
-      currentY = workArea.y + gridSize;
-      maxWidthInColumn = 0;
-    }
-
-    // Calculate the new position
-    const newX = baseX + (maxWidthInColumn > 0 ? maxWidthInColumn + gridSize : 0);
-
-    // Position the sticker
-    win.setPosition(newX, currentY);
-
-    // Update tracking variables
-    maxWidthInColumn = Math.max(maxWidthInColumn, winWidth);
-    currentY += winHeight + gridSize;
+  calculateLayout(boxes, workArea, layoutOptions).forEach(({ id, x, y }) => {
+    windowsById.get(id).setPosition(x, y);
   });
 
   performanceMonitor.measure(`alignDisplay-${display.id}`, `alignDisplay-${display.id}-start`);
@@ -0,0 +1,30 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Expose only what the revision history window needs: the revisions of one sticker,
+// their diffs against the current content and a way to roll back to one
+contextBridge.exposeInMainWorld('historyAPI', {
+  // The sticker whose history is shown; resolves to { stickerId, label }
+  getSticker: () => {
+    return ipcRenderer.invoke('get-history-sticker');
+  },
+
+  // Revisions of the sticker, newest first; resolves to { success, revisions }
+  getRevisions: (stickerId) => {
+    return ipcRenderer.invoke('get-sticker-revisions', stickerId);
+  },
+
+  // Line diff of a revision against the current content; resolves to { success, revision, diff }
+  getRevisionDiff: (stickerId, rev) => {
+    return ipcRenderer.invoke('get-sticker-revision-diff', stickerId, rev);
+  },
+
+  // Roll the sticker back to a revision; resolves to { success, error }
+  restoreRevision: (stickerId, rev) => {
+    return ipcRenderer.invoke('restore-sticker-revision', stickerId, rev);
+  },
+
+  // Close the window
+  close: () => {
+    return ipcRenderer.invoke('close-revision-history');
+  }
+});
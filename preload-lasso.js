@@ -0,0 +1,15 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Expose only what the lasso overlay needs: selecting the stickers inside a rectangle
+contextBridge.exposeInMainWorld('lassoAPI', {
+  // Select the stickers overlapping a rectangle in screen coordinates; with additive
+  // the current selection is kept. The overlay is closed.
+  select: (rect, additive) => {
+    return ipcRenderer.invoke('lasso-select', rect, additive);
+  },
+
+  // Close the overlay without changing the selection
+  cancel: () => {
+    return ipcRenderer.invoke('cancel-lasso');
+  }
+});
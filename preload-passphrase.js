@@ -0,0 +1,19 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Expose only what the passphrase window needs: which form to show and a way to submit it
+contextBridge.exposeInMainWorld('passphraseAPI', {
+  // Form to show: 'unlock', 'setup' or 'change'
+  getMode: () => {
+    return ipcRenderer.invoke('get-passphrase-mode');
+  },
+
+  // Submit the form; resolves to { success, error }. On success the window is closed.
+  submit: (values) => {
+    return ipcRenderer.invoke('submit-passphrase', values);
+  },
+
+  // Close the window without submitting
+  cancel: () => {
+    return ipcRenderer.invoke('cancel-passphrase');
+  }
+});
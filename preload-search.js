@@ -0,0 +1,19 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Expose only what the search palette needs: searching and jumping to a result
+contextBridge.exposeInMainWorld('searchAPI', {
+  // Search the stickers; resolves to { success, results }
+  search: (query) => {
+    return ipcRenderer.invoke('search-stickers', query);
+  },
+
+  // Show, focus and flash the sticker of a result. The palette is closed.
+  open: (stickerId) => {
+    return ipcRenderer.invoke('open-search-result', stickerId);
+  },
+
+  // Close the palette without choosing a result
+  close: () => {
+    return ipcRenderer.invoke('close-search');
+  }
+});
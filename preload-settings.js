@@ -18,5 +18,36 @@ contextBridge.exposeInMainWorld('stickerAPI', {
 
   resetPreferences: () => {
     return ipcRenderer.invoke('reset-preferences');
+  },
+
+  // Auto-arrange layout functions
+  getLayoutOptions: () => {
+    return ipcRenderer.invoke('get-layout-options');
+  },
+
+  setLayoutOptions: (layout) => {
+    return ipcRenderer.invoke('set-layout-options', layout);
+  },
+
+  // Snapping functions
+  getSnapOptions: () => {
+    return ipcRenderer.invoke('get-snap-options');
+  },
+
+  setSnapOptions: (snapping) => {
+    return ipcRenderer.invoke('set-snap-options', snapping);
+  },
+
+  // Sticker template functions
+  getStickerTemplates: () => {
+    return ipcRenderer.invoke('get-sticker-templates');
+  },
+
+  setStickerTemplates: (templates) => {
+    return ipcRenderer.invoke('set-sticker-templates', templates);
+  },
+
+  resetStickerTemplates: () => {
+    return ipcRenderer.invoke('reset-sticker-templates');
   }
 });
@@ -13,6 +13,12 @@ contextBridge.exposeInMainWorld('stickerAPI', {
     return ipcRenderer.invoke('remove-sticker', stickerId);
   },
 
+  // Function to add a pasted or dropped image; with { replace: true } this sticker
+  // becomes the image sticker, otherwise a new one is created next to it
+  addImage: (stickerId, data, options) => {
+    return ipcRenderer.invoke('add-sticker-image', stickerId, data, options);
+  },
+
   // Receive sticker data from main process
   onStickerData: (callback) => {
     ipcRenderer.on('sticker-data', (_, data) => {
@@ -21,6 +27,109 @@ contextBridge.exposeInMainWorld('stickerAPI', {
     });
   },
 
+  // Receive content replaced from outside the window (revision rollback, external file edits)
+  onContentRestored: (callback) => {
+    ipcRenderer.on('sticker-content-restored', (_, content) => callback(content));
+  },
+
+  // Receive the content format changed from outside the window (external file edits)
+  onFormatUpdated: (callback) => {
+    ipcRenderer.on('format-updated', (_, format) => callback(format));
+  },
+
+  // Receive the sticker type and checklist items changed from outside the window (external file edits)
+  onChecklistUpdated: (callback) => {
+    ipcRenderer.on('checklist-updated', (_, update) => callback(update));
+  },
+
+  // Receive the appearance changed from outside the window (external file edits)
+  onAppearanceUpdated: (callback) => {
+    ipcRenderer.on('appearance-updated', (_, appearance) => callback(appearance));
+  },
+
+  // Reminders
+  setReminder: (stickerId, reminder) => {
+    return ipcRenderer.invoke('set-sticker-reminder', stickerId, reminder);
+  },
+
+  snoozeReminder: (stickerId, minutes) => {
+    return ipcRenderer.invoke('snooze-sticker-reminder', stickerId, minutes);
+  },
+
+  dismissReminder: (stickerId) => {
+    return ipcRenderer.invoke('dismiss-sticker-reminder', stickerId);
+  },
+
+  // Receive the reminder when it is set, comes due, is snoozed or dismissed
+  onReminderUpdated: (callback) => {
+    ipcRenderer.on('reminder-updated', (_, reminder) => callback(reminder));
+  },
+
+  // Flash the sticker so it can be spotted (e.g. when it is picked in the search palette)
+  onFlash: (callback) => {
+    ipcRenderer.on('sticker-flash', () => callback());
+  },
+
+  // Title and tags changed from outside the window (external file edits)
+  onDetailsUpdated: (callback) => {
+    ipcRenderer.on('details-updated', (_, details) => callback(details));
+  },
+
+  // Pinning and click-through ghost mode
+  onPinUpdated: (callback) => {
+    ipcRenderer.on('pin-updated', (_, pinned) => callback(pinned));
+  },
+
+  setGhost: (stickerId, ghost) => {
+    return ipcRenderer.invoke('set-sticker-ghost', stickerId, ghost);
+  },
+
+  onGhostUpdated: (callback) => {
+    ipcRenderer.on('ghost-updated', (_, ghost) => callback(ghost));
+  },
+
+  // Collapsing to the header bar
+  setCollapsed: (stickerId, collapsed) => {
+    return ipcRenderer.invoke('set-sticker-collapsed', stickerId, collapsed);
+  },
+
+  onCollapseUpdated: (callback) => {
+    ipcRenderer.on('collapse-updated', (_, update) => callback(update));
+  },
+
+  // Open a link from a Markdown sticker in the default browser
+  openLink: (href) => {
+    return ipcRenderer.invoke('open-sticker-link', href);
+  },
+
+  // Dragging by the header: the main process moves the window, snapping it unless
+  // snapping is suspended, and sends the final position back once the drag ends
+  dragTo: (stickerId, position, suspended) => {
+    ipcRenderer.send('drag-sticker', stickerId, position, suspended);
+  },
+
+  endDrag: (stickerId) => {
+    return ipcRenderer.invoke('end-sticker-drag', stickerId);
+  },
+
+  // Selecting several stickers to move or change them together
+  toggleSelected: (stickerId) => {
+    return ipcRenderer.invoke('toggle-sticker-selection', stickerId);
+  },
+
+  clearSelection: () => {
+    return ipcRenderer.invoke('clear-sticker-selection');
+  },
+
+  onSelectionUpdated: (callback) => {
+    ipcRenderer.on('selection-updated', (_, selected) => callback(selected));
+  },
+
+  // Whether the key that turns snapping off is held, for resizing by the window edges
+  setSnapSuspended: (suspended) => {
+    ipcRenderer.send('set-snap-suspended', suspended);
+  },
+
   // Receive position updates from main process (when window is moved)
   onPositionUpdated: (callback) => {
     ipcRenderer.on('position-updated', (_, position) => callback(position));
@@ -0,0 +1,19 @@
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Expose only what the "Save Workspace" window needs: the existing names and a way to save
+contextBridge.exposeInMainWorld('workspaceAPI', {
+  // Names of the saved workspaces; resolves to { names, current }
+  getNames: () => {
+    return ipcRenderer.invoke('get-workspace-names');
+  },
+
+  // Save the visible stickers under a name; resolves to { success, error }. On success the window is closed.
+  save: (name) => {
+    return ipcRenderer.invoke('save-workspace', name);
+  },
+
+  // Close the window without saving
+  cancel: () => {
+    return ipcRenderer.invoke('cancel-save-workspace');
+  }
+});
@@ -13,9 +13,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return ipcRenderer.invoke('load-stickers');
   },
 
-  // Function to create a new sticker
-  createSticker: (stickerData) => {
-    return ipcRenderer.invoke('create-sticker', stickerData);
+  // Function to create a new sticker, optionally from a template ({ templateId })
+  createSticker: (stickerData, options) => {
+    return ipcRenderer.invoke('create-sticker', stickerData, options);
   },
 
   // Function to toggle stickers visibility
@@ -33,6 +33,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return ipcRenderer.invoke('hide-all-stickers');
   },
 
+  // Function to show only the stickers carrying a tag
+  showStickersWithTag: (tag) => {
+    return ipcRenderer.invoke('show-stickers-with-tag', tag);
+  },
+
+  // Function to list the tags of the open stickers
+  listStickerTags: () => {
+    return ipcRenderer.invoke('list-sticker-tags');
+  },
+
   // Function to realign stickers
   realignStickers: () => {
     return ipcRenderer.invoke('realign-stickers');
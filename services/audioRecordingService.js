@@ -3,6 +3,7 @@ import { ipcMain, dialog } from 'electron';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { getConfiguredDataPaths } from '../utils/dataLocation.js';
 
 /**
  * AudioRecordingService - A service for handling audio recording functionality
@@ -11,7 +12,9 @@ import os from 'os';
 class AudioRecordingService {
   constructor() {
     this.isInitialized = false;
-    this.tempDir = path.join(os.tmpdir(), 'sticker-audio-recordings');
+    // In portable mode recordings stay next to the executable
+    const dataPaths = getConfiguredDataPaths();
+    this.tempDir = dataPaths ? dataPaths.tempDir : path.join(os.tmpdir(), 'sticker-audio-recordings');
     
     // Ensure temp directory exists
     if (!fs.existsSync(this.tempDir)) {
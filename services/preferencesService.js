@@ -1,19 +1,30 @@
-// preferencesService.js - Service for managing user preferences for speech-to-text
+// preferencesService.js - Service for managing user preferences
 import fs from 'fs';
 import path from 'path';
 import { app } from 'electron';
 import { fileURLToPath } from 'url';
+import { DEFAULT_BACKUP_RETENTION } from '../utils/backupRetention.js';
+import { DEFAULT_LAYOUT_OPTIONS, normalizeLayoutOptions } from '../utils/stickerLayout.js';
+import { DEFAULT_SNAP_OPTIONS, normalizeSnapOptions } from '../utils/stickerSnapping.js';
+import { getConfiguredDataPaths, PREFERENCES_FILE_NAME, GENERAL_PREFERENCES_FILE_NAME } from '../utils/dataLocation.js';
+
+// Preferences kept in the general preferences file; the rest are speech-to-text settings
+const GENERAL_PREFERENCE_KEYS = ['backupRetention', 'stickerLayout', 'stickerSnapping'];
 
 /**
- * Service for managing speech-to-text preferences
+ * Service for managing preferences. Speech-to-text settings and general settings
+ * are kept in separate files; neither holds sticker content, so both stay plain
+ * when the sticker data is encrypted.
  */
 class PreferencesService {
   constructor() {
-    // Get the user data path
-    this.userDataPath = app.getPath('userData');
+    // Get the data directory chosen at startup (portable or user-chosen), if any
+    const dataPaths = getConfiguredDataPaths();
+    this.userDataPath = dataPaths ? dataPaths.dataDir : app.getPath('userData');
     
-    // Define the preferences file path
-    this.preferencesFilePath = path.join(this.userDataPath, 'speech-to-text-prefs.json');
+    // Define the preferences file paths
+    this.preferencesFilePath = path.join(this.userDataPath, PREFERENCES_FILE_NAME);
+    this.generalPreferencesFilePath = path.join(this.userDataPath, GENERAL_PREFERENCES_FILE_NAME);
     
     // Default preferences
     this.defaultPreferences = {
@@ -22,11 +33,18 @@ class PreferencesService {
       automaticRecordingTimeout: 180, // In seconds (3 minutes)
       textAppendMode: true, // true = append, false = replace
       language: 'en', // Default language for transcription
+      backupRetention: { ...DEFAULT_BACKUP_RETENTION }, // See utils/backupRetention.js
+      stickerLayout: { ...DEFAULT_LAYOUT_OPTIONS }, // Auto-arrange layout, see utils/stickerLayout.js
+      stickerSnapping: { ...DEFAULT_SNAP_OPTIONS }, // Snapping while dragging, see utils/stickerSnapping.js
     };
     
     // Current preferences (will be loaded from file)
     this.preferences = { ...this.defaultPreferences };
     
+    // Sticker templates an older version kept in the speech-to-text preferences,
+    // until the main process has moved them to the data directory
+    this.legacyTemplates = null;
+    
     // Load preferences on initialization
     this.loadPreferences();
     
@@ -46,6 +64,30 @@ class PreferencesService {
     }
   }
   
+  /**
+   * Read a preferences file
+   * @param {string} filePath - Path of the file
+   * @returns {Object|null} Preferences in the file, or null if there is no file
+   */
+  readPreferencesFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  
+  /**
+   * Write a preferences file, keeping a backup of the previous one
+   * @param {string} filePath - Path of the file
+   * @param {Object} prefs - Preferences to write
+   */
+  writePreferencesFile(filePath, prefs) {
+    if (fs.existsSync(filePath)) {
+      fs.copyFileSync(filePath, `${filePath}.bak`);
+    }
+    fs.writeFileSync(filePath, JSON.stringify(prefs, null, 2), 'utf8');
+  }
+  
   /**
    * Load preferences from file
    */
@@ -53,25 +95,27 @@ class PreferencesService {
     try {
       this.ensureDirectoryExists();
       
-      // Check if preferences file exists
-      if (fs.existsSync(this.preferencesFilePath)) {
-        // Read and parse the file
-        const data = fs.readFileSync(this.preferencesFilePath, 'utf8');
-        const loadedPrefs = JSON.parse(data);
-        
-        // Merge with defaults to ensure all properties exist
-        this.preferences = {
-          ...this.defaultPreferences,
-          ...loadedPrefs
-        };
-        
-        console.log('Preferences loaded successfully');
-      } else {
-        // If file doesn't exist, use defaults and create the file
-        this.preferences = { ...this.defaultPreferences };
+      const speechPrefs = this.readPreferencesFile(this.preferencesFilePath);
+      const generalPrefs = this.readPreferencesFile(this.generalPreferencesFilePath);
+      
+      // Older versions kept the templates and general settings with the speech-to-text ones
+      const { stickerTemplates, ...loadedPrefs } = speechPrefs || {};
+      this.legacyTemplates = Array.isArray(stickerTemplates) ? stickerTemplates : null;
+      
+      // Merge with defaults to ensure all properties exist
+      this.preferences = {
+        ...this.defaultPreferences,
+        ...loadedPrefs,
+        ...generalPrefs
+      };
+      
+      // Create missing files and move general settings out of the speech-to-text file
+      const moved = GENERAL_PREFERENCE_KEYS.some(key => key in loadedPrefs);
+      if (!speechPrefs || !generalPrefs || moved) {
         this.savePreferences();
-        console.log('Created default preferences file');
       }
+      
+      console.log('Preferences loaded successfully');
     } catch (error) {
       console.error('Error loading preferences:', error);
       // If there's an error, use defaults
@@ -88,18 +132,19 @@ class PreferencesService {
     try {
       this.ensureDirectoryExists();
       
-      // Create a backup of the existing file if it exists
-      if (fs.existsSync(this.preferencesFilePath)) {
-        const backupPath = `${this.preferencesFilePath}.bak`;
-        fs.copyFileSync(this.preferencesFilePath, backupPath);
+      const speechPrefs = {};
+      const generalPrefs = {};
+      Object.entries(this.preferences).forEach(([key, value]) => {
+        (GENERAL_PREFERENCE_KEYS.includes(key) ? generalPrefs : speechPrefs)[key] = value;
+      });
+      
+      // Templates not moved yet stay where they are, so they can't get lost
+      if (this.legacyTemplates) {
+        speechPrefs.stickerTemplates = this.legacyTemplates;
       }
       
-      // Write the preferences to file
-      fs.writeFileSync(
-        this.preferencesFilePath,
-        JSON.stringify(this.preferences, null, 2),
-        'utf8'
-      );
+      this.writePreferencesFile(this.preferencesFilePath, speechPrefs);
+      this.writePreferencesFile(this.generalPreferencesFilePath, generalPrefs);
       
       console.log('Preferences saved successfully');
       return true;
@@ -165,6 +210,10 @@ class PreferencesService {
         value = Math.max(0, Math.min(1, value)); // Clamp between 0 and 1
       } else if (key === 'automaticRecordingTimeout') {
         value = Math.max(5, Math.min(600, value)); // Between 5 seconds and 10 minutes
+      } else if (key === 'stickerLayout') {
+        value = normalizeLayoutOptions(value);
+      } else if (key === 'stickerSnapping') {
+        value = normalizeSnapOptions(value);
       }
       
       // Set the preference
@@ -219,6 +268,35 @@ class PreferencesService {
     }
   }
   
+  /**
+   * Get the sticker templates an older version kept with the preferences
+   * @returns {Array<Object>|null} Templates, or null if there are none to move
+   */
+  getLegacyTemplates() {
+    return this.legacyTemplates;
+  }
+  
+  /**
+   * Drop the templates an older version kept with the preferences, once they
+   * are saved in the data directory. The backup is replaced too, as it still
+   * has them in plain text.
+   * @returns {boolean} Success status
+   */
+  clearLegacyTemplates() {
+    try {
+      this.legacyTemplates = null;
+      if (!this.savePreferences()) {
+        return false;
+      }
+      
+      fs.copyFileSync(this.preferencesFilePath, `${this.preferencesFilePath}.bak`);
+      return true;
+    } catch (error) {
+      console.error('Error removing old sticker templates from preferences:', error);
+      return false;
+    }
+  }
+  
   /**
    * Get available microphone devices
    * @returns {Promise<Array>} List of available microphone devices
@@ -1,9 +1,11 @@
 // whisperService.js - OpenAI Whisper API client for speech-to-text functionality
 import { OpenAI } from 'openai';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
+import { getConfiguredDataPaths } from '../utils/dataLocation.js';
 
 // Load environment variables
 dotenv.config();
@@ -91,7 +93,10 @@ class WhisperService {
       // Generate a unique temp file name to avoid conflicts
       const timestamp = Date.now();
       const randomString = Math.random().toString(36).substring(2, 10);
-      tempFilePath = path.join(process.cwd(), `temp_audio_${timestamp}_${randomString}.mp3`);
+      const dataPaths = getConfiguredDataPaths();
+      const tempDir = dataPaths ? dataPaths.tempDir : os.tmpdir();
+      fs.mkdirSync(tempDir, { recursive: true });
+      tempFilePath = path.join(tempDir, `temp_audio_${timestamp}_${randomString}.mp3`);
 
       // Write the audio data to a temporary file
       fs.writeFileSync(tempFilePath, preparedAudioData);
@@ -1,8 +1,11 @@
 /**
  * Web Worker for CPU-intensive tasks
- * This worker handles tasks that would otherwise block the main thread
+ * This worker handles tasks that would otherwise block the main thread.
+ * It runs as a module worker so it can share pure utilities with the main process.
  */
 
+import { calculateLayout } from '../utils/stickerLayout.js';
+
 // Handle messages from the main thread
 self.onmessage = function(event) {
   const { id, type, data } = event.data;
@@ -20,7 +23,7 @@ self.onmessage = function(event) {
         break;
         
       case 'calculate-layout':
-        result = calculateLayout(data.stickers);
+        result = calculateLayout(data.stickers, data.workArea, data.options);
         break;
         
       case 'validate-data':
@@ -100,56 +103,6 @@ function processContent(content) {
   };
 }
 
-/**
- * Calculate optimal layout for multiple stickers
- * @param {Array} stickers - Array of sticker data
- * @returns {Array} - Stickers with updated positions
- */
-function calculateLayout(stickers) {
-  if (!Array.isArray(stickers) || stickers.length === 0) {
-    return [];
-  }
-  
-  // Clone the stickers to avoid modifying the original
-  const stickersCopy = JSON.parse(JSON.stringify(stickers));
-  
-  // Sort stickers by position (top to bottom, left to right)
-  stickersCopy.sort((a, b) => {
-    if (a.position.y !== b.position.y) {
-      return a.position.y - b.position.y;
-    }
-    return a.position.x - b.position.x;
-  });
-  
-  // Grid settings
-  const gridSize = 20;
-  const margin = 10;
-  
-  // Calculate new positions
-  let currentRow = 0;
-  let currentX = margin;
-  let maxHeightInRow = 0;
-  
-  stickersCopy.forEach((sticker, index) => {
-    // If this sticker would go beyond the right edge, move to next row
-    if (index > 0 && currentX + sticker.size.width > 1200) { // Assume 1200px max width
-      currentRow++;
-      currentX = margin;
-      maxHeightInRow = 0;
-    }
-    
-    // Set new position
-    sticker.position.x = currentX;
-    sticker.position.y = currentRow * gridSize + margin;
-    
-    // Update for next sticker
-    currentX += sticker.size.width + margin;
-    maxHeightInRow = Math.max(maxHeightInRow, sticker.size.height);
-  });
-  
-  return stickersCopy;
-}
-
 /**
  * Validate data against a schema
  * @param {any} value - Value to validate
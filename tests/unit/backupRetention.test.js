@@ -0,0 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  parseBackupFileName,
+  selectBackupsToKeep,
+  pruneBackups
+} from '../../utils/backupRetention.js';
+import { findBackupFiles } from '../../utils/contentRecovery.js';
+
+describe('Backup Retention', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.parse('2026-03-15T12:00:00.000Z');
+  let testDir;
+
+  // Name a backup the way createFileBackup does
+  const backupName = (file, reason, time) =>
+    `${file}.${reason}-${new Date(time).toISOString().replace(/:/g, '-')}`;
+
+  const backup = (time, size = 10, baseName = 'stickers.json') =>
+    ({ path: backupName(baseName, 'pre-write', time), baseName, reason: 'pre-write', time, size });
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('parseBackupFileName reads base name, reason and time', () => {
+    const time = Date.parse('2026-10-19T07:12:25.775Z');
+
+    expect(parseBackupFileName(backupName('stickers.json', 'pre-update', time))).toEqual({
+      baseName: 'stickers.json',
+      reason: 'pre-update',
+      time
+    });
+    expect(parseBackupFileName('stickers.json')).toBeNull();
+    expect(parseBackupFileName('stickers.json.123-456.tmp')).toBeNull();
+  });
+
+  test('selectBackupsToKeep keeps the newest N backups', () => {
+    const backups = [1, 2, 3, 4, 5].map(hours => backup(now - hours * 60 * 60 * 1000));
+
+    const { keep, remove } = selectBackupsToKeep(
+      backups,
+      { keepLast: 2, keepDailyDays: 0, keepWeeklyWeeks: 0 },
+      now
+    );
+
+    expect(keep).toEqual(backups.slice(0, 2));
+    expect(remove).toEqual(backups.slice(2));
+  });
+
+  test('selectBackupsToKeep keeps one backup per day and per week', () => {
+    const backups = [
+      backup(now - 1 * DAY),
+      backup(now - 1 * DAY - 60 * 1000),  // Same day, older
+      backup(now - 3 * DAY),
+      backup(now - 20 * DAY),             // Outside daily window, inside weekly
+      backup(now - 60 * DAY)              // Outside both windows
+    ];
+
+    const { keep } = selectBackupsToKeep(
+      backups,
+      { keepLast: 1, keepDailyDays: 7, keepWeeklyWeeks: 4 },
+      now
+    );
+
+    expect(keep).toEqual([backups[0], backups[2], backups[3]]);
+  });
+
+  test('selectBackupsToKeep drops the oldest backups above the size cap but keeps the newest of each file', () => {
+    const backups = [
+      backup(now - 1000, 40),
+      backup(now - 2000, 40),
+      backup(now - 3000, 40),
+      backup(now - 4000, 100, 'stickers-trash.json')
+    ];
+
+    const { keep } = selectBackupsToKeep(
+      backups,
+      { keepLast: 10, keepDailyDays: 0, keepWeeklyWeeks: 0, maxTotalBytes: 150 },
+      now
+    );
+
+    expect(keep).toEqual([backups[0], backups[3]]);
+  });
+
+  test('pruneBackups removes backups in a directory and findBackupFiles still finds the kept ones', async () => {
+    const filePath = path.join(testDir, 'stickers.json');
+    fs.writeFileSync(filePath, '{}');
+
+    const names = [1, 2, 3, 4].map(minutes =>
+      backupName('stickers.json', 'pre-write', Date.now() - minutes * 60 * 1000));
+    names.forEach(name => fs.writeFileSync(path.join(testDir, name), '{}'));
+
+    // Files that aren't backups are never touched
+    fs.writeFileSync(path.join(testDir, 'stickers.journal'), '');
+
+    const result = await pruneBackups(testDir, { keepLast: 2, keepDailyDays: 0, keepWeeklyWeeks: 0 });
+
+    expect(result.removed).toBe(2);
+    expect(result.kept).toBe(2);
+    expect(fs.existsSync(path.join(testDir, 'stickers.journal'))).toBe(true);
+    expect(fs.existsSync(filePath)).toBe(true);
+
+    const found = (await findBackupFiles(filePath)).map(file => path.basename(file)).sort();
+    expect(found).toEqual(names.slice(0, 2).sort());
+  });
+});
@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  DATA_LOCATION_FILE_NAME,
+  PORTABLE_DATA_DIR_NAME,
+  PORTABLE_MARKER_FILE_NAME,
+  findPortableDirectory,
+  readDataLocationSetting,
+  resolveDataLocation,
+  getDataPaths,
+  isDataEntryName,
+  findMoveConflicts,
+  moveDataDirectory
+} from '../../utils/dataLocation.js';
+
+describe('Data Location', () => {
+  let testDir;
+  let defaultDir;
+  let exeDir;
+
+  const write = (filePath, content) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+    defaultDir = path.join(testDir, 'userData');
+    exeDir = path.join(testDir, 'app');
+    fs.mkdirSync(defaultDir);
+    fs.mkdirSync(exeDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('portable mode comes from the portable build or a marker file', () => {
+    const exePath = path.join(exeDir, 'FloatingStickers.exe');
+
+    expect(findPortableDirectory({ env: {}, exePath })).toBeNull();
+    expect(findPortableDirectory({ env: { PORTABLE_EXECUTABLE_DIR: exeDir }, exePath })).toBe(exeDir);
+
+    write(path.join(exeDir, PORTABLE_MARKER_FILE_NAME), '');
+    expect(findPortableDirectory({ env: {}, exePath })).toBe(exeDir);
+  });
+
+  test('resolveDataLocation prefers portable mode, then the chosen folder, then the default', () => {
+    const chosenDir = path.join(testDir, 'chosen');
+    const exePath = path.join(exeDir, 'FloatingStickers.exe');
+
+    expect(resolveDataLocation({ defaultDir, env: {}, exePath })).toMatchObject({
+      dataDir: defaultDir,
+      portable: false,
+      custom: false
+    });
+
+    write(path.join(defaultDir, DATA_LOCATION_FILE_NAME), JSON.stringify({ dataDir: chosenDir }));
+    fs.mkdirSync(chosenDir);
+    expect(resolveDataLocation({ defaultDir, env: {}, exePath })).toMatchObject({
+      dataDir: chosenDir,
+      custom: true
+    });
+
+    expect(resolveDataLocation({ defaultDir, env: { PORTABLE_EXECUTABLE_DIR: exeDir }, exePath })).toMatchObject({
+      dataDir: path.join(exeDir, PORTABLE_DATA_DIR_NAME),
+      portable: true
+    });
+  });
+
+  test('an unavailable chosen folder falls back to the default and is reported', () => {
+    const missingDir = path.join(testDir, 'unplugged');
+    write(path.join(defaultDir, DATA_LOCATION_FILE_NAME), JSON.stringify({ dataDir: missingDir }));
+
+    expect(resolveDataLocation({ defaultDir, env: {}, exePath: path.join(exeDir, 'app.exe') })).toMatchObject({
+      dataDir: defaultDir,
+      custom: false,
+      unavailableDir: missingDir
+    });
+  });
+
+  test('getDataPaths keeps temporary files in the data folder only in portable mode', () => {
+    const dataDir = path.join(testDir, 'data');
+
+    expect(getDataPaths(dataDir, { portable: true })).toEqual({
+      dataDir,
+      logDir: path.join(dataDir, 'logs'),
+      tempDir: path.join(dataDir, 'temp')
+    });
+    expect(getDataPaths(dataDir).tempDir.startsWith(os.tmpdir())).toBe(true);
+  });
+
+  test('isDataEntryName matches data files, their backups and data folders only', () => {
+    expect(isDataEntryName('stickers.json')).toBe(true);
+    expect(isDataEntryName('stickers.json.pre-write-2026-03-15T12-00-00.000Z')).toBe(true);
+    expect(isDataEntryName('snapshots')).toBe(true);
+    expect(isDataEntryName('speech-to-text-prefs.json.bak')).toBe(true);
+    expect(isDataEntryName('stickers-prefs.json')).toBe(true);
+    expect(isDataEntryName('stickers-templates.json')).toBe(true);
+    expect(isDataEntryName('GPUCache')).toBe(false);
+    expect(isDataEntryName(DATA_LOCATION_FILE_NAME)).toBe(false);
+  });
+
+  test('moveDataDirectory moves data, switches the setting and leaves other files alone', async () => {
+    const toDir = path.join(testDir, 'chosen');
+    write(path.join(defaultDir, 'stickers.json'), '{"version":2}');
+    write(path.join(defaultDir, 'revisions', 'a.json'), '{"id":"a"}');
+    write(path.join(defaultDir, 'GPUCache', 'data_0'), 'chromium');
+
+    const result = await moveDataDirectory(defaultDir, toDir, { settingsDir: defaultDir });
+
+    expect(result.success).toBe(true);
+    expect(result.moved).toEqual(['revisions', 'stickers.json']);
+    expect(fs.readFileSync(path.join(toDir, 'stickers.json'), 'utf8')).toBe('{"version":2}');
+    expect(fs.readFileSync(path.join(toDir, 'revisions', 'a.json'), 'utf8')).toBe('{"id":"a"}');
+    expect(fs.existsSync(path.join(defaultDir, 'stickers.json'))).toBe(false);
+    expect(fs.existsSync(path.join(defaultDir, 'GPUCache', 'data_0'))).toBe(true);
+    expect(fs.readdirSync(toDir).some(name => name.startsWith('.floating-stickers-move'))).toBe(false);
+    expect(readDataLocationSetting(defaultDir)).toBe(path.resolve(toDir));
+
+    // Moving back to the default removes the setting
+    expect((await moveDataDirectory(toDir, defaultDir, { settingsDir: defaultDir })).success).toBe(true);
+    expect(readDataLocationSetting(defaultDir)).toBeNull();
+    expect(fs.existsSync(path.join(defaultDir, 'stickers.json'))).toBe(true);
+  });
+
+  test('moveDataDirectory only replaces existing data when asked to', async () => {
+    const toDir = path.join(testDir, 'chosen');
+    write(path.join(defaultDir, 'stickers.json'), 'current');
+    write(path.join(toDir, 'stickers.json'), 'already there');
+
+    expect(await findMoveConflicts(defaultDir, toDir)).toEqual(['stickers.json']);
+
+    const refused = await moveDataDirectory(defaultDir, toDir, { settingsDir: defaultDir });
+    expect(refused.success).toBe(false);
+    expect(refused.conflicts).toEqual(['stickers.json']);
+    expect(fs.readFileSync(path.join(toDir, 'stickers.json'), 'utf8')).toBe('already there');
+    expect(fs.readFileSync(path.join(defaultDir, 'stickers.json'), 'utf8')).toBe('current');
+    expect(readDataLocationSetting(defaultDir)).toBeNull();
+
+    const replaced = await moveDataDirectory(defaultDir, toDir, { settingsDir: defaultDir, overwrite: true });
+    expect(replaced.success).toBe(true);
+    expect(fs.readFileSync(path.join(toDir, 'stickers.json'), 'utf8')).toBe('current');
+  });
+
+  test('moveDataDirectory puts replaced data back when a copy can\'t be put in place', async () => {
+    const toDir = path.join(testDir, 'chosen');
+    write(path.join(defaultDir, 'revisions', 'a.json'), 'current revision');
+    write(path.join(defaultDir, 'stickers-trash.json'), 'current trash');
+    write(path.join(defaultDir, 'stickers.json'), 'current');
+    write(path.join(toDir, 'stickers-trash.json'), 'trash already there');
+    write(path.join(toDir, 'stickers.json'), 'already there');
+
+    // Fail the last copy, after the others were put in place
+    const originalRename = fs.promises.rename;
+    fs.promises.rename = async (from, to) => {
+      if (/^\.floating-stickers-move-\d+$/.test(path.basename(path.dirname(from))) && path.basename(from) === 'stickers.json') {
+        throw Object.assign(new Error('Simulated locked file'), { code: 'EBUSY' });
+      }
+      return await originalRename(from, to);
+    };
+
+    let result;
+    try {
+      result = await moveDataDirectory(defaultDir, toDir, { settingsDir: defaultDir, overwrite: true });
+    } finally {
+      fs.promises.rename = originalRename;
+    }
+
+    expect(result.success).toBe(false);
+    expect(fs.readdirSync(toDir).sort()).toEqual(['stickers-trash.json', 'stickers.json']);
+    expect(fs.readFileSync(path.join(toDir, 'stickers-trash.json'), 'utf8')).toBe('trash already there');
+    expect(fs.readFileSync(path.join(toDir, 'stickers.json'), 'utf8')).toBe('already there');
+    expect(fs.readFileSync(path.join(defaultDir, 'stickers.json'), 'utf8')).toBe('current');
+    expect(readDataLocationSetting(defaultDir)).toBeNull();
+  });
+
+  test('moveDataDirectory refuses a folder inside the current one', async () => {
+    write(path.join(defaultDir, 'stickers.json'), 'current');
+
+    const result = await moveDataDirectory(defaultDir, path.join(defaultDir, 'nested'), { settingsDir: defaultDir });
+
+    expect(result.success).toBe(false);
+    expect(fs.readFileSync(path.join(defaultDir, 'stickers.json'), 'utf8')).toBe('current');
+  });
+});
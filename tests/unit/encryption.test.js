@@ -0,0 +1,255 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  ENCRYPTION_FILE_NAME,
+  ENCRYPTION_ERROR_CODES,
+  EncryptionError,
+  configureEncryption,
+  isEncryptionEnabled,
+  isEncryptionUnlocked,
+  looksEncrypted,
+  enableEncryption,
+  unlockEncryption,
+  lockEncryption,
+  changePassphrase,
+  disableEncryption
+} from '../../utils/encryption.js';
+import { safeReadJSON, safeWriteJSON } from '../../utils/jsonUtils.js';
+import { recoverContent, recoverFromBackup, repairCorruptedFile } from '../../utils/contentRecovery.js';
+import { categorizeError, ERROR_CATEGORIES } from '../../utils/errorHandler.js';
+import { StickerJournal } from '../../utils/stickerJournal.js';
+import { DATA_LOCATION_FILE_NAME, GENERAL_PREFERENCES_FILE_NAME, isDataEntryName } from '../../utils/dataLocation.js';
+import StickerDataManager from '../../utils/stickerUtils.js';
+import { StickerAttachments } from '../../utils/stickerAttachments.js';
+
+describe('Encryption at rest', () => {
+  const PASSPHRASE = 'correct horse battery staple';
+  const NEW_PASSPHRASE = 'tr0ub4dor&3';
+  const stickers = [{ id: '1', content: 'wifi password is on the router' }];
+  let testDir;
+  let storePath;
+
+  const readRaw = filePath => fs.readFileSync(filePath, 'utf8');
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+    storePath = path.join(testDir, 'stickers.json');
+    configureEncryption(testDir, { isDataEntry: isDataEntryName });
+  });
+
+  afterEach(() => {
+    lockEncryption();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('files stay plain until encryption is enabled', async () => {
+    expect(await safeWriteJSON(storePath, stickers)).toBe(true);
+
+    expect(isEncryptionEnabled()).toBe(false);
+    expect(JSON.parse(readRaw(storePath))).toEqual(stickers);
+  });
+
+  test('enabling encrypts existing files and backups, and reads stay transparent', async () => {
+    await safeWriteJSON(storePath, stickers);
+    await safeWriteJSON(storePath, stickers); // leaves a plain pre-write backup
+
+    await enableEncryption(PASSPHRASE);
+
+    const files = fs.readdirSync(testDir).filter(file => file !== ENCRYPTION_FILE_NAME);
+    expect(files.length).toBeGreaterThan(1);
+    for (const file of files) {
+      expect(looksEncrypted(readRaw(path.join(testDir, file)))).toBe(true);
+      expect(readRaw(path.join(testDir, file))).not.toContain('router');
+    }
+
+    expect(await safeReadJSON(storePath, [])).toEqual(stickers);
+  });
+
+  test('new writes and their backups are encrypted', async () => {
+    await enableEncryption(PASSPHRASE);
+    await safeWriteJSON(storePath, stickers);
+    await safeWriteJSON(storePath, [...stickers, { id: '2', content: 'pin 1234' }]);
+
+    for (const file of fs.readdirSync(testDir).filter(file => file !== ENCRYPTION_FILE_NAME)) {
+      expect(looksEncrypted(readRaw(path.join(testDir, file)))).toBe(true);
+    }
+    expect((await safeReadJSON(storePath, [])).length).toBe(2);
+  });
+
+  test('preferences and their backup stay plain', async () => {
+    const prefsPath = path.join(testDir, 'speech-to-text-prefs.json');
+    fs.writeFileSync(prefsPath, JSON.stringify({ language: 'en' }));
+    fs.writeFileSync(`${prefsPath}.bak`, JSON.stringify({ language: 'de' }));
+
+    await enableEncryption(PASSPHRASE);
+
+    expect(JSON.parse(readRaw(prefsPath))).toEqual({ language: 'en' });
+    expect(JSON.parse(readRaw(`${prefsPath}.bak`))).toEqual({ language: 'de' });
+  });
+
+  test('templates are encrypted while the general preferences stay plain', async () => {
+    const generalPath = path.join(testDir, GENERAL_PREFERENCES_FILE_NAME);
+    fs.writeFileSync(generalPath, JSON.stringify({ stickerSnapping: { enabled: false } }));
+    const manager = new StickerDataManager(testDir);
+    await manager.saveTemplates([{ id: 'door', name: 'Door', content: 'door code 4321' }]);
+
+    await enableEncryption(PASSPHRASE);
+
+    const templatesPath = manager.templatesFilePath;
+    expect(looksEncrypted(readRaw(templatesPath))).toBe(true);
+    expect(readRaw(templatesPath)).not.toContain('4321');
+    expect(JSON.parse(readRaw(generalPath))).toEqual({ stickerSnapping: { enabled: false } });
+    expect((await manager.loadTemplates())[0].content).toBe('door code 4321');
+  });
+
+  test('files that are not the app\'s are left alone', async () => {
+    // The data directory may be Electron's user data directory
+    const foreign = {
+      'Local State': JSON.stringify({ browser: { enabled_labs_experiments: [] } }),
+      [DATA_LOCATION_FILE_NAME]: JSON.stringify({ dataDir: '/elsewhere' })
+    };
+    fs.mkdirSync(path.join(testDir, 'Default'));
+    foreign[path.join('Default', 'Preferences')] = JSON.stringify({ profile: { name: 'Person 1' } });
+    for (const [name, text] of Object.entries(foreign)) {
+      fs.writeFileSync(path.join(testDir, name), text);
+    }
+
+    await enableEncryption(PASSPHRASE);
+    await safeWriteJSON(path.join(testDir, 'Preferences'), { written: 'later' });
+
+    for (const [name, text] of Object.entries(foreign)) {
+      expect(readRaw(path.join(testDir, name))).toBe(text);
+    }
+    expect(JSON.parse(readRaw(path.join(testDir, 'Preferences')))).toEqual({ written: 'later' });
+  });
+
+  test('a wrong passphrase does not unlock', async () => {
+    await enableEncryption(PASSPHRASE);
+    lockEncryption();
+
+    expect(await unlockEncryption('wrong passphrase')).toBe(false);
+    expect(isEncryptionUnlocked()).toBe(false);
+    expect(await unlockEncryption(PASSPHRASE)).toBe(true);
+    expect(isEncryptionUnlocked()).toBe(true);
+  });
+
+  test('locked reads throw and leave the file alone', async () => {
+    await enableEncryption(PASSPHRASE);
+    await safeWriteJSON(storePath, stickers);
+    const before = readRaw(storePath);
+    lockEncryption();
+
+    await expect(safeReadJSON(storePath, [])).rejects.toMatchObject({ code: ENCRYPTION_ERROR_CODES.LOCKED });
+    expect(readRaw(storePath)).toBe(before);
+  });
+
+  test('locked writes fail instead of writing plain text', async () => {
+    await enableEncryption(PASSPHRASE);
+    lockEncryption();
+
+    expect(await safeWriteJSON(storePath, stickers)).toBe(false);
+    expect(fs.existsSync(storePath)).toBe(false);
+  });
+
+  test('changing the passphrase re-encrypts every file with a new key', async () => {
+    await enableEncryption(PASSPHRASE);
+    await safeWriteJSON(storePath, stickers);
+    const before = readRaw(storePath);
+
+    expect((await changePassphrase('wrong passphrase', NEW_PASSPHRASE)).success).toBe(false);
+
+    const result = await changePassphrase(PASSPHRASE, NEW_PASSPHRASE);
+    expect(result.success).toBe(true);
+    expect(readRaw(storePath)).not.toBe(before);
+    expect(JSON.parse(readRaw(storePath)).keyId).not.toBe(JSON.parse(before).keyId);
+    expect(JSON.parse(readRaw(path.join(testDir, ENCRYPTION_FILE_NAME))).keys.length).toBe(1);
+
+    lockEncryption();
+    expect(await unlockEncryption(PASSPHRASE)).toBe(false);
+    expect(await unlockEncryption(NEW_PASSPHRASE)).toBe(true);
+    expect(await safeReadJSON(storePath, [])).toEqual(stickers);
+  });
+
+  test('disabling writes files back in plain text', async () => {
+    await enableEncryption(PASSPHRASE);
+    await safeWriteJSON(storePath, stickers);
+
+    expect((await disableEncryption(PASSPHRASE)).success).toBe(true);
+
+    expect(isEncryptionEnabled()).toBe(false);
+    expect(JSON.parse(readRaw(storePath))).toEqual(stickers);
+  });
+
+  test('attachments are encrypted with the same envelope and read back as images', async () => {
+    const attachments = new StickerAttachments(path.join(testDir, 'attachments'));
+    const image = data => Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from(data)]);
+    const before = await attachments.save(image('screenshot of the router password'));
+
+    await enableEncryption(PASSPHRASE);
+    const after = await attachments.save(image('pasted after enabling'));
+
+    for (const { id } of [before, after]) {
+      const raw = readRaw(attachments.getPath(id));
+      expect(looksEncrypted(raw)).toBe(true);
+      expect(raw).not.toContain('router');
+    }
+    expect(await attachments.read(before.id)).toEqual({ data: image('screenshot of the router password'), mimeType: 'image/png' });
+
+    expect((await changePassphrase(PASSPHRASE, NEW_PASSPHRASE)).success).toBe(true);
+    expect((await attachments.read(after.id)).data).toEqual(image('pasted after enabling'));
+
+    lockEncryption();
+    await expect(attachments.read(after.id)).rejects.toThrow(EncryptionError);
+
+    await unlockEncryption(NEW_PASSPHRASE);
+    expect((await disableEncryption(NEW_PASSPHRASE)).success).toBe(true);
+    expect(fs.readFileSync(attachments.getPath(before.id))).toEqual(image('screenshot of the router password'));
+  });
+
+  test('journal lines are encrypted one by one and replay after unlock', async () => {
+    const journal = new StickerJournal(path.join(testDir, 'stickers.journal'));
+    await journal.append([{ op: 'update', id: '1', data: { content: 'plain before' } }]);
+
+    await enableEncryption(PASSPHRASE);
+    await journal.append([{ op: 'update', id: '1', data: { content: 'secret after' } }]);
+
+    const lines = readRaw(journal.filePath).trim().split('\n');
+    expect(lines.length).toBe(2);
+    expect(lines.every(looksEncrypted)).toBe(true);
+    expect((await journal.readEntries()).map(entry => entry.data.content)).toEqual(['plain before', 'secret after']);
+
+    lockEncryption();
+    await expect(journal.readEntries()).rejects.toThrow(EncryptionError);
+  });
+
+  test('recovery restores from encrypted backups', async () => {
+    await enableEncryption(PASSPHRASE);
+    await safeWriteJSON(storePath, stickers);
+    await safeWriteJSON(storePath, stickers); // encrypted pre-write backup
+    fs.unlinkSync(storePath);
+
+    expect(await recoverFromBackup(storePath)).toEqual(stickers);
+    expect(looksEncrypted(readRaw(storePath))).toBe(true);
+  });
+
+  test('recovery leaves locked data alone', async () => {
+    await enableEncryption(PASSPHRASE);
+    await safeWriteJSON(storePath, stickers);
+    const before = readRaw(storePath);
+    lockEncryption();
+
+    let error;
+    try {
+      await safeReadJSON(storePath, []);
+    } catch (err) {
+      error = err;
+    }
+
+    const category = categorizeError(error);
+    expect(category).toBe(ERROR_CATEGORIES.ENCRYPTION);
+    expect((await recoverContent(storePath, category, [])).success).toBe(false);
+    expect(await repairCorruptedFile(storePath)).toBeNull();
+    expect(readRaw(storePath)).toBe(before);
+  });
+});
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { spawnSync } from 'child_process';
+import { FileLock, FileLockError, FILE_LOCK_ERROR_CODES } from '../../utils/fileLock.js';
+
+describe('File Lock', () => {
+  let testDir;
+  let lockPath;
+
+  const writeForeignLock = info => fs.writeFileSync(lockPath, JSON.stringify({
+    hostname: os.hostname(),
+    token: 'someone-else',
+    ...info
+  }));
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+    lockPath = path.join(testDir, 'stickers.lock');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('acquire creates the lock file and release removes it', async () => {
+    const lock = new FileLock(lockPath);
+
+    await lock.acquire();
+    expect(lock.isHeld).toBe(true);
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(process.pid);
+
+    await lock.release();
+    expect(lock.isHeld).toBe(false);
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('withLock runs overlapping holders one at a time', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const order = [];
+
+    await Promise.all(Array.from({ length: 8 }, (_, i) => new FileLock(lockPath, { retryDelay: 5 }).withLock(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      order.push(i);
+      running--;
+    })));
+
+    expect(maxRunning).toBe(1);
+    expect(order.length).toBe(8);
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('withLock releases the lock when the task fails', async () => {
+    const lock = new FileLock(lockPath);
+
+    await expect(lock.withLock(() => {
+      throw new Error('write failed');
+    })).rejects.toThrow('write failed');
+
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('a lock held by a process that has exited is taken over', async () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    writeForeignLock({ pid });
+
+    const lock = new FileLock(lockPath, { timeout: 1000 });
+    await lock.acquire();
+
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(process.pid);
+    await lock.release();
+  });
+
+  test('a lock that has not been refreshed for too long is taken over', async () => {
+    writeForeignLock({ pid: process.pid });
+    const longAgo = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, longAgo, longAgo);
+
+    const lock = new FileLock(lockPath, { timeout: 1000 });
+    await lock.acquire();
+
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).token).not.toBe('someone-else');
+    await lock.release();
+  });
+
+  test('acquire times out while a live holder keeps the lock', async () => {
+    const holder = new FileLock(lockPath, { staleMs: 60 });
+    await holder.acquire();
+
+    // The holder refreshes its lock, so it never goes stale while held
+    const waiter = new FileLock(lockPath, { staleMs: 60, timeout: 200 });
+    const error = await waiter.acquire().catch(err => err);
+
+    expect(error).toBeInstanceOf(FileLockError);
+    expect(error.code).toBe(FILE_LOCK_ERROR_CODES.TIMEOUT);
+
+    await holder.release();
+    await waiter.acquire();
+    await waiter.release();
+  });
+
+  test('release leaves a lock that was taken over alone', async () => {
+    const lock = new FileLock(lockPath);
+    await lock.acquire();
+    writeForeignLock({ pid: process.pid });
+
+    await lock.release();
+
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).token).toBe('someone-else');
+  });
+});
@@ -0,0 +1,77 @@
+import { JSDOM } from 'jsdom';
+import {
+  isSafeLinkUrl,
+  parseInline,
+  renderMarkdown
+} from '../../ui/markdownRenderer.js';
+
+describe('Markdown Renderer', () => {
+  let doc;
+
+  // Render into a container and return its HTML for easy comparison
+  const render = source => {
+    const container = doc.createElement('div');
+    container.appendChild(renderMarkdown(source, doc));
+    return container.innerHTML;
+  };
+
+  beforeEach(() => {
+    doc = new JSDOM('<!DOCTYPE html><html><body></body></html>').window.document;
+  });
+
+  test('renders headings, paragraphs and lists', () => {
+    expect(render('# Groceries\n\nFor the weekend\nand Monday\n\n- milk\n- eggs\n\n3. call\n4. write')).toBe(
+      '<h1>Groceries</h1>' +
+      '<p>For the weekend<br>and Monday</p>' +
+      '<ul><li>milk</li><li>eggs</li></ul>' +
+      '<ol start="3"><li>call</li><li>write</li></ol>'
+    );
+  });
+
+  test('renders bold, italic and inline code', () => {
+    expect(render('**bold**, *italic*, _also italic_ and `x * y`')).toBe(
+      '<p><strong>bold</strong>, <em>italic</em>, <em>also italic</em> and <code>x * y</code></p>'
+    );
+  });
+
+  test('leaves stray delimiters and snake_case alone', () => {
+    expect(render('2 * 3 * 4, my_file_name and \\*not italic\\*')).toBe(
+      '<p>2 * 3 * 4, my_file_name and *not italic*</p>'
+    );
+  });
+
+  test('renders links and bare URLs', () => {
+    expect(render('[docs](https://example.com/a?b=1) or https://example.com.')).toBe(
+      '<p><a href="https://example.com/a?b=1" rel="noopener noreferrer">docs</a> or ' +
+      '<a href="https://example.com" rel="noopener noreferrer">https://example.com</a>.</p>'
+    );
+  });
+
+  test('only links to safe targets', () => {
+    expect(isSafeLinkUrl('https://example.com')).toBe(true);
+    expect(isSafeLinkUrl('mailto:me@example.com')).toBe(true);
+    expect(isSafeLinkUrl('javascript:alert(1)')).toBe(false);
+    expect(isSafeLinkUrl('file:///etc/passwd')).toBe(false);
+
+    expect(render('[click](javascript:alert(1))')).not.toContain('<a');
+    expect(parseInline('[x](file:///etc/passwd)').some(node => node.type === 'link')).toBe(false);
+  });
+
+  test('raw HTML is shown as text', () => {
+    const html = render('<img src=x onerror="alert(1)"> <b>hi</b>\n# <script>alert(1)</script>');
+
+    expect(html).toBe(
+      '<p>&lt;img src=x onerror="alert(1)"&gt; &lt;b&gt;hi&lt;/b&gt;</p>' +
+      '<h1>&lt;script&gt;alert(1)&lt;/script&gt;</h1>'
+    );
+  });
+
+  test('only whitelisted elements are created', () => {
+    const container = doc.createElement('div');
+    container.appendChild(renderMarkdown('# T\n\n**a** *b* `c` [d](https://e.com)\n\n- f\n1. g', doc));
+
+    const tags = new Set([...container.querySelectorAll('*')].map(element => element.tagName.toLowerCase()));
+    const allowed = ['h1', 'p', 'strong', 'em', 'code', 'a', 'br', 'ul', 'ol', 'li'];
+    expect([...tags].filter(tag => !allowed.includes(tag))).toEqual([]);
+  });
+});
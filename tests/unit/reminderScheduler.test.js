@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals';
+import { ReminderScheduler, MAX_TIMER_DELAY } from '../../utils/reminderScheduler.js';
+
+describe('Reminder Scheduler', () => {
+  const start = new Date('2026-03-02T09:00:00.000Z').getTime();
+  const reminderIn = ms => ({ dueAt: new Date(start + ms).toISOString(), recurrence: 'none' });
+
+  let onDue;
+  let scheduler;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: start });
+    onDue = jest.fn();
+    scheduler = new ReminderScheduler({ onDue });
+  });
+
+  afterEach(() => {
+    scheduler.cancelAll();
+    jest.useRealTimers();
+  });
+
+  test('reports a reminder when it comes due', () => {
+    expect(scheduler.schedule('a', reminderIn(60000))).toBe(true);
+
+    jest.advanceTimersByTime(59999);
+    expect(onDue).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(onDue).toHaveBeenCalledWith('a', reminderIn(60000));
+    expect(scheduler.has('a')).toBe(false);
+  });
+
+  test('rescheduling or cancelling replaces the earlier timer', () => {
+    scheduler.schedule('a', reminderIn(1000));
+    scheduler.schedule('a', reminderIn(5000));
+    scheduler.schedule('b', reminderIn(1000));
+    scheduler.cancel('b');
+
+    jest.advanceTimersByTime(1000);
+    expect(onDue).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(4000);
+    expect(onDue).toHaveBeenCalledTimes(1);
+    expect(scheduler.schedule('c', null)).toBe(false);
+  });
+
+  test('rebuild schedules future reminders and returns overdue ones', () => {
+    scheduler.schedule('stale', reminderIn(1000));
+
+    const overdue = scheduler.rebuild([
+      { id: 'later', reminder: reminderIn(60000) },
+      { id: 'missed', reminder: reminderIn(-60000) },
+      { id: 'snoozed', reminder: { ...reminderIn(-120000), snoozedUntil: new Date(start + 30000).toISOString() } },
+      { id: 'older', reminder: reminderIn(-120000) },
+      { id: 'none' }
+    ]);
+
+    expect(overdue.map(entry => entry.stickerId)).toEqual(['older', 'missed']);
+    expect(scheduler.has('stale')).toBe(false);
+
+    jest.advanceTimersByTime(60000);
+    expect(onDue.mock.calls.map(([id]) => id)).toEqual(['snoozed', 'later']);
+  });
+
+  test('reminders further away than one timer can wait still go off', () => {
+    const delay = MAX_TIMER_DELAY + 60000;
+    scheduler.schedule('far', reminderIn(delay));
+
+    jest.advanceTimersByTime(MAX_TIMER_DELAY);
+    expect(onDue).not.toHaveBeenCalled();
+    expect(scheduler.has('far')).toBe(true);
+
+    jest.advanceTimersByTime(60000);
+    expect(onDue).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  STICKER_PALETTE,
+  DEFAULT_APPEARANCE,
+  isHexColor,
+  normalizeAppearance,
+  getPaletteColorName,
+  getAppearanceStyles
+} from '../../utils/stickerAppearance.js';
+import { validateStickerAppearance, validateStickerRecord } from '../../utils/contentLoader.js';
+import { createStickerRecord } from '../../utils/stickerStore.js';
+
+describe('Sticker Appearance', () => {
+  test('normalizeAppearance fills in defaults and merges updates into the current look', () => {
+    expect(normalizeAppearance(undefined)).toEqual(DEFAULT_APPEARANCE);
+
+    const current = normalizeAppearance({ background: 'blue', fontFamily: 'mono', opacity: 0.8 });
+    expect(current).toEqual({ ...DEFAULT_APPEARANCE, background: STICKER_PALETTE.blue, fontFamily: 'mono', opacity: 0.8 });
+
+    expect(normalizeAppearance({ fontSize: 20 }, current)).toEqual({ ...current, fontSize: 20 });
+  });
+
+  test('invalid values are clamped or ignored', () => {
+    const appearance = normalizeAppearance({
+      background: 'url(evil.png)',
+      textColor: '#ABC',
+      fontFamily: 'Comic Neue; color: red',
+      fontSize: 500,
+      opacity: 0
+    }, { background: '#123456' });
+
+    expect(appearance).toEqual({
+      background: '#123456',
+      textColor: '#aabbcc',
+      fontFamily: DEFAULT_APPEARANCE.fontFamily,
+      fontSize: 32,
+      opacity: 0.3
+    });
+    expect(isHexColor('#12345')).toBe(false);
+  });
+
+  test('palette colors are recognised and turned into CSS properties', () => {
+    expect(getPaletteColorName('#FFFFA5')).toBe('yellow');
+    expect(getPaletteColorName('#123456')).toBeNull();
+
+    expect(getAppearanceStyles({ background: 'pink', fontFamily: 'serif', fontSize: 18 })).toEqual({
+      '--sticker-bg': STICKER_PALETTE.pink,
+      '--text-color': DEFAULT_APPEARANCE.textColor,
+      '--sticker-font-family': "Georgia, 'Times New Roman', serif",
+      '--sticker-font-size': '18px'
+    });
+  });
+
+  test('records carry an appearance that is kept when updates leave it out', () => {
+    const styled = createStickerRecord({ id: 's', appearance: { background: 'green', opacity: 0.5 } });
+    expect(styled.appearance.background).toBe(STICKER_PALETTE.green);
+
+    const moved = createStickerRecord({ id: 's', position: { x: 5, y: 5 } }, styled);
+    expect(moved.appearance).toEqual(styled.appearance);
+  });
+
+  test('layout validation accepts records without an appearance but rejects broken ones', () => {
+    const record = createStickerRecord({ id: 's' });
+
+    expect(validateStickerRecord(record)).toBe(true);
+    expect(validateStickerRecord({ ...record, appearance: undefined })).toBe(true);
+    expect(validateStickerRecord({ ...record, appearance: { ...record.appearance, opacity: 0 } })).toBe(false);
+    expect(validateStickerAppearance({ ...DEFAULT_APPEARANCE, background: 'red' })).toBe(false);
+    expect(validateStickerAppearance({ ...DEFAULT_APPEARANCE, fontFamily: 'papyrus' })).toBe(false);
+    expect(validateStickerAppearance(null)).toBe(false);
+  });
+});
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  StickerAttachments,
+  detectImageType,
+  normalizeStickerImage,
+  getStickerAttachmentIds
+} from '../../utils/stickerAttachments.js';
+import { createStickerRecord } from '../../utils/stickerStore.js';
+import { getTrashItemLabel } from '../../utils/stickerTrash.js';
+import { validateStickerRecord } from '../../utils/contentLoader.js';
+
+describe('Sticker Attachments', () => {
+  const HOUR = 60 * 60 * 1000;
+  const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const png = data => Buffer.concat([PNG_SIGNATURE, Buffer.from(data)]);
+  let testDir;
+  let attachments;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+    attachments = new StickerAttachments(path.join(testDir, 'attachments'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('detectImageType reads the type from the data, not from a name', () => {
+    expect(detectImageType(png('x'))).toBe('png');
+    expect(detectImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('jpg');
+    expect(detectImageType(Buffer.from('GIF89a'))).toBe('gif');
+    expect(detectImageType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('webp');
+    expect(detectImageType(Buffer.from('RIFF\0\0\0\0WAVEfmt '))).toBeNull();
+    expect(detectImageType(Buffer.from('<svg></svg>'))).toBeNull();
+  });
+
+  test('save stores an image once under its content hash and rejects other data', async () => {
+    const first = await attachments.save(png('same'));
+    const second = await attachments.save(png('same'));
+
+    expect(first.id).toMatch(/^[0-9a-f]{64}\.png$/);
+    expect(second.id).toBe(first.id);
+    expect(await attachments.list()).toEqual([first.id]);
+    expect(fs.readFileSync(attachments.getPath(first.id))).toEqual(png('same'));
+
+    await expect(attachments.save(Buffer.from('not an image'))).rejects.toThrow('Not a PNG');
+    await expect(new StickerAttachments(testDir, { maxBytes: 4 }).save(png('too big'))).rejects.toThrow('larger than');
+    expect(() => attachments.getPath('../stickers.json')).toThrow('Invalid attachment ID');
+  });
+
+  test('collectGarbage deletes unreferenced files once they are past the grace period', async () => {
+    const used = await attachments.save(png('used'));
+    const unused = await attachments.save(png('unused'));
+    fs.writeFileSync(path.join(attachments.dirPath, 'notes.txt'), 'not an attachment');
+
+    // A freshly pasted image may not be saved in its sticker yet
+    expect(await attachments.collectGarbage([used.id])).toMatchObject({ removed: 0, kept: 2 });
+
+    const result = await attachments.collectGarbage(new Set([used.id]), { now: Date.now() + 2 * HOUR });
+    expect(result).toMatchObject({ removed: 1, kept: 1 });
+    expect(attachments.has(used.id)).toBe(true);
+    expect(attachments.has(unused.id)).toBe(false);
+    expect(fs.existsSync(path.join(attachments.dirPath, 'notes.txt'))).toBe(true);
+  });
+
+  test('image sticker records refer to their attachment by ID', () => {
+    const attachmentId = `${'a'.repeat(64)}.png`;
+    const record = createStickerRecord({ id: 'img', type: 'image', image: { attachmentId, width: 640.4, height: 480 } });
+
+    expect(record.image).toEqual({ attachmentId, width: 640, height: 480 });
+    expect(validateStickerRecord(record)).toBe(true);
+    expect(getTrashItemLabel(record)).toBe('Image sticker');
+    expect(getStickerAttachmentIds([record, createStickerRecord({ id: 'text' })])).toEqual(new Set([attachmentId]));
+
+    // Saves that don't carry the image keep it; other types don't have one
+    expect(createStickerRecord({ id: 'img', size: { width: 300, height: 200 } }, record).image).toEqual(record.image);
+    expect(createStickerRecord({ id: 'img', type: 'text' }, record).image).toBeUndefined();
+    expect(normalizeStickerImage({ attachmentId: '../../etc/passwd' })).toBeNull();
+    expect(validateStickerRecord({ ...record, image: { attachmentId: 'x.png', width: 1, height: 1 } })).toBe(false);
+  });
+});
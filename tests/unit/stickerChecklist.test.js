@@ -0,0 +1,111 @@
+import {
+  CHECKLIST_COMPLETED_MODES,
+  createChecklistItem,
+  normalizeChecklistItems,
+  checklistToText,
+  parseChecklistText,
+  getChecklistProgress,
+  arrangeChecklistItems,
+  moveChecklistItem
+} from '../../utils/stickerChecklist.js';
+import { validateStickerRecord } from '../../utils/contentLoader.js';
+import { createStickerRecord } from '../../utils/stickerStore.js';
+
+describe('Sticker Checklist', () => {
+  const items = [
+    { id: 'a', text: 'milk', checked: true },
+    { id: 'b', text: 'eggs', checked: false },
+    { id: 'c', text: 'bread', checked: true },
+    { id: 'd', text: 'jam', checked: false }
+  ];
+
+  test('parseChecklistText reads "- [ ]" lines and plain lines', () => {
+    const parsed = parseChecklistText('- [ ] milk\n- [x] eggs\n\n  * [X] bread\njam\n- butter');
+
+    expect(parsed.map(({ text, checked }) => ({ text, checked }))).toEqual([
+      { text: 'milk', checked: false },
+      { text: 'eggs', checked: true },
+      { text: 'bread', checked: true },
+      { text: 'jam', checked: false },
+      { text: 'butter', checked: false }
+    ]);
+    expect(new Set(parsed.map(item => item.id)).size).toBe(5);
+  });
+
+  test('text and items round-trip, keeping IDs of matching items', () => {
+    const text = checklistToText(items);
+    expect(text).toBe('- [x] milk\n- [ ] eggs\n- [x] bread\n- [ ] jam');
+
+    const parsed = parseChecklistText(text, items);
+    expect(parsed).toEqual(items);
+
+    // Reordered and edited text keeps the IDs it can match
+    const edited = parseChecklistText('- [ ] jam\n- [x] milk\n- [ ] honey', items);
+    expect(edited.map(item => item.id).slice(0, 2)).toEqual(['d', 'a']);
+    expect(['a', 'b', 'c', 'd']).not.toContain(edited[2].id);
+  });
+
+  test('normalizeChecklistItems repairs missing and duplicate IDs', () => {
+    const normalized = normalizeChecklistItems([
+      { id: 'x', text: 'one', checked: true },
+      { id: 'x', text: 'two\nlines' },
+      { text: 3 },
+      null
+    ]);
+
+    expect(normalized.length).toBe(3);
+    expect(normalized[0]).toEqual({ id: 'x', text: 'one', checked: true });
+    expect(normalized[1].id).not.toBe('x');
+    expect(normalized[1].text).toBe('two lines');
+    expect(normalized[2]).toMatchObject({ text: '3', checked: false });
+    expect(createChecklistItem('new').checked).toBe(false);
+  });
+
+  test('progress counts checked items', () => {
+    expect(getChecklistProgress(items)).toEqual({ done: 2, total: 4 });
+    expect(getChecklistProgress([])).toEqual({ done: 0, total: 0 });
+  });
+
+  test('completed items can stay in place, move to the bottom or be hidden', () => {
+    const ids = mode => arrangeChecklistItems(items, mode).map(item => item.id);
+
+    expect(ids(CHECKLIST_COMPLETED_MODES.SHOW)).toEqual(['a', 'b', 'c', 'd']);
+    expect(ids(CHECKLIST_COMPLETED_MODES.BOTTOM)).toEqual(['b', 'd', 'a', 'c']);
+    expect(ids(CHECKLIST_COMPLETED_MODES.HIDE)).toEqual(['b', 'd']);
+    expect(ids('unknown')).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('moveChecklistItem places an item before or after another', () => {
+    const ids = list => list.map(item => item.id);
+
+    expect(ids(moveChecklistItem(items, 'd', 'a'))).toEqual(['d', 'a', 'b', 'c']);
+    expect(ids(moveChecklistItem(items, 'a', 'c', true))).toEqual(['b', 'c', 'a', 'd']);
+    expect(ids(moveChecklistItem(items, 'a', 'missing'))).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('checklist records carry items and mirror them in content', () => {
+    const record = createStickerRecord({ id: 's', type: 'checklist', items, content: 'stale' });
+
+    expect(record.items).toEqual(items);
+    expect(record.completedItems).toBe(CHECKLIST_COMPLETED_MODES.SHOW);
+    expect(record.content).toBe(checklistToText(items));
+    expect(validateStickerRecord(record)).toBe(true);
+
+    // Text turned into a checklist becomes its items
+    const converted = createStickerRecord({ id: 't', type: 'checklist', content: '- [x] done\ntodo' });
+    expect(converted.items.map(item => item.text)).toEqual(['done', 'todo']);
+
+    // Turned back into text, the items live on only as content
+    const text = createStickerRecord({ id: 's', type: 'text' }, record);
+    expect(text.items).toBeUndefined();
+  });
+
+  test('validation rejects malformed checklist data', () => {
+    const record = createStickerRecord({ id: 's', type: 'checklist', items });
+
+    expect(validateStickerRecord({ ...record, items: undefined })).toBe(false);
+    expect(validateStickerRecord({ ...record, items: [{ id: 'a', text: 'x' }] })).toBe(false);
+    expect(validateStickerRecord({ ...record, items: [items[0], { ...items[1], id: 'a' }] })).toBe(false);
+    expect(validateStickerRecord({ ...record, items: 'milk' })).toBe(false);
+  });
+});
@@ -0,0 +1,76 @@
+import {
+  normalizeStickerDisplay,
+  findDisplayForBounds,
+  resolveStickerPosition,
+  updateDisplayPlacement
+} from '../../utils/stickerDisplays.js';
+import { createStickerRecord } from '../../utils/stickerStore.js';
+
+describe('Sticker Displays', () => {
+  const display = (id, x, width, height, scaleFactor = 1) => ({
+    id,
+    scaleFactor,
+    bounds: { x, y: 0, width, height },
+    workArea: { x, y: 0, width, height: height - 40 }
+  });
+
+  const laptop = display(1, 0, 1440, 900, 2);
+  const monitor = display(2, 1440, 2560, 1440);
+  const size = { width: 250, height: 200 };
+
+  test('findDisplayForBounds picks the display a window overlaps most', () => {
+    expect(findDisplayForBounds([laptop, monitor], { x: 1350, y: 10, ...size })).toBe(monitor);
+    expect(findDisplayForBounds([laptop, monitor], { x: 1200, y: 10, ...size })).toBe(laptop);
+    expect(findDisplayForBounds([laptop], { x: 3000, y: 10, ...size })).toBeNull();
+  });
+
+  test('a sticker goes back to its monitor, at the same spot, when the monitor returns', () => {
+    const sticker = { position: { x: 3000, y: 500 }, size, display: { id: 2, x: 1560, y: 500, scaleFactor: 1 } };
+
+    // Undocked: the sticker waits on the laptop, at the same spot relative to the screen
+    const undocked = resolveStickerPosition(sticker, [laptop], laptop);
+    expect(undocked).toMatchObject({ x: 780, y: 250, display: laptop, onSavedDisplay: false });
+
+    // Moving it around the laptop meanwhile doesn't change where it belongs
+    const placement = updateDisplayPlacement(sticker.display, { x: 100, y: 100, ...size }, [laptop]);
+    expect(placement).toEqual(sticker.display);
+
+    // Docked again, with the monitor now to the left of the laptop
+    const movedMonitor = display(2, -2560, 2560, 1440);
+    const docked = resolveStickerPosition({ ...sticker, position: { x: 100, y: 100 }, display: placement }, [laptop, movedMonitor], laptop);
+    expect(docked).toMatchObject({ x: -1000, y: 500, display: movedMonitor, onSavedDisplay: true });
+  });
+
+  test('positions stay inside the work area and carry over between scale factors', () => {
+    const sticker = { position: { x: 0, y: 0 }, size, display: { id: 2, x: 2500, y: 1400, scaleFactor: 1 } };
+    expect(resolveStickerPosition(sticker, [monitor], laptop)).toMatchObject({ x: 1440 + 2560 - 250, y: 1400 - 200 });
+
+    // Same physical spot on a display running at twice the scale
+    const hiDpi = display(2, 1440, 1280, 720, 2);
+    const onHiDpi = resolveStickerPosition({ ...sticker, display: { id: 2, x: 400, y: 200, scaleFactor: 1 } }, [hiDpi], laptop);
+    expect(onHiDpi).toMatchObject({ x: 1440 + 200, y: 100 });
+
+    // ...which doesn't count as the user moving it
+    expect(updateDisplayPlacement({ id: 2, x: 400, y: 200, scaleFactor: 1 }, { x: 1640, y: 100, ...size }, [hiDpi]))
+      .toEqual({ id: 2, x: 400, y: 200, scaleFactor: 1 });
+  });
+
+  test('moving a sticker to another connected display changes where it belongs', () => {
+    expect(updateDisplayPlacement({ id: 1, x: 10, y: 10, scaleFactor: 2 }, { x: 1500, y: 60, ...size }, [laptop, monitor]))
+      .toEqual({ id: 2, x: 60, y: 60, scaleFactor: 1 });
+    expect(updateDisplayPlacement(null, { x: 20, y: 30, ...size }, [laptop])).toEqual({ id: 1, x: 20, y: 30, scaleFactor: 2 });
+
+    // Legacy stickers without a display keep their position if it is on screen, or start at the top left
+    expect(resolveStickerPosition({ position: { x: 1500, y: 50 }, size }, [laptop, monitor], laptop))
+      .toMatchObject({ x: 1500, y: 50, onSavedDisplay: true });
+    expect(resolveStickerPosition({ position: { x: 9000, y: 50 }, size }, [laptop], laptop))
+      .toMatchObject({ x: 20, y: 20, onSavedDisplay: false });
+  });
+
+  test('the store keeps a sticker\'s display across saves that don\'t carry it', () => {
+    const record = createStickerRecord({ id: 's', display: { id: '2', x: 10.4, y: 20, scaleFactor: 1.5 } });
+    expect(record.display).toEqual({ id: 2, x: 10, y: 20, scaleFactor: 1.5 });
+    expect(createStickerRecord({ id: 's', content: 'moved' }, record).display).toEqual(record.display);
+    expect(normalizeStickerDisplay({ x: 1, y: 2 })).toBeNull();
+  });
+});
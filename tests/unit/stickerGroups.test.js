@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import StickerDataManager from '../../utils/stickerUtils.js';
+import {
+  ALIGN_MODES,
+  normalizeStickerGroup,
+  expandToGroups,
+  findStickersInRect,
+  alignStickers
+} from '../../utils/stickerGroups.js';
+import { createStickerRecord } from '../../utils/stickerStore.js';
+
+describe('Sticker Groups', () => {
+  const box = (id, x, y, width = 200, height = 100) => ({ id, x, y, width, height });
+  const byId = positions => Object.fromEntries(positions.map(({ id, x, y }) => [id, { x, y }]));
+  let testDir;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('expandToGroups brings along everything grouped with the stickers', () => {
+    const groups = new Map([['a', 'g1'], ['b', 'g1'], ['c', 'g2']]);
+
+    expect(expandToGroups(['a'], groups).sort()).toEqual(['a', 'b']);
+    expect(expandToGroups(['d', 'c'], groups).sort()).toEqual(['c', 'd']);
+    expect(expandToGroups(['d'])).toEqual(['d']);
+    expect(normalizeStickerGroup('  g1 ')).toBe('g1');
+    expect(normalizeStickerGroup('')).toBeNull();
+  });
+
+  test('findStickersInRect selects what the lasso touches, whichever way it was drawn', () => {
+    const stickers = [box('a', 0, 0), box('b', 300, 0), box('c', 0, 300)];
+
+    expect(findStickersInRect(stickers, { x: 150, y: 50, width: 200, height: 20 })).toEqual(['a', 'b']);
+    expect(findStickersInRect(stickers, { x: 350, y: 350, width: -300, height: -20 })).toEqual(['c']);
+    expect(findStickersInRect(stickers, { x: 200, y: 100, width: 100, height: 200 })).toEqual([]);
+  });
+
+  test('align and distribute move grouped stickers as one', () => {
+    const stickers = [box('a', 40, 10), box('b', 100, 200), box('c', 70, 400), box('d', 300, 400, 100)];
+    const groups = new Map([['c', 'g'], ['d', 'g']]);
+
+    expect(byId(alignStickers(stickers, ALIGN_MODES.LEFT, groups))).toEqual({
+      a: { x: 40, y: 10 },
+      b: { x: 40, y: 200 },
+      c: { x: 40, y: 400 },
+      d: { x: 270, y: 400 }
+    });
+    expect(byId(alignStickers(stickers.slice(0, 2), ALIGN_MODES.TOP))).toEqual({ a: { x: 40, y: 10 }, b: { x: 100, y: 10 } });
+
+    // The first and last keep their place and the gaps between them become equal
+    const row = [box('a', 0, 0, 100), box('b', 130, 0, 100), box('c', 500, 0, 200)];
+    expect(byId(alignStickers(row, ALIGN_MODES.DISTRIBUTE_HORIZONTALLY))).toEqual({
+      a: { x: 0, y: 0 },
+      b: { x: 250, y: 0 },
+      c: { x: 500, y: 0 }
+    });
+
+    // Distributing needs three units; a group counts once
+    expect(byId(alignStickers([box('a', 0, 0), box('b', 0, 10), box('c', 0, 900)], ALIGN_MODES.DISTRIBUTE_VERTICALLY, new Map([['b', 'g'], ['c', 'g']]))))
+      .toEqual({ a: { x: 0, y: 0 }, b: { x: 0, y: 10 }, c: { x: 0, y: 900 } });
+  });
+
+  test('groups are saved with the stickers and can be changed for several stickers at once', async () => {
+    const record = createStickerRecord({ id: 's', group: 'g1' });
+    expect(record.group).toBe('g1');
+    expect(createStickerRecord({ id: 's', content: 'moved' }, record).group).toBe('g1');
+    expect(createStickerRecord({ id: 's', group: null }, record)).not.toHaveProperty('group');
+
+    const manager = new StickerDataManager(testDir);
+    await manager.updateSticker({ id: 'a', content: 'first', position: { x: 10, y: 20 } });
+    await manager.updateSticker({ id: 'b', content: 'second', tags: ['work'] });
+
+    const result = await manager.updateStickers(['a', 'b', 'gone'], existing => ({
+      group: 'g2',
+      tags: [...(existing.tags || []), 'urgent']
+    }));
+    expect(result.success).toBe(true);
+    expect(result.stickers.map(sticker => [sticker.id, sticker.group, sticker.tags]))
+      .toEqual([['a', 'g2', ['urgent']], ['b', 'g2', ['work', 'urgent']]]);
+
+    const stickers = await manager.loadStickerData();
+    const first = stickers.find(sticker => sticker.id === 'a');
+    expect(first).toMatchObject({ content: 'first', position: { x: 10, y: 20 }, group: 'g2' });
+  });
+});
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  StickerJournal,
+  JOURNAL_OPS,
+  applyJournalEntries
+} from '../../utils/stickerJournal.js';
+
+describe('Sticker Journal', () => {
+  let testDir;
+  let journal;
+
+  const baseStore = () => ({
+    version: 'v2',
+    savedAt: '2026-01-01T00:00:00.000Z',
+    stickers: [
+      {
+        id: 'a',
+        type: 'text',
+        content: 'Original',
+        position: { x: 0, y: 0 },
+        size: { width: 250, height: 80 },
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:00:00.000Z'
+      }
+    ]
+  });
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+    journal = new StickerJournal(path.join(testDir, 'stickers.journal'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('readEntries returns empty array when the journal does not exist', async () => {
+    expect(await journal.readEntries()).toEqual([]);
+    expect(journal.entryCount).toBe(0);
+  });
+
+  test('append writes entries that readEntries returns in order', async () => {
+    await journal.append([{ op: JOURNAL_OPS.UPDATE_CONTENT, id: 'a', data: { content: 'One' } }]);
+    await journal.append([{ op: JOURNAL_OPS.MOVE, id: 'a', data: { position: { x: 5, y: 6 } } }]);
+
+    const entries = await journal.readEntries();
+
+    expect(entries.map(entry => entry.op)).toEqual([JOURNAL_OPS.UPDATE_CONTENT, JOURNAL_OPS.MOVE]);
+    expect(typeof entries[0].at).toBe('string');
+  });
+
+  test('readEntries ignores a torn last line', async () => {
+    await journal.append([{ op: JOURNAL_OPS.UPDATE_CONTENT, id: 'a', data: { content: 'Kept' } }]);
+    fs.appendFileSync(journal.filePath, '{"op":"update-content","id":"a","da');
+
+    const entries = await journal.readEntries();
+
+    expect(entries.length).toBe(1);
+    expect(entries[0].data.content).toBe('Kept');
+  });
+
+  test('append starts a new line after a torn last line', async () => {
+    await journal.append([{ op: JOURNAL_OPS.UPDATE_CONTENT, id: 'a', data: { content: 'Kept' } }]);
+    fs.appendFileSync(journal.filePath, '{"op":"update-content","id":"a","da');
+    await journal.append([{ op: JOURNAL_OPS.MOVE, id: 'a', data: { position: { x: 5, y: 6 } } }]);
+
+    const entries = await journal.readEntries();
+
+    expect(entries.map(entry => entry.op)).toEqual([JOURNAL_OPS.UPDATE_CONTENT, JOURNAL_OPS.MOVE]);
+    expect(entries[1].data.position).toEqual({ x: 5, y: 6 });
+  });
+
+  test('clear removes all entries', async () => {
+    await journal.append([{ op: JOURNAL_OPS.REMOVE, id: 'a' }]);
+    await journal.clear();
+
+    expect(fs.existsSync(journal.filePath)).toBe(false);
+    expect(await journal.readEntries()).toEqual([]);
+  });
+
+  test('applyJournalEntries applies create, update, move, resize and remove', () => {
+    const at = '2026-01-02T00:00:00.000Z';
+    const store = applyJournalEntries(baseStore(), [
+      { op: JOURNAL_OPS.CREATE, id: 'b', at, data: { type: 'text', content: 'New', position: { x: 1, y: 1 }, size: { width: 100, height: 100 } } },
+      { op: JOURNAL_OPS.UPDATE_CONTENT, id: 'a', at, data: { content: 'Changed' } },
+      { op: JOURNAL_OPS.MOVE, id: 'a', at, data: { position: { x: 10, y: 20 } } },
+      { op: JOURNAL_OPS.RESIZE, id: 'a', at, data: { size: { width: 300, height: 90 } } },
+      { op: JOURNAL_OPS.REMOVE, id: 'b', at }
+    ]);
+
+    expect(store.stickers.length).toBe(1);
+    expect(store.stickers[0]).toEqual({
+      ...baseStore().stickers[0],
+      content: 'Changed',
+      position: { x: 10, y: 20 },
+      size: { width: 300, height: 90 },
+      updatedAt: at
+    });
+  });
+
+  test('applyJournalEntries is idempotent when replayed over its own result', () => {
+    const entries = [
+      { op: JOURNAL_OPS.UPDATE_CONTENT, id: 'a', at: '2026-01-02T00:00:00.000Z', data: { content: 'First' } },
+      { op: JOURNAL_OPS.UPDATE_CONTENT, id: 'a', at: '2026-01-03T00:00:00.000Z', data: { content: 'Second' } }
+    ];
+
+    const once = applyJournalEntries(baseStore(), entries);
+    const twice = applyJournalEntries(once, entries);
+
+    expect(twice).toEqual(once);
+  });
+});
@@ -0,0 +1,94 @@
+import {
+  LAYOUT_STRATEGIES,
+  DEFAULT_LAYOUT_OPTIONS,
+  normalizeLayoutOptions,
+  calculateLayout
+} from '../../utils/stickerLayout.js';
+
+describe('Sticker Layout', () => {
+  const workArea = { x: 0, y: 0, width: 1000, height: 800 };
+  const spacing = { gap: 10, margin: 20, bottomMargin: 20 };
+  const sticker = (id, x, y, width = 200, height = 100, tags = []) => ({ id, x, y, width, height, tags });
+  const arrange = (stickers, strategy, options = {}) => {
+    const positions = calculateLayout(stickers, workArea, { ...spacing, strategy, ...options });
+    return Object.fromEntries(positions.map(({ id, x, y }) => [id, [x, y]]));
+  };
+
+  test('normalizeLayoutOptions falls back to the column stacker and clamps gaps and margins', () => {
+    expect(normalizeLayoutOptions(undefined)).toEqual(DEFAULT_LAYOUT_OPTIONS);
+    expect(normalizeLayoutOptions({ strategy: 'spiral', gap: -5, margin: '30', bottomMargin: 5000 })).toEqual({
+      strategy: LAYOUT_STRATEGIES.COLUMNS,
+      gap: 0,
+      margin: 30,
+      bottomMargin: 800
+    });
+  });
+
+  test('columns stack at the first sticker\'s position and wrap to the right past the bottom margin', () => {
+    const stickers = [sticker('c', 0, 500, 150, 400), sticker('a', 300, 10, 200, 300), sticker('b', 0, 200, 250, 300)];
+
+    expect(arrange(stickers, LAYOUT_STRATEGIES.COLUMNS)).toEqual({
+      a: [300, 20],
+      b: [300, 330],
+      c: [560, 20]
+    });
+    expect(calculateLayout([], workArea)).toEqual([]);
+  });
+
+  test('grid fills equal cells row by row, and masonry fills the shortest column', () => {
+    const stickers = [
+      sticker('a', 0, 0, 200, 300),
+      sticker('b', 100, 0, 150, 100),
+      sticker('c', 200, 0, 200, 100),
+      sticker('d', 300, 0, 200, 100),
+      sticker('e', 0, 400, 200, 100)
+    ];
+
+    const grid = arrange(stickers, LAYOUT_STRATEGIES.GRID);
+    expect(grid).toMatchObject({ a: [20, 20], b: [230, 20], d: [650, 20], e: [20, 330] });
+
+    const masonry = arrange(stickers, LAYOUT_STRATEGIES.MASONRY);
+    expect(masonry).toMatchObject({ a: [20, 20], d: [650, 20], e: [230, 130] });
+  });
+
+  test('cascade offsets each sticker by a header bar and starts again when it runs out of room', () => {
+    const stickers = [1, 2, 3, 4].map(n => sticker(`s${n}`, 0, n, 200, 700));
+
+    expect(arrange(stickers, LAYOUT_STRATEGIES.CASCADE)).toEqual({
+      s1: [20, 20],
+      s2: [56, 56],
+      s3: [102, 20],
+      s4: [138, 56]
+    });
+  });
+
+  test('dock-right lines stickers up against the right edge of each display\'s work area', () => {
+    const secondDisplay = { x: 1920, y: 40, width: 1000, height: 800 };
+    const positions = calculateLayout(
+      [sticker('a', 2000, 100, 200, 500), sticker('b', 2000, 300, 300, 500)],
+      secondDisplay,
+      { ...spacing, strategy: LAYOUT_STRATEGIES.DOCK_RIGHT }
+    );
+
+    expect(positions).toEqual([
+      { id: 'a', x: 2700, y: 60 },
+      { id: 'b', x: 2390, y: 60 }
+    ]);
+  });
+
+  test('by-tag gives each tag its own columns, alphabetically, with untagged stickers last', () => {
+    const stickers = [
+      sticker('untagged', 0, 0),
+      sticker('work', 0, 10, 200, 100, ['work', 'home']),
+      sticker('home', 0, 20, 250, 100, ['Home']),
+      sticker('home2', 0, 30, 200, 100, ['home'])
+    ];
+
+    expect(arrange(stickers, LAYOUT_STRATEGIES.BY_TAG)).toEqual({
+      home: [20, 20],
+      home2: [20, 130],
+      work: [280, 20],
+      untagged: [490, 20]
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  REMINDER_RECURRENCES,
+  normalizeReminder,
+  getReminderTime,
+  isReminderDue,
+  getNextOccurrence,
+  snoozeReminder,
+  dismissReminder
+} from '../../utils/stickerReminders.js';
+import { validateStickerReminder, validateStickerRecord } from '../../utils/contentLoader.js';
+import { createStickerRecord } from '../../utils/stickerStore.js';
+
+describe('Sticker Reminders', () => {
+  // Local times, so the tests hold in any time zone
+  const at = (year, month, day, hours = 9, minutes = 0) => new Date(year, month - 1, day, hours, minutes);
+  const iso = (...args) => at(...args).toISOString();
+
+  test('normalizeReminder keeps valid reminders and drops broken ones', () => {
+    expect(normalizeReminder({ dueAt: iso(2026, 3, 2), recurrence: 'daily' }))
+      .toEqual({ dueAt: iso(2026, 3, 2), recurrence: 'daily' });
+    expect(normalizeReminder({ dueAt: iso(2026, 3, 2), recurrence: 'hourly', snoozedUntil: 'soon' }))
+      .toEqual({ dueAt: iso(2026, 3, 2), recurrence: REMINDER_RECURRENCES.NONE });
+    expect(normalizeReminder({ dueAt: 'tomorrow' })).toBeNull();
+    expect(normalizeReminder(null)).toBeNull();
+  });
+
+  test('a snoozed reminder goes off at the end of its snooze', () => {
+    const reminder = { dueAt: iso(2026, 3, 2), recurrence: 'none' };
+    const snoozed = snoozeReminder(reminder, 15, at(2026, 3, 2, 9, 1).getTime());
+
+    expect(snoozed.dueAt).toBe(reminder.dueAt);
+    expect(getReminderTime(snoozed)).toBe(at(2026, 3, 2, 9, 16).getTime());
+    expect(isReminderDue(snoozed, at(2026, 3, 2, 9, 10).getTime())).toBe(false);
+    expect(isReminderDue(snoozed, at(2026, 3, 2, 9, 16).getTime())).toBe(true);
+  });
+
+  test('getNextOccurrence steps daily, weekly and over weekends', () => {
+    // 2026-03-06 is a Friday
+    const friday = iso(2026, 3, 6);
+
+    expect(getNextOccurrence(friday, 'daily', at(2026, 3, 6, 9, 5).getTime())).toBe(iso(2026, 3, 7));
+    expect(getNextOccurrence(friday, 'weekly', at(2026, 3, 6, 9, 5).getTime())).toBe(iso(2026, 3, 13));
+    expect(getNextOccurrence(friday, 'weekdays', at(2026, 3, 6, 9, 5).getTime())).toBe(iso(2026, 3, 9));
+    expect(getNextOccurrence(friday, 'none', at(2026, 3, 6, 9, 5).getTime())).toBeNull();
+
+    // Occurrences missed long ago are skipped, keeping the time of day
+    expect(getNextOccurrence(iso(2025, 1, 1), 'daily', at(2026, 3, 6, 12).getTime())).toBe(iso(2026, 3, 7));
+    expect(getNextOccurrence(iso(2025, 1, 1), 'daily', at(2026, 3, 6, 8).getTime())).toBe(iso(2026, 3, 6));
+  });
+
+  test('dismissing removes one-off reminders and moves recurring ones on', () => {
+    const now = at(2026, 3, 2, 9, 30).getTime();
+
+    expect(dismissReminder({ dueAt: iso(2026, 3, 2), recurrence: 'none' }, now)).toBeNull();
+    expect(dismissReminder({ dueAt: iso(2026, 3, 2), recurrence: 'daily', snoozedUntil: iso(2026, 3, 2, 9, 10) }, now))
+      .toEqual({ dueAt: iso(2026, 3, 3), recurrence: 'daily' });
+  });
+
+  test('records keep their reminder until it is set to null', () => {
+    const reminder = { dueAt: iso(2026, 3, 2), recurrence: 'weekly' };
+    const record = createStickerRecord({ id: 's', reminder });
+
+    expect(record.reminder).toEqual(reminder);
+    expect(validateStickerRecord(record)).toBe(true);
+    expect(createStickerRecord({ id: 's', content: 'edited' }, record).reminder).toEqual(reminder);
+    expect(createStickerRecord({ id: 's', reminder: null }, record).reminder).toBeUndefined();
+
+    expect(validateStickerReminder({ dueAt: 'never', recurrence: 'none' })).toBe(false);
+    expect(validateStickerRecord({ ...record, reminder: { ...reminder, recurrence: 'hourly' } })).toBe(false);
+  });
+});
@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { StickerRevisionLog, diffLines } from '../../utils/stickerRevisions.js';
+
+describe('Sticker Revisions', () => {
+  let testDir;
+  let revisions;
+  const start = Date.parse('2026-01-01T00:00:00.000Z');
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+    revisions = new StickerRevisionLog(path.join(testDir, 'revisions'), { limit: 3, coalesceMs: 60000 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('getRevisions returns empty array for a sticker without history', async () => {
+    expect(await revisions.getRevisions('none')).toEqual([]);
+  });
+
+  test('record coalesces edits within the window into one revision', async () => {
+    await revisions.record('a', 'H', { now: start });
+    await revisions.record('a', 'He', { now: start + 1000 });
+    await revisions.record('a', 'Hello', { now: start + 2000 });
+
+    const result = await revisions.getRevisions('a');
+
+    expect(result.length).toBe(1);
+    expect(result[0].content).toBe('Hello');
+    expect(result[0].startedAt).toBe(new Date(start).toISOString());
+  });
+
+  test('record starts a new revision after the window', async () => {
+    await revisions.record('a', 'First', { now: start });
+    await revisions.record('a', 'Second', { now: start + 61000 });
+
+    const result = await revisions.getRevisions('a');
+
+    expect(result.map(revision => revision.rev)).toEqual([1, 2]);
+  });
+
+  test('record never coalesces when asked not to', async () => {
+    await revisions.record('a', 'First', { now: start });
+    await revisions.record('a', 'Rolled back', { now: start + 1000, coalesce: false });
+
+    expect((await revisions.getRevisions('a')).length).toBe(2);
+  });
+
+  test('record ignores unchanged content', async () => {
+    await revisions.record('a', 'Same', { now: start });
+    expect(await revisions.record('a', 'Same', { now: start + 120000 })).toBeNull();
+  });
+
+  test('record keeps only the newest revisions up to the limit', async () => {
+    for (let i = 0; i < 5; i++) {
+      await revisions.record('a', `Version ${i}`, { now: start + i * 120000 });
+    }
+
+    const result = await revisions.getRevisions('a');
+
+    expect(result.map(revision => revision.rev)).toEqual([3, 4, 5]);
+    expect(await revisions.getRevision('a', 1)).toBeNull();
+    expect((await revisions.getRevision('a', 5)).content).toBe('Version 4');
+  });
+
+  test('prune deletes the revision files of every sticker not kept', async () => {
+    await revisions.record('kept', 'Kept', { now: start });
+    await revisions.record('gone', 'Gone', { now: start });
+    await revisions.record('a/b', 'Encoded', { now: start });
+
+    expect(await revisions.prune(['kept', 'a/b'])).toBe(1);
+
+    expect(await revisions.getRevisions('gone')).toEqual([]);
+    expect((await revisions.getRevisions('kept')).length).toBe(1);
+    expect((await revisions.getRevisions('a/b')).length).toBe(1);
+    expect(await new StickerRevisionLog(path.join(testDir, 'missing')).prune([])).toBe(0);
+  });
+
+  test('diffLines reports added, removed and unchanged lines', () => {
+    expect(diffLines('milk\neggs\nbread', 'milk\nbread\ncheese')).toEqual([
+      { type: 'equal', text: 'milk' },
+      { type: 'removed', text: 'eggs' },
+      { type: 'equal', text: 'bread' },
+      { type: 'added', text: 'cheese' }
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+import { StickerSearchIndex, buildSnippet } from '../../utils/stickerSearch.js';
+import { createStickerRecord } from '../../utils/stickerStore.js';
+
+describe('Sticker Search', () => {
+  const stickers = [
+    createStickerRecord({ id: 'plumber', content: 'Buy milk and eggs\nthen call the plumber about the kitchen sink' }, null, '2026-01-01T00:00:00.000Z'),
+    createStickerRecord({ id: 'release', title: 'Release checklist', content: 'tag the build\npublish', tags: ['work'] }, null, '2026-01-03T00:00:00.000Z'),
+    createStickerRecord({ id: 'dentist', content: 'Dentist on Friday', tags: ['personal'] }, null, '2026-01-02T00:00:00.000Z')
+  ];
+  const index = new StickerSearchIndex(stickers);
+
+  const snippetText = result => result.snippet.map(segment => segment.text).join('');
+  const highlighted = result => result.snippet.filter(segment => segment.match).map(segment => segment.text);
+
+  test('finds words anywhere in the content and highlights them', () => {
+    const [result] = index.search('plumber');
+
+    expect(result).toMatchObject({ stickerId: 'plumber', label: 'Buy milk and eggs', field: 'content' });
+    expect(highlighted(result)).toEqual(['plumber']);
+    expect(snippetText(result)).toContain('call the plumber about');
+  });
+
+  test('tolerates typos and searches titles and tags', () => {
+    expect(index.search('relese')[0]).toMatchObject({ stickerId: 'release', field: 'title' });
+    expect(index.search('personal').map(result => result.stickerId)).toEqual(['dentist']);
+    expect(index.search('personal')[0].tags).toEqual(['personal']);
+    expect(index.search('zzzz')).toEqual([]);
+  });
+
+  test('an empty query lists the most recently changed stickers', () => {
+    expect(index.search('  ').map(result => result.stickerId)).toEqual(['release', 'dentist', 'plumber']);
+    expect(index.search('', 1).length).toBe(1);
+  });
+
+  test('buildSnippet cuts long text around the longest match', () => {
+    const text = `${'a'.repeat(200)}needle\n${'b'.repeat(200)}`;
+    const snippet = buildSnippet(text, [[10, 11], [200, 205]], 60);
+
+    expect(snippet[0]).toEqual({ text: '…', match: false });
+    expect(snippet[snippet.length - 1]).toEqual({ text: '…', match: false });
+    expect(snippet.filter(segment => segment.match)).toEqual([{ text: 'needle', match: true }]);
+    expect(snippet.map(segment => segment.text).join('')).not.toContain('\n');
+
+    expect(buildSnippet('short', [])).toEqual([{ text: 'short', match: false }]);
+  });
+});
@@ -0,0 +1,61 @@
+import {
+  DEFAULT_SNAP_OPTIONS,
+  normalizeSnapOptions,
+  snapPosition,
+  snapResize
+} from '../../utils/stickerSnapping.js';
+
+describe('Sticker Snapping', () => {
+  const workArea = { x: 0, y: 0, width: 1920, height: 1040 };
+  const size = { width: 250, height: 200 };
+
+  test('normalizeSnapOptions fills in defaults and clamps the grid and snap distance', () => {
+    expect(normalizeSnapOptions(null)).toEqual(DEFAULT_SNAP_OPTIONS);
+    expect(normalizeSnapOptions({ enabled: false, gridSize: 500, threshold: 0, screenEdges: 'no' })).toEqual({
+      ...DEFAULT_SNAP_OPTIONS,
+      enabled: false,
+      gridSize: 200,
+      threshold: 1
+    });
+    expect(normalizeSnapOptions({ gridSize: '' }).gridSize).toBe(DEFAULT_SNAP_OPTIONS.gridSize);
+  });
+
+  test('a dragged sticker lands on the grid, counted from the work area\'s corner', () => {
+    expect(snapPosition({ x: 133, y: 71, ...size }, { workArea })).toEqual({ x: 140, y: 80 });
+    expect(snapPosition({ x: 133, y: 71, ...size }, { workArea: { ...workArea, x: 1925 } })).toEqual({ x: 125, y: 80 });
+    expect(snapPosition({ x: 133, y: 71, ...size }, { workArea, options: { gridSize: 0 } })).toEqual({ x: 133, y: 71 });
+    expect(snapPosition({ x: 133, y: 71, ...size }, { workArea, options: { enabled: false } })).toEqual({ x: 133, y: 71 });
+  });
+
+  test('edges of the screen and of level neighbours pull the sticker in', () => {
+    // The right edge reaches the screen edge
+    expect(snapPosition({ x: 1664, y: 300, ...size }, { workArea })).toEqual({ x: 1670, y: 300 });
+
+    // Flush against a neighbour's right edge and aligned with its top
+    const neighbour = { x: 400, y: 303, width: 250, height: 300 };
+    expect(snapPosition({ x: 657, y: 297, ...size }, { workArea, neighbours: [neighbour] })).toEqual({ x: 650, y: 303 });
+
+    // A neighbour far above doesn't pull sideways; the grid applies instead
+    const farAbove = { ...neighbour, y: -600 };
+    expect(snapPosition({ x: 657, y: 297, ...size }, { workArea, neighbours: [farAbove] })).toEqual({ x: 660, y: 300 });
+    expect(snapPosition({ x: 657, y: 297, ...size }, { workArea, neighbours: [neighbour], options: { stickerEdges: false } }))
+      .toEqual({ x: 660, y: 300 });
+  });
+
+  test('only the edges being resized snap, and never below the minimum size', () => {
+    const previous = { x: 100, y: 100, ...size };
+    expect(snapResize({ x: 100, y: 100, width: 263, height: 200 }, previous, { workArea })).toEqual({ x: 100, y: 100, width: 260, height: 200 });
+
+    // Dragging the left edge keeps the right edge where it was
+    expect(snapResize({ x: 87, y: 100, width: 263, height: 200 }, previous, { workArea })).toEqual({ x: 80, y: 100, width: 270, height: 200 });
+
+    // The bottom edge sticks to a neighbour's top rather than the grid
+    const below = { x: 120, y: 415, width: 250, height: 100 };
+    expect(snapResize({ x: 100, y: 100, width: 250, height: 309 }, previous, { workArea, neighbours: [below] }))
+      .toEqual({ x: 100, y: 100, width: 250, height: 315 });
+
+    const small = { x: 100, y: 100, width: 150, height: 80 };
+    expect(snapResize({ x: 100, y: 100, width: 150, height: 88 }, small, { workArea, minSize: { width: 150, height: 89 } }))
+      .toEqual({ x: 100, y: 100, width: 150, height: 88 });
+  });
+});
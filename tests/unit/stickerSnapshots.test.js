@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { StickerSnapshots, summarizeStore, readSnapshotFile } from '../../utils/stickerSnapshots.js';
+import { createEmptyStore, createStickerRecord } from '../../utils/stickerStore.js';
+
+describe('Sticker Snapshots', () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = Date.parse('2026-03-15T12:00:00.000Z');
+  let testDir;
+  let snapshots;
+
+  const storeWith = (...contents) => ({
+    ...createEmptyStore(),
+    stickers: contents.map((content, index) => createStickerRecord({ id: String(index + 1), content }))
+  });
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+    snapshots = new StickerSnapshots(path.join(testDir, 'snapshots'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('summarizeStore counts stickers and previews the first few', () => {
+    expect(summarizeStore(storeWith('One', '', 'Three\nmore', 'Four'))).toEqual({
+      stickerCount: 4,
+      preview: ['One', 'Empty sticker', 'Three']
+    });
+  });
+
+  test('create writes a backup-named snapshot and list returns it newest first', async () => {
+    await snapshots.create(storeWith('Older'), 'scheduled', { now: now - HOUR });
+    const created = await snapshots.create(storeWith('Newer', 'Second'), 'manual', { now });
+
+    expect(path.basename(created.path)).toBe('stickers.json.manual-2026-03-15T12-00-00.000Z');
+    expect(created.preview).toEqual(['Newer', 'Second']);
+
+    const listed = await snapshots.list();
+    expect(listed).toEqual([
+      { path: created.path, reason: 'manual', time: now },
+      { path: expect.any(String), reason: 'scheduled', time: now - HOUR }
+    ]);
+    expect((await readSnapshotFile(listed[1].path)).stickers[0].content).toBe('Older');
+    expect(await snapshots.getLatestTime()).toBe(now);
+  });
+
+  test('list goes by file name and readSnapshotFile rejects files that are not valid stores', async () => {
+    await snapshots.create(storeWith('Good'), 'manual', { now });
+    fs.writeFileSync(
+      path.join(snapshots.dirPath, 'stickers.json.manual-2026-03-15T11-00-00.000Z'),
+      '{"not": "a store"}'
+    );
+    fs.writeFileSync(path.join(snapshots.dirPath, 'notes.txt'), 'Not a snapshot');
+
+    const listed = await snapshots.list();
+    expect(listed.length).toBe(2);
+    expect(await readSnapshotFile(listed[0].path)).not.toBeNull();
+    expect(await readSnapshotFile(listed[1].path)).toBeNull();
+  });
+
+  test('create prunes snapshots beyond the retention policy', async () => {
+    snapshots = new StickerSnapshots(path.join(testDir, 'snapshots'), {
+      retention: { keepLast: 2, keepDailyDays: 0, keepWeeklyWeeks: 0 }
+    });
+
+    const created = [];
+    for (let hours = 3; hours >= 0; hours--) {
+      created.push(await snapshots.create(storeWith(`${hours} hours ago`), 'scheduled', { now: Date.now() - hours * HOUR }));
+    }
+
+    const listed = await snapshots.list();
+    expect(listed.map(snapshot => snapshot.path)).toEqual([created[3].path, created[2].path]);
+  });
+
+  test('getLatestTime is null when there are no snapshots', async () => {
+    expect(await snapshots.getLatestTime()).toBeNull();
+  });
+});
@@ -0,0 +1,100 @@
+import {
+  CONTENT_FORMATS,
+  createStickerRecord,
+  timestampFromLegacyId,
+  diffStores
+} from '../../utils/stickerStore.js';
+import { DEFAULT_APPEARANCE } from '../../utils/stickerAppearance.js';
+
+describe('Sticker Store', () => {
+  test('createStickerRecord fills in defaults for a new sticker', () => {
+    const now = '2026-01-01T00:00:00.000Z';
+    const record = createStickerRecord({ id: 'a', content: 'Hello' }, null, now);
+
+    expect(record).toEqual({
+      id: 'a',
+      type: 'text',
+      format: 'plain',
+      content: 'Hello',
+      position: { x: 0, y: 0 },
+      size: { width: 250, height: 80 },
+      appearance: DEFAULT_APPEARANCE,
+      pinned: false,
+      collapsed: false,
+      createdAt: now,
+      updatedAt: now
+    });
+  });
+
+  test('createStickerRecord keeps createdAt and extra fields of an existing record', () => {
+    const existing = createStickerRecord({ id: 'a' }, null, '2026-01-01T00:00:00.000Z');
+    const record = createStickerRecord(
+      { id: 'a', content: 'Changed' },
+      { ...existing, extra: true },
+      '2026-01-02T00:00:00.000Z'
+    );
+
+    expect(record.createdAt).toBe('2026-01-01T00:00:00.000Z');
+    expect(record.updatedAt).toBe('2026-01-02T00:00:00.000Z');
+    expect(record.extra).toBe(true);
+  });
+
+  test('createStickerRecord keeps the content format unless it is changed', () => {
+    const markdown = createStickerRecord({ id: 'a', content: '# Title', format: CONTENT_FORMATS.MARKDOWN });
+    expect(markdown.format).toBe('markdown');
+
+    // Saves that don't carry the format (e.g. on quit) keep it
+    expect(createStickerRecord({ id: 'a', content: '# Title' }, markdown).format).toBe('markdown');
+    expect(createStickerRecord({ id: 'a', format: CONTENT_FORMATS.PLAIN }, markdown).format).toBe('plain');
+    expect(createStickerRecord({ id: 'a', format: '<script>' }).format).toBe('plain');
+  });
+
+  test('createStickerRecord keeps the pin unless it is changed', () => {
+    const pinned = createStickerRecord({ id: 'a', pinned: true });
+    expect(pinned.pinned).toBe(true);
+
+    expect(createStickerRecord({ id: 'a', content: 'Moved' }, pinned).pinned).toBe(true);
+    expect(createStickerRecord({ id: 'a', pinned: false }, pinned).pinned).toBe(false);
+    expect(createStickerRecord({ id: 'a', pinned: 'yes' }).pinned).toBe(false);
+  });
+
+  test('collapsed records remember their expanded height until they are expanded', () => {
+    const collapsed = createStickerRecord({ id: 'a', size: { width: 250, height: 36 }, collapsed: true, expandedHeight: 300 });
+    expect(collapsed).toMatchObject({ collapsed: true, expandedHeight: 300 });
+
+    // Saves that don't carry the state (e.g. on quit) keep it
+    expect(createStickerRecord({ id: 'a', size: { width: 250, height: 36 } }, collapsed)).toMatchObject({ collapsed: true, expandedHeight: 300 });
+
+    const expanded = createStickerRecord({ id: 'a', size: { width: 250, height: 300 }, collapsed: false }, collapsed);
+    expect(expanded.collapsed).toBe(false);
+    expect(expanded.expandedHeight).toBeUndefined();
+  });
+
+  test('timestampFromLegacyId only accepts timestamp IDs', () => {
+    expect(timestampFromLegacyId('1700000000000')).toBe(new Date(1700000000000).toISOString());
+    expect(timestampFromLegacyId('sticker-1')).toBeNull();
+  });
+
+  test('diffStores reports added, updated and removed stickers but ignores updatedAt', () => {
+    const before = {
+      stickers: [
+        createStickerRecord({ id: 'kept', content: 'Same' }, null, '2026-01-01T00:00:00.000Z'),
+        createStickerRecord({ id: 'edited', content: 'Old' }),
+        createStickerRecord({ id: 'gone' })
+      ]
+    };
+    const after = {
+      stickers: [
+        createStickerRecord({ id: 'kept', content: 'Same' }, before.stickers[0], '2026-01-02T00:00:00.000Z'),
+        createStickerRecord({ id: 'edited', content: 'New' }, before.stickers[1]),
+        createStickerRecord({ id: 'new' })
+      ]
+    };
+
+    const diff = diffStores(before, after);
+
+    expect(diff.added.map(record => record.id)).toEqual(['new']);
+    expect(diff.updated.map(record => record.id)).toEqual(['edited']);
+    expect(diff.removed).toEqual(['gone']);
+  });
+});
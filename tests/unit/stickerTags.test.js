@@ -0,0 +1,49 @@
+import {
+  MAX_TITLE_LENGTH,
+  normalizeTitle,
+  normalizeTags,
+  hasTag,
+  collectTags
+} from '../../utils/stickerTags.js';
+import { validateStickerRecord } from '../../utils/contentLoader.js';
+import { createStickerRecord } from '../../utils/stickerStore.js';
+import { getTrashItemLabel } from '../../utils/stickerTrash.js';
+
+describe('Sticker Tags', () => {
+  test('normalizeTitle keeps a single trimmed line', () => {
+    expect(normalizeTitle('  Meeting\n notes ')).toBe('Meeting notes');
+    expect(normalizeTitle('x'.repeat(200)).length).toBe(MAX_TITLE_LENGTH);
+    expect(normalizeTitle(42)).toBe('');
+  });
+
+  test('normalizeTags reads comma-separated text and drops empty and duplicate tags', () => {
+    expect(normalizeTags('work, #Personal,, work ,WORK')).toEqual(['work', 'Personal']);
+    expect(normalizeTags(['  home  office ', 3, '#'])).toEqual(['home office']);
+    expect(normalizeTags(null)).toEqual([]);
+  });
+
+  test('tags are matched and collected case-insensitively', () => {
+    const stickers = [{ tags: ['Work', 'urgent'] }, { tags: ['personal', 'work'] }, {}];
+
+    expect(hasTag(stickers[0], 'work')).toBe(true);
+    expect(hasTag(stickers[0], '#URGENT')).toBe(true);
+    expect(hasTag(stickers[2], 'work')).toBe(false);
+    expect(hasTag(stickers[0], '')).toBe(false);
+    expect(collectTags(stickers)).toEqual(['personal', 'urgent', 'Work']);
+  });
+
+  test('records keep their title and tags unless they are changed', () => {
+    const record = createStickerRecord({ id: 's', content: 'Agenda', title: ' Standup ', tags: 'work, daily' });
+    expect(record).toMatchObject({ title: 'Standup', tags: ['work', 'daily'] });
+    expect(getTrashItemLabel(record)).toBe('Standup');
+    expect(validateStickerRecord(record)).toBe(true);
+
+    // Saves that don't carry them (e.g. on quit) keep them; empty ones remove them
+    expect(createStickerRecord({ id: 's', content: 'Agenda' }, record)).toMatchObject({ title: 'Standup', tags: ['work', 'daily'] });
+    const cleared = createStickerRecord({ id: 's', title: '', tags: [] }, record);
+    expect(cleared.title).toBeUndefined();
+    expect(cleared.tags).toBeUndefined();
+
+    expect(validateStickerRecord({ ...record, tags: 'work' })).toBe(false);
+  });
+});
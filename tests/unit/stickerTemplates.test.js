@@ -0,0 +1,118 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import StickerDataManager from '../../utils/stickerUtils.js';
+import {
+  DEFAULT_STICKER_TEMPLATES,
+  normalizeTemplates,
+  getTemplatePlaceholders,
+  fillPlaceholders,
+  createStickerFromTemplate
+} from '../../utils/stickerTemplates.js';
+import { createStickerRecord } from '../../utils/stickerStore.js';
+
+describe('Sticker Templates', () => {
+  const now = new Date(2026, 0, 2, 9, 30);
+
+  test('fillPlaceholders fills in the date, time and clipboard but leaves unknown placeholders', () => {
+    const text = fillPlaceholders('{{date}} {{ TIME }}: {{clipboard}} {{weather}}', { now, clipboard: 'Call Ann' });
+
+    expect(text).toBe(
+      `${now.toLocaleDateString()} ${now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}: Call Ann {{weather}}`
+    );
+  });
+
+  test('normalizeTemplates sanitizes templates and keeps their IDs unique', () => {
+    const templates = normalizeTemplates([
+      { id: 'a', name: '  Daily   note ', size: { width: 5000, height: 'tall' }, tags: '#work, Work', type: 'board' },
+      { id: 'a', name: '' },
+      'not a template'
+    ]);
+
+    expect(templates).toHaveLength(2);
+    expect(templates[0]).toMatchObject({
+      id: 'a',
+      name: 'Daily note',
+      type: 'text',
+      format: 'plain',
+      size: { width: 1200, height: 80 },
+      tags: ['work']
+    });
+    expect(templates[1].id).not.toBe('a');
+    expect(templates[1].name).toBe('Untitled template');
+    expect(normalizeTemplates(DEFAULT_STICKER_TEMPLATES).map(template => template.id))
+      .toEqual(['standup', 'meeting-agenda', 'checklist', 'phone-message']);
+  });
+
+  test('createStickerFromTemplate fills in placeholders and carries size, appearance and tags', () => {
+    const template = {
+      id: 'call',
+      name: 'Call',
+      title: 'Call on {{date}}',
+      content: 'Message: {{clipboard}}',
+      size: { width: 300, height: 200 },
+      appearance: { background: '#c5e3ff' },
+      tags: ['phone']
+    };
+
+    expect(getTemplatePlaceholders(template)).toEqual(['date', 'clipboard']);
+
+    const stickerData = createStickerFromTemplate(template, { now, clipboard: 'Ring back' });
+    expect(stickerData).toMatchObject({
+      type: 'text',
+      title: `Call on ${now.toLocaleDateString()}`,
+      content: 'Message: Ring back',
+      size: { width: 300, height: 200 },
+      tags: ['phone']
+    });
+    expect(stickerData.appearance.background).toBe('#c5e3ff');
+
+    // The store keeps everything the template set
+    const record = createStickerRecord({ id: 'new', ...stickerData });
+    expect(record).toMatchObject({ title: stickerData.title, tags: ['phone'], size: { width: 300, height: 200 } });
+  });
+
+  test('checklist templates create stickers with their items', () => {
+    const stickerData = createStickerFromTemplate({ type: 'checklist', content: '- [ ] Milk\n- [x] {{clipboard}}' }, { clipboard: 'Bread' });
+
+    expect(stickerData.items.map(({ text, checked }) => ({ text, checked }))).toEqual([
+      { text: 'Milk', checked: false },
+      { text: 'Bread', checked: true }
+    ]);
+    expect(stickerData.content).toBe('- [ ] Milk\n- [x] Bread');
+  });
+
+  describe('saved templates', () => {
+    let testDir;
+
+    beforeEach(() => {
+      testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    test('are kept in the data directory, with the default ones until templates are saved', async () => {
+      const manager = new StickerDataManager(testDir);
+      expect((await manager.loadTemplates()).map(template => template.id))
+        .toEqual(DEFAULT_STICKER_TEMPLATES.map(template => template.id));
+
+      const result = await manager.saveTemplates([{ id: 'mine', name: ' Mine ', content: 'Hello' }]);
+      expect(result.success).toBe(true);
+      expect(result.templates).toEqual([expect.objectContaining({ id: 'mine', name: 'Mine' })]);
+      expect(await new StickerDataManager(testDir).loadTemplates()).toEqual(result.templates);
+    });
+
+    test('templates from older versions are taken over unless templates were saved already', async () => {
+      const manager = new StickerDataManager(testDir);
+
+      const first = await manager.importTemplates([{ id: 'old', name: 'Old' }]);
+      expect(first).toMatchObject({ success: true, imported: true });
+
+      const second = await manager.importTemplates([{ id: 'older', name: 'Older' }]);
+      expect(second).toMatchObject({ success: true, imported: false });
+      expect((await manager.loadTemplates()).map(template => template.id)).toEqual(['old']);
+    });
+  });
+});
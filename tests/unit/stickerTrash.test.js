@@ -0,0 +1,42 @@
+import { pruneTrashItems, getTrashItemLabel } from '../../utils/stickerTrash.js';
+
+describe('Sticker Trash', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.parse('2026-02-01T00:00:00.000Z');
+  const deletedDaysAgo = (id, days) => ({ id, deletedAt: new Date(now - days * DAY).toISOString() });
+
+  test('pruneTrashItems sorts most recently deleted first', () => {
+    const items = [deletedDaysAgo('old', 5), deletedDaysAgo('new', 1), deletedDaysAgo('mid', 3)];
+
+    const result = pruneTrashItems(items, { maxItems: 10, maxAgeDays: 30 }, now);
+
+    expect(result.map(item => item.id)).toEqual(['new', 'mid', 'old']);
+  });
+
+  test('pruneTrashItems drops items older than maxAgeDays', () => {
+    const items = [deletedDaysAgo('kept', 29), deletedDaysAgo('expired', 31)];
+
+    const result = pruneTrashItems(items, { maxItems: 10, maxAgeDays: 30 }, now);
+
+    expect(result.map(item => item.id)).toEqual(['kept']);
+  });
+
+  test('pruneTrashItems keeps at most maxItems', () => {
+    const items = [1, 2, 3, 4].map(days => deletedDaysAgo(`s${days}`, days));
+
+    const result = pruneTrashItems(items, { maxItems: 2, maxAgeDays: 30 }, now);
+
+    expect(result.map(item => item.id)).toEqual(['s1', 's2']);
+  });
+
+  test('getTrashItemLabel uses the first non-empty line', () => {
+    expect(getTrashItemLabel({ content: '\n  Shopping list  \nmilk' })).toBe('Shopping list');
+    expect(getTrashItemLabel({ content: '' })).toBe('Empty sticker');
+    expect(getTrashItemLabel({ content: 'x'.repeat(50) }, 10)).toBe(`${'x'.repeat(9)}…`);
+  });
+
+  test('getTrashItemLabel uses the first checklist item of a checklist sticker', () => {
+    const items = [{ id: 'a', text: ' ', checked: false }, { id: 'b', text: 'milk', checked: true }];
+    expect(getTrashItemLabel({ type: 'checklist', content: '- [ ]  \n- [x] milk', items })).toBe('milk');
+  });
+});
@@ -2,6 +2,10 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import StickerDataManager from '../../utils/stickerUtils.js';
+import { configureEncryption, lockEncryption, unlockEncryption } from '../../utils/encryption.js';
+import { validateStickerRecord } from '../../utils/contentLoader.js';
+import { isDataEntryName } from '../../utils/dataLocation.js';
+import { FileLock } from '../../utils/fileLock.js';
 
 describe('StickerDataManager', () => {
   // Create a temporary test directory
@@ -17,13 +21,7 @@ describe('StickerDataManager', () => {
   afterEach(() => {
     // Clean up test files after each test
     try {
-      if (fs.existsSync(testDir)) {
-        const files = fs.readdirSync(testDir);
-        for (const file of files) {
-          fs.unlinkSync(path.join(testDir, file));
-        }
-        fs.rmdirSync(testDir);
-      }
+      fs.rmSync(testDir, { recursive: true, force: true });
     } catch (error) {
       console.error('Error cleaning up test files:', error);
     }
@@ -33,6 +31,7 @@ describe('StickerDataManager', () => {
     expect(stickerManager.userDataPath).toBe(testDir);
     expect(stickerManager.layoutFilePath).toBe(path.join(testDir, 'stickers-layout.json'));
     expect(stickerManager.contentFilePath).toBe(path.join(testDir, 'stickers-content.json'));
+    expect(stickerManager.storeFilePath).toBe(path.join(testDir, 'stickers.json'));
   });
   
   test('loadLayoutData returns empty array for non-existent file', async () => {
@@ -262,6 +261,743 @@ describe('StickerDataManager', () => {
     expect(mergedData[0].id).toBe('sticker2');
   });
   
+  test('loadStickerData migrates v1 files into the versioned store', async () => {
+    await stickerManager.saveLayoutData([
+      { id: '1700000000000', position: { x: 10, y: 20 }, size: { width: 250, height: 80 } }
+    ]);
+    await stickerManager.saveContentData([
+      { id: '1700000000000', content: 'Migrated content' }
+    ]);
+    
+    const stickers = await stickerManager.loadStickerData();
+    
+    expect(stickers.length).toBe(1);
+    expect(stickers[0].content).toBe('Migrated content');
+    expect(stickers[0].type).toBe('text');
+    expect(stickers[0].createdAt).toBe(new Date(1700000000000).toISOString());
+    
+    // The store is written and the legacy files are retired, not deleted
+    const store = JSON.parse(fs.readFileSync(stickerManager.storeFilePath, 'utf8'));
+    expect(store.version).toBe('v2');
+    expect(store.stickers.length).toBe(1);
+    expect(fs.existsSync(stickerManager.layoutFilePath)).toBe(false);
+    expect(fs.existsSync(stickerManager.contentFilePath)).toBe(false);
+    expect(fs.readdirSync(testDir).some(file => file.startsWith('stickers-layout.json.migrated-'))).toBe(true);
+  });
+  
+  test('migration rolls back and keeps v1 files when the store cannot be written', async () => {
+    const layoutData = [
+      { id: '1', position: { x: 10, y: 20 }, size: { width: 250, height: 80 } }
+    ];
+    await stickerManager.saveLayoutData(layoutData);
+    await stickerManager.saveContentData([{ id: '1', content: 'Keep me' }]);
+    
+    // Fail every write that targets the store (including its temp file)
+    const originalWrite = fs.promises.writeFile;
+    fs.promises.writeFile = async (file, ...args) => {
+      if (String(file).startsWith(stickerManager.storeFilePath)) {
+        throw new Error('Simulated write failure');
+      }
+      return await originalWrite(file, ...args);
+    };
+    
+    let result;
+    try {
+      result = await stickerManager.checkAndMigrateData();
+    } finally {
+      fs.promises.writeFile = originalWrite;
+    }
+    
+    expect(result.success).toBe(false);
+    expect(result.migrated).toBe(false);
+    expect(fs.existsSync(stickerManager.storeFilePath)).toBe(false);
+    expect(await stickerManager.loadLayoutData()).toEqual(layoutData);
+  });
+  
+  test('updateSticker keeps createdAt and refreshes updatedAt', async () => {
+    await stickerManager.updateSticker({ id: 'meta', content: 'First' });
+    const [created] = await stickerManager.loadStickerData();
+    
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await stickerManager.updateSticker({ id: 'meta', content: 'Second' });
+    const [updated] = await stickerManager.loadStickerData();
+    
+    expect(updated.content).toBe('Second');
+    expect(updated.createdAt).toBe(created.createdAt);
+    expect(updated.updatedAt).not.toBe(created.updatedAt);
+    
+    // Only the versioned store is written for new data
+    expect(fs.existsSync(stickerManager.layoutFilePath)).toBe(false);
+    expect(fs.existsSync(stickerManager.contentFilePath)).toBe(false);
+  });
+  
+  test('saveStickers replaces the sticker set and keeps existing metadata', async () => {
+    await stickerManager.updateSticker({ id: 'a', content: 'A' });
+    const [original] = await stickerManager.loadStickerData();
+    
+    const saved = await stickerManager.saveStickers([
+      { id: 'a', content: 'A2', position: { x: 1, y: 2 }, size: { width: 300, height: 90 } },
+      { id: 'b', content: 'B' }
+    ]);
+    
+    expect(saved).toBe(true);
+    const stickers = await stickerManager.loadStickerData();
+    expect(stickers.map(s => s.id)).toEqual(['a', 'b']);
+    expect(stickers[0].createdAt).toBe(original.createdAt);
+    expect(stickers[0].position).toEqual({ x: 1, y: 2 });
+  });
+  
+  test('updateSticker appends to the journal instead of rewriting the store', async () => {
+    await stickerManager.saveStickers([{ id: 'j', content: 'Saved' }]);
+    const storeBefore = fs.readFileSync(stickerManager.storeFilePath, 'utf8');
+    
+    const result = await stickerManager.updateSticker({ id: 'j', content: 'Journaled' });
+    
+    expect(result.success).toBe(true);
+    expect(fs.readFileSync(stickerManager.storeFilePath, 'utf8')).toBe(storeBefore);
+    
+    const entries = await stickerManager.journal.readEntries();
+    expect(entries.map(entry => entry.op)).toEqual(['update-content']);
+  });
+  
+  test('loadStickerData recovers journaled edits after a crash and compacts them', async () => {
+    await stickerManager.saveStickers([{ id: 'c', content: 'Before crash' }]);
+    await stickerManager.updateSticker({ id: 'c', content: 'After crash', position: { x: 40, y: 50 } });
+    
+    // A fresh manager sees only what is on disk, like an app restart would
+    const restarted = new StickerDataManager(testDir);
+    const stickers = await restarted.loadStickerData();
+    
+    expect(stickers.length).toBe(1);
+    expect(stickers[0].content).toBe('After crash');
+    expect(stickers[0].position).toEqual({ x: 40, y: 50 });
+    
+    const store = JSON.parse(fs.readFileSync(restarted.storeFilePath, 'utf8'));
+    expect(store.stickers[0].content).toBe('After crash');
+    expect(fs.existsSync(restarted.journal.filePath)).toBe(false);
+  });
+  
+  test('removeSticker is replayed from the journal', async () => {
+    await stickerManager.saveStickers([{ id: 'x' }, { id: 'y' }]);
+    await stickerManager.removeSticker('x');
+    
+    expect(JSON.parse(fs.readFileSync(stickerManager.storeFilePath, 'utf8')).stickers.length).toBe(2);
+    
+    const stickers = await new StickerDataManager(testDir).loadStickerData();
+    expect(stickers.map(s => s.id)).toEqual(['y']);
+  });
+  
+  test('removeSticker moves the sticker to the trash', async () => {
+    await stickerManager.updateSticker({
+      id: 'closed',
+      content: 'Closed by mistake',
+      position: { x: 30, y: 40 },
+      size: { width: 200, height: 120 }
+    });
+    
+    await stickerManager.removeSticker('closed');
+    
+    expect(await stickerManager.loadStickerData()).toEqual([]);
+    
+    const recentlyClosed = await stickerManager.getRecentlyClosed();
+    expect(recentlyClosed.length).toBe(1);
+    expect(recentlyClosed[0].content).toBe('Closed by mistake');
+    expect(typeof recentlyClosed[0].deletedAt).toBe('string');
+  });
+
+  test('removeSticker deletes the history of stickers that drop out of the trash', async () => {
+    await stickerManager.updateSticker({ id: 'old', content: 'Closed long ago' });
+    await stickerManager.updateSticker({ id: 'new', content: 'Closed now' });
+    await stickerManager.removeSticker('old');
+
+    // Age the first removal past the retention period
+    const trash = JSON.parse(fs.readFileSync(stickerManager.trashFilePath, 'utf8'));
+    trash.items[0].deletedAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(stickerManager.trashFilePath, JSON.stringify(trash));
+
+    await stickerManager.removeSticker('new');
+
+    expect(await stickerManager.getStickerRevisions('old')).toEqual([]);
+    expect((await stickerManager.getStickerRevisions('new')).length).toBe(1);
+    expect(fs.readdirSync(path.join(testDir, 'revisions'))).toEqual(['new.json']);
+  });
+  
+  test('restoreSticker brings back content, position and size', async () => {
+    const original = {
+      id: 'restore-me',
+      content: 'Restore me',
+      position: { x: 30, y: 40 },
+      size: { width: 200, height: 120 }
+    };
+    await stickerManager.updateSticker(original);
+    await stickerManager.removeSticker('restore-me');
+    
+    const result = await stickerManager.restoreSticker('restore-me');
+    
+    expect(result.success).toBe(true);
+    expect(result.sticker).toMatchObject(original);
+    expect(result.sticker.deletedAt).toBeUndefined();
+    
+    const stickers = await stickerManager.loadStickerData();
+    expect(stickers.length).toBe(1);
+    expect(stickers[0]).toMatchObject(original);
+    expect(await stickerManager.getRecentlyClosed()).toEqual([]);
+  });
+  
+  test('restoreSticker fails for a sticker that is not in the trash', async () => {
+    const result = await stickerManager.restoreSticker('missing');
+    expect(result.success).toBe(false);
+  });
+  
+  test('restoreRevision rolls content back and keeps the rollback in history', async () => {
+    await stickerManager.updateSticker({ id: 'r', content: 'Original' });
+    
+    // Make the next edit start a new revision instead of coalescing
+    stickerManager.revisions.coalesceMs = 0;
+    await stickerManager.updateSticker({ id: 'r', content: 'Edited' });
+    
+    const revisions = await stickerManager.getStickerRevisions('r');
+    expect(revisions.map(revision => revision.content)).toEqual(['Edited', 'Original']);
+    
+    const diff = await stickerManager.getRevisionDiff('r', revisions[1].rev);
+    expect(diff.diff).toEqual([
+      { type: 'removed', text: 'Original' },
+      { type: 'added', text: 'Edited' }
+    ]);
+    
+    const result = await stickerManager.restoreRevision('r', revisions[1].rev);
+    expect(result.success).toBe(true);
+    expect(result.sticker.content).toBe('Original');
+    
+    const [sticker] = await stickerManager.loadStickerData();
+    expect(sticker.content).toBe('Original');
+    expect((await stickerManager.getStickerRevisions('r')).length).toBe(3);
+  });
+
+  test('restoreRevision keeps a move queued alongside it', async () => {
+    await stickerManager.updateSticker({ id: 'r', content: 'Original', position: { x: 0, y: 0 } });
+    stickerManager.revisions.coalesceMs = 0;
+    await stickerManager.updateSticker({ id: 'r', content: 'Edited' });
+    const [, original] = await stickerManager.getStickerRevisions('r');
+
+    const [moved, restored] = await Promise.all([
+      stickerManager.updateSticker({ id: 'r', position: { x: 40, y: 50 } }),
+      stickerManager.restoreRevision('r', original.rev)
+    ]);
+    expect(moved.success).toBe(true);
+    expect(restored.sticker.position).toEqual({ x: 40, y: 50 });
+
+    const [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker.content).toBe('Original');
+    expect(sticker.position).toEqual({ x: 40, y: 50 });
+  });
+
+  test('restoreSnapshot swaps the store and keeps a snapshot of the replaced board', async () => {
+    await stickerManager.saveStickers([{ id: 'a', content: 'Yesterday' }]);
+    const taken = await stickerManager.createSnapshot();
+    expect(taken.success).toBe(true);
+    expect(taken.snapshot.stickerCount).toBe(1);
+
+    // Journaled edits after the snapshot
+    await stickerManager.updateSticker({ id: 'a', content: 'Today' });
+    await stickerManager.updateSticker({ id: 'b', content: 'New today' });
+
+    const snapshot = (await stickerManager.listSnapshots()).find(entry => entry.source === 'snapshot');
+    expect(snapshot.reason).toBe('manual');
+    expect((await stickerManager.getSnapshotSummary(snapshot.id)).snapshot.preview).toEqual(['Yesterday']);
+
+    const result = await stickerManager.restoreSnapshot(snapshot.id);
+    expect(result.success).toBe(true);
+    expect(result.stickers.map(sticker => sticker.content)).toEqual(['Yesterday']);
+
+    // The journal of the replaced board must not be replayed over the restored one
+    const stickers = await stickerManager.loadStickerData();
+    expect(stickers.map(sticker => sticker.content)).toEqual(['Yesterday']);
+
+    const preRestore = (await stickerManager.listSnapshots()).find(entry =>
+      entry.source === 'snapshot' && entry.reason === 'pre-restore');
+    expect((await stickerManager.getSnapshotSummary(preRestore.id)).snapshot.stickerCount).toBe(2);
+  });
+
+  test('listSnapshots includes store backups found by content recovery', async () => {
+    await stickerManager.saveStickers([{ id: 'a', content: 'First' }]);
+    await stickerManager.saveStickers([{ id: 'a', content: 'Second' }]);
+
+    const backups = (await stickerManager.listSnapshots()).filter(entry => entry.source === 'backup');
+    expect(backups.length).toBeGreaterThan(0);
+
+    const summaries = await Promise.all(backups.map(entry => stickerManager.getSnapshotSummary(entry.id)));
+    expect(summaries.some(summary => summary.success && summary.snapshot.preview[0] === 'First')).toBe(true);
+  });
+
+  test('getSnapshotSummary fails for listed files that are not valid stores', async () => {
+    await stickerManager.saveStickers([{ id: 'a', content: 'Keep' }]);
+    fs.mkdirSync(path.join(testDir, 'snapshots'), { recursive: true });
+    fs.writeFileSync(path.join(testDir, 'snapshots', 'stickers.json.manual-2026-03-15T11-00-00.000Z'), '{"not": "a store"}');
+
+    const listed = (await stickerManager.listSnapshots()).find(entry => entry.source === 'snapshot');
+    const summary = await stickerManager.getSnapshotSummary(listed.id);
+    expect(summary.success).toBe(false);
+    expect((await stickerManager.restoreSnapshot(listed.id)).success).toBe(false);
+    expect((await stickerManager.loadStickerData())[0].content).toBe('Keep');
+  });
+
+  test('restoreSnapshot refuses IDs that were not listed', async () => {
+    await stickerManager.saveStickers([{ id: 'a', content: 'Keep' }]);
+
+    const result = await stickerManager.restoreSnapshot('../elsewhere.json');
+    expect(result.success).toBe(false);
+    expect((await stickerManager.loadStickerData())[0].content).toBe('Keep');
+  });
+
+  test('createSnapshotIfDue only snapshots when the last one is old enough', async () => {
+    // Fresh install: nothing to snapshot
+    expect((await stickerManager.createSnapshotIfDue(1000)).snapshot).toBeNull();
+
+    await stickerManager.saveStickers([{ id: 'a', content: 'Board' }]);
+    expect((await stickerManager.createSnapshotIfDue(60 * 60 * 1000)).snapshot.reason).toBe('scheduled');
+    expect((await stickerManager.createSnapshotIfDue(60 * 60 * 1000)).snapshot).toBeNull();
+  });
+
+  // Rewrite the store file the way a sync tool or a hand edit would
+  const editStoreExternally = edit => {
+    const store = JSON.parse(fs.readFileSync(stickerManager.storeFilePath, 'utf8'));
+    edit(store);
+    fs.writeFileSync(stickerManager.storeFilePath, JSON.stringify(store, null, 2));
+  };
+
+  test('reloadExternalChanges ignores our own writes', async () => {
+    await stickerManager.saveStickers([{ id: 'a', content: 'Mine' }]);
+
+    const result = await stickerManager.reloadExternalChanges();
+    expect(result.changed).toBe(false);
+  });
+
+  test('reloadExternalChanges reports added, updated and removed stickers', async () => {
+    await stickerManager.saveStickers([
+      { id: 'a', content: 'A' },
+      { id: 'b', content: 'B' }
+    ]);
+    await stickerManager.loadStickerData();
+
+    editStoreExternally(store => {
+      store.stickers[0].content = 'A from elsewhere';
+      store.stickers.splice(1, 1);
+      store.stickers.push({ ...store.stickers[0], id: 'c', content: 'C' });
+    });
+
+    const result = await stickerManager.reloadExternalChanges();
+    expect(result.changed).toBe(true);
+    expect(result.added.map(record => record.id)).toEqual(['c']);
+    expect(result.updated.map(record => record.content)).toEqual(['A from elsewhere']);
+    expect(result.removed).toEqual(['b']);
+    expect(result.conflicts).toBe(0);
+
+    // Handled once
+    expect((await stickerManager.reloadExternalChanges()).changed).toBe(false);
+  });
+
+  test('reloadExternalChanges keeps journaled edits of other stickers', async () => {
+    await stickerManager.saveStickers([
+      { id: 'a', content: 'A' },
+      { id: 'b', content: 'B' }
+    ]);
+    await stickerManager.updateSticker({ id: 'b', content: 'B edited here' });
+
+    editStoreExternally(store => { store.stickers[0].content = 'A from elsewhere'; });
+
+    const result = await stickerManager.reloadExternalChanges();
+    expect(result.updated.map(record => record.id)).toEqual(['a']);
+
+    const stickers = await stickerManager.loadStickerData();
+    expect(stickers.map(sticker => sticker.content)).toEqual(['A from elsewhere', 'B edited here']);
+    expect(await stickerManager.journal.readEntries()).toEqual([]);
+  });
+
+  test('reloadExternalChanges asks about conflicts and can keep either side', async () => {
+    await stickerManager.saveStickers([{ id: 'a', content: 'Base' }]);
+    await stickerManager.updateSticker({ id: 'a', content: 'Mine' });
+    editStoreExternally(store => { store.stickers[0].content = 'Theirs'; });
+
+    const asked = [];
+    let result = await stickerManager.reloadExternalChanges({
+      resolveConflict: conflict => {
+        asked.push(conflict);
+        return 'mine';
+      }
+    });
+
+    expect(asked.map(conflict => [conflict.local.content, conflict.external.content])).toEqual([['Mine', 'Theirs']]);
+    expect(result.conflicts).toBe(1);
+    expect(result.updated).toEqual([]);
+    expect((await stickerManager.loadStickerData())[0].content).toBe('Mine');
+
+    // Same again, this time taking the external version
+    await stickerManager.updateSticker({ id: 'a', content: 'Mine again' });
+    editStoreExternally(store => { store.stickers[0].content = 'Theirs again'; });
+
+    result = await stickerManager.reloadExternalChanges({ resolveConflict: () => 'theirs' });
+    expect(result.updated.map(record => record.content)).toEqual(['Theirs again']);
+    expect((await stickerManager.loadStickerData())[0].content).toBe('Theirs again');
+  });
+
+  test('reloadExternalChanges treats text not saved yet as an edit here', async () => {
+    await stickerManager.saveStickers([{ id: 'a', content: 'Base' }]);
+    editStoreExternally(store => { store.stickers[0].content = 'Theirs'; });
+
+    // A window showing what was saved is not a conflict
+    let result = await stickerManager.reloadExternalChanges({
+      readUnsavedContent: record => record.content,
+      resolveConflict: () => { throw new Error('Nothing to ask about'); }
+    });
+    expect(result.conflicts).toBe(0);
+    expect(result.updated.map(record => record.content)).toEqual(['Theirs']);
+
+    editStoreExternally(store => { store.stickers[0].content = 'Theirs again'; });
+
+    const asked = [];
+    result = await stickerManager.reloadExternalChanges({
+      readUnsavedContent: () => 'Typed here',
+      resolveConflict: conflict => {
+        asked.push(conflict);
+        return 'theirs';
+      }
+    });
+    expect(asked.map(conflict => [conflict.local.content, conflict.external.content, conflict.unsaved]))
+      .toEqual([['Typed here', 'Theirs again', true]]);
+    expect(result.updated.map(record => record.content)).toEqual(['Theirs again']);
+  });
+
+  test('reloadExternalChanges asks about conflicts without holding up other saves', async () => {
+    await stickerManager.saveStickers([
+      { id: 'a', content: 'Base' },
+      { id: 'b', content: 'B' }
+    ]);
+    editStoreExternally(store => { store.stickers[0].content = 'Theirs'; });
+
+    let savedWhileAsked;
+    const result = await stickerManager.reloadExternalChanges({
+      readUnsavedContent: record => (record.id === 'a' ? 'Typed here' : record.content),
+      resolveConflict: async () => {
+        savedWhileAsked = await stickerManager.updateSticker({ id: 'b', content: 'B saved meanwhile' });
+        return 'mine';
+      }
+    });
+
+    expect(savedWhileAsked.success).toBe(true);
+    expect(result.conflicts).toBe(1);
+
+    const stickers = await stickerManager.loadStickerData();
+    expect(stickers.map(sticker => sticker.content)).toEqual(['Typed here', 'B saved meanwhile']);
+  });
+
+  test('journal compaction waits while an external change is unreconciled', async () => {
+    await stickerManager.saveStickers([{ id: 'a', content: 'A' }]);
+    await stickerManager.updateSticker({ id: 'a', content: 'Edited here' });
+    editStoreExternally(store => { store.stickers.push({ ...store.stickers[0], id: 'b', content: 'B' }); });
+
+    expect(await stickerManager.compactJournal()).toBe(false);
+    expect((await stickerManager.journal.readEntries()).length).toBe(1);
+
+    const result = await stickerManager.reloadExternalChanges();
+    expect(result.added.map(record => record.id)).toEqual(['b']);
+    expect(await stickerManager.compactJournal()).toBe(true);
+  });
+
+  test('migration takes a pre-migration snapshot of the v1 data', async () => {
+    await stickerManager.saveLayoutData([
+      { id: '1', position: { x: 10, y: 20 }, size: { width: 250, height: 80 } }
+    ]);
+    await stickerManager.saveContentData([{ id: '1', content: 'Legacy' }]);
+
+    await stickerManager.loadStickerData();
+
+    const [snapshot] = (await stickerManager.listSnapshots()).filter(entry => entry.reason === 'pre-migration');
+    expect(snapshot.source).toBe('snapshot');
+    expect((await stickerManager.getSnapshotSummary(snapshot.id)).snapshot.preview).toEqual(['Legacy']);
+  });
+
+  test('Markdown source and format round-trip through the journal and the store', async () => {
+    const source = '# Plan <b>not html</b>\r\n\r\n- item **one**  \n  continued\n\n\\*escaped\\* & `a < b`\n';
+
+    await stickerManager.updateSticker({ id: 'md', content: source, format: 'markdown' });
+    let [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker.content).toBe(source);
+    expect(sticker.format).toBe('markdown');
+
+    // Compaction and saves that don't carry the format keep both as they were
+    await stickerManager.compactJournal();
+    await stickerManager.saveStickers([{ id: 'md', content: source }]);
+    [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker.content).toBe(source);
+    expect(sticker.format).toBe('markdown');
+  });
+
+  test('checklist items and their state survive the journal, a restart and turning back into text', async () => {
+    const text = '- [ ] milk\n- [x] eggs';
+    await stickerManager.updateSticker({ id: 'todo', content: text });
+    await stickerManager.updateSticker({ id: 'todo', content: text, type: 'checklist', completedItems: 'bottom' });
+
+    let [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker.type).toBe('checklist');
+    expect(sticker.completedItems).toBe('bottom');
+    expect(sticker.items.map(({ text, checked }) => [text, checked])).toEqual([['milk', false], ['eggs', true]]);
+
+    const [milk, eggs] = sticker.items;
+    await stickerManager.updateSticker({ id: 'todo', items: [eggs, { ...milk, checked: true }] }, { coalesceRevision: false });
+    [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker.items).toEqual([eggs, { ...milk, checked: true }]);
+    expect(sticker.content).toBe('- [x] eggs\n- [x] milk');
+
+    // Rolling back the content rolls back the items, keeping their IDs
+    const [, previous] = await stickerManager.getStickerRevisions('todo');
+    await stickerManager.restoreRevision('todo', previous.rev);
+    [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker.items).toEqual([milk, eggs]);
+
+    await stickerManager.updateSticker({ ...sticker, type: 'text' });
+    [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker.type).toBe('text');
+    expect(sticker.items).toBeUndefined();
+    expect(sticker.content).toBe(text);
+  });
+
+  test('appearance survives the journal and a restart, and only journals what changed', async () => {
+    await stickerManager.updateSticker({ id: 'styled', content: 'Hi' });
+    await stickerManager.updateSticker({ id: 'styled', content: 'Hi', appearance: { background: '#336699', fontSize: 18 } });
+
+    const entries = await stickerManager.journal.readEntries();
+    const last = entries[entries.length - 1];
+    expect(last).toMatchObject({ op: 'update', id: 'styled', data: { appearance: { background: '#336699', fontSize: 18 } } });
+    expect(Object.keys(last.data)).toEqual(['appearance']);
+
+    // Saves without an appearance (e.g. moving the window) keep it
+    await stickerManager.updateSticker({ id: 'styled', content: 'Hi', position: { x: 10, y: 20 } });
+
+    const [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker.appearance).toMatchObject({ background: '#336699', fontSize: 18, opacity: 1 });
+    expect(sticker.position).toEqual({ x: 10, y: 20 });
+  });
+
+  test('the pin survives the journal and a restart', async () => {
+    await stickerManager.updateSticker({ id: 'pinned', content: 'Ref' });
+    await stickerManager.updateSticker({ id: 'pinned', content: 'Ref', pinned: true });
+
+    const entries = await stickerManager.journal.readEntries();
+    expect(entries[entries.length - 1]).toMatchObject({ op: 'update', id: 'pinned', data: { pinned: true } });
+
+    // Saves without the pin (e.g. on quit) keep it
+    await stickerManager.updateSticker({ id: 'pinned', content: 'Ref', position: { x: 10, y: 20 } });
+
+    const [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker.pinned).toBe(true);
+    expect(validateStickerRecord({ ...sticker, pinned: 'yes' })).toBe(false);
+  });
+
+  test('collectAttachmentGarbage keeps the images of stickers that can still be restored', async () => {
+    const png = data => Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from(data)]);
+    stickerManager.attachments.graceMs = 0;
+
+    const kept = await stickerManager.saveAttachment(png('kept'));
+    const trashed = await stickerManager.saveAttachment(png('trashed'));
+    const unused = await stickerManager.saveAttachment(png('unused'));
+    expect(kept.success).toBe(true);
+
+    await stickerManager.updateSticker({ id: 'a', type: 'image', image: { attachmentId: kept.attachment.id, width: 10, height: 10 } });
+    await stickerManager.updateSticker({ id: 'b', type: 'image', image: { attachmentId: trashed.attachment.id, width: 10, height: 10 } });
+    await stickerManager.removeSticker('b');
+
+    const result = await stickerManager.collectAttachmentGarbage();
+
+    expect(result).toMatchObject({ success: true, removed: 1, kept: 2 });
+    expect(stickerManager.attachments.has(kept.attachment.id)).toBe(true);
+    expect(stickerManager.attachments.has(trashed.attachment.id)).toBe(true);
+    expect(stickerManager.attachments.has(unused.attachment.id)).toBe(false);
+
+    const [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker).toMatchObject({ type: 'image', image: { attachmentId: kept.attachment.id } });
+  });
+
+  test('collectAttachmentGarbage keeps images a restore moved into a snapshot during the scan', async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x01]);
+    stickerManager.attachments.graceMs = 0;
+
+    await stickerManager.saveStickers([{ id: 'plain', content: 'No images yet' }]);
+    const { snapshot } = await stickerManager.createSnapshot();
+    const saved = await stickerManager.saveAttachment(png);
+    await stickerManager.updateSticker({ id: 'a', type: 'image', image: { attachmentId: saved.attachment.id, width: 10, height: 10 } });
+
+    // Restore the older board once the snapshots have been scanned, before the lock is taken
+    const scan = stickerManager.getSnapshotAttachmentIds.bind(stickerManager);
+    let restore = null;
+    stickerManager.getSnapshotAttachmentIds = async entries => {
+      const ids = await scan(entries);
+      restore = restore || stickerManager.restoreSnapshot(path.relative(testDir, snapshot.path));
+      return ids;
+    };
+
+    const result = await stickerManager.collectAttachmentGarbage();
+    expect((await restore).success).toBe(true);
+
+    expect(result).toMatchObject({ success: true, removed: 0 });
+    expect(stickerManager.attachments.has(saved.attachment.id)).toBe(true);
+  });
+
+  test('updateStickerReminder changes only the reminder and survives a restart', async () => {
+    await stickerManager.updateSticker({ id: 'r', content: 'Call Bob', position: { x: 5, y: 6 } });
+
+    const reminder = { dueAt: '2026-03-02T09:00:00.000Z', recurrence: 'daily' };
+    const [set] = await Promise.all([
+      stickerManager.updateStickerReminder('r', reminder),
+      // A save from the window that doesn't carry the reminder keeps it
+      stickerManager.updateSticker({ id: 'r', content: 'Call Bob at 9', position: { x: 5, y: 6 } })
+    ]);
+    expect(set.success).toBe(true);
+    expect(set.sticker.reminder).toEqual(reminder);
+
+    let [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker.reminder).toEqual(reminder);
+    expect(sticker.content).toBe('Call Bob at 9');
+
+    // Changes can be worked out from the current reminder, inside the write queue
+    const snoozed = await stickerManager.updateStickerReminder('r', current => ({ ...current, snoozedUntil: '2026-03-02T09:10:00.000Z' }));
+    expect(snoozed.sticker.reminder.snoozedUntil).toBe('2026-03-02T09:10:00.000Z');
+
+    await stickerManager.updateStickerReminder('r', null);
+    [sticker] = await new StickerDataManager(testDir).loadStickerData();
+    expect(sticker.reminder).toBeUndefined();
+    expect(sticker.content).toBe('Call Bob at 9');
+
+    expect((await stickerManager.updateStickerReminder('missing', reminder)).success).toBe(false);
+  });
+
+  describe('concurrent writes', () => {
+    const idsOf = stickers => stickers.map(sticker => sticker.id).sort();
+
+    test('parallel updateSticker calls keep every update', async () => {
+      await stickerManager.saveStickers([{ id: 'base', content: 'Base' }]);
+
+      const ids = Array.from({ length: 30 }, (_, i) => `s${String(i).padStart(2, '0')}`);
+      const results = await Promise.all([
+        ...ids.map(id => stickerManager.updateSticker({ id, content: `Content ${id}` })),
+        stickerManager.compactJournal(),
+        stickerManager.updateSticker({ id: 'base', position: { x: 5, y: 6 } })
+      ]);
+
+      expect(results.filter(result => result && result.success === false)).toEqual([]);
+
+      const stickers = await new StickerDataManager(testDir).loadStickerData();
+      expect(idsOf(stickers)).toEqual(['base', ...ids].sort());
+      expect(stickers.find(sticker => sticker.id === 's07').content).toBe('Content s07');
+      expect(stickers.find(sticker => sticker.id === 'base').position).toEqual({ x: 5, y: 6 });
+      expect(fs.existsSync(path.join(testDir, 'stickers.lock'))).toBe(false);
+    });
+
+    test('two instances writing the same store never lose each other\'s updates', async () => {
+      // A second manager on the same folder behaves like a second app instance
+      const other = new StickerDataManager(testDir);
+      await stickerManager.saveStickers([{ id: 'shared', content: 'Shared' }]);
+
+      const writes = [];
+      for (let i = 0; i < 20; i++) {
+        writes.push(stickerManager.updateSticker({ id: `a${i}`, content: `From A ${i}` }));
+        writes.push(other.updateSticker({ id: `b${i}`, content: `From B ${i}` }));
+        if (i % 5 === 0) {
+          writes.push(stickerManager.compactJournal(), other.compactJournal());
+        }
+      }
+      writes.push(other.removeSticker('shared'));
+      await Promise.all(writes);
+
+      const stickers = await new StickerDataManager(testDir).loadStickerData();
+      expect(stickers.length).toBe(40);
+      expect(stickers.some(sticker => sticker.id === 'shared')).toBe(false);
+      expect(stickers.find(sticker => sticker.id === 'b13').content).toBe('From B 13');
+    });
+
+    test('a lock left behind by a crashed instance does not block saving', async () => {
+      const lockPath = path.join(testDir, 'stickers.lock');
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: 999999999, hostname: os.hostname(), token: 'crashed' }));
+
+      const result = await stickerManager.updateSticker({ id: 'after', content: 'After crash' });
+
+      expect(result.success).toBe(true);
+      expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    test('a save that times out waiting for the lock fails instead of rejecting', async () => {
+      const lockPath = path.join(testDir, 'stickers.lock');
+      const holder = new FileLock(lockPath);
+      await holder.acquire();
+      stickerManager.storeLock = new FileLock(lockPath, { timeout: 200 });
+
+      const result = await stickerManager.updateSticker({ id: 'blocked', content: 'Blocked' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/Timed out/);
+
+      await holder.release();
+      expect((await stickerManager.updateSticker({ id: 'blocked', content: 'Retried' })).success).toBe(true);
+    });
+  });
+
+  describe('with encryption at rest', () => {
+    const PASSPHRASE = 'correct horse battery staple';
+
+    beforeEach(() => {
+      configureEncryption(testDir, { isDataEntry: isDataEntryName });
+    });
+
+    afterEach(() => {
+      configureEncryption(null);
+    });
+
+    test('enableEncryption encrypts the store, journal, revisions and snapshots', async () => {
+      await stickerManager.saveStickers([{ id: 'a', content: 'Secret A' }]);
+      await stickerManager.updateSticker({ id: 'a', content: 'Secret A edited' });
+      await stickerManager.createSnapshot();
+
+      expect((await stickerManager.enableEncryption(PASSPHRASE)).success).toBe(true);
+
+      const readAll = dir => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry =>
+        entry.isDirectory() ? readAll(path.join(dir, entry.name)) : [fs.readFileSync(path.join(dir, entry.name), 'utf8')]
+      );
+      expect(readAll(testDir).join('\n')).not.toContain('Secret A');
+
+      // Encrypting isn't mistaken for an external change
+      expect((await stickerManager.reloadExternalChanges()).changed).toBe(false);
+
+      const stickers = await stickerManager.loadStickerData();
+      expect(stickers.map(sticker => sticker.content)).toEqual(['Secret A edited']);
+    });
+
+    test('locked data loads as nothing and is not overwritten', async () => {
+      await stickerManager.saveStickers([{ id: 'a', content: 'Secret A' }]);
+      await stickerManager.enableEncryption(PASSPHRASE);
+      const before = fs.readFileSync(stickerManager.storeFilePath, 'utf8');
+      lockEncryption();
+
+      expect(await stickerManager.loadStickerData()).toEqual([]);
+      expect(await stickerManager.saveStickers([{ id: 'b', content: 'New' }])).toBe(false);
+      expect(fs.readFileSync(stickerManager.storeFilePath, 'utf8')).toBe(before);
+
+      expect(await unlockEncryption(PASSPHRASE)).toBe(true);
+      expect((await stickerManager.loadStickerData()).map(sticker => sticker.content)).toEqual(['Secret A']);
+    });
+
+    test('changeEncryptionPassphrase keeps the stickers readable with the new passphrase', async () => {
+      await stickerManager.saveStickers([{ id: 'a', content: 'Secret A' }]);
+      await stickerManager.enableEncryption(PASSPHRASE);
+
+      expect((await stickerManager.changeEncryptionPassphrase('wrong', 'new passphrase')).success).toBe(false);
+      expect((await stickerManager.changeEncryptionPassphrase(PASSPHRASE, 'new passphrase')).success).toBe(true);
+
+      lockEncryption();
+      expect(await unlockEncryption('new passphrase')).toBe(true);
+      expect((await stickerManager.loadStickerData()).map(sticker => sticker.content)).toEqual(['Secret A']);
+    });
+  });
+
   test('stripHtml removes HTML tags from content', async () => {
     const htmlContent = '<div>Test <b>content</b> with <i>HTML</i> tags</div>';
     const plainText = await stickerManager.stripHtml(htmlContent);
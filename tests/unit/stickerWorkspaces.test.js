@@ -0,0 +1,100 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import StickerDataManager from '../../utils/stickerUtils.js';
+import {
+  MAX_WORKSPACES,
+  normalizeWorkspace,
+  captureWorkspace,
+  upsertWorkspace,
+  getNextWorkspace
+} from '../../utils/stickerWorkspaces.js';
+import { validateStickerWorkspaces } from '../../utils/contentLoader.js';
+
+describe('Sticker Workspaces', () => {
+  const sticker = (id, x, pinned = false) => ({
+    id,
+    position: { x, y: 40.6 },
+    size: { width: 250, height: 200 },
+    pinned,
+    display: { id: 2, x: x - 1440, y: 41, scaleFactor: 1 }
+  });
+  let testDir;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('captureWorkspace keeps each visible sticker\'s position, size, pin and display', () => {
+    const workspace = captureWorkspace('  Coding  ', [sticker('a', 1500, true), sticker('a', 1600), { position: {} }], {
+      id: 'ws-1',
+      now: '2026-01-01T00:00:00.000Z'
+    });
+
+    expect(workspace).toEqual({
+      id: 'ws-1',
+      name: 'Coding',
+      savedAt: '2026-01-01T00:00:00.000Z',
+      stickers: [{
+        id: 'a',
+        position: { x: 1500, y: 41 },
+        size: { width: 250, height: 200 },
+        pinned: true,
+        collapsed: false,
+        display: { id: 2, x: 60, y: 41, scaleFactor: 1 }
+      }]
+    });
+    expect(() => captureWorkspace('   ', [])).toThrow('A workspace needs a name');
+    expect(normalizeWorkspace({ id: 'ws-2', stickers: [] })).toBeNull();
+  });
+
+  test('saving under an existing name replaces that workspace and keeps its ID', () => {
+    const coding = captureWorkspace('Coding', [sticker('a', 1500)], { id: 'ws-1' });
+    const meetings = captureWorkspace('Meetings', [], { id: 'ws-2' });
+    const recoded = captureWorkspace('coding', [sticker('b', 1700)], { id: 'ws-3' });
+
+    const workspaces = upsertWorkspace(upsertWorkspace([coding], meetings), recoded);
+    expect(workspaces.map(workspace => [workspace.id, workspace.name])).toEqual([['ws-1', 'coding'], ['ws-2', 'Meetings']]);
+    expect(workspaces[0].stickers.map(entry => entry.id)).toEqual(['b']);
+
+    const full = Array.from({ length: MAX_WORKSPACES }, (_, i) => captureWorkspace(`Workspace ${i}`, [], { id: `ws-${i}` }));
+    expect(() => upsertWorkspace(full, meetings)).toThrow(`At most ${MAX_WORKSPACES} workspaces`);
+    expect(upsertWorkspace(full, captureWorkspace('workspace 3', [], { id: 'x' }))).toHaveLength(MAX_WORKSPACES);
+  });
+
+  test('getNextWorkspace cycles through the workspaces', () => {
+    const workspaces = ['Coding', 'Meetings', 'Home'].map((name, i) => captureWorkspace(name, [], { id: `ws-${i}` }));
+
+    expect(getNextWorkspace(workspaces, null).name).toBe('Coding');
+    expect(getNextWorkspace(workspaces, 'ws-0').name).toBe('Meetings');
+    expect(getNextWorkspace(workspaces, 'ws-2').name).toBe('Coding');
+    expect(getNextWorkspace(workspaces, 'deleted').name).toBe('Coding');
+    expect(getNextWorkspace([], 'ws-0')).toBeNull();
+  });
+
+  test('workspaces are saved next to the sticker data and can be deleted', async () => {
+    const manager = new StickerDataManager(testDir);
+    expect(await manager.loadWorkspaces()).toEqual([]);
+
+    const saved = await manager.saveWorkspace('Home', [sticker('a', 1500), sticker('b', 1800, true)]);
+    expect(saved.success).toBe(true);
+    expect(path.dirname(manager.workspacesFilePath)).toBe(testDir);
+    expect(validateStickerWorkspaces(JSON.parse(fs.readFileSync(manager.workspacesFilePath, 'utf8')))).toBe(true);
+
+    const resaved = await manager.saveWorkspace('home', [sticker('c', 1500)]);
+    expect(resaved.workspace.id).toBe(saved.workspace.id);
+
+    const workspaces = await manager.loadWorkspaces();
+    expect(workspaces).toHaveLength(1);
+    expect(workspaces[0].stickers.map(entry => entry.id)).toEqual(['c']);
+
+    expect((await manager.saveWorkspace('', [])).success).toBe(false);
+    expect(await manager.deleteWorkspace(saved.workspace.id)).toEqual({ success: true });
+    expect(await manager.deleteWorkspace(saved.workspace.id)).toEqual({ success: false, error: 'Workspace not found' });
+    expect(await manager.loadWorkspaces()).toEqual([]);
+  });
+});
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { StoreWatcher, fingerprint } from '../../utils/storeWatcher.js';
+
+describe('Store Watcher', () => {
+  let testDir;
+  let filePath;
+  let watcher;
+
+  // Resolve on the next change report, or with false after a timeout
+  const nextChange = (timeoutMs = 2000) => new Promise(resolve => {
+    const timer = setTimeout(() => resolve(false), timeoutMs);
+    watcher.onChange = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+  });
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sticker-test-'));
+    filePath = path.join(testDir, 'stickers.json');
+    fs.writeFileSync(filePath, '{}');
+    watcher = new StoreWatcher(filePath, { debounceMs: 50 });
+  });
+
+  afterEach(() => {
+    watcher.stop();
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  test('fingerprint is stable and content sensitive', () => {
+    expect(fingerprint('{"a":1}')).toBe(fingerprint('{"a":1}'));
+    expect(fingerprint('{"a":1}')).not.toBe(fingerprint('{"a":2}'));
+  });
+
+  test('reports a file replaced by an atomic rename', async () => {
+    expect(watcher.start()).toBe(true);
+    const changed = nextChange();
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, '{"changed":true}');
+    fs.renameSync(tempPath, filePath);
+
+    expect(await changed).toBe(true);
+  });
+
+  test('collapses a burst of writes into one report', async () => {
+    watcher.start();
+    let reports = 0;
+    watcher.onChange = () => { reports++; };
+
+    for (let i = 0; i < 5; i++) {
+      fs.writeFileSync(filePath, `{"step":${i}}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    expect(reports).toBe(1);
+  });
+
+  test('ignores other files in the directory', async () => {
+    watcher.start();
+    const changed = nextChange(300);
+
+    fs.writeFileSync(path.join(testDir, 'stickers.journal'), 'entry\n');
+
+    expect(await changed).toBe(false);
+  });
+
+  test('stop drops a pending report', async () => {
+    watcher.start();
+    const changed = nextChange(300);
+
+    fs.writeFileSync(filePath, '{"changed":true}');
+    watcher.stop();
+
+    expect(await changed).toBe(false);
+  });
+});
@@ -174,9 +174,9 @@ describe('Version Detection Utility', () => {
   });
   
   test('needsMigration returns correct values', () => {
-    expect(needsMigration(DATA_VERSIONS.V1)).toBe(false);
+    expect(needsMigration(DATA_VERSIONS.V1)).toBe(true);
     expect(needsMigration(DATA_VERSIONS.UNKNOWN)).toBe(false);
-    expect(needsMigration('v2')).toBe(true);
+    expect(needsMigration(DATA_VERSIONS.V2)).toBe(false);
     expect(needsMigration('some-other-version')).toBe(true);
   });
   
@@ -186,7 +186,7 @@ describe('Version Detection Utility', () => {
     
     const result = await detectDataVersion('layout.json', 'content.json');
     
-    expect(result.version).toBe(DATA_VERSIONS.V1);
+    expect(result.version).toBe(DATA_VERSIONS.V2);
     expect(result.layoutExists).toBe(false);
     expect(result.contentExists).toBe(false);
     expect(result.needsMigration).toBe(false);
@@ -226,7 +226,7 @@ describe('Version Detection Utility', () => {
     expect(result.version).toBe(DATA_VERSIONS.V1);
     expect(result.layoutExists).toBe(true);
     expect(result.contentExists).toBe(true);
-    expect(result.needsMigration).toBe(false);
+    expect(result.needsMigration).toBe(true);
   });
   
   test('detectDataVersion handles errors', async () => {
@@ -0,0 +1,327 @@
+/**
+ * Markdown Renderer for sticker content
+ * Turns the small Markdown subset stickers support (headings, lists, bold,
+ * italic, inline code and links) into DOM nodes. Output is built element by
+ * element from a whitelist, never from an HTML string, so raw HTML in the
+ * source always shows as text.
+ * This file is loaded in the renderer process and has no dependencies.
+ */
+
+// Elements the renderer may create, by node type
+const MARKDOWN_TAGS = {
+  paragraph: 'p',
+  heading: 'h',       // h1-h6, see the node's level
+  list: 'ul',         // ol for ordered lists
+  listItem: 'li',
+  strong: 'strong',
+  emphasis: 'em',
+  code: 'code',
+  link: 'a',
+  lineBreak: 'br'
+};
+
+// Link targets that may be opened from a sticker
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const UNORDERED_ITEM_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM_PATTERN = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+const LINK_PATTERN = /^\[([^\]\n]+)\]\(\s*([^()\s]+)\s*\)/;
+const AUTOLINK_PATTERN = /^(?:https?:\/\/|mailto:)[^\s<>]*[^\s<>.,;:!?'")\]]/;
+
+/**
+ * Check whether a link target is safe to open
+ * @param {string} href - Link target
+ * @returns {boolean} True for http(s) and mailto URLs
+ */
+function isSafeLinkUrl(href) {
+  try {
+    return SAFE_LINK_PROTOCOLS.includes(new URL(href).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a character counts as part of a word, for `_` emphasis
+ * @param {string|undefined} char - Character to check
+ * @returns {boolean}
+ * @private
+ */
+function isWordChar(char) {
+  return char !== undefined && /[\p{L}\p{N}_]/u.test(char);
+}
+
+/**
+ * Find where an emphasis run opened at `start` is closed
+ * @param {string} text - Inline text
+ * @param {number} start - Index of the opening delimiter
+ * @param {string} delimiter - `*`, `_`, `**` or `__`
+ * @returns {number} Index of the closing delimiter, or -1
+ * @private
+ */
+function findClosingDelimiter(text, start, delimiter) {
+  const contentStart = start + delimiter.length;
+
+  // Opening delimiters must be followed by text, e.g. "2 * 3" is not emphasis
+  if (!text[contentStart] || /\s/.test(text[contentStart])) {
+    return -1;
+  }
+  // `_` inside a word (snake_case) is not emphasis
+  if (delimiter[0] === '_' && isWordChar(text[start - 1])) {
+    return -1;
+  }
+
+  let index = text.indexOf(delimiter, contentStart + 1);
+  while (index !== -1) {
+    const before = text[index - 1];
+    const after = text[index + delimiter.length];
+    const closesRun = !/\s/.test(before) &&
+      before !== '\\' &&
+      // A single `*` next to another `*` belongs to a longer delimiter
+      after !== delimiter[0] &&
+      (delimiter.length === 2 || before !== delimiter[0]) &&
+      !(delimiter[0] === '_' && isWordChar(after));
+
+    if (closesRun) {
+      return index;
+    }
+    index = text.indexOf(delimiter, index + 1);
+  }
+
+  return -1;
+}
+
+/**
+ * Parse inline Markdown (bold, italic, code, links)
+ * @param {string} text - Inline text
+ * @returns {Array<Object>} Inline nodes: { type: 'text', value }, { type: 'code', value },
+ *   { type: 'strong' | 'emphasis', children } or { type: 'link', href, children }
+ */
+function parseInline(text) {
+  const nodes = [];
+  let plain = '';
+
+  const flush = () => {
+    if (plain) {
+      nodes.push({ type: 'text', value: plain });
+      plain = '';
+    }
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    const rest = text.slice(i);
+
+    // Backslash escapes a punctuation character
+    if (char === '\\' && /[\\`*_[\]()#+\-.!]/.test(text[i + 1] || '')) {
+      plain += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '`') {
+      const end = text.indexOf('`', i + 1);
+      if (end > i + 1) {
+        flush();
+        nodes.push({ type: 'code', value: text.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (char === '*' || char === '_') {
+      const delimiter = text[i + 1] === char ? char + char : char;
+      const end = findClosingDelimiter(text, i, delimiter);
+      if (end !== -1) {
+        flush();
+        nodes.push({
+          type: delimiter.length === 2 ? 'strong' : 'emphasis',
+          children: parseInline(text.slice(i + delimiter.length, end))
+        });
+        i = end + delimiter.length;
+        continue;
+      }
+
+      // An unmatched run is plain text; skip it whole so `**` isn't read as `*`
+      plain += delimiter;
+      i += delimiter.length;
+      continue;
+    }
+
+    if (char === '[') {
+      const match = LINK_PATTERN.exec(rest);
+      if (match && isSafeLinkUrl(match[2])) {
+        flush();
+        nodes.push({ type: 'link', href: match[2], children: parseInline(match[1]) });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    if ((char === 'h' || char === 'm') && !isWordChar(text[i - 1])) {
+      const match = AUTOLINK_PATTERN.exec(rest);
+      if (match && isSafeLinkUrl(match[0])) {
+        flush();
+        nodes.push({ type: 'link', href: match[0], children: [{ type: 'text', value: match[0] }] });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    plain += char;
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+/**
+ * Parse sticker Markdown into block nodes
+ * @param {string} source - Markdown source
+ * @returns {Array<Object>} Block nodes: { type: 'heading', level, children },
+ *   { type: 'paragraph', children } or { type: 'list', ordered, start, items }
+ */
+function parseMarkdown(source) {
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+
+  const closeBlocks = () => {
+    paragraph = null;
+    list = null;
+  };
+
+  for (const line of String(source || '').split(/\r?\n/)) {
+    if (line.trim() === '') {
+      closeBlocks();
+      continue;
+    }
+
+    const heading = HEADING_PATTERN.exec(line);
+    if (heading) {
+      closeBlocks();
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      continue;
+    }
+
+    const ordered = ORDERED_ITEM_PATTERN.exec(line);
+    const unordered = ordered ? null : UNORDERED_ITEM_PATTERN.exec(line);
+    if (ordered || unordered) {
+      const isOrdered = Boolean(ordered);
+      if (!list || list.ordered !== isOrdered) {
+        paragraph = null;
+        list = { type: 'list', ordered: isOrdered, start: isOrdered ? Number(ordered[1]) : 1, items: [] };
+        blocks.push(list);
+      }
+      list.items.push(parseInline(isOrdered ? ordered[2] : unordered[1]));
+      continue;
+    }
+
+    // Indented text after a list item continues that item
+    if (list && /^\s/.test(line)) {
+      const item = list.items[list.items.length - 1];
+      item.push({ type: 'lineBreak' }, ...parseInline(line.trim()));
+      continue;
+    }
+
+    // Lines of a paragraph keep their line breaks, as in plain stickers
+    if (paragraph) {
+      paragraph.children.push({ type: 'lineBreak' }, ...parseInline(line));
+    } else {
+      list = null;
+      paragraph = { type: 'paragraph', children: parseInline(line) };
+      blocks.push(paragraph);
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Create the DOM node for a parsed node
+ * @param {Object} node - Parsed node
+ * @param {Document} doc - Document to create nodes in
+ * @returns {Node|null} DOM node, or null for unknown node types
+ * @private
+ */
+function createNode(node, doc) {
+  if (node.type === 'text') {
+    return doc.createTextNode(node.value);
+  }
+  if (!Object.prototype.hasOwnProperty.call(MARKDOWN_TAGS, node.type)) {
+    return null;
+  }
+
+  let element;
+  switch (node.type) {
+    case 'heading':
+      element = doc.createElement(`h${Math.min(Math.max(node.level, 1), 6)}`);
+      break;
+    case 'list':
+      element = doc.createElement(node.ordered ? 'ol' : 'ul');
+      if (node.ordered && node.start !== 1) {
+        element.setAttribute('start', String(node.start));
+      }
+      for (const item of node.items) {
+        element.appendChild(createNode({ type: 'listItem', children: item }, doc));
+      }
+      return element;
+    case 'code':
+      element = doc.createElement(MARKDOWN_TAGS.code);
+      element.textContent = node.value;
+      return element;
+    case 'link':
+      // Links are only ever created for safe targets; check again in case the tree came from elsewhere
+      if (!isSafeLinkUrl(node.href)) {
+        return createNodes(node.children, doc);
+      }
+      element = doc.createElement(MARKDOWN_TAGS.link);
+      element.setAttribute('href', node.href);
+      element.setAttribute('rel', 'noopener noreferrer');
+      break;
+    default:
+      element = doc.createElement(MARKDOWN_TAGS[node.type]);
+  }
+
+  element.appendChild(createNodes(node.children || [], doc));
+  return element;
+}
+
+/**
+ * Create DOM nodes for a list of parsed nodes
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Document} doc - Document to create nodes in
+ * @returns {DocumentFragment} Fragment holding the nodes
+ * @private
+ */
+function createNodes(nodes, doc) {
+  const fragment = doc.createDocumentFragment();
+  for (const node of nodes) {
+    const child = createNode(node, doc);
+    if (child) {
+      fragment.appendChild(child);
+    }
+  }
+  return fragment;
+}
+
+/**
+ * Render sticker Markdown to DOM nodes
+ * @param {string} source - Markdown source
+ * @param {Document} doc - Document to create nodes in
+ * @returns {DocumentFragment} Rendered content
+ */
+function renderMarkdown(source, doc = document) {
+  return createNodes(parseMarkdown(source), doc);
+}
+
+export {
+  MARKDOWN_TAGS,
+  isSafeLinkUrl,
+  parseInline,
+  parseMarkdown,
+  renderMarkdown
+};
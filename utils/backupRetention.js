@@ -0,0 +1,186 @@
+/**
+ * Backup Retention Utility
+ * Applies a retention policy to the timestamped backups created by createFileBackup
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger.js';
+
+// Create a logger for backup retention
+const logger = new Logger({ category: 'BackupRetention' });
+
+// Default retention policy
+const DEFAULT_BACKUP_RETENTION = {
+  keepLast: 10,                        // Newest backups kept per file, regardless of age
+  keepDailyDays: 7,                    // Keep the newest backup of each day for this many days
+  keepWeeklyWeeks: 4,                  // Keep the newest backup of each week for this many weeks
+  maxTotalBytes: 50 * 1024 * 1024      // Cap on the size of all kept backups (50 MB)
+};
+
+// How often backups are pruned while the app is running
+const BACKUP_PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// `<file>.<reason>-<ISO timestamp with ':' replaced by '-'>`, as written by createFileBackup
+const BACKUP_NAME_PATTERN = /^(.+)\.([a-z][a-z-]*?)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(?:\.\d+)?Z)$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a backup file name
+ * @param {string} fileName - File name (without directory)
+ * @returns {Object|null} { baseName, reason, time } or null if not a backup file
+ */
+function parseBackupFileName(fileName) {
+  const match = BACKUP_NAME_PATTERN.exec(fileName);
+  if (!match) {
+    return null;
+  }
+
+  const [, baseName, reason, stamp] = match;
+  const time = new Date(stamp.replace(/T(\d{2})-(\d{2})-(\d{2})/, 'T$1:$2:$3')).getTime();
+
+  if (isNaN(time)) {
+    return null;
+  }
+
+  return { baseName, reason, time };
+}
+
+/**
+ * List the backup files in a directory
+ * @param {string} dir - Directory to scan
+ * @returns {Promise<Array<Object>>} Backups ({ path, baseName, reason, time, size })
+ */
+async function listBackups(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const files = await fs.promises.readdir(dir);
+  const backups = [];
+
+  for (const file of files) {
+    const parsed = parseBackupFileName(file);
+    if (!parsed) continue;
+
+    const fullPath = path.join(dir, file);
+    try {
+      const stats = await fs.promises.stat(fullPath);
+      if (stats.isFile()) {
+        backups.push({ path: fullPath, ...parsed, size: stats.size });
+      }
+    } catch {
+      // The file may have been removed since readdir
+      logger.debug(`Skipping backup that could not be read: ${fullPath}`);
+    }
+  }
+
+  return backups;
+}
+
+/**
+ * Decide which backups a retention policy keeps
+ * @param {Array<Object>} backups - Backups as returned by listBackups
+ * @param {Object} policy - Retention policy (see DEFAULT_BACKUP_RETENTION)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { keep, remove } arrays of backups
+ */
+function selectBackupsToKeep(backups, policy = DEFAULT_BACKUP_RETENTION, now = Date.now()) {
+  const config = { ...DEFAULT_BACKUP_RETENTION, ...policy };
+  const keep = new Set();
+  const newestPerFile = new Set();
+
+  // Group by the file that was backed up
+  const groups = new Map();
+  for (const backup of backups) {
+    if (!groups.has(backup.baseName)) {
+      groups.set(backup.baseName, []);
+    }
+    groups.get(backup.baseName).push(backup);
+  }
+
+  for (const group of groups.values()) {
+    group.sort((a, b) => b.time - a.time);
+    newestPerFile.add(group[0]);
+
+    group.slice(0, config.keepLast).forEach(backup => keep.add(backup));
+
+    // Newest backup of each day / week inside the retention window
+    const seenDays = new Set();
+    const seenWeeks = new Set();
+
+    for (const backup of group) {
+      const age = now - backup.time;
+      const day = Math.floor(backup.time / DAY_MS);
+      // 1970-01-01 was a Thursday; shift so weeks start on Monday
+      const week = Math.floor((day + 3) / 7);
+
+      if (age < config.keepDailyDays * DAY_MS && !seenDays.has(day)) {
+        seenDays.add(day);
+        keep.add(backup);
+      }
+
+      if (age < config.keepWeeklyWeeks * 7 * DAY_MS && !seenWeeks.has(week)) {
+        seenWeeks.add(week);
+        keep.add(backup);
+      }
+    }
+  }
+
+  // Enforce the size cap by dropping the oldest kept backups, but never the
+  // newest backup of a file
+  const kept = Array.from(keep).sort((a, b) => b.time - a.time);
+  let totalBytes = kept.reduce((sum, backup) => sum + backup.size, 0);
+
+  for (let i = kept.length - 1; i >= 0 && totalBytes > config.maxTotalBytes; i--) {
+    if (!newestPerFile.has(kept[i])) {
+      totalBytes -= kept[i].size;
+      keep.delete(kept[i]);
+    }
+  }
+
+  return {
+    keep: backups.filter(backup => keep.has(backup)),
+    remove: backups.filter(backup => !keep.has(backup))
+  };
+}
+
+/**
+ * Delete the backups in a directory that the retention policy doesn't keep
+ * @param {string} dir - Directory holding the backups
+ * @param {Object} policy - Retention policy (see DEFAULT_BACKUP_RETENTION)
+ * @returns {Promise<Object>} { removed, kept, freedBytes }
+ */
+async function pruneBackups(dir, policy = DEFAULT_BACKUP_RETENTION) {
+  const backups = await listBackups(dir);
+  const { keep, remove } = selectBackupsToKeep(backups, policy);
+
+  let removed = 0;
+  let freedBytes = 0;
+
+  for (const backup of remove) {
+    try {
+      await fs.promises.unlink(backup.path);
+      removed++;
+      freedBytes += backup.size;
+    } catch (err) {
+      logger.warn(`Failed to remove backup ${backup.path}:`, err);
+    }
+  }
+
+  if (removed > 0) {
+    logger.info(`Pruned ${removed} backups (${freedBytes} bytes) in ${dir}, kept ${keep.length}`);
+  }
+
+  return { removed, kept: keep.length, freedBytes };
+}
+
+export {
+  DEFAULT_BACKUP_RETENTION,
+  BACKUP_PRUNE_INTERVAL,
+  parseBackupFileName,
+  listBackups,
+  selectBackupsToKeep,
+  pruneBackups
+};
@@ -7,6 +7,11 @@ import { Logger } from './logger.js';
 import { safeReadJSON, validateArrayData, validateJSONData } from './jsonUtils.js';
 import { handleContentLoadingError, ERROR_CATEGORIES, categorizeError } from './errorHandler.js';
 import { recoverContent, circuitBreaker } from './contentRecovery.js';
+import { EncryptionError } from './encryption.js';
+import { STICKER_TYPES } from './stickerStore.js';
+import { STICKER_FONTS, FONT_SIZE_LIMITS, OPACITY_LIMITS, isHexColor } from './stickerAppearance.js';
+import { REMINDER_RECURRENCES } from './stickerReminders.js';
+import { isAttachmentId } from './stickerAttachments.js';
 import { displayError, displayWarning, displayInfo } from '../ui/errorDisplay.js';
 
 // Create a logger for content loading
@@ -40,6 +45,11 @@ async function withRetry(fn, options = {}) {
     try {
       return await circuitBreaker.execute(config.operationKey, fn);
     } catch (err) {
+      // Retrying won't unlock encrypted data
+      if (err instanceof EncryptionError) {
+        throw err;
+      }
+
       // If circuit is open, throw the error
       if (err.message?.includes('Circuit breaker is open')) {
         logger.warn(`Circuit breaker is open for ${config.operationKey}`, err);
@@ -87,6 +97,10 @@ async function withRetry(fn, options = {}) {
       // Race the function against the timeout
       return await Promise.race([fn(), timeoutPromise]);
     } catch (err) {
+      if (err instanceof EncryptionError) {
+        throw err;
+      }
+
       lastError = err;
       logger.warn(`Attempt ${attempt + 1}/${config.maxRetries + 1} failed:`, err);
 
@@ -229,6 +243,12 @@ async function loadContent(filePath, defaultValue = {}, options = {}) {
       recovered: false
     };
   } catch (err) {
+    // Locked data must reach the caller; falling back to the default would hide every sticker
+    if (err instanceof EncryptionError) {
+      logger.error(`Can't load encrypted content from ${filePath}:`, err);
+      throw err;
+    }
+
     logger.error(`Failed to load content from ${filePath} after all retries:`, err);
 
     // Categorize the error
@@ -301,6 +321,35 @@ async function loadArrayContent(filePath, defaultValue = [], options = {}) {
   return result;
 }
 
+/**
+ * Validate a checklist item
+ * @param {Object} item - Checklist item to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateChecklistItem(item) {
+  return (
+    item !== null &&
+    typeof item === 'object' &&
+    typeof item.id === 'string' &&
+    item.id.trim() !== '' &&
+    typeof item.text === 'string' &&
+    typeof item.checked === 'boolean'
+  );
+}
+
+/**
+ * Validate the items of a checklist sticker; item IDs must be unique
+ * @param {Array} items - Checklist items to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateChecklistItems(items) {
+  return (
+    Array.isArray(items) &&
+    items.every(validateChecklistItem) &&
+    new Set(items.map(item => item.id)).size === items.length
+  );
+}
+
 /**
  * Validate sticker content item
  * @param {Object} item - Sticker content item to validate
@@ -312,12 +361,35 @@ function validateStickerContent(item) {
     typeof item === 'object' &&
     typeof item.id === 'string' &&
     item.id.trim() !== '' &&
-    (item.content === undefined || typeof item.content === 'string')
+    (item.content === undefined || typeof item.content === 'string') &&
+    (item.items === undefined || validateChecklistItems(item.items)) &&
+    (item.type !== STICKER_TYPES.CHECKLIST || item.items !== undefined)
   );
 }
 
 /**
- * Validate sticker layout item
+ * Validate a sticker appearance (colors, font and window opacity)
+ * @param {Object} appearance - Appearance to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateStickerAppearance(appearance) {
+  return (
+    appearance !== null &&
+    typeof appearance === 'object' &&
+    isHexColor(appearance.background) &&
+    isHexColor(appearance.textColor) &&
+    Object.prototype.hasOwnProperty.call(STICKER_FONTS, appearance.fontFamily) &&
+    typeof appearance.fontSize === 'number' &&
+    appearance.fontSize >= FONT_SIZE_LIMITS.min &&
+    appearance.fontSize <= FONT_SIZE_LIMITS.max &&
+    typeof appearance.opacity === 'number' &&
+    appearance.opacity >= OPACITY_LIMITS.min &&
+    appearance.opacity <= OPACITY_LIMITS.max
+  );
+}
+
+/**
+ * Validate sticker layout item; the appearance is optional, since older data has none
  * @param {Object} item - Sticker layout item to validate
  * @returns {boolean} - True if valid, false otherwise
  */
@@ -332,7 +404,11 @@ function validateStickerLayout(item) {
     typeof item.position.y === 'number' &&
     typeof item.size === 'object' &&
     typeof item.size.width === 'number' &&
-    typeof item.size.height === 'number'
+    typeof item.size.height === 'number' &&
+    (item.appearance === undefined || validateStickerAppearance(item.appearance)) &&
+    (item.pinned === undefined || typeof item.pinned === 'boolean') &&
+    (item.collapsed === undefined || typeof item.collapsed === 'boolean') &&
+    (item.expandedHeight === undefined || typeof item.expandedHeight === 'number')
   );
 }
 
@@ -356,6 +432,126 @@ function validateStickerLayoutArray(items) {
   return items.every(validateStickerLayout);
 }
 
+/**
+ * Validate a sticker reminder
+ * @param {Object} reminder - Reminder to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateStickerReminder(reminder) {
+  const isTimestamp = value => typeof value === 'string' && !isNaN(new Date(value).getTime());
+
+  return (
+    reminder !== null &&
+    typeof reminder === 'object' &&
+    isTimestamp(reminder.dueAt) &&
+    Object.values(REMINDER_RECURRENCES).includes(reminder.recurrence) &&
+    (reminder.snoozedUntil === undefined || isTimestamp(reminder.snoozedUntil))
+  );
+}
+
+/**
+ * Validate the image of an image sticker
+ * @param {Object} image - Image to validate ({ attachmentId, width, height })
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateStickerImage(image) {
+  const isDimension = value => typeof value === 'number' && value >= 0;
+
+  return (
+    image !== null &&
+    typeof image === 'object' &&
+    isAttachmentId(image.attachmentId) &&
+    isDimension(image.width) &&
+    isDimension(image.height)
+  );
+}
+
+/**
+ * Validate a sticker record from the versioned store (layout + content + metadata)
+ * @param {Object} item - Sticker record to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateStickerRecord(item) {
+  return (
+    validateStickerContent(item) &&
+    validateStickerLayout(item) &&
+    typeof item.type === 'string' &&
+    (item.title === undefined || typeof item.title === 'string') &&
+    (item.tags === undefined || (Array.isArray(item.tags) && item.tags.every(tag => typeof tag === 'string'))) &&
+    (item.reminder === undefined || validateStickerReminder(item.reminder)) &&
+    (item.image === undefined || validateStickerImage(item.image)) &&
+    typeof item.createdAt === 'string' &&
+    typeof item.updatedAt === 'string'
+  );
+}
+
+/**
+ * Validate a versioned sticker store object
+ * @param {Object} store - Store object with version header and stickers array
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateStickerStore(store) {
+  return (
+    store !== null &&
+    typeof store === 'object' &&
+    !Array.isArray(store) &&
+    typeof store.version === 'string' &&
+    Array.isArray(store.stickers) &&
+    store.stickers.every(validateStickerRecord)
+  );
+}
+
+/**
+ * Validate a sticker trash object
+ * @param {Object} trash - Trash object with an items array of deleted sticker records
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateStickerTrash(trash) {
+  return (
+    trash !== null &&
+    typeof trash === 'object' &&
+    !Array.isArray(trash) &&
+    Array.isArray(trash.items) &&
+    trash.items.every(item => validateStickerRecord(item) && typeof item.deletedAt === 'string')
+  );
+}
+
+/**
+ * Validate a sticker workspaces object
+ * @param {Object} content - Workspaces object with a workspaces array
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateStickerWorkspaces(content) {
+  return (
+    content !== null &&
+    typeof content === 'object' &&
+    !Array.isArray(content) &&
+    Array.isArray(content.workspaces) &&
+    content.workspaces.every(workspace =>
+      workspace !== null &&
+      typeof workspace === 'object' &&
+      typeof workspace.id === 'string' &&
+      typeof workspace.name === 'string' &&
+      Array.isArray(workspace.stickers)
+    )
+  );
+}
+
+/**
+ * Validate a sticker templates object
+ * @param {Object} content - Templates object with a templates array
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateStickerTemplates(content) {
+  return (
+    content !== null &&
+    typeof content === 'object' &&
+    !Array.isArray(content) &&
+    Array.isArray(content.templates) &&
+    content.templates.every(template => template !== null && typeof template === 'object')
+  );
+}
+
 /**
  * Load content with error handling and user feedback
  * @param {string} filePath - Path to the JSON file
@@ -392,8 +588,18 @@ export {
   loadContentWithFeedback,
   loadArrayContentWithFeedback,
   withRetry,
+  validateChecklistItem,
+  validateChecklistItems,
   validateStickerContent,
+  validateStickerAppearance,
   validateStickerLayout,
   validateStickerContentArray,
-  validateStickerLayoutArray
+  validateStickerLayoutArray,
+  validateStickerReminder,
+  validateStickerImage,
+  validateStickerRecord,
+  validateStickerStore,
+  validateStickerTrash,
+  validateStickerWorkspaces,
+  validateStickerTemplates
 };
@@ -8,10 +8,15 @@ import path from 'path';
 import { Logger } from './logger.js';
 import { ERROR_CATEGORIES } from './errorHandler.js';
 import { safeReadJSON, safeWriteJSON, backupJSONFile } from './jsonUtils.js';
+import { parseBackupFileName } from './backupRetention.js';
+import { looksEncrypted } from './encryption.js';
 
 // Create a logger for content recovery
 const logger = new Logger({ category: 'ContentRecovery' });
 
+// Backups taken of files that were already broken are never used for recovery
+const UNRECOVERABLE_BACKUP_REASONS = ['corrupt', 'pre-repair'];
+
 /**
  * Find backup files for a given file path
  * @param {string} filePath - Original file path
@@ -32,11 +37,19 @@ async function findBackupFiles(filePath) {
     
     // Filter backup files
     const backupFiles = files.filter(file => {
-      return file.startsWith(baseName) && (
-        file.includes('.backup-') || 
-        file.includes('.deleted-') || 
-        file.includes('.pre-update')
-      );
+      if (!file.startsWith(baseName)) {
+        return false;
+      }
+      
+      if (file.includes('.backup-') || file.includes('.deleted-') || file.includes('.pre-update')) {
+        return true;
+      }
+      
+      // Any other timestamped backup of this file, e.g. pre-write or pre-save
+      const backup = parseBackupFileName(file);
+      return backup !== null &&
+        backup.baseName === baseName &&
+        !UNRECOVERABLE_BACKUP_REASONS.includes(backup.reason);
     });
     
     // Get file stats for sorting
@@ -155,6 +168,12 @@ async function repairCorruptedFile(filePath) {
       logger.warn(`File is empty or unreadable: ${filePath}`);
       return null;
     }
+
+    // Ciphertext can't be repaired by patching its text
+    if (looksEncrypted(fileContent)) {
+      logger.warn(`Not repairing encrypted file: ${filePath}`);
+      return null;
+    }
     
     // Try to fix common JSON syntax errors
     let repairedContent = fileContent
@@ -240,6 +259,12 @@ async function recoverContent(filePath, errorCategory, defaultContent = []) {
         }
         break;
         
+      case ERROR_CATEGORIES.ENCRYPTION:
+        // The data is fine, just locked; any fallback would overwrite it
+        logger.warn(`Cannot recover locked or undecryptable data for ${filePath}`);
+        recoveryMethod = 'failed';
+        break;
+
       case ERROR_CATEGORIES.PERMISSION_DENIED:
         // Can't do much about permission issues
         logger.warn(`Cannot recover from permission denied error for ${filePath}`);
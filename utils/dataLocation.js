@@ -0,0 +1,420 @@
+/**
+ * Data Location Utility
+ * Decides where sticker data, preferences, logs and temporary files live, and
+ * moves the data to another folder
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Logger } from './logger.js';
+import { safeWriteFileAtomic } from './fileUtils.js';
+import { STORE_FILE_NAME } from './stickerStore.js';
+import { JOURNAL_FILE_NAME } from './stickerJournal.js';
+import { TRASH_FILE_NAME } from './stickerTrash.js';
+import { WORKSPACES_FILE_NAME } from './stickerWorkspaces.js';
+import { TEMPLATES_FILE_NAME } from './stickerTemplates.js';
+import { REVISIONS_DIR_NAME } from './stickerRevisions.js';
+import { SNAPSHOTS_DIR_NAME } from './stickerSnapshots.js';
+import { ATTACHMENTS_DIR_NAME } from './stickerAttachments.js';
+import { ENCRYPTION_FILE_NAME } from './encryption.js';
+
+// Create a logger for the data location
+const logger = new Logger({ category: 'DataLocation' });
+
+// Setting file, kept in the default data directory, naming a user-chosen data directory
+const DATA_LOCATION_FILE_NAME = 'data-location.json';
+
+// In portable mode, data lives in this folder next to the executable
+const PORTABLE_DATA_DIR_NAME = 'FloatingStickers-data';
+
+// A file with this name next to the executable turns on portable mode. The
+// portable electron-builder target turns it on through PORTABLE_EXECUTABLE_DIR.
+const PORTABLE_MARKER_FILE_NAME = 'portable';
+
+// Preferences files written by PreferencesService: speech-to-text settings, and
+// everything else that is a setting rather than sticker content
+const PREFERENCES_FILE_NAME = 'speech-to-text-prefs.json';
+const GENERAL_PREFERENCES_FILE_NAME = 'stickers-prefs.json';
+
+// Subdirectories of the data directory
+const LOG_DIR_NAME = 'logs';
+const TEMP_DIR_NAME = 'temp';
+
+// Where temporary audio goes outside portable mode
+const SYSTEM_TEMP_DIR = path.join(os.tmpdir(), 'sticker-audio-recordings');
+
+// Everything in the data directory that belongs to the app. Backups of these
+// files (`{name}.{reason}-{timestamp}`) belong to it too. Anything else, like
+// Electron's own files in its user data directory, is never moved or encrypted.
+const DATA_ENTRY_NAMES = [
+  STORE_FILE_NAME,
+  JOURNAL_FILE_NAME,
+  TRASH_FILE_NAME,
+  WORKSPACES_FILE_NAME,
+  TEMPLATES_FILE_NAME,
+  REVISIONS_DIR_NAME,
+  SNAPSHOTS_DIR_NAME,
+  ATTACHMENTS_DIR_NAME,
+  ENCRYPTION_FILE_NAME,
+  PREFERENCES_FILE_NAME,
+  GENERAL_PREFERENCES_FILE_NAME,
+  'stickers-layout.json', // Legacy v1 files, see StickerDataManager
+  'stickers-content.json',
+  LOG_DIR_NAME,
+  TEMP_DIR_NAME
+];
+
+// Paths the services use, set once at startup by the main process
+let dataPaths = null;
+
+/**
+ * Find the directory portable mode keeps its data next to
+ * @param {Object} options - Options
+ * @param {Object} options.env - Environment variables
+ * @param {string} options.exePath - Path of the running executable
+ * @returns {string|null} Directory of the executable, or null if not in portable mode
+ */
+function findPortableDirectory(options = {}) {
+  const env = options.env || process.env;
+  const exePath = options.exePath || process.execPath;
+
+  if (env.PORTABLE_EXECUTABLE_DIR) {
+    return env.PORTABLE_EXECUTABLE_DIR;
+  }
+
+  const exeDir = path.dirname(exePath);
+  return fs.existsSync(path.join(exeDir, PORTABLE_MARKER_FILE_NAME)) ? exeDir : null;
+}
+
+/**
+ * Read the user-chosen data directory
+ * @param {string} defaultDir - Default data directory holding the setting
+ * @returns {string|null} Chosen directory, or null for the default
+ */
+function readDataLocationSetting(defaultDir) {
+  try {
+    const setting = JSON.parse(fs.readFileSync(path.join(defaultDir, DATA_LOCATION_FILE_NAME), 'utf8'));
+    return typeof setting.dataDir === 'string' && setting.dataDir.trim() !== '' ? setting.dataDir : null;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn('Ignoring unreadable data location setting:', err);
+    }
+    return null;
+  }
+}
+
+/**
+ * Save the user-chosen data directory
+ * @param {string} defaultDir - Default data directory holding the setting
+ * @param {string|null} dataDir - Chosen directory, or null to go back to the default
+ * @returns {Promise<void>}
+ */
+async function writeDataLocationSetting(defaultDir, dataDir) {
+  const settingPath = path.join(defaultDir, DATA_LOCATION_FILE_NAME);
+
+  if (dataDir === null || isSameDirectory(dataDir, defaultDir)) {
+    await fs.promises.rm(settingPath, { force: true });
+    return;
+  }
+
+  await fs.promises.mkdir(defaultDir, { recursive: true });
+  const saved = await safeWriteFileAtomic(
+    settingPath,
+    JSON.stringify({ dataDir: path.resolve(dataDir) }, null, 2),
+    { encoding: 'utf8' }
+  );
+
+  if (!saved) {
+    throw new Error(`Failed to write ${settingPath}`);
+  }
+}
+
+/**
+ * Decide where the data lives: next to the executable in portable mode, in a
+ * user-chosen directory, or in the default directory
+ * @param {Object} options - Options
+ * @param {string} options.defaultDir - Default data directory (Electron's user data directory)
+ * @param {Object} options.env - Environment variables
+ * @param {string} options.exePath - Path of the running executable
+ * @returns {Object} { dataDir, portable, custom, unavailableDir } where unavailableDir is a
+ *   chosen directory that doesn't exist anymore (e.g. an unplugged drive)
+ */
+function resolveDataLocation(options) {
+  const portableDir = findPortableDirectory(options);
+  if (portableDir) {
+    return {
+      dataDir: path.join(portableDir, PORTABLE_DATA_DIR_NAME),
+      portable: true,
+      custom: false,
+      unavailableDir: null
+    };
+  }
+
+  const chosenDir = readDataLocationSetting(options.defaultDir);
+  if (chosenDir && !fs.existsSync(chosenDir)) {
+    logger.warn(`Data directory ${chosenDir} is unavailable, using ${options.defaultDir}`);
+    return { dataDir: options.defaultDir, portable: false, custom: false, unavailableDir: chosenDir };
+  }
+
+  return {
+    dataDir: chosenDir || options.defaultDir,
+    portable: false,
+    custom: chosenDir !== null,
+    unavailableDir: null
+  };
+}
+
+/**
+ * Work out the directories used for a data directory
+ * @param {string} dataDir - Data directory
+ * @param {Object} options - Options
+ * @param {boolean} options.portable - Keep temporary files in the data directory too
+ * @returns {Object} { dataDir, logDir, tempDir }
+ */
+function getDataPaths(dataDir, options = {}) {
+  return {
+    dataDir,
+    logDir: path.join(dataDir, LOG_DIR_NAME),
+    tempDir: options.portable ? path.join(dataDir, TEMP_DIR_NAME) : SYSTEM_TEMP_DIR
+  };
+}
+
+/**
+ * Set the paths the services use
+ * @param {Object} paths - Paths as returned by getDataPaths
+ */
+function setDataPaths(paths) {
+  dataPaths = paths;
+}
+
+/**
+ * Get the paths the services use
+ * @returns {Object|null} { dataDir, logDir, tempDir }, or null if not configured
+ */
+function getConfiguredDataPaths() {
+  return dataPaths;
+}
+
+/**
+ * Check whether two paths name the same directory
+ * @param {string} a - First path
+ * @param {string} b - Second path
+ * @returns {boolean} True if they are the same
+ * @private
+ */
+function isSameDirectory(a, b) {
+  return path.relative(path.resolve(a), path.resolve(b)) === '';
+}
+
+/**
+ * Check whether a path lies inside a directory
+ * @param {string} child - Path to check
+ * @param {string} parent - Directory
+ * @returns {boolean} True if child is parent or lies inside it
+ * @private
+ */
+function isInsideDirectory(child, parent) {
+  const relative = path.relative(path.resolve(parent), path.resolve(child));
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Check whether a directory entry belongs to the app
+ * @param {string} name - Entry name
+ * @returns {boolean} True for data files, their backups and data directories
+ */
+function isDataEntryName(name) {
+  return DATA_ENTRY_NAMES.some(entry => name === entry || name.startsWith(`${entry}.`));
+}
+
+/**
+ * List the entries of a directory that belong to the app
+ * @param {string} dir - Data directory
+ * @returns {Promise<Array<string>>} Entry names
+ */
+async function listDataEntries(dir) {
+  try {
+    const names = await fs.promises.readdir(dir);
+    return names.filter(isDataEntryName).filter(name => !name.endsWith('.tmp')).sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+}
+
+/**
+ * List the data entries a move would overwrite
+ * @param {string} fromDir - Current data directory
+ * @param {string} toDir - New data directory
+ * @returns {Promise<Array<string>>} Entry names present in both
+ */
+async function findMoveConflicts(fromDir, toDir) {
+  const existing = new Set(await listDataEntries(toDir));
+  return (await listDataEntries(fromDir)).filter(name => existing.has(name));
+}
+
+/**
+ * Sum up the files below a path, to check that a copy is complete
+ * @param {string} entryPath - File or directory
+ * @returns {Promise<Object>} { files, bytes }
+ * @private
+ */
+async function measure(entryPath) {
+  const stat = await fs.promises.stat(entryPath);
+  if (!stat.isDirectory()) {
+    return { files: 1, bytes: stat.size };
+  }
+
+  const total = { files: 0, bytes: 0 };
+  for (const name of await fs.promises.readdir(entryPath)) {
+    const sub = await measure(path.join(entryPath, name));
+    total.files += sub.files;
+    total.bytes += sub.bytes;
+  }
+  return total;
+}
+
+/**
+ * Put staged copies in place of the entries in a directory. Entries already
+ * there are moved aside first rather than deleted, so if a rename fails
+ * halfway (a locked file, missing permissions) they are put back and the
+ * directory is left as it was.
+ * @param {string} stagingDir - Folder holding the copies
+ * @param {string} toDir - Directory to put them in
+ * @param {Array<string>} names - Entry names
+ * @returns {Promise<void>}
+ * @private
+ */
+async function replaceEntries(stagingDir, toDir, names) {
+  const asideDir = `${stagingDir}-replaced`;
+  const placed = [];
+  const movedAside = [];
+
+  try {
+    await fs.promises.mkdir(asideDir, { recursive: true });
+
+    for (const name of names) {
+      const target = path.join(toDir, name);
+      try {
+        await fs.promises.rename(target, path.join(asideDir, name));
+        movedAside.push(name);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+
+      await fs.promises.rename(path.join(stagingDir, name), target);
+      placed.push(name);
+    }
+  } catch (err) {
+    try {
+      for (const name of placed) {
+        await fs.promises.rm(path.join(toDir, name), { recursive: true, force: true });
+      }
+      for (const name of movedAside) {
+        await fs.promises.rename(path.join(asideDir, name), path.join(toDir, name));
+      }
+    } catch (restoreErr) {
+      // Keep what was moved aside; it may be the only copy left
+      logger.error(`Failed to put back the data replaced in ${toDir}, it is kept in ${asideDir}:`, restoreErr);
+      throw err;
+    }
+
+    await fs.promises.rm(asideDir, { recursive: true, force: true }).catch(() => {});
+    throw err;
+  }
+
+  await fs.promises.rm(asideDir, { recursive: true, force: true }).catch(() => {});
+}
+
+/**
+ * Move the app's data to another directory. Everything is copied to a staging
+ * folder inside the new directory and checked first, so a failed copy leaves
+ * both directories as they were. Only then are the copies put in place (data
+ * they replace is put back if that fails), the data location setting switched
+ * and the originals removed.
+ * @param {string} fromDir - Current data directory
+ * @param {string} toDir - New data directory
+ * @param {Object} options - Move options
+ * @param {string} options.settingsDir - Default data directory holding the data location setting
+ * @param {boolean} options.overwrite - Replace data already in the new directory
+ * @returns {Promise<Object>} { success, moved, conflicts, error }
+ */
+async function moveDataDirectory(fromDir, toDir, options = {}) {
+  if (isSameDirectory(fromDir, toDir)) {
+    return { success: false, error: 'The data is already in this folder' };
+  }
+  if (isInsideDirectory(toDir, fromDir) || isInsideDirectory(fromDir, toDir)) {
+    return { success: false, error: 'The new folder can\'t contain, or be inside, the current data folder' };
+  }
+
+  const entries = await listDataEntries(fromDir);
+  const conflicts = await findMoveConflicts(fromDir, toDir);
+  if (conflicts.length > 0 && !options.overwrite) {
+    return { success: false, conflicts, error: 'The new folder already holds sticker data' };
+  }
+
+  const stagingDir = path.join(toDir, `.floating-stickers-move-${Date.now()}`);
+
+  try {
+    await fs.promises.mkdir(stagingDir, { recursive: true });
+
+    for (const name of entries) {
+      const source = path.join(fromDir, name);
+      const staged = path.join(stagingDir, name);
+      await fs.promises.cp(source, staged, { recursive: true, errorOnExist: true, force: false });
+
+      const [expected, copied] = await Promise.all([measure(source), measure(staged)]);
+      if (expected.files !== copied.files || expected.bytes !== copied.bytes) {
+        throw new Error(`Copy of ${name} is incomplete`);
+      }
+    }
+
+    await replaceEntries(stagingDir, toDir, entries);
+  } catch (err) {
+    logger.error(`Failed to copy data from ${fromDir} to ${toDir}:`, err);
+    return { success: false, error: err.message };
+  } finally {
+    await fs.promises.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+  }
+
+  // Point the app at the new directory before anything is removed from the old one
+  if (options.settingsDir) {
+    await writeDataLocationSetting(options.settingsDir, toDir);
+  }
+
+  for (const name of entries) {
+    try {
+      await fs.promises.rm(path.join(fromDir, name), { recursive: true, force: true });
+    } catch (err) {
+      // The data is safe in its new place; a leftover copy is only clutter
+      logger.warn(`Failed to remove ${name} from the old data directory:`, err);
+    }
+  }
+
+  logger.info(`Moved ${entries.length} data entries from ${fromDir} to ${toDir}`);
+  return { success: true, moved: entries, conflicts };
+}
+
+export {
+  DATA_LOCATION_FILE_NAME,
+  PORTABLE_DATA_DIR_NAME,
+  PORTABLE_MARKER_FILE_NAME,
+  PREFERENCES_FILE_NAME,
+  GENERAL_PREFERENCES_FILE_NAME,
+  findPortableDirectory,
+  readDataLocationSetting,
+  writeDataLocationSetting,
+  resolveDataLocation,
+  getDataPaths,
+  setDataPaths,
+  getConfiguredDataPaths,
+  isDataEntryName,
+  listDataEntries,
+  findMoveConflicts,
+  moveDataDirectory
+};
@@ -8,6 +8,8 @@ import path from 'path';
 import { Logger } from './logger.js';
 import { safeReadJSON, safeWriteJSON, backupJSONFile } from './jsonUtils.js';
 import { detectDataVersion, DATA_VERSIONS } from './versionDetection.js';
+import { validateStickerStore } from './contentLoader.js';
+import { createStickerRecord, timestampFromLegacyId } from './stickerStore.js';
 import { displayInfo, displayWarning, displayError } from '../ui/errorDisplay.js';
 import { ERROR_CATEGORIES } from './errorHandler.js';
 
@@ -21,6 +23,7 @@ const logger = new Logger({ category: 'DataMigration' });
  * @param {Object} options - Migration options
  * @param {boolean} options.showErrors - Whether to display errors to the user
  * @param {boolean} options.createBackup - Whether to create backups before migration
+ * @param {string} options.storeFilePath - Path to the versioned store file to migrate into
  * @returns {Promise<Object>} Migration result
  */
 async function migrateData(layoutFilePath, contentFilePath, options = {}) {
@@ -28,7 +31,7 @@ async function migrateData(layoutFilePath, contentFilePath, options = {}) {
   
   try {
     // Detect current data version
-    const versionInfo = await detectDataVersion(layoutFilePath, contentFilePath);
+    const versionInfo = await detectDataVersion(layoutFilePath, contentFilePath, options.storeFilePath);
     
     logger.info(`Detected data version: ${versionInfo.version}`);
     
@@ -52,12 +55,26 @@ async function migrateData(layoutFilePath, contentFilePath, options = {}) {
     
     switch (versionInfo.version) {
       case DATA_VERSIONS.UNKNOWN:
-        migrationResult = await migrateUnknownFormat(layoutFilePath, contentFilePath, versionInfo);
+        migrationResult = await migrateUnknownFormat(
+          layoutFilePath,
+          contentFilePath,
+          versionInfo,
+          options.storeFilePath
+        );
+        break;
+        
+      case DATA_VERSIONS.V1:
+        migrationResult = await migrateFromV1(
+          layoutFilePath,
+          contentFilePath,
+          versionInfo,
+          options.storeFilePath
+        );
         break;
         
       // Add cases for future versions here
       // case DATA_VERSIONS.V2:
-      //   migrationResult = await migrateFromV2(layoutFilePath, contentFilePath, versionInfo);
+      //   migrationResult = await migrateFromV2(options.storeFilePath, versionInfo);
       //   break;
         
       default:
@@ -142,9 +159,10 @@ async function createBackups(layoutFilePath, contentFilePath) {
  * @param {string} layoutFilePath - Path to layout file
  * @param {string} contentFilePath - Path to content file
  * @param {Object} versionInfo - Version information
+ * @param {string|null} storeFilePath - Versioned store to write into (legacy files are rewritten if omitted)
  * @returns {Promise<Object>} Migration result
  */
-async function migrateUnknownFormat(layoutFilePath, contentFilePath, versionInfo) {
+async function migrateUnknownFormat(layoutFilePath, contentFilePath, versionInfo, storeFilePath = null) {
   logger.info('Attempting to migrate data from unknown format');
   
   try {
@@ -160,6 +178,24 @@ async function migrateUnknownFormat(layoutFilePath, contentFilePath, versionInfo
       };
     }
     
+    // Go straight to the versioned store when we have one
+    if (storeFilePath) {
+      const result = await migrateToStore(
+        extractedData.stickers,
+        layoutFilePath,
+        contentFilePath,
+        storeFilePath
+      );
+      
+      return {
+        ...result,
+        stickersExtracted: extractedData.stickers.length,
+        message: result.success
+          ? `Extracted ${extractedData.stickers.length} stickers from unknown format`
+          : result.message
+      };
+    }
+    
     // Save extracted layout data
     const layoutData = extractedData.stickers.map(sticker => ({
       id: sticker.id,
@@ -196,6 +232,161 @@ async function migrateUnknownFormat(layoutFilePath, contentFilePath, versionInfo
   }
 }
 
+/**
+ * Migrate a v1 layout/content file pair into the versioned store
+ * @param {string} layoutFilePath - Path to layout file
+ * @param {string} contentFilePath - Path to content file
+ * @param {Object} versionInfo - Version information (with parsed layout and content data)
+ * @param {string|null} storeFilePath - Path to the versioned store file
+ * @returns {Promise<Object>} Migration result
+ */
+async function migrateFromV1(layoutFilePath, contentFilePath, versionInfo, storeFilePath) {
+  logger.info('Migrating data from v1 layout/content files to the versioned store');
+  
+  if (!storeFilePath) {
+    logger.warn('No store file path provided, cannot migrate v1 data');
+    return {
+      success: false,
+      migrated: false,
+      message: 'No store file path provided for v1 migration'
+    };
+  }
+  
+  // V1 data merges the same way unknown data does, it just doesn't need guessing
+  const extractedData = extractValidStickers(versionInfo.layoutData, versionInfo.contentData);
+  
+  const result = await migrateToStore(
+    extractedData.stickers,
+    layoutFilePath,
+    contentFilePath,
+    storeFilePath
+  );
+  
+  return {
+    ...result,
+    stickersMigrated: extractedData.stickers.length,
+    message: result.success
+      ? `Migrated ${extractedData.stickers.length} stickers to ${DATA_VERSIONS.V2}`
+      : result.message
+  };
+}
+
+/**
+ * Build a versioned store from merged legacy sticker data
+ * @param {Array} stickers - Merged sticker data (id, content, position, size)
+ * @param {string} now - ISO timestamp used for savedAt and missing creation times
+ * @returns {Object} Store object ({ version, savedAt, stickers })
+ */
+function buildStoreFromStickers(stickers, now = new Date().toISOString()) {
+  return {
+    version: DATA_VERSIONS.V2,
+    savedAt: now,
+    stickers: stickers.map(sticker => createStickerRecord(
+      { ...sticker, createdAt: timestampFromLegacyId(sticker.id) || now },
+      null,
+      now
+    ))
+  };
+}
+
+/**
+ * Write merged stickers to the versioned store and retire the legacy files.
+ * Every step is recorded so that a failure part way through can be rolled back,
+ * leaving the legacy files exactly as they were.
+ * @param {Array} stickers - Merged sticker data (id, content, position, size)
+ * @param {string} layoutFilePath - Path to legacy layout file
+ * @param {string} contentFilePath - Path to legacy content file
+ * @param {string} storeFilePath - Path to the versioned store file
+ * @returns {Promise<Object>} Migration result
+ */
+async function migrateToStore(stickers, layoutFilePath, contentFilePath, storeFilePath) {
+  const steps = {
+    storeWritten: false,
+    retiredFiles: []
+  };
+  
+  try {
+    const now = new Date().toISOString();
+    const store = buildStoreFromStickers(stickers, now);
+    
+    // Write the store atomically so a crash never leaves a half-written file
+    const saved = await safeWriteJSON(storeFilePath, store, { atomic: true });
+    if (!saved) {
+      throw new Error(`Failed to write sticker store: ${storeFilePath}`);
+    }
+    steps.storeWritten = true;
+    
+    // Read it back before touching the legacy files
+    const written = await safeReadJSON(storeFilePath, null);
+    if (!validateStickerStore(written) || written.stickers.length !== store.stickers.length) {
+      throw new Error('Sticker store verification failed after migration');
+    }
+    
+    // Rename rather than delete the legacy files so they stay available
+    const timestamp = now.replace(/:/g, '-');
+    for (const filePath of [layoutFilePath, contentFilePath]) {
+      if (fs.existsSync(filePath)) {
+        const retiredPath = `${filePath}.migrated-${timestamp}`;
+        await fs.promises.rename(filePath, retiredPath);
+        steps.retiredFiles.push({ from: filePath, to: retiredPath });
+      }
+    }
+    
+    logger.info(`Migrated ${store.stickers.length} stickers to ${storeFilePath}`);
+    
+    return {
+      success: true,
+      migrated: true,
+      version: DATA_VERSIONS.V2
+    };
+  } catch (err) {
+    logger.error('Error migrating to the versioned store, rolling back:', err);
+    
+    const rolledBack = await rollbackMigration(storeFilePath, steps);
+    
+    return {
+      success: false,
+      migrated: false,
+      rolledBack,
+      error: err.message,
+      message: 'Failed to migrate to the versioned store'
+    };
+  }
+}
+
+/**
+ * Undo the steps of a partially completed store migration
+ * @param {string} storeFilePath - Path to the versioned store file
+ * @param {Object} steps - Steps recorded by migrateToStore
+ * @returns {Promise<boolean>} True if every step was undone
+ */
+async function rollbackMigration(storeFilePath, steps) {
+  let success = true;
+  
+  // Put the legacy files back first, they are the source of truth
+  for (const { from, to } of steps.retiredFiles.reverse()) {
+    try {
+      await fs.promises.rename(to, from);
+      logger.info(`Restored legacy file ${from}`);
+    } catch (err) {
+      logger.error(`Failed to restore legacy file ${from} from ${to}:`, err);
+      success = false;
+    }
+  }
+  
+  if (steps.storeWritten) {
+    try {
+      await fs.promises.unlink(storeFilePath);
+      logger.info(`Removed partially migrated store ${storeFilePath}`);
+    } catch (err) {
+      logger.error(`Failed to remove partially migrated store ${storeFilePath}:`, err);
+      success = false;
+    }
+  }
+  
+  return success;
+}
+
 /**
  * Extract valid stickers from unknown data format
  * @param {any} layoutData - Layout data
@@ -298,7 +489,7 @@ function extractValidStickers(layoutData, contentData) {
             size
           });
         }
-      });
+      }
     }
   }
   
@@ -363,7 +554,10 @@ async function addVersionInfo(layoutFilePath, contentFilePath, version = DATA_VE
 
 export {
   migrateData,
+  migrateFromV1,
+  rollbackMigration,
   createBackups,
   extractValidStickers,
+  buildStoreFromStickers,
   addVersionInfo
 };
@@ -0,0 +1,746 @@
+/**
+ * Encryption Utility
+ * Optional passphrase-based encryption at rest for the files in the data directory.
+ *
+ * Files are encrypted with a random data key (AES-256-GCM). The data key is kept
+ * in `encryption.json`, wrapped with a key derived from the passphrase (scrypt),
+ * so the passphrase itself is never stored. An encrypted file is a small JSON
+ * envelope, which keeps encrypted and plain files readable by the same code.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { Logger } from './logger.js';
+import { safeWriteFileAtomic } from './fileUtils.js';
+
+// Create a logger for encryption
+const logger = new Logger({ category: 'Encryption' });
+
+const scrypt = promisify(crypto.scrypt);
+
+// Name of the key file inside the data directory
+const ENCRYPTION_FILE_NAME = 'encryption.json';
+
+// Cipher used for files and for wrapping data keys
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+// scrypt cost parameters for deriving the key from the passphrase
+const DEFAULT_KDF_PARAMS = {
+  N: 16384,
+  r: 8,
+  p: 1
+};
+
+// Files with this extension hold JSON Lines and are encrypted line by line
+const JOURNAL_EXTENSION = '.journal';
+
+// Files in the data directory (and their backups) that must stay readable
+// without the passphrase. Preferences are written by PreferencesService with
+// plain fs and hold settings only; sticker templates are kept in their own,
+// encrypted file.
+const UNENCRYPTED_FILE_NAMES = [ENCRYPTION_FILE_NAME, 'speech-to-text-prefs.json', 'stickers-prefs.json'];
+
+// Folders in the data directory whose files are binary (images, see
+// utils/stickerAttachments.js) and are encrypted whole rather than as JSON
+const BINARY_DIR_NAMES = ['attachments'];
+
+// Error codes carried by EncryptionError
+const ENCRYPTION_ERROR_CODES = {
+  LOCKED: 'ELOCKED',
+  DECRYPT: 'EDECRYPT'
+};
+
+/**
+ * Raised when encrypted data can't be read or written: the data is locked, the
+ * passphrase is wrong or the data was tampered with. Callers must never treat
+ * it as a missing or corrupt file, or they would overwrite encrypted data.
+ */
+class EncryptionError extends Error {
+  /**
+   * Create a new EncryptionError
+   * @param {string} message - Error message
+   * @param {string} code - One of ENCRYPTION_ERROR_CODES
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'EncryptionError';
+    this.code = code;
+  }
+}
+
+// Data directory, the check for which of its entries are the app's, and
+// unlocked data keys. Keys only ever live in memory.
+const state = {
+  dataDir: null,
+  isDataEntry: () => true,
+  keys: new Map(),
+  activeKeyId: null
+};
+
+/**
+ * Encrypt a buffer with a key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {Buffer} key - 256-bit key
+ * @returns {Object} { iv, tag, data } as base64 strings
+ */
+function encryptBuffer(plaintext, key) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a buffer encrypted by encryptBuffer
+ * @param {Object} encrypted - { iv, tag, data } as base64 strings
+ * @param {Buffer} key - 256-bit key
+ * @returns {Buffer} Decrypted data
+ * @throws {EncryptionError} If the key is wrong or the data was altered
+ */
+function decryptBuffer(encrypted, key) {
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+  } catch {
+    throw new EncryptionError('Unable to decrypt data: wrong key or altered data', ENCRYPTION_ERROR_CODES.DECRYPT);
+  }
+}
+
+/**
+ * Check whether a parsed JSON value is an encrypted envelope
+ * @param {any} value - Parsed JSON value
+ * @returns {boolean} True if the value is an envelope
+ */
+function isEncryptedEnvelope(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    value.encrypted === CIPHER &&
+    typeof value.keyId === 'string' &&
+    typeof value.iv === 'string' &&
+    typeof value.tag === 'string' &&
+    typeof value.data === 'string'
+  );
+}
+
+/**
+ * Check whether raw file text is an encrypted envelope
+ * @param {string} text - Raw file text
+ * @returns {boolean} True if the text is an envelope
+ */
+function looksEncrypted(text) {
+  try {
+    return isEncryptedEnvelope(JSON.parse(text));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read an envelope from the bytes of a binary file
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} Encrypted envelope, or null if the bytes aren't one
+ * @private
+ */
+function parseEnvelopeBuffer(buffer) {
+  // Images never start with "{", which spares decoding them as text
+  if (buffer[0] !== 0x7b) {
+    return null;
+  }
+
+  try {
+    const value = JSON.parse(buffer.toString('utf8'));
+    return isEncryptedEnvelope(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encrypt bytes with the active data key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Object} Encrypted envelope
+ * @throws {EncryptionError} If encryption is locked
+ */
+function encryptBytes(plaintext) {
+  const key = state.keys.get(state.activeKeyId);
+  if (!key) {
+    throw new EncryptionError('Sticker data is locked', ENCRYPTION_ERROR_CODES.LOCKED);
+  }
+
+  return {
+    encrypted: CIPHER,
+    keyId: state.activeKeyId,
+    ...encryptBuffer(plaintext, key)
+  };
+}
+
+/**
+ * Encrypt text with the active data key
+ * @param {string} text - Text to encrypt
+ * @returns {Object} Encrypted envelope
+ * @throws {EncryptionError} If encryption is locked
+ */
+function encryptText(text) {
+  return encryptBytes(Buffer.from(text, 'utf8'));
+}
+
+/**
+ * Decrypt an envelope with the data key it was written with
+ * @param {Object} envelope - Encrypted envelope
+ * @returns {Buffer} Decrypted data
+ * @throws {EncryptionError} If the key is locked, unknown or wrong
+ */
+function decryptBytes(envelope) {
+  const key = state.keys.get(envelope.keyId);
+  if (!key) {
+    throw state.activeKeyId
+      ? new EncryptionError(`Data was encrypted with an unknown key ${envelope.keyId}`, ENCRYPTION_ERROR_CODES.DECRYPT)
+      : new EncryptionError('Sticker data is locked', ENCRYPTION_ERROR_CODES.LOCKED);
+  }
+
+  return decryptBuffer(envelope, key);
+}
+
+/**
+ * Decrypt an envelope holding text
+ * @param {Object} envelope - Encrypted envelope
+ * @returns {string} Decrypted text
+ * @throws {EncryptionError} If the key is locked, unknown or wrong
+ */
+function decryptText(envelope) {
+  return decryptBytes(envelope).toString('utf8');
+}
+
+/**
+ * Set the data directory whose files are encrypted when encryption is enabled
+ * @param {string|null} dataDir - Data directory, or null to encrypt nothing
+ * @param {Object} [options] - Options
+ * @param {function(string): boolean} [options.isDataEntry] - Whether a top-level
+ *   entry of the data directory belongs to the app (see isDataEntryName in
+ *   utils/dataLocation.js). Every entry does by default.
+ */
+function configureEncryption(dataDir, options = {}) {
+  if (state.dataDir !== dataDir) {
+    lockEncryption();
+  }
+  state.dataDir = dataDir;
+  state.isDataEntry = options.isDataEntry || (() => true);
+}
+
+/**
+ * Check whether encryption is enabled for the configured data directory
+ * @returns {boolean} True if a key file exists
+ */
+function isEncryptionEnabled() {
+  return state.dataDir !== null && fs.existsSync(path.join(state.dataDir, ENCRYPTION_FILE_NAME));
+}
+
+/**
+ * Check whether the data keys are loaded
+ * @returns {boolean} True if encrypted files can be read and written
+ */
+function isEncryptionUnlocked() {
+  return state.activeKeyId !== null;
+}
+
+/**
+ * Check whether a file name is one that always stays plain, or a backup of one
+ * @param {string} fileName - File name without directory
+ * @returns {boolean} True if the file is never encrypted
+ * @private
+ */
+function isUnencryptedFileName(fileName) {
+  return UNENCRYPTED_FILE_NAMES.some(name => fileName === name || fileName.startsWith(`${name}.`));
+}
+
+/**
+ * Check whether a file is written encrypted
+ * @param {string} filePath - File path
+ * @returns {boolean} True if the file belongs to the encrypted data directory
+ */
+function shouldEncryptFile(filePath) {
+  if (state.dataDir === null) {
+    return false;
+  }
+
+  const relative = path.relative(state.dataDir, path.resolve(filePath));
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    return false;
+  }
+
+  // Only the app's own files; see listDataFiles
+  if (!state.isDataEntry(relative.split(path.sep)[0]) || isUnencryptedFileName(path.basename(filePath))) {
+    return false;
+  }
+
+  return isEncryptionUnlocked() || isEncryptionEnabled();
+}
+
+/**
+ * Turn text about to be written into what goes on disk
+ * @param {string} filePath - File the text is written to
+ * @param {string} text - Plain text (JSON)
+ * @returns {string} The text itself, or an encrypted envelope as JSON
+ * @throws {EncryptionError} If the file must be encrypted but encryption is locked
+ */
+function encodeFileText(filePath, text) {
+  return shouldEncryptFile(filePath) ? JSON.stringify(encryptText(text)) : text;
+}
+
+/**
+ * Turn a parsed JSON value read from disk into the data it holds
+ * @param {any} value - Parsed JSON value
+ * @returns {any} The value itself, or the decrypted and parsed contents of an envelope
+ * @throws {EncryptionError} If the value is encrypted and can't be decrypted
+ */
+function decodeFileValue(value) {
+  return isEncryptedEnvelope(value) ? JSON.parse(decryptText(value)) : value;
+}
+
+/**
+ * Turn the bytes of a binary file about to be written into what goes on disk
+ * @param {string} filePath - File the bytes are written to
+ * @param {Buffer} buffer - Plain data
+ * @returns {Buffer} The data itself, or an encrypted envelope as JSON
+ * @throws {EncryptionError} If the file must be encrypted but encryption is locked
+ */
+function encodeFileBuffer(filePath, buffer) {
+  return shouldEncryptFile(filePath) ? Buffer.from(JSON.stringify(encryptBytes(buffer)), 'utf8') : buffer;
+}
+
+/**
+ * Turn the bytes of a binary file read from disk into the data they hold
+ * @param {Buffer} buffer - File contents
+ * @returns {Buffer} The contents themselves, or the decrypted data of an envelope
+ * @throws {EncryptionError} If the file is encrypted and can't be decrypted
+ */
+function decodeFileBuffer(buffer) {
+  const envelope = parseEnvelopeBuffer(buffer);
+  return envelope ? decryptBytes(envelope) : buffer;
+}
+
+/**
+ * Read the key file
+ * @returns {Promise<Object|null>} Key file contents, or null if encryption isn't enabled
+ * @private
+ */
+async function readKeyFile() {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(state.dataDir, ENCRYPTION_FILE_NAME), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Write the key file atomically
+ * @param {Object} kdf - Key derivation settings ({ name, salt, N, r, p })
+ * @param {Buffer} kek - Key derived from the passphrase
+ * @param {Map<string, Buffer>} keys - Data keys by ID
+ * @param {string} activeKeyId - ID of the key new data is encrypted with
+ * @returns {Promise<void>}
+ * @private
+ */
+async function writeKeyFile(kdf, kek, keys, activeKeyId) {
+  const keyFile = {
+    version: 1,
+    kdf,
+    activeKeyId,
+    keys: Array.from(keys, ([id, key]) => ({ id, ...encryptBuffer(key, kek) }))
+  };
+
+  const saved = await safeWriteFileAtomic(
+    path.join(state.dataDir, ENCRYPTION_FILE_NAME),
+    JSON.stringify(keyFile, null, 2),
+    { encoding: 'utf8' }
+  );
+
+  if (!saved) {
+    throw new Error('Failed to write the encryption key file');
+  }
+}
+
+/**
+ * Create key derivation settings with a fresh salt
+ * @param {Object} params - scrypt cost parameters
+ * @returns {Object} Key derivation settings
+ * @private
+ */
+function createKdf(params = DEFAULT_KDF_PARAMS) {
+  return { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...params };
+}
+
+/**
+ * Derive the key-encryption key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Object} kdf - Key derivation settings
+ * @returns {Promise<Buffer>} Derived key
+ * @private
+ */
+function deriveKey(passphrase, kdf) {
+  return scrypt(String(passphrase), Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p
+  });
+}
+
+/**
+ * Unwrap the data keys in the key file with a passphrase
+ * @param {Object} keyFile - Key file contents
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<Object|null>} { kek, keys }, or null if the passphrase is wrong
+ * @private
+ */
+async function unwrapKeys(keyFile, passphrase) {
+  const kek = await deriveKey(passphrase, keyFile.kdf);
+
+  try {
+    const keys = new Map(keyFile.keys.map(entry => [entry.id, decryptBuffer(entry, kek)]));
+    return { kek, keys };
+  } catch (err) {
+    if (err instanceof EncryptionError) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * List the files in the data directory that may hold sticker data. Only the
+ * app's own entries are included: the data directory may be Electron's user
+ * data directory, whose files (`Local State`, `Preferences`, ...) Chromium must
+ * keep reading.
+ * @param {string} dir - Directory to scan
+ * @param {boolean} topLevel - Whether dir is the data directory itself
+ * @returns {Promise<Array<string>>} File paths
+ * @private
+ */
+async function listDataFiles(dir, topLevel = true) {
+  const files = [];
+
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+
+    if (topLevel && !state.isDataEntry(entry.name)) {
+      continue;
+    }
+
+    if (entry.isDirectory()) {
+      files.push(...await listDataFiles(fullPath, false));
+    } else if (entry.isFile() &&
+      !entry.name.endsWith('.tmp') &&
+      !entry.name.endsWith('.lock') &&
+      !isUnencryptedFileName(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Re-encode one piece of JSON text for the target state
+ * @param {string} text - JSON text as found on disk (plain or an envelope)
+ * @param {boolean} encrypt - Whether the result is encrypted with the active key
+ * @returns {string} JSON text to write
+ * @private
+ */
+function reencodeText(text, encrypt) {
+  const value = JSON.parse(text);
+  const plain = isEncryptedEnvelope(value) ? decryptText(value) : text;
+
+  if (encrypt && isEncryptedEnvelope(value) && value.keyId === state.activeKeyId) {
+    return text;
+  }
+
+  return encrypt ? JSON.stringify(encryptText(plain)) : plain;
+}
+
+/**
+ * Re-encode the bytes of a binary file for the target state
+ * @param {Buffer} raw - File contents as found on disk (plain or an envelope)
+ * @param {boolean} encrypt - Whether the result is encrypted with the active key
+ * @returns {Buffer} Bytes to write
+ * @private
+ */
+function reencodeBuffer(raw, encrypt) {
+  const envelope = parseEnvelopeBuffer(raw);
+  if (encrypt && envelope && envelope.keyId === state.activeKeyId) {
+    return raw;
+  }
+
+  const plain = envelope ? decryptBytes(envelope) : raw;
+  return encrypt ? Buffer.from(JSON.stringify(encryptBytes(plain)), 'utf8') : plain;
+}
+
+/**
+ * Check whether a data file is binary, like an attachment
+ * @param {string} filePath - File path inside the data directory
+ * @returns {boolean} True if the file is encrypted whole as bytes
+ * @private
+ */
+function isBinaryDataFile(filePath) {
+  return BINARY_DIR_NAMES.includes(path.relative(state.dataDir, filePath).split(path.sep)[0]);
+}
+
+/**
+ * Bring every data file to the target state: encrypted with the active key, or plain.
+ * JSON files are handled whole; journal files (JSON Lines) line by line; attachments
+ * as bytes. Other files that aren't JSON, like logs and audio recordings, are left alone.
+ * @param {Object} options - Options
+ * @param {boolean} options.encrypt - Whether files end up encrypted
+ * @returns {Promise<Object>} { updated, failed }
+ */
+async function reencryptDataFiles(options = {}) {
+  const encrypt = options.encrypt !== false;
+  let updated = 0;
+  let failed = 0;
+
+  for (const filePath of await listDataFiles(state.dataDir)) {
+    try {
+      const binary = isBinaryDataFile(filePath);
+      const raw = await fs.promises.readFile(filePath, binary ? undefined : 'utf8');
+      let target;
+
+      if (binary) {
+        target = reencodeBuffer(raw, encrypt);
+      } else if (filePath.endsWith(JOURNAL_EXTENSION)) {
+        // A torn line can't be replayed anyway, so it is dropped
+        const lines = raw.split('\n').filter(line => line.trim() !== '' && looksLikeJSON(line));
+        target = lines.map(line => `${reencodeText(line, encrypt)}\n`).join('');
+      } else if (looksLikeJSON(raw)) {
+        target = reencodeText(raw, encrypt);
+      } else {
+        continue;
+      }
+
+      if (binary ? !target.equals(raw) : target !== raw) {
+        if (!await safeWriteFileAtomic(filePath, target, binary ? {} : { encoding: 'utf8' })) {
+          throw new Error(`Failed to write ${filePath}`);
+        }
+        updated++;
+      }
+    } catch (err) {
+      failed++;
+      logger.warn(`Failed to ${encrypt ? 're-encrypt' : 'decrypt'} ${filePath}:`, err);
+    }
+  }
+
+  logger.info(`${encrypt ? 'Encrypted' : 'Decrypted'} ${updated} data files${failed > 0 ? `, ${failed} failed` : ''}`);
+  return { updated, failed };
+}
+
+/**
+ * Check whether a line of text parses as JSON
+ * @param {string} line - Text
+ * @returns {boolean} True if it parses
+ * @private
+ */
+function looksLikeJSON(line) {
+  try {
+    JSON.parse(line);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Turn on encryption with a new passphrase and encrypt all existing data files
+ * @param {string} passphrase - New passphrase
+ * @param {Object} options - Options
+ * @param {Object} options.kdfParams - scrypt cost parameters
+ * @returns {Promise<Object>} { updated, failed } counts of encrypted files
+ */
+async function enableEncryption(passphrase, options = {}) {
+  if (isEncryptionEnabled()) {
+    throw new Error('Encryption is already enabled');
+  }
+  if (!passphrase) {
+    throw new Error('A passphrase is required');
+  }
+
+  const kdf = createKdf(options.kdfParams);
+  const kek = await deriveKey(passphrase, kdf);
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const keys = new Map([[keyId, crypto.randomBytes(KEY_LENGTH)]]);
+
+  // The key file comes first: once it exists, no plain data is written anymore
+  await writeKeyFile(kdf, kek, keys, keyId);
+  state.keys = keys;
+  state.activeKeyId = keyId;
+
+  logger.info('Encryption enabled');
+  return reencryptDataFiles();
+}
+
+/**
+ * Unlock encrypted data with the passphrase
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<boolean>} True if unlocked, false if the passphrase is wrong
+ */
+async function unlockEncryption(passphrase) {
+  const keyFile = await readKeyFile();
+  if (!keyFile) {
+    return true;
+  }
+
+  const unwrapped = await unwrapKeys(keyFile, passphrase);
+  if (!unwrapped) {
+    logger.warn('Wrong passphrase, sticker data stays locked');
+    return false;
+  }
+
+  state.keys = unwrapped.keys;
+  state.activeKeyId = keyFile.activeKeyId;
+
+  // More than one key means a passphrase change was interrupted; finish it
+  if (unwrapped.keys.size > 1) {
+    logger.info('Finishing an interrupted passphrase change');
+    await retireOldKeys(keyFile.kdf, unwrapped.kek);
+  }
+
+  logger.info('Sticker data unlocked');
+  return true;
+}
+
+/**
+ * Re-encrypt everything with the active key, then drop the other keys
+ * @param {Object} kdf - Key derivation settings of the key file
+ * @param {Buffer} kek - Key derived from the passphrase
+ * @returns {Promise<Object>} { updated, failed }
+ * @private
+ */
+async function retireOldKeys(kdf, kek) {
+  const result = await reencryptDataFiles();
+
+  // Keep the old keys while any file may still need them
+  if (result.failed === 0) {
+    state.keys = new Map([[state.activeKeyId, state.keys.get(state.activeKeyId)]]);
+    await writeKeyFile(kdf, kek, state.keys, state.activeKeyId);
+  }
+
+  return result;
+}
+
+/**
+ * Forget the data keys; encrypted files can't be read or written until unlocked again
+ */
+function lockEncryption() {
+  state.keys = new Map();
+  state.activeKeyId = null;
+}
+
+/**
+ * Change the passphrase and re-encrypt all data files with a new data key.
+ * Until every file is re-encrypted the old key stays in the key file (wrapped
+ * with the new passphrase), so an interrupted change loses nothing and is
+ * finished at the next unlock.
+ * @param {string} currentPassphrase - Current passphrase
+ * @param {string} newPassphrase - New passphrase
+ * @param {Object} options - Options
+ * @param {Object} options.kdfParams - scrypt cost parameters
+ * @returns {Promise<Object>} { success, updated, failed, error }
+ */
+async function changePassphrase(currentPassphrase, newPassphrase, options = {}) {
+  const keyFile = await readKeyFile();
+  if (!keyFile) {
+    return { success: false, error: 'Encryption is not enabled' };
+  }
+  if (!newPassphrase) {
+    return { success: false, error: 'A passphrase is required' };
+  }
+
+  const unwrapped = await unwrapKeys(keyFile, currentPassphrase);
+  if (!unwrapped) {
+    return { success: false, error: 'The current passphrase is wrong' };
+  }
+
+  const kdf = createKdf(options.kdfParams ?? {
+    N: keyFile.kdf.N,
+    r: keyFile.kdf.r,
+    p: keyFile.kdf.p
+  });
+  const kek = await deriveKey(newPassphrase, kdf);
+  const keyId = crypto.randomBytes(8).toString('hex');
+  const keys = new Map([[keyId, crypto.randomBytes(KEY_LENGTH)], ...unwrapped.keys]);
+
+  await writeKeyFile(kdf, kek, keys, keyId);
+  state.keys = keys;
+  state.activeKeyId = keyId;
+
+  const result = await retireOldKeys(kdf, kek);
+  logger.info(`Passphrase changed, re-encrypted ${result.updated} data files`);
+
+  return { success: result.failed === 0, ...result };
+}
+
+/**
+ * Turn encryption off and write all data files back in plain text
+ * @param {string} passphrase - Current passphrase
+ * @returns {Promise<Object>} { success, updated, failed, error }
+ */
+async function disableEncryption(passphrase) {
+  const keyFile = await readKeyFile();
+  if (!keyFile) {
+    return { success: true, updated: 0, failed: 0 };
+  }
+
+  const unwrapped = await unwrapKeys(keyFile, passphrase);
+  if (!unwrapped) {
+    return { success: false, error: 'The passphrase is wrong' };
+  }
+
+  state.keys = unwrapped.keys;
+  state.activeKeyId = keyFile.activeKeyId;
+
+  const result = await reencryptDataFiles({ encrypt: false });
+  if (result.failed > 0) {
+    // Leave encryption on so the files that are still encrypted stay readable
+    return { success: false, ...result, error: `${result.failed} files could not be decrypted` };
+  }
+
+  await fs.promises.unlink(path.join(state.dataDir, ENCRYPTION_FILE_NAME));
+  lockEncryption();
+
+  logger.info('Encryption disabled');
+  return { success: true, ...result };
+}
+
+export {
+  ENCRYPTION_FILE_NAME,
+  ENCRYPTION_ERROR_CODES,
+  DEFAULT_KDF_PARAMS,
+  EncryptionError,
+  configureEncryption,
+  isEncryptionEnabled,
+  isEncryptionUnlocked,
+  isEncryptedEnvelope,
+  looksEncrypted,
+  shouldEncryptFile,
+  encodeFileText,
+  decodeFileValue,
+  encodeFileBuffer,
+  decodeFileBuffer,
+  reencryptDataFiles,
+  enableEncryption,
+  unlockEncryption,
+  lockEncryption,
+  changePassphrase,
+  disableEncryption
+};
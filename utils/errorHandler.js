@@ -5,6 +5,7 @@
 
 import { Logger } from './logger.js';
 import { isDevelopment } from './environment.js';
+import { ENCRYPTION_ERROR_CODES } from './encryption.js';
 
 // Error categories
 const ERROR_CATEGORIES = {
@@ -14,6 +15,7 @@ const ERROR_CATEGORIES = {
   NETWORK_ERROR: 'NETWORK_ERROR',
   TIMEOUT: 'TIMEOUT',
   VALIDATION_ERROR: 'VALIDATION_ERROR',
+  ENCRYPTION: 'ENCRYPTION',
   UNKNOWN: 'UNKNOWN'
 };
 
@@ -28,6 +30,11 @@ const logger = new Logger({ category: 'ErrorHandler' });
 function categorizeError(err) {
   if (!err) return ERROR_CATEGORIES.UNKNOWN;
 
+  // Check for encrypted data that is locked or can't be decrypted
+  if (Object.values(ENCRYPTION_ERROR_CODES).includes(err.code)) {
+    return ERROR_CATEGORIES.ENCRYPTION;
+  }
+
   // Check for file not found errors
   if (
     err.code === 'ENOENT' ||
@@ -116,6 +123,9 @@ function getUserFriendlyMessage(category, err) {
     case ERROR_CATEGORIES.VALIDATION_ERROR:
       return 'The data format is invalid. The application will try to fix this automatically.';
 
+    case ERROR_CATEGORIES.ENCRYPTION:
+      return 'Your stickers are encrypted and could not be unlocked. Check your passphrase and try again.';
+
     case ERROR_CATEGORIES.UNKNOWN:
     default:
       return isDevelopment()
@@ -0,0 +1,327 @@
+/**
+ * File Lock Utility
+ * Advisory lock file that serializes writers across processes, e.g. a second
+ * app instance pointed at the same data directory
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { Logger } from './logger.js';
+
+// Create a logger for file locks
+const logger = new Logger({ category: 'FileLock' });
+
+// A lock whose file hasn't been touched for this long is considered abandoned.
+// Holders refresh the file well within this time.
+const LOCK_STALE_MS = 10000;
+
+// Pause between attempts while another writer holds the lock
+const LOCK_RETRY_DELAY = 25;
+
+// Give up waiting after this long. Longer than LOCK_STALE_MS so a lock left
+// behind by a crashed process is always taken over before giving up.
+const LOCK_TIMEOUT = 15000;
+
+// Error codes for FileLockError
+const FILE_LOCK_ERROR_CODES = {
+  TIMEOUT: 'ELOCKTIMEOUT'
+};
+
+/**
+ * Error raised when a lock can't be acquired
+ */
+class FileLockError extends Error {
+  /**
+   * Create a new FileLockError
+   * @param {string} message - Error message
+   * @param {string} code - One of FILE_LOCK_ERROR_CODES
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'FileLockError';
+    this.code = code;
+  }
+}
+
+/**
+ * Wait for a while
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ * @private
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process id
+ * @returns {boolean} True if the process exists
+ * @private
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to someone else
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Advisory lock held by creating a lock file exclusively. The file records the
+ * holder's pid and host so a lock left behind by a crashed process can be
+ * recognized and taken over.
+ *
+ * An instance has one holder at a time; callers that may overlap need their
+ * own instances or a queue in front of the lock.
+ */
+class FileLock {
+  /**
+   * Create a new FileLock
+   * @param {string} lockPath - Path of the lock file
+   * @param {Object} options - Lock options
+   * @param {number} options.staleMs - Age after which an untouched lock is abandoned
+   * @param {number} options.retryDelay - Pause between attempts
+   * @param {number} options.timeout - Longest time to wait for the lock
+   */
+  constructor(lockPath, options = {}) {
+    this.lockPath = lockPath;
+    this.staleMs = options.staleMs ?? LOCK_STALE_MS;
+    this.retryDelay = options.retryDelay ?? LOCK_RETRY_DELAY;
+    this.timeout = options.timeout ?? LOCK_TIMEOUT;
+    this.token = null;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Whether this instance currently holds the lock
+   * @returns {boolean}
+   */
+  get isHeld() {
+    return this.token !== null;
+  }
+
+  /**
+   * Wait for the lock and take it
+   * @returns {Promise<void>}
+   * @throws {FileLockError} If the lock stays held by someone else past the timeout
+   */
+  async acquire() {
+    const token = crypto.randomBytes(16).toString('hex');
+    const deadline = Date.now() + this.timeout;
+
+    for (;;) {
+      if (await this.tryCreate(token)) {
+        this.token = token;
+        this.startHeartbeat();
+        return;
+      }
+
+      const owner = await this.readOwner();
+      if (!owner) {
+        // Released between our attempt and the read
+        continue;
+      }
+
+      if (this.isStale(owner)) {
+        logger.warn(`Taking over stale lock ${this.lockPath} held by pid ${owner.info.pid ?? 'unknown'}`);
+        await this.removeStale(owner);
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new FileLockError(
+          `Timed out waiting for ${this.lockPath} held by pid ${owner.info.pid ?? 'unknown'}`,
+          FILE_LOCK_ERROR_CODES.TIMEOUT
+        );
+      }
+
+      await delay(this.retryDelay);
+    }
+  }
+
+  /**
+   * Give the lock up. Does nothing if the lock isn't held.
+   * @returns {Promise<void>}
+   */
+  async release() {
+    if (!this.isHeld) {
+      return;
+    }
+
+    const token = this.token;
+    this.token = null;
+    this.stopHeartbeat();
+
+    const owner = await this.readOwner();
+    if (!owner || owner.info.token !== token) {
+      // Someone decided our lock was stale; their lock isn't ours to remove
+      logger.warn(`Lock ${this.lockPath} was taken over before it was released`);
+      return;
+    }
+
+    try {
+      await fs.promises.unlink(this.lockPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.error(`Failed to remove lock ${this.lockPath}:`, err);
+      }
+    }
+  }
+
+  /**
+   * Run a function while holding the lock
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<any>} Result of the function
+   */
+  async withLock(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      await this.release();
+    }
+  }
+
+  /**
+   * Try to create the lock file
+   * @param {string} token - Identifies this acquisition
+   * @returns {Promise<boolean>} True if the lock file was created
+   * @private
+   */
+  async tryCreate(token) {
+    const info = {
+      pid: process.pid,
+      hostname: os.hostname(),
+      acquiredAt: new Date().toISOString(),
+      token
+    };
+
+    let handle;
+    try {
+      handle = await fs.promises.open(this.lockPath, 'wx');
+    } catch (err) {
+      if (err.code === 'EEXIST') {
+        return false;
+      }
+      if (err.code === 'ENOENT') {
+        await fs.promises.mkdir(path.dirname(this.lockPath), { recursive: true });
+        return this.tryCreate(token);
+      }
+      throw err;
+    }
+
+    try {
+      await handle.writeFile(JSON.stringify(info));
+    } finally {
+      await handle.close();
+    }
+    return true;
+  }
+
+  /**
+   * Read the current lock file
+   * @returns {Promise<Object|null>} { raw, info, mtimeMs }, or null if there is no lock
+   * @private
+   */
+  async readOwner() {
+    try {
+      const [raw, stats] = await Promise.all([
+        fs.promises.readFile(this.lockPath, 'utf8'),
+        fs.promises.stat(this.lockPath)
+      ]);
+
+      let info = {};
+      try {
+        info = JSON.parse(raw) || {};
+      } catch {
+        // Still being written, or left half-written by a crash; the age decides
+      }
+
+      return { raw, info, mtimeMs: stats.mtimeMs };
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Check whether a lock has been abandoned
+   * @param {Object} owner - Lock as returned by readOwner
+   * @returns {boolean} True if the lock can be taken over
+   * @private
+   */
+  isStale(owner) {
+    if (Date.now() - owner.mtimeMs > this.staleMs) {
+      return true;
+    }
+
+    // A holder on this machine that no longer runs can't release its lock.
+    // Our own pid may be another FileLock in this process, which is alive.
+    const { pid, hostname } = owner.info;
+    return hostname === os.hostname() &&
+      Number.isInteger(pid) &&
+      pid !== process.pid &&
+      !isProcessRunning(pid);
+  }
+
+  /**
+   * Remove a stale lock, unless it changed hands since it was read
+   * @param {Object} owner - Lock as returned by readOwner
+   * @returns {Promise<void>}
+   * @private
+   */
+  async removeStale(owner) {
+    const current = await this.readOwner();
+    if (!current || current.raw !== owner.raw || current.mtimeMs !== owner.mtimeMs) {
+      return;
+    }
+
+    try {
+      await fs.promises.unlink(this.lockPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Keep the lock file fresh while held so long writes aren't taken for a crash
+   * @private
+   */
+  startHeartbeat() {
+    this.heartbeat = setInterval(() => {
+      const now = new Date();
+      fs.promises.utimes(this.lockPath, now, now).catch(err => {
+        logger.warn(`Failed to refresh lock ${this.lockPath}: ${err.message}`);
+      });
+    }, Math.max(Math.floor(this.staleMs / 3), 1));
+
+    // Don't keep the process alive just for the heartbeat
+    this.heartbeat.unref?.();
+  }
+
+  /**
+   * Stop refreshing the lock file
+   * @private
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+}
+
+export {
+  LOCK_STALE_MS,
+  LOCK_TIMEOUT,
+  FILE_LOCK_ERROR_CODES,
+  FileLockError,
+  FileLock
+};
@@ -7,6 +7,7 @@ import fs from 'fs';
 import path from 'path';
 import { isTest } from './environment.js';
 import { LOG_LEVELS } from './debugUtils.js';
+import { getLogDirectory } from './logger.js';
 
 // Default log directory
 const DEFAULT_LOG_DIR = path.join(process.cwd(), 'logs');
@@ -27,14 +28,14 @@ class FileLogger {
   /**
    * Create a new FileLogger instance
    * @param {Object} options - Logger options
-   * @param {string} options.logDir - Directory for log files
+   * @param {string} options.logDir - Directory for log files (default: see setLogDirectory in logger.js)
    * @param {string} options.logFile - Base name for log files
    * @param {boolean} options.useTimestamp - Whether to include timestamp in log file names
    * @param {boolean} options.useLevelPrefix - Whether to prefix log files with level name
    * @param {boolean} options.createSubdirs - Whether to create subdirectories for each day
    */
   constructor(options = {}) {
-    this.logDir = options.logDir || DEFAULT_LOG_DIR;
+    this.logDir = options.logDir || getLogDirectory();
     this.logFile = options.logFile || DEFAULT_LOG_FILE;
     this.useTimestamp = options.useTimestamp !== false;
     this.useLevelPrefix = options.useLevelPrefix !== false;
@@ -155,6 +155,49 @@ async function safeWriteFile(filePath, content, options = {}) {
   }
 }
 
+/**
+ * Write to a file atomically: the content goes to a temporary sibling file first,
+ * which is then renamed over the target so readers never see a half-written file
+ * @param {string} filePath - Path to the file
+ * @param {string|Buffer} content - Content to write
+ * @param {Object} options - Write options
+ * @returns {Promise<boolean>} - Success status
+ */
+async function safeWriteFileAtomic(filePath, content, options = {}) {
+  const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+  
+  try {
+    // Create directory if it doesn't exist
+    const dir = path.dirname(filePath);
+    await ensureDirectoryExists(dir);
+    
+    // Create backup if requested and file exists
+    if (options.createBackup && fs.existsSync(filePath)) {
+      await createFileBackup(filePath, options.backupReason || 'pre-write');
+    }
+    
+    logger.debug(`Writing to temporary file: ${tempPath}`);
+    await fs.promises.writeFile(tempPath, content, options);
+    await fs.promises.rename(tempPath, filePath);
+    logger.debug(`File atomically replaced: ${filePath}`);
+    
+    return true;
+  } catch (err) {
+    logger.error(`Error atomically writing to file ${filePath}:`, err);
+    
+    // Don't leave the temporary file behind
+    try {
+      if (fs.existsSync(tempPath)) {
+        await fs.promises.unlink(tempPath);
+      }
+    } catch (cleanupErr) {
+      logger.warn(`Failed to remove temporary file ${tempPath}:`, cleanupErr);
+    }
+    
+    return false;
+  }
+}
+
 /**
  * Append to a file with error handling
  * @param {string} filePath - Path to the file
@@ -224,6 +267,7 @@ export {
   isFileEmpty,
   safeReadFile,
   safeWriteFile,
+  safeWriteFileAtomic,
   safeAppendFile,
   getFilesInDirectory
 };
@@ -5,22 +5,26 @@ import {
   ensureDirectoryExists,
   createFileBackup,
   safeReadFile,
-  safeWriteFile
+  safeWriteFile,
+  safeWriteFileAtomic
 } from './fileUtils.js';
 import {
   isObject,
   isArray,
   isValidJSON
 } from './validationUtils.js';
+import { EncryptionError, encodeFileText, decodeFileValue } from './encryption.js';
 
 // Create a logger for JSON operations
 const logger = new Logger({ category: 'JsonUtils' });
 
 /**
- * Safely reads and parses a JSON file with comprehensive error handling
+ * Safely reads and parses a JSON file with comprehensive error handling.
+ * Encrypted files are decrypted transparently.
  * @param {string} filePath - Path to the JSON file
  * @param {any} defaultValue - Default value to return if file doesn't exist or is invalid
  * @returns {Promise<any>} - Parsed JSON data or default value
+ * @throws {EncryptionError} If the file is encrypted and can't be decrypted; the file is left alone
  */
 async function safeReadJSON(filePath, defaultValue = {}) {
   logger.debug(`Reading JSON file: ${filePath}`);
@@ -43,21 +47,10 @@ async function safeReadJSON(filePath, defaultValue = {}) {
 
     logger.debug(`File content length: ${data.length} bytes`);
 
+    let parsed;
     try {
       logger.debug(`Attempting to parse JSON from: ${filePath}`);
-      const parsed = JSON.parse(data);
-
-      // Log the structure of the parsed data
-      if (Array.isArray(parsed)) {
-        logger.debug(`Successfully parsed JSON array with ${parsed.length} items`);
-        if (parsed.length > 0) {
-          logger.debug(`First item sample:`, parsed[0]);
-        }
-      } else {
-        logger.debug(`Successfully parsed JSON object with ${Object.keys(parsed).length} keys`);
-      }
-
-      return parsed;
+      parsed = JSON.parse(data);
     } catch (parseError) {
       logger.error(`Error parsing JSON from ${filePath}:`, parseError);
       logger.error(`Raw data that failed to parse (first 100 chars): ${data.substring(0, 100)}...`);
@@ -66,7 +59,7 @@ async function safeReadJSON(filePath, defaultValue = {}) {
       await createFileBackup(filePath, 'corrupt');
 
       // Try to recreate the file with default values
-      const jsonString = JSON.stringify(defaultValue, null, 2);
+      const jsonString = encodeFileText(filePath, JSON.stringify(defaultValue, null, 2));
       const success = await safeWriteFile(filePath, jsonString);
 
       if (success) {
@@ -77,11 +70,31 @@ async function safeReadJSON(filePath, defaultValue = {}) {
 
       return defaultValue;
     }
+
+    // Decrypt outside the parse error handling: a file we can't decrypt isn't corrupt
+    parsed = decodeFileValue(parsed);
+
+    // Log the structure of the parsed data
+    if (Array.isArray(parsed)) {
+      logger.debug(`Successfully parsed JSON array with ${parsed.length} items`);
+      if (parsed.length > 0) {
+        logger.debug(`First item sample:`, parsed[0]);
+      }
+    } else {
+      logger.debug(`Successfully parsed JSON object with ${Object.keys(parsed).length} keys`);
+    }
+
+    return parsed;
   } catch (err) {
+    if (err instanceof EncryptionError) {
+      logger.error(`Can't decrypt ${filePath}:`, err);
+      throw err;
+    }
+
     logger.error(`Error accessing ${filePath}:`, err);
 
     // Try to create a new file with default values
-    const jsonString = JSON.stringify(defaultValue, null, 2);
+    const jsonString = encodeFileText(filePath, JSON.stringify(defaultValue, null, 2));
     const success = await safeWriteFile(filePath, jsonString);
 
     if (success) {
@@ -95,17 +108,21 @@ async function safeReadJSON(filePath, defaultValue = {}) {
 }
 
 /**
- * Safely writes data to a JSON file
+ * Safely writes data to a JSON file. Files in an encrypted data directory are
+ * written encrypted.
  * @param {string} filePath - Path to the JSON file
  * @param {any} data - Data to write to the file
+ * @param {Object} options - Write options
+ * @param {boolean} options.atomic - Write to a temporary file and rename it into place
+ * @param {boolean} options.createBackup - Back up the existing file first (default true)
  * @returns {Promise<boolean>} - Success status
  */
-async function safeWriteJSON(filePath, data) {
+async function safeWriteJSON(filePath, data, options = {}) {
   logger.debug(`Writing JSON to file: ${filePath}`);
 
   try {
     // Create a backup of the existing file if it exists
-    if (fs.existsSync(filePath)) {
+    if (options.createBackup !== false && fs.existsSync(filePath)) {
       await createFileBackup(filePath, 'pre-write');
     }
 
@@ -137,7 +154,10 @@ async function safeWriteJSON(filePath, data) {
 
     // Write the data directly to the file
     logger.debug(`Writing validated JSON to file: ${filePath}`);
-    const success = await safeWriteFile(filePath, jsonString, { encoding: 'utf8' });
+    const fileText = encodeFileText(filePath, jsonString);
+    const success = options.atomic
+      ? await safeWriteFileAtomic(filePath, fileText, { encoding: 'utf8' })
+      : await safeWriteFile(filePath, fileText, { encoding: 'utf8' });
 
     if (success) {
       logger.info(`Successfully wrote JSON to file: ${filePath}`);
@@ -11,6 +11,9 @@ import { debug, info, warn, error, LOG_LEVELS } from './debugUtils.js';
 // Default log directory
 const DEFAULT_LOG_DIR = path.join(process.cwd(), 'logs');
 
+// Log directory for loggers created without one, set at startup to the data directory's
+let logDirectory = DEFAULT_LOG_DIR;
+
 // Maximum log file size in bytes (5MB)
 const MAX_LOG_FILE_SIZE = 5 * 1024 * 1024;
 
@@ -104,12 +107,20 @@ class Logger {
     this.category = options.category || 'App';
     this.enableConsole = true; // Always enable console logging
     this.enableFile = false; // Always disable file logging
-    this.logDir = options.logDir || DEFAULT_LOG_DIR;
+    this.customLogDir = options.logDir || null;
     this.logLevel = options.logLevel || (isDevelopment() ? LOG_LEVELS.DEBUG : LOG_LEVELS.INFO);
 
     // No need to set up log directory since file logging is disabled
   }
 
+  /**
+   * Directory for log files; follows setLogDirectory unless one was given
+   * @returns {string} Log directory
+   */
+  get logDir() {
+    return this.customLogDir || logDirectory;
+  }
+
   /**
    * Set up log directory - no-op since we're using console only
    */
@@ -292,8 +303,26 @@ class Logger {
 // Create a default logger instance
 const defaultLogger = new Logger({ category: 'App' });
 
+/**
+ * Set the log directory for loggers created without one, including those that already exist
+ * @param {string} dir - Log directory
+ */
+function setLogDirectory(dir) {
+  logDirectory = dir;
+}
+
+/**
+ * Get the log directory for loggers created without one
+ * @returns {string} Log directory
+ */
+function getLogDirectory() {
+  return logDirectory;
+}
+
 export {
   Logger,
+  setLogDirectory,
+  getLogDirectory,
   defaultLogger,
   formatError,
   sanitizeData,
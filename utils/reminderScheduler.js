@@ -0,0 +1,150 @@
+/**
+ * Reminder Scheduler Utility
+ * Keeps one timer per sticker reminder in the main process, so reminders go off
+ * while sticker windows are hidden. Timers only live in memory; they are
+ * rebuilt from the stored reminders on every launch.
+ */
+
+import { Logger } from './logger.js';
+import { normalizeReminder, getReminderTime } from './stickerReminders.js';
+
+// Create a logger for the reminder scheduler
+const logger = new Logger({ category: 'ReminderScheduler' });
+
+// Longest delay setTimeout supports (about 24.8 days); later reminders re-arm when it runs out
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Schedules sticker reminders and reports them when they come due
+ */
+class ReminderScheduler {
+  /**
+   * Create a new ReminderScheduler
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.onDue - Called with (stickerId, reminder) when a reminder comes due
+   * @param {Function} options.now - Clock, returning the current time in milliseconds
+   */
+  constructor(options = {}) {
+    this.onDue = options.onDue || (() => {});
+    this.now = options.now || (() => Date.now());
+    this.timers = new Map();
+  }
+
+  /**
+   * Schedule a sticker's reminder, replacing any earlier one. Reminders that
+   * are already due go off right away.
+   * @param {string} stickerId - Sticker ID
+   * @param {Object|null} reminder - Reminder, or null to only cancel
+   * @returns {boolean} True if a reminder was scheduled
+   */
+  schedule(stickerId, reminder) {
+    const id = String(stickerId);
+    this.cancel(id);
+
+    const normalized = normalizeReminder(reminder);
+    if (!normalized) {
+      return false;
+    }
+
+    this.arm(id, normalized);
+    logger.debug(`Scheduled reminder for sticker ID=${id} at ${new Date(getReminderTime(normalized)).toISOString()}`);
+    return true;
+  }
+
+  /**
+   * Cancel a sticker's reminder
+   * @param {string} stickerId - Sticker ID
+   */
+  cancel(stickerId) {
+    const id = String(stickerId);
+    const timer = this.timers.get(id);
+
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(id);
+    }
+  }
+
+  /**
+   * Cancel every reminder
+   */
+  cancelAll() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * Check whether a sticker has a reminder waiting to go off
+   * @param {string} stickerId - Sticker ID
+   * @returns {boolean}
+   */
+  has(stickerId) {
+    return this.timers.has(String(stickerId));
+  }
+
+  /**
+   * Replace all timers with the reminders of the given stickers. Reminders
+   * that are already due are not scheduled but returned, so they can be
+   * reported together (e.g. those that came due while the app was closed).
+   * @param {Array<Object>} stickers - Sticker records
+   * @returns {Array<Object>} Overdue reminders ({ stickerId, reminder }), oldest first
+   */
+  rebuild(stickers) {
+    this.cancelAll();
+
+    const now = this.now();
+    const overdue = [];
+
+    for (const sticker of stickers || []) {
+      const reminder = normalizeReminder(sticker?.reminder);
+      if (!reminder) continue;
+
+      if (getReminderTime(reminder) <= now) {
+        overdue.push({ stickerId: String(sticker.id), reminder });
+      } else {
+        this.arm(String(sticker.id), reminder);
+      }
+    }
+
+    logger.info(`Scheduled ${this.timers.size} reminders, ${overdue.length} overdue`);
+    return overdue.sort((a, b) => getReminderTime(a.reminder) - getReminderTime(b.reminder));
+  }
+
+  /**
+   * Set the timer for a reminder, re-arming until it is due if it is further
+   * away than a single timer can wait
+   * @param {string} id - Sticker ID
+   * @param {Object} reminder - Normalized reminder
+   * @private
+   */
+  arm(id, reminder) {
+    const delay = Math.max(0, getReminderTime(reminder) - this.now());
+
+    const timer = setTimeout(() => {
+      this.timers.delete(id);
+
+      if (delay > MAX_TIMER_DELAY) {
+        this.arm(id, reminder);
+        return;
+      }
+
+      logger.info(`Reminder for sticker ID=${id} is due`);
+      try {
+        this.onDue(id, reminder);
+      } catch (err) {
+        logger.error(`Error showing reminder for sticker ID=${id}:`, err);
+      }
+    }, Math.min(delay, MAX_TIMER_DELAY));
+
+    // Prevent timer from keeping Node.js process alive
+    if (timer.unref) timer.unref();
+    this.timers.set(id, timer);
+  }
+}
+
+export {
+  MAX_TIMER_DELAY,
+  ReminderScheduler
+};
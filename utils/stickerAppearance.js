@@ -0,0 +1,148 @@
+/**
+ * Sticker Appearance Utility
+ * Per-sticker colors, font and window opacity. Every store record carries a
+ * complete appearance; partial updates are merged into the sticker's current one.
+ * This file is also loaded in the renderer process and has no dependencies.
+ */
+
+// Background colors offered in the sticker's color picker
+const STICKER_PALETTE = {
+  yellow: '#ffffa5',
+  orange: '#ffd59e',
+  pink: '#ffc8dd',
+  purple: '#e2cbf7',
+  blue: '#c5e3ff',
+  green: '#cdf5c4',
+  gray: '#e6e6e6',
+  white: '#ffffff'
+};
+
+// Font families a sticker can use, by name
+const STICKER_FONTS = {
+  system: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+  serif: "Georgia, 'Times New Roman', serif",
+  mono: "Consolas, 'Courier New', monospace",
+  handwriting: "'Segoe Print', 'Comic Sans MS', cursive"
+};
+
+// Font size range in pixels
+const FONT_SIZE_LIMITS = {
+  min: 10,
+  max: 32
+};
+
+// Window opacity range; fully transparent stickers couldn't be found again
+const OPACITY_LIMITS = {
+  min: 0.3,
+  max: 1
+};
+
+// Appearance of stickers that haven't been styled (the original sticker look)
+const DEFAULT_APPEARANCE = {
+  background: STICKER_PALETTE.yellow,
+  textColor: '#333333',
+  fontFamily: 'system',
+  fontSize: 14,
+  opacity: 1
+};
+
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Check whether a value is a `#rgb` or `#rrggbb` color
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isHexColor(value) {
+  return typeof value === 'string' && HEX_COLOR_PATTERN.test(value);
+}
+
+/**
+ * Normalize a color to lowercase `#rrggbb`. Palette names are accepted too.
+ * @param {any} value - Color to normalize
+ * @param {string} fallback - Color to use when the value isn't one
+ * @returns {string} Color
+ * @private
+ */
+function toHexColor(value, fallback) {
+  if (Object.prototype.hasOwnProperty.call(STICKER_PALETTE, value)) {
+    return STICKER_PALETTE[value];
+  }
+  if (!isHexColor(value)) {
+    return fallback;
+  }
+
+  const hex = value.slice(1).toLowerCase();
+  return hex.length === 3 ? `#${[...hex].map(char => char + char).join('')}` : `#${hex}`;
+}
+
+/**
+ * Clamp a number to a range, falling back when it isn't numeric
+ * @param {any} value - Value to clamp
+ * @param {Object} limits - { min, max }
+ * @param {number} fallback - Fallback value
+ * @returns {number} Clamped value
+ * @private
+ */
+function clamp(value, limits, fallback) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, limits.min), limits.max) : fallback;
+}
+
+/**
+ * Build a complete, valid appearance. Fields the update doesn't carry, or
+ * carries invalid values for, come from the current appearance.
+ * @param {Object} appearance - Appearance update (any subset of the fields)
+ * @param {Object} current - Current appearance of the sticker, if any
+ * @returns {Object} Appearance ({ background, textColor, fontFamily, fontSize, opacity })
+ */
+function normalizeAppearance(appearance, current = null) {
+  const base = current && typeof current === 'object' ? normalizeAppearance(current) : DEFAULT_APPEARANCE;
+  const update = appearance && typeof appearance === 'object' ? appearance : {};
+
+  return {
+    background: toHexColor(update.background, base.background),
+    textColor: toHexColor(update.textColor, base.textColor),
+    fontFamily: Object.prototype.hasOwnProperty.call(STICKER_FONTS, update.fontFamily) ? update.fontFamily : base.fontFamily,
+    fontSize: Math.round(clamp(update.fontSize, FONT_SIZE_LIMITS, base.fontSize)),
+    opacity: Math.round(clamp(update.opacity, OPACITY_LIMITS, base.opacity) * 100) / 100
+  };
+}
+
+/**
+ * Get the palette entry a background color is, if any
+ * @param {string} background - Background color
+ * @returns {string|null} Palette color name, or null for a custom color
+ */
+function getPaletteColorName(background) {
+  const color = toHexColor(background, null);
+  return Object.keys(STICKER_PALETTE).find(name => STICKER_PALETTE[name] === color) || null;
+}
+
+/**
+ * Get the CSS custom properties that style a sticker window
+ * @param {Object} appearance - Sticker appearance
+ * @returns {Object} CSS custom property values by name
+ */
+function getAppearanceStyles(appearance) {
+  const { background, textColor, fontFamily, fontSize } = normalizeAppearance(appearance);
+
+  return {
+    '--sticker-bg': background,
+    '--text-color': textColor,
+    '--sticker-font-family': STICKER_FONTS[fontFamily],
+    '--sticker-font-size': `${fontSize}px`
+  };
+}
+
+export {
+  STICKER_PALETTE,
+  STICKER_FONTS,
+  FONT_SIZE_LIMITS,
+  OPACITY_LIMITS,
+  DEFAULT_APPEARANCE,
+  isHexColor,
+  normalizeAppearance,
+  getPaletteColorName,
+  getAppearanceStyles
+};
@@ -0,0 +1,255 @@
+/**
+ * Sticker Attachments Utility
+ * Image files of image stickers, kept in an attachments folder inside the data
+ * directory. An attachment's ID is the SHA-256 hash of its bytes plus the image
+ * type's extension, so pasting the same image twice stores it once. Sticker
+ * records only carry the ID; files no sticker refers to any more are deleted
+ * by garbage collection. With encryption at rest the files are encrypted like
+ * the rest of the data, so they are read through read() rather than directly.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Logger } from './logger.js';
+import { safeWriteFileAtomic } from './fileUtils.js';
+import { encodeFileBuffer, decodeFileBuffer } from './encryption.js';
+
+// Create a logger for attachments
+const logger = new Logger({ category: 'StickerAttachments' });
+
+// Directory (inside the data directory) holding the attachment files
+const ATTACHMENTS_DIR_NAME = 'attachments';
+
+// Largest image accepted
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024; // 20 MB
+
+// Unreferenced files younger than this are kept: the sticker referring to a
+// freshly pasted image may not have been saved yet
+const ATTACHMENT_GC_GRACE_MS = 60 * 60 * 1000; // 1 hour
+
+// How often unused attachments are looked for while the app is running
+const ATTACHMENT_GC_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+
+// Image types accepted, by extension, with the bytes their files start with
+const IMAGE_TYPES = {
+  png: { mimeType: 'image/png', signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  jpg: { mimeType: 'image/jpeg', signature: [0xff, 0xd8, 0xff] },
+  gif: { mimeType: 'image/gif', signature: [0x47, 0x49, 0x46, 0x38] }, // "GIF8"
+  webp: { mimeType: 'image/webp', signature: [0x52, 0x49, 0x46, 0x46] } // "RIFF", with "WEBP" at offset 8
+};
+
+// A hash and one of the extensions above; nothing that could point outside the folder
+const ATTACHMENT_ID_PATTERN = /^[0-9a-f]{64}\.(png|jpg|gif|webp)$/;
+
+/**
+ * Work out the type of an image from its first bytes
+ * @param {Buffer} buffer - Image data
+ * @returns {string|null} Extension (a key of IMAGE_TYPES), or null if it isn't a supported image
+ */
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer)) {
+    return null;
+  }
+
+  const startsWith = (bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+
+  return Object.keys(IMAGE_TYPES).find(extension => {
+    if (!startsWith(IMAGE_TYPES[extension].signature)) {
+      return false;
+    }
+    return extension !== 'webp' || startsWith([0x57, 0x45, 0x42, 0x50], 8); // "WEBP"
+  }) || null;
+}
+
+/**
+ * Check whether a value is a well-formed attachment ID
+ * @param {any} id - Value to check
+ * @returns {boolean}
+ */
+function isAttachmentId(id) {
+  return typeof id === 'string' && ATTACHMENT_ID_PATTERN.test(id);
+}
+
+/**
+ * Sanitize the image of an image sticker
+ * @param {Object} image - Image ({ attachmentId, width, height }); width and height are the image's own size
+ * @returns {Object|null} Image, or null if it doesn't refer to a valid attachment
+ */
+function normalizeStickerImage(image) {
+  if (!image || typeof image !== 'object' || !isAttachmentId(image.attachmentId)) {
+    return null;
+  }
+
+  const toDimension = value => (Number.isFinite(Number(value)) && Number(value) > 0 ? Math.round(Number(value)) : 0);
+  return {
+    attachmentId: image.attachmentId,
+    width: toDimension(image.width),
+    height: toDimension(image.height)
+  };
+}
+
+/**
+ * List the attachments sticker records refer to
+ * @param {Array<Object>} records - Sticker records (from the store, trash or snapshots)
+ * @returns {Set<string>} Attachment IDs
+ */
+function getStickerAttachmentIds(records) {
+  const ids = new Set();
+  (records || []).forEach(record => {
+    const image = normalizeStickerImage(record?.image);
+    if (image) {
+      ids.add(image.attachmentId);
+    }
+  });
+  return ids;
+}
+
+/**
+ * Attachment folder with one file per image, named by attachment ID
+ */
+class StickerAttachments {
+  /**
+   * Create a new StickerAttachments
+   * @param {string} dirPath - Directory holding the attachment files
+   * @param {Object} options - Attachment options
+   * @param {number} options.maxBytes - Largest image accepted
+   * @param {number} options.graceMs - How long unreferenced files are kept
+   */
+  constructor(dirPath, options = {}) {
+    this.dirPath = dirPath;
+    this.maxBytes = options.maxBytes || MAX_ATTACHMENT_BYTES;
+    this.graceMs = options.graceMs ?? ATTACHMENT_GC_GRACE_MS;
+  }
+
+  /**
+   * Get the file path of an attachment
+   * @param {string} id - Attachment ID
+   * @returns {string} File path
+   * @throws {Error} If the ID isn't a valid attachment ID
+   */
+  getPath(id) {
+    if (!isAttachmentId(id)) {
+      throw new Error(`Invalid attachment ID: ${id}`);
+    }
+    return path.join(this.dirPath, id);
+  }
+
+  /**
+   * Check whether an attachment file exists
+   * @param {string} id - Attachment ID
+   * @returns {boolean}
+   */
+  has(id) {
+    return isAttachmentId(id) && fs.existsSync(this.getPath(id));
+  }
+
+  /**
+   * Store an image
+   * @param {Buffer} buffer - Image data
+   * @returns {Promise<Object>} Stored attachment ({ id, mimeType, bytes })
+   * @throws {Error} If the data isn't a supported image, is too large or can't be written
+   */
+  async save(buffer) {
+    const extension = detectImageType(buffer);
+    if (!extension) {
+      throw new Error('Not a PNG, JPEG, GIF or WebP image');
+    }
+    if (buffer.length > this.maxBytes) {
+      throw new Error(`Image is larger than ${Math.round(this.maxBytes / (1024 * 1024))} MB`);
+    }
+
+    const id = `${crypto.createHash('sha256').update(buffer).digest('hex')}.${extension}`;
+    const filePath = this.getPath(id);
+
+    if (fs.existsSync(filePath)) {
+      // Same bytes, same file; touch it so garbage collection gives it the full grace period
+      const now = new Date();
+      await fs.promises.utimes(filePath, now, now);
+    } else if (!await safeWriteFileAtomic(filePath, encodeFileBuffer(filePath, buffer))) {
+      throw new Error(`Failed to write attachment ${filePath}`);
+    }
+
+    logger.info(`Stored attachment ${id} (${buffer.length} bytes)`);
+    return { id, mimeType: IMAGE_TYPES[extension].mimeType, bytes: buffer.length };
+  }
+
+  /**
+   * Read an image, decrypting it if it is encrypted
+   * @param {string} id - Attachment ID
+   * @returns {Promise<Object>} Attachment ({ data, mimeType })
+   * @throws {Error} If the ID isn't valid or the file can't be read
+   * @throws {EncryptionError} If the file is encrypted and can't be decrypted
+   */
+  async read(id) {
+    const data = decodeFileBuffer(await fs.promises.readFile(this.getPath(id)));
+    return { data, mimeType: IMAGE_TYPES[path.extname(id).slice(1)].mimeType };
+  }
+
+  /**
+   * List the attachment files
+   * @returns {Promise<Array<string>>} Attachment IDs
+   */
+  async list() {
+    if (!fs.existsSync(this.dirPath)) {
+      return [];
+    }
+
+    const files = await fs.promises.readdir(this.dirPath);
+    return files.filter(isAttachmentId);
+  }
+
+  /**
+   * Delete the attachments that aren't referenced any more. Files younger than
+   * the grace period are kept, as are files that aren't attachments.
+   * @param {Set<string>|Array<string>} referencedIds - Attachment IDs still in use
+   * @param {Object} options - Collection options
+   * @param {number} options.now - Current time in milliseconds
+   * @returns {Promise<Object>} { removed, kept, freedBytes }
+   */
+  async collectGarbage(referencedIds, options = {}) {
+    const referenced = new Set(referencedIds);
+    const now = options.now ?? Date.now();
+    const result = { removed: 0, kept: 0, freedBytes: 0 };
+
+    for (const id of await this.list()) {
+      if (referenced.has(id)) {
+        result.kept++;
+        continue;
+      }
+
+      try {
+        const filePath = this.getPath(id);
+        const stats = await fs.promises.stat(filePath);
+        if (now - stats.mtimeMs < this.graceMs) {
+          result.kept++;
+          continue;
+        }
+
+        await fs.promises.unlink(filePath);
+        result.removed++;
+        result.freedBytes += stats.size;
+      } catch (err) {
+        logger.warn(`Failed to delete unused attachment ${id}:`, err);
+      }
+    }
+
+    if (result.removed > 0) {
+      logger.info(`Deleted ${result.removed} unused attachments (${result.freedBytes} bytes)`);
+    }
+    return result;
+  }
+}
+
+export {
+  ATTACHMENTS_DIR_NAME,
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_GC_GRACE_MS,
+  ATTACHMENT_GC_INTERVAL,
+  IMAGE_TYPES,
+  StickerAttachments,
+  detectImageType,
+  isAttachmentId,
+  normalizeStickerImage,
+  getStickerAttachmentIds
+};
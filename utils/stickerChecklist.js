@@ -0,0 +1,174 @@
+/**
+ * Sticker Checklist Utility
+ * Items of checklist stickers. A checklist keeps its items (with persistent IDs
+ * and checked state) in the store record, and mirrors them in `content` as
+ * "- [ ] item" lines so labels, revisions and plain-text views keep working.
+ * This file is also loaded in the renderer process and has no dependencies.
+ */
+
+// Where checked items are shown
+const CHECKLIST_COMPLETED_MODES = {
+  SHOW: 'show',       // In place
+  BOTTOM: 'bottom',   // After all unchecked items
+  HIDE: 'hide'        // Not shown
+};
+
+// "- [ ] text" or "[x] text"; the list marker is optional
+const CHECKLIST_LINE_PATTERN = /^\s*(?:[-*+]\s+)?\[([ xX])\](?:\s(.*)|)$/;
+const LIST_MARKER_PATTERN = /^\s*[-*+]\s+/;
+
+/**
+ * Create a new item ID, unique enough within one sticker
+ * @returns {string} Item ID
+ */
+function createChecklistItemId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Create a checklist item
+ * @param {string} text - Item text
+ * @param {boolean} checked - Whether the item is done
+ * @returns {Object} Item ({ id, text, checked })
+ */
+function createChecklistItem(text = '', checked = false) {
+  return { id: createChecklistItemId(), text: toItemText(text), checked: Boolean(checked) };
+}
+
+/**
+ * Items are single lines
+ * @param {any} text - Item text
+ * @returns {string} Text without line breaks
+ * @private
+ */
+function toItemText(text) {
+  return String(text ?? '').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Normalize a completed-items mode, falling back to showing them in place
+ * @param {any} mode - Mode to check
+ * @returns {string} One of CHECKLIST_COMPLETED_MODES
+ */
+function toCompletedMode(mode) {
+  return Object.values(CHECKLIST_COMPLETED_MODES).includes(mode) ? mode : CHECKLIST_COMPLETED_MODES.SHOW;
+}
+
+/**
+ * Sanitize checklist items, giving items without a usable or unique ID a new one
+ * @param {Array} items - Items to sanitize
+ * @returns {Array<Object>} Items ({ id, text, checked })
+ */
+function normalizeChecklistItems(items) {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+
+  const seen = new Set();
+  return items
+    .filter(item => item !== null && typeof item === 'object')
+    .map(item => {
+      let id = typeof item.id === 'string' && item.id.trim() !== '' ? item.id : createChecklistItemId();
+      while (seen.has(id)) {
+        id = createChecklistItemId();
+      }
+      seen.add(id);
+
+      return { id, text: toItemText(item.text), checked: item.checked === true };
+    });
+}
+
+/**
+ * Write checklist items as "- [ ] item" lines
+ * @param {Array<Object>} items - Checklist items
+ * @returns {string} Text
+ */
+function checklistToText(items) {
+  return (items || []).map(item => `- [${item.checked ? 'x' : ' '}] ${item.text}`).join('\n');
+}
+
+/**
+ * Read checklist items from text. Lines written as "- [ ] item" or "- [x] item"
+ * keep their state; any other non-empty line becomes an unchecked item.
+ * Items whose text matches an earlier item keep that item's ID.
+ * @param {string} text - Text to read
+ * @param {Array<Object>} previousItems - Items the text replaces
+ * @returns {Array<Object>} Items ({ id, text, checked })
+ */
+function parseChecklistText(text, previousItems = []) {
+  const unused = [...(previousItems || [])];
+
+  return String(text || '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const match = CHECKLIST_LINE_PATTERN.exec(line);
+      const itemText = match ? (match[2] || '') : line.replace(LIST_MARKER_PATTERN, '').trim();
+      const checked = match ? match[1] !== ' ' : false;
+
+      const index = unused.findIndex(item => item.text === itemText);
+      const id = index === -1 ? createChecklistItemId() : unused.splice(index, 1)[0].id;
+      return { id, text: itemText, checked };
+    });
+}
+
+/**
+ * Count done items
+ * @param {Array<Object>} items - Checklist items
+ * @returns {Object} { done, total }
+ */
+function getChecklistProgress(items) {
+  const list = items || [];
+  return { done: list.filter(item => item.checked).length, total: list.length };
+}
+
+/**
+ * Order items for display
+ * @param {Array<Object>} items - Checklist items in their stored order
+ * @param {string} mode - One of CHECKLIST_COMPLETED_MODES
+ * @returns {Array<Object>} Items to show, in display order
+ */
+function arrangeChecklistItems(items, mode) {
+  const list = items || [];
+
+  switch (toCompletedMode(mode)) {
+    case CHECKLIST_COMPLETED_MODES.BOTTOM:
+      return [...list.filter(item => !item.checked), ...list.filter(item => item.checked)];
+    case CHECKLIST_COMPLETED_MODES.HIDE:
+      return list.filter(item => !item.checked);
+    default:
+      return [...list];
+  }
+}
+
+/**
+ * Move an item next to another one
+ * @param {Array<Object>} items - Checklist items
+ * @param {string} itemId - Item to move
+ * @param {string} targetId - Item to move it next to
+ * @param {boolean} after - Place it after the target rather than before
+ * @returns {Array<Object>} Reordered items; unchanged if either ID is unknown
+ */
+function moveChecklistItem(items, itemId, targetId, after = false) {
+  const item = items.find(entry => entry.id === itemId);
+  if (!item || itemId === targetId || !items.some(entry => entry.id === targetId)) {
+    return [...items];
+  }
+
+  const rest = items.filter(entry => entry.id !== itemId);
+  const targetIndex = rest.findIndex(entry => entry.id === targetId);
+  rest.splice(after ? targetIndex + 1 : targetIndex, 0, item);
+  return rest;
+}
+
+export {
+  CHECKLIST_COMPLETED_MODES,
+  createChecklistItem,
+  toCompletedMode,
+  normalizeChecklistItems,
+  checklistToText,
+  parseChecklistText,
+  getChecklistProgress,
+  arrangeChecklistItems,
+  moveChecklistItem
+};
@@ -0,0 +1,212 @@
+/**
+ * Sticker Displays Utility
+ * Remembers which display a sticker belongs on, so stickers go back to their
+ * monitor when it is reconnected instead of piling up on the remaining one.
+ * A sticker's display is saved by display ID with coordinates relative to the
+ * display's top-left corner, together with the display's scale factor so the
+ * position survives mixed-DPI setups. Everything here works on plain display
+ * objects ({ id, bounds, workArea, scaleFactor }, as returned by Electron's
+ * screen module) and can run without Electron.
+ */
+
+// Space kept between a sticker moved onto another display and the edge of its work area
+const DISPLAY_EDGE_MARGIN = 20;
+
+/**
+ * Turn a value into a finite number, or a fallback
+ * @param {any} value - Value to convert
+ * @param {number} fallback - Fallback value
+ * @returns {number}
+ * @private
+ */
+function toNumber(value, fallback) {
+  const number = Number(value);
+  return value === null || value === '' || !Number.isFinite(number) ? fallback : number;
+}
+
+/**
+ * Sanitize the saved display of a sticker
+ * @param {Object} display - Saved display ({ id, x, y, scaleFactor })
+ * @returns {Object|null} Display, or null if it doesn't name one
+ */
+function normalizeStickerDisplay(display) {
+  if (!display || typeof display !== 'object') {
+    return null;
+  }
+
+  const id = toNumber(display.id, NaN);
+  if (!Number.isFinite(id)) {
+    return null;
+  }
+
+  return {
+    id,
+    x: Math.round(toNumber(display.x, 0)),
+    y: Math.round(toNumber(display.y, 0)),
+    scaleFactor: toNumber(display.scaleFactor, 1) > 0 ? toNumber(display.scaleFactor, 1) : 1
+  };
+}
+
+/**
+ * Area two rectangles have in common
+ * @param {Object} a - Rectangle ({ x, y, width, height })
+ * @param {Object} b - Rectangle ({ x, y, width, height })
+ * @returns {number} Overlapping area in pixels
+ * @private
+ */
+function overlapArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Find the display a window is on: the one it overlaps most
+ * @param {Array<Object>} displays - Connected displays
+ * @param {Object} bounds - Window bounds ({ x, y, width, height })
+ * @returns {Object|null} Display, or null if the window is on none of them
+ */
+function findDisplayForBounds(displays, bounds) {
+  let best = null;
+  let bestArea = 0;
+
+  (displays || []).forEach(display => {
+    const area = overlapArea(display.bounds, bounds);
+    if (area > bestArea) {
+      best = display;
+      bestArea = area;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Describe where a window is on a display, for saving with the sticker
+ * @param {Object} bounds - Window bounds ({ x, y })
+ * @param {Object} display - Display the window is on
+ * @returns {Object} Saved display ({ id, x, y, scaleFactor })
+ */
+function getDisplayPlacement(bounds, display) {
+  return {
+    id: display.id,
+    x: Math.round(bounds.x - display.bounds.x),
+    y: Math.round(bounds.y - display.bounds.y),
+    scaleFactor: display.scaleFactor || 1
+  };
+}
+
+/**
+ * Keep a window inside a work area, moving it as little as possible.
+ * A window larger than the work area is aligned with its top-left corner.
+ * @param {Object} bounds - Window bounds ({ x, y, width, height })
+ * @param {Object} workArea - Work area ({ x, y, width, height })
+ * @returns {Object} Position ({ x, y })
+ */
+function fitToWorkArea(bounds, workArea) {
+  const maxX = workArea.x + workArea.width - bounds.width;
+  const maxY = workArea.y + workArea.height - bounds.height;
+  return {
+    x: Math.round(Math.max(workArea.x, Math.min(bounds.x, maxX))),
+    y: Math.round(Math.max(workArea.y, Math.min(bounds.y, maxY)))
+  };
+}
+
+/**
+ * Turn a saved display placement into a position on a display. Coordinates are
+ * kept in physical pixels, so a display whose scale factor changed (or another
+ * display standing in for it) shows the sticker at the same spot.
+ * @param {Object} placement - Saved display ({ x, y, scaleFactor })
+ * @param {Object} display - Display to place the sticker on
+ * @returns {Object} Position ({ x, y })
+ * @private
+ */
+function placeOnDisplay(placement, display) {
+  const scale = placement.scaleFactor / (display.scaleFactor || 1);
+  return {
+    x: display.bounds.x + Math.round(placement.x * scale),
+    y: display.bounds.y + Math.round(placement.y * scale)
+  };
+}
+
+/**
+ * Work out where a sticker window goes on the connected displays:
+ * - on its saved display, if that display is connected;
+ * - where it was, if that is on a connected display;
+ * - otherwise on the fallback display, at the same spot relative to the display
+ *   (or at the top left when the sticker has no saved display).
+ * The position is always kept inside the chosen display's work area.
+ * @param {Object} sticker - Sticker ({ position, size, display })
+ * @param {Array<Object>} displays - Connected displays
+ * @param {Object} fallbackDisplay - Display for stickers that are on none of them
+ * @returns {Object} { x, y, display, onSavedDisplay } - Position, the display it is on,
+ *   and whether that is the sticker's saved display
+ */
+function resolveStickerPosition(sticker, displays, fallbackDisplay) {
+  const placement = normalizeStickerDisplay(sticker?.display);
+  const size = {
+    width: toNumber(sticker?.size?.width, 0),
+    height: toNumber(sticker?.size?.height, 0)
+  };
+  const fit = (position, display) => fitToWorkArea({ ...position, ...size }, display.workArea);
+
+  const savedDisplay = placement && (displays || []).find(display => display.id === placement.id);
+  if (savedDisplay) {
+    return { ...fit(placeOnDisplay(placement, savedDisplay), savedDisplay), display: savedDisplay, onSavedDisplay: true };
+  }
+
+  const position = {
+    x: toNumber(sticker?.position?.x, 0),
+    y: toNumber(sticker?.position?.y, 0)
+  };
+  const currentDisplay = findDisplayForBounds(displays, { ...position, ...size });
+  if (currentDisplay) {
+    return { ...fit(position, currentDisplay), display: currentDisplay, onSavedDisplay: !placement };
+  }
+
+  const fallback = placement
+    ? placeOnDisplay(placement, fallbackDisplay)
+    : { x: fallbackDisplay.workArea.x + DISPLAY_EDGE_MARGIN, y: fallbackDisplay.workArea.y + DISPLAY_EDGE_MARGIN };
+  return { ...fit(fallback, fallbackDisplay), display: fallbackDisplay, onSavedDisplay: false };
+}
+
+/**
+ * Work out the saved display of a sticker after its window was moved or saved.
+ * A sticker whose display is disconnected keeps it, so it can go back there;
+ * so does a sticker that was only pushed inside a shrunken work area.
+ * @param {Object} placement - Current saved display, if any
+ * @param {Object} bounds - Window bounds ({ x, y, width, height })
+ * @param {Array<Object>} displays - Connected displays
+ * @returns {Object|null} Saved display ({ id, x, y, scaleFactor })
+ */
+function updateDisplayPlacement(placement, bounds, displays) {
+  const current = normalizeStickerDisplay(placement);
+  const savedDisplay = current && (displays || []).find(display => display.id === current.id);
+  if (current && !savedDisplay) {
+    return current;
+  }
+
+  const display = findDisplayForBounds(displays, bounds);
+  if (!display) {
+    return current;
+  }
+
+  if (savedDisplay === display) {
+    const expected = fitToWorkArea({ ...placeOnDisplay(current, display), width: bounds.width, height: bounds.height }, display.workArea);
+    if (expected.x === Math.round(bounds.x) && expected.y === Math.round(bounds.y)) {
+      return current;
+    }
+  }
+
+  return getDisplayPlacement(bounds, display);
+}
+
+export {
+  DISPLAY_EDGE_MARGIN,
+  normalizeStickerDisplay,
+  findDisplayForBounds,
+  getDisplayPlacement,
+  fitToWorkArea,
+  resolveStickerPosition,
+  updateDisplayPlacement
+};
@@ -0,0 +1,183 @@
+/**
+ * Sticker Groups Utility
+ * Selections and groups of stickers. A selection is kept by the main process
+ * until it is cleared; a group is saved with its stickers (`group` on the
+ * record), so grouped stickers keep moving as one across restarts. Everything
+ * here works on sticker boxes ({ id, x, y, width, height }) and a map of the
+ * stickers' groups by ID, and can run without Electron.
+ */
+
+// Ways a selection can be lined up
+const ALIGN_MODES = {
+  LEFT: 'left',
+  TOP: 'top',
+  DISTRIBUTE_HORIZONTALLY: 'distribute-horizontally',
+  DISTRIBUTE_VERTICALLY: 'distribute-vertically'
+};
+
+// Names shown in the menus
+const ALIGN_LABELS = {
+  [ALIGN_MODES.LEFT]: 'Align Left Edges',
+  [ALIGN_MODES.TOP]: 'Align Top Edges',
+  [ALIGN_MODES.DISTRIBUTE_HORIZONTALLY]: 'Distribute Horizontally',
+  [ALIGN_MODES.DISTRIBUTE_VERTICALLY]: 'Distribute Vertically'
+};
+
+// Longest group ID kept
+const MAX_GROUP_ID_LENGTH = 64;
+
+/**
+ * Sanitize the group of a sticker
+ * @param {any} group - Group ID
+ * @returns {string|null} Group ID, or null if the sticker isn't in a group
+ */
+function normalizeStickerGroup(group) {
+  const id = typeof group === 'string' ? group.trim().slice(0, MAX_GROUP_ID_LENGTH) : '';
+  return id || null;
+}
+
+/**
+ * Make an ID for a new group
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} Group ID
+ */
+function createGroupId(now = Date.now()) {
+  return `group-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Add the other members of their groups to some stickers
+ * @param {Array<string>} stickerIds - Sticker IDs
+ * @param {Map<string, string>} groups - Group of each grouped sticker, by ID
+ * @returns {Array<string>} The stickers and everything grouped with them, without duplicates
+ */
+function expandToGroups(stickerIds, groups = new Map()) {
+  const ids = new Set(stickerIds);
+  const groupIds = new Set([...ids].map(id => groups.get(id)).filter(Boolean));
+
+  groups.forEach((group, id) => {
+    if (groupIds.has(group)) {
+      ids.add(id);
+    }
+  });
+
+  return [...ids];
+}
+
+/**
+ * Find the stickers a lasso touches
+ * @param {Array<Object>} stickers - Sticker boxes
+ * @param {Object} rect - Lasso ({ x, y, width, height }); negative sizes are allowed
+ * @returns {Array<string>} IDs of the stickers overlapping the lasso
+ */
+function findStickersInRect(stickers, rect) {
+  const left = Math.min(rect.x, rect.x + rect.width);
+  const top = Math.min(rect.y, rect.y + rect.height);
+  const right = Math.max(rect.x, rect.x + rect.width);
+  const bottom = Math.max(rect.y, rect.y + rect.height);
+
+  return stickers
+    .filter(sticker => sticker.x < right && sticker.x + sticker.width > left &&
+      sticker.y < bottom && sticker.y + sticker.height > top)
+    .map(sticker => sticker.id);
+}
+
+/**
+ * Treat each group in a selection as one box, so lining stickers up keeps
+ * grouped stickers where they are relative to each other
+ * @param {Array<Object>} stickers - Sticker boxes
+ * @param {Map<string, string>} groups - Group of each grouped sticker, by ID
+ * @returns {Array<Object>} Units ({ x, y, width, height, members })
+ * @private
+ */
+function collectUnits(stickers, groups) {
+  const units = new Map();
+
+  stickers.forEach(sticker => {
+    const key = groups.get(sticker.id) || `sticker:${sticker.id}`;
+    const unit = units.get(key);
+    if (!unit) {
+      units.set(key, { x: sticker.x, y: sticker.y, width: sticker.width, height: sticker.height, members: [sticker] });
+      return;
+    }
+
+    const right = Math.max(unit.x + unit.width, sticker.x + sticker.width);
+    const bottom = Math.max(unit.y + unit.height, sticker.y + sticker.height);
+    unit.x = Math.min(unit.x, sticker.x);
+    unit.y = Math.min(unit.y, sticker.y);
+    unit.width = right - unit.x;
+    unit.height = bottom - unit.y;
+    unit.members.push(sticker);
+  });
+
+  return [...units.values()];
+}
+
+/**
+ * Spread units out evenly between the first and the last along an axis
+ * @param {Array<Object>} units - Units to spread
+ * @param {string} start - 'x' or 'y'
+ * @param {string} size - 'width' or 'height'
+ * @returns {Map<Object, number>} New start of each unit
+ * @private
+ */
+function distributeUnits(units, start, size) {
+  const sorted = [...units].sort((a, b) => a[start] - b[start]);
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const used = sorted.reduce((total, unit) => total + unit[size], 0);
+  const gap = (last[start] + last[size] - first[start] - used) / (sorted.length - 1);
+
+  const positions = new Map();
+  let next = first[start];
+  sorted.forEach(unit => {
+    positions.set(unit, Math.round(next));
+    next += unit[size] + gap;
+  });
+  return positions;
+}
+
+/**
+ * Line up a selection of stickers. Aligning needs two stickers (or groups) and
+ * distributing three; otherwise the stickers stay where they are.
+ * @param {Array<Object>} stickers - Selected sticker boxes
+ * @param {string} mode - One of ALIGN_MODES
+ * @param {Map<string, string>} groups - Group of each grouped sticker, by ID
+ * @returns {Array<Object>} New positions ({ id, x, y }), one per sticker
+ */
+function alignStickers(stickers, mode, groups = new Map()) {
+  const units = collectUnits(stickers || [], groups);
+  const targets = new Map(units.map(unit => [unit, { x: unit.x, y: unit.y }]));
+
+  if (mode === ALIGN_MODES.LEFT && units.length > 1) {
+    const left = Math.min(...units.map(unit => unit.x));
+    units.forEach(unit => { targets.get(unit).x = left; });
+  } else if (mode === ALIGN_MODES.TOP && units.length > 1) {
+    const top = Math.min(...units.map(unit => unit.y));
+    units.forEach(unit => { targets.get(unit).y = top; });
+  } else if (mode === ALIGN_MODES.DISTRIBUTE_HORIZONTALLY && units.length > 2) {
+    distributeUnits(units, 'x', 'width').forEach((x, unit) => { targets.get(unit).x = x; });
+  } else if (mode === ALIGN_MODES.DISTRIBUTE_VERTICALLY && units.length > 2) {
+    distributeUnits(units, 'y', 'height').forEach((y, unit) => { targets.get(unit).y = y; });
+  }
+
+  // Members of a unit all move by the unit's offset
+  return units.flatMap(unit => {
+    const target = targets.get(unit);
+    return unit.members.map(sticker => ({
+      id: sticker.id,
+      x: sticker.x + target.x - unit.x,
+      y: sticker.y + target.y - unit.y
+    }));
+  });
+}
+
+export {
+  ALIGN_MODES,
+  ALIGN_LABELS,
+  normalizeStickerGroup,
+  createGroupId,
+  expandToGroups,
+  findStickersInRect,
+  alignStickers
+};
@@ -0,0 +1,246 @@
+/**
+ * Sticker Journal Utility
+ * Append-only write-ahead journal of sticker operations, replayed on top of the
+ * last compacted store snapshot when sticker data is loaded
+ */
+
+import fs from 'fs';
+import { Logger } from './logger.js';
+import { encodeFileText, decodeFileValue } from './encryption.js';
+
+// Create a logger for the journal
+const logger = new Logger({ category: 'StickerJournal' });
+
+// Name of the journal file inside the data directory
+const JOURNAL_FILE_NAME = 'stickers.journal';
+
+// Operations that can be recorded in the journal
+const JOURNAL_OPS = {
+  CREATE: 'create',
+  UPDATE_CONTENT: 'update-content',
+  MOVE: 'move',
+  RESIZE: 'resize',
+  UPDATE: 'update',   // Any other record fields
+  REMOVE: 'remove'
+};
+
+// Number of journal entries after which the journal is folded into the store
+const JOURNAL_COMPACT_THRESHOLD = 200;
+
+/**
+ * Check that a parsed journal line is a usable entry
+ * @param {any} entry - Parsed journal line
+ * @returns {boolean} True if the entry can be replayed
+ */
+function isValidJournalEntry(entry) {
+  return Boolean(entry) &&
+    typeof entry === 'object' &&
+    Object.values(JOURNAL_OPS).includes(entry.op) &&
+    typeof entry.id === 'string' &&
+    entry.id.trim() !== '' &&
+    typeof entry.at === 'string';
+}
+
+/**
+ * Apply journal entries to a store snapshot.
+ * Every operation sets fields rather than modifying them, so replaying entries
+ * that are already part of the snapshot (e.g. after a crash between writing the
+ * snapshot and clearing the journal) produces the same result.
+ * @param {Object} store - Store snapshot ({ version, savedAt, stickers })
+ * @param {Array} entries - Journal entries in the order they were written
+ * @returns {Object} New store with the entries applied
+ */
+function applyJournalEntries(store, entries) {
+  const stickers = new Map(store.stickers.map(record => [record.id, record]));
+
+  for (const entry of entries) {
+    const existing = stickers.get(entry.id);
+
+    switch (entry.op) {
+      case JOURNAL_OPS.CREATE:
+        stickers.set(entry.id, {
+          ...existing,
+          ...entry.data,
+          id: entry.id,
+          createdAt: existing?.createdAt || entry.data?.createdAt || entry.at,
+          updatedAt: entry.at
+        });
+        break;
+
+      case JOURNAL_OPS.UPDATE_CONTENT:
+      case JOURNAL_OPS.MOVE:
+      case JOURNAL_OPS.RESIZE:
+      case JOURNAL_OPS.UPDATE:
+        if (!existing) {
+          logger.warn(`Skipping ${entry.op} for unknown sticker ID ${entry.id}`);
+          break;
+        }
+        {
+          const updated = {
+            ...existing,
+            ...entry.data,
+            id: entry.id,
+            createdAt: existing.createdAt,
+            updatedAt: entry.at
+          };
+          // Fields the record no longer has, e.g. checklist items after turning it back into text
+          for (const key of Array.isArray(entry.unset) ? entry.unset : []) {
+            delete updated[key];
+          }
+          stickers.set(entry.id, updated);
+        }
+        break;
+
+      case JOURNAL_OPS.REMOVE:
+        stickers.delete(entry.id);
+        break;
+    }
+  }
+
+  return {
+    ...store,
+    stickers: Array.from(stickers.values())
+  };
+}
+
+/**
+ * Check whether an open journal is empty or ends with a complete line
+ * @param {fs.promises.FileHandle} handle - Journal opened for reading and appending
+ * @returns {Promise<boolean>} True if new entries can be appended as they are
+ * @private
+ */
+async function endsWithNewline(handle) {
+  const { size } = await handle.stat();
+  if (size === 0) {
+    return true;
+  }
+
+  const last = new Uint8Array(1);
+  await handle.read(last, 0, 1, size - 1);
+  return last[0] === 0x0a;
+}
+
+/**
+ * Append-only journal file of sticker operations
+ */
+class StickerJournal {
+  /**
+   * Create a new StickerJournal
+   * @param {string} filePath - Path to the journal file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.entryCount = null; // Unknown until the journal is first read
+  }
+
+  /**
+   * Append operations to the journal and flush them to disk
+   * @param {Array<Object>} entries - Entries without timestamps ({ op, id, data })
+   * @returns {Promise<Array<Object>>} The entries as written
+   */
+  async append(entries) {
+    const at = new Date().toISOString();
+    const written = entries.map(entry => ({ ...entry, at }));
+    // Each line is encrypted on its own so appends stay appends
+    let lines = written.map(entry => `${encodeFileText(this.filePath, JSON.stringify(entry))}\n`).join('');
+
+    const handle = await fs.promises.open(this.filePath, 'a+');
+    try {
+      // A crash mid-append leaves a torn last line; start on a new line so the
+      // entries written now aren't glued onto it and dropped with it
+      if (!(await endsWithNewline(handle))) {
+        lines = `\n${lines}`;
+      }
+      await handle.appendFile(lines, 'utf8');
+      // Don't report success until the entry survives a power loss
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (this.entryCount !== null) {
+      this.entryCount += written.length;
+    }
+
+    logger.debug(`Appended ${written.length} journal entries: ${written.map(e => `${e.op}:${e.id}`).join(', ')}`);
+    return written;
+  }
+
+  /**
+   * Read all replayable entries from the journal
+   * @returns {Promise<Array<Object>>} Journal entries in write order
+   */
+  async readEntries() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        this.entryCount = 0;
+        return [];
+      }
+      throw err;
+    }
+
+    const lines = raw.split('\n').filter(line => line.trim() !== '');
+    const entries = [];
+
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        // A torn last line means we crashed mid-append; everything before it is intact
+        const where = index === lines.length - 1 ? 'incomplete last entry' : `corrupt entry at line ${index + 1}`;
+        logger.warn(`Ignoring ${where} in ${this.filePath}`);
+        return;
+      }
+
+      // Not caught: a locked journal must not be mistaken for an empty one
+      entry = decodeFileValue(entry);
+
+      if (isValidJournalEntry(entry)) {
+        entries.push(entry);
+      } else {
+        logger.warn(`Ignoring invalid journal entry at line ${index + 1}`, entry);
+      }
+    });
+
+    this.entryCount = entries.length;
+    return entries;
+  }
+
+  /**
+   * Check whether the journal has grown enough to be compacted
+   * @returns {boolean} True if the journal should be compacted
+   */
+  needsCompaction() {
+    return this.entryCount !== null && this.entryCount >= JOURNAL_COMPACT_THRESHOLD;
+  }
+
+  /**
+   * Remove all entries from the journal (after they were compacted into the store)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      await fs.promises.unlink(this.filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+
+    this.entryCount = 0;
+    logger.debug(`Cleared journal ${this.filePath}`);
+  }
+}
+
+export {
+  StickerJournal,
+  JOURNAL_FILE_NAME,
+  JOURNAL_OPS,
+  JOURNAL_COMPACT_THRESHOLD,
+  applyJournalEntries,
+  isValidJournalEntry
+};
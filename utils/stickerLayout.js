@@ -0,0 +1,303 @@
+/**
+ * Sticker Layout Utility
+ * Auto-arrange strategies for the stickers on one display. Every strategy is a
+ * pure function from sticker boxes and a work area to new positions, so the
+ * layout maths can run (and be tested) without Electron.
+ */
+
+import { normalizeTags } from './stickerTags.js';
+
+// Available layout strategies
+const LAYOUT_STRATEGIES = {
+  COLUMNS: 'columns',
+  GRID: 'grid',
+  MASONRY: 'masonry',
+  CASCADE: 'cascade',
+  DOCK_RIGHT: 'dock-right',
+  BY_TAG: 'by-tag'
+};
+
+// Names shown in the tray and the settings window
+const LAYOUT_LABELS = {
+  [LAYOUT_STRATEGIES.COLUMNS]: 'Columns',
+  [LAYOUT_STRATEGIES.GRID]: 'Grid',
+  [LAYOUT_STRATEGIES.MASONRY]: 'Masonry',
+  [LAYOUT_STRATEGIES.CASCADE]: 'Cascade',
+  [LAYOUT_STRATEGIES.DOCK_RIGHT]: 'Dock to Right Edge',
+  [LAYOUT_STRATEGIES.BY_TAG]: 'Group by Tag'
+};
+
+// Default layout: the original column stacker, leaving room at the bottom of the screen
+const DEFAULT_LAYOUT_OPTIONS = {
+  strategy: LAYOUT_STRATEGIES.COLUMNS,
+  gap: 20,            // Space between stickers
+  margin: 20,         // Space kept free at the top, left and right of the work area
+  bottomMargin: 200   // Space kept free at the bottom of the work area
+};
+
+// Gaps and margins accepted, in pixels
+const LAYOUT_SPACING_LIMITS = {
+  gap: { min: 0, max: 100 },
+  margin: { min: 0, max: 400 },
+  bottomMargin: { min: 0, max: 800 }
+};
+
+// Offset between cascaded stickers: one header bar, so every header stays visible
+const CASCADE_OFFSET = 36;
+
+/**
+ * Round a spacing value to its limits, falling back when it isn't numeric
+ * @param {any} value - Value to clamp
+ * @param {Object} limits - { min, max }
+ * @param {number} fallback - Fallback value
+ * @returns {number} Spacing in pixels
+ * @private
+ */
+function clampSpacing(value, limits, fallback) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.round(Math.max(limits.min, Math.min(limits.max, number)));
+}
+
+/**
+ * Sanitize layout options
+ * @param {Object} options - Layout options ({ strategy, gap, margin, bottomMargin })
+ * @returns {Object} Layout options, with defaults for anything missing or invalid
+ */
+function normalizeLayoutOptions(options) {
+  const source = options && typeof options === 'object' ? options : {};
+
+  return {
+    strategy: Object.values(LAYOUT_STRATEGIES).includes(source.strategy)
+      ? source.strategy
+      : DEFAULT_LAYOUT_OPTIONS.strategy,
+    gap: clampSpacing(source.gap, LAYOUT_SPACING_LIMITS.gap, DEFAULT_LAYOUT_OPTIONS.gap),
+    margin: clampSpacing(source.margin, LAYOUT_SPACING_LIMITS.margin, DEFAULT_LAYOUT_OPTIONS.margin),
+    bottomMargin: clampSpacing(source.bottomMargin, LAYOUT_SPACING_LIMITS.bottomMargin, DEFAULT_LAYOUT_OPTIONS.bottomMargin)
+  };
+}
+
+/**
+ * Order stickers top to bottom, then left to right, so arranging keeps their rough order
+ * @param {Array<Object>} stickers - Sticker boxes
+ * @returns {Array<Object>} Sorted copy
+ * @private
+ */
+function sortByPosition(stickers) {
+  return [...stickers].sort((a, b) => (a.y - b.y) || (a.x - b.x));
+}
+
+/**
+ * Stack stickers into columns, starting a new column when one runs out of height
+ * @param {Array<Object>} stickers - Sticker boxes, in order
+ * @param {Object} area - Area to fill ({ x, y, width, height })
+ * @param {number} gap - Space between stickers
+ * @param {Object} placement - Where columns go
+ * @param {number} placement.startX - Left edge of the first column (right edge when fromRight)
+ * @param {boolean} placement.fromRight - Whether columns are right-aligned and added leftwards
+ * @returns {Object} { positions, width } - Positions, and the width the columns take up
+ * @private
+ */
+function stackInColumns(stickers, area, gap, { startX, fromRight = false }) {
+  const positions = [];
+  const bottom = area.y + area.height;
+  let columnX = startX;
+  let columnWidth = 0;
+  let y = area.y;
+  let usedWidth = 0;
+
+  stickers.forEach(sticker => {
+    // Start a new column if this sticker would run past the bottom
+    if (y > area.y && y + sticker.height > bottom) {
+      columnX += fromRight ? -(columnWidth + gap) : columnWidth + gap;
+      columnWidth = 0;
+      y = area.y;
+    }
+
+    positions.push({ id: sticker.id, x: fromRight ? columnX - sticker.width : columnX, y });
+    columnWidth = Math.max(columnWidth, sticker.width);
+    usedWidth = Math.max(usedWidth, Math.abs(columnX - startX) + columnWidth);
+    y += sticker.height + gap;
+  });
+
+  return { positions, width: usedWidth };
+}
+
+/**
+ * Columns: stack stickers top to bottom at the first sticker's horizontal
+ * position, wrapping into further columns to the right
+ * @private
+ */
+function layoutColumns(stickers, area, { gap }) {
+  const sorted = sortByPosition(stickers);
+  const startX = Math.max(area.x, Math.min(sorted[0].x, area.x + area.width - sorted[0].width));
+  return stackInColumns(sorted, area, gap, { startX }).positions;
+}
+
+/**
+ * Number of equal columns of a width that fit an area
+ * @private
+ */
+function countColumns(area, columnWidth, gap) {
+  return Math.max(1, Math.floor((area.width + gap) / (columnWidth + gap)));
+}
+
+/**
+ * Grid: equal cells the size of the largest sticker, filled row by row
+ * @private
+ */
+function layoutGrid(stickers, area, { gap }) {
+  const sorted = sortByPosition(stickers);
+  const cellWidth = Math.max(...sorted.map(sticker => sticker.width));
+  const cellHeight = Math.max(...sorted.map(sticker => sticker.height));
+  const columns = countColumns(area, cellWidth, gap);
+
+  return sorted.map((sticker, index) => ({
+    id: sticker.id,
+    x: area.x + (index % columns) * (cellWidth + gap),
+    y: area.y + Math.floor(index / columns) * (cellHeight + gap)
+  }));
+}
+
+/**
+ * Masonry: columns as wide as the widest sticker, each sticker going into the
+ * column that is currently shortest
+ * @private
+ */
+function layoutMasonry(stickers, area, { gap }) {
+  const sorted = sortByPosition(stickers);
+  const columnWidth = Math.max(...sorted.map(sticker => sticker.width));
+  const heights = new Array(countColumns(area, columnWidth, gap)).fill(0);
+
+  return sorted.map(sticker => {
+    const column = heights.indexOf(Math.min(...heights));
+    const position = {
+      id: sticker.id,
+      x: area.x + column * (columnWidth + gap),
+      y: area.y + heights[column]
+    };
+    heights[column] += sticker.height + gap;
+    return position;
+  });
+}
+
+/**
+ * Cascade: stickers overlap diagonally, one header bar apart. A cascade that
+ * reaches the bottom or right of the area starts again at the top, to its right.
+ * @private
+ */
+function layoutCascade(stickers, area, { gap }) {
+  const sorted = sortByPosition(stickers);
+  const positions = [];
+  let originX = area.x;
+  let step = 0;
+
+  sorted.forEach(sticker => {
+    const fitsDown = area.y + step * CASCADE_OFFSET + sticker.height <= area.y + area.height;
+    const fitsRight = originX + step * CASCADE_OFFSET + sticker.width <= area.x + area.width;
+    if (step > 0 && (!fitsDown || !fitsRight)) {
+      // Start right of the last sticker's left edge, so every earlier header stays visible
+      originX += step * CASCADE_OFFSET + gap;
+      step = 0;
+    }
+
+    positions.push({ id: sticker.id, x: originX + step * CASCADE_OFFSET, y: area.y + step * CASCADE_OFFSET });
+    step++;
+  });
+
+  return positions;
+}
+
+/**
+ * Dock to right edge: stack stickers against the right of the area, wrapping
+ * into further columns to the left
+ * @private
+ */
+function layoutDockRight(stickers, area, { gap }) {
+  return stackInColumns(sortByPosition(stickers), area, gap, {
+    startX: area.x + area.width,
+    fromRight: true
+  }).positions;
+}
+
+/**
+ * Group by tag: one block of columns per tag, in alphabetical order, with
+ * untagged stickers last. Stickers with several tags go with their first one.
+ * @private
+ */
+function layoutByTag(stickers, area, { gap }) {
+  const groups = new Map();
+  sortByPosition(stickers).forEach(sticker => {
+    // Tags differing only in case are the same tag
+    const tag = (normalizeTags(sticker.tags)[0] || '').toLowerCase();
+    if (!groups.has(tag)) {
+      groups.set(tag, []);
+    }
+    groups.get(tag).push(sticker);
+  });
+
+  const tags = [...groups.keys()].sort((a, b) => {
+    if (a === '' || b === '') {
+      return a === '' ? 1 : -1;
+    }
+    return a.localeCompare(b);
+  });
+
+  const positions = [];
+  let x = area.x;
+  tags.forEach(tag => {
+    const block = stackInColumns(groups.get(tag), area, gap, { startX: x });
+    positions.push(...block.positions);
+    x += block.width + gap;
+  });
+
+  return positions;
+}
+
+// Layout function of each strategy: (stickers, area, options) => positions
+const LAYOUT_FUNCTIONS = {
+  [LAYOUT_STRATEGIES.COLUMNS]: layoutColumns,
+  [LAYOUT_STRATEGIES.GRID]: layoutGrid,
+  [LAYOUT_STRATEGIES.MASONRY]: layoutMasonry,
+  [LAYOUT_STRATEGIES.CASCADE]: layoutCascade,
+  [LAYOUT_STRATEGIES.DOCK_RIGHT]: layoutDockRight,
+  [LAYOUT_STRATEGIES.BY_TAG]: layoutByTag
+};
+
+/**
+ * Arrange the stickers on one display
+ * @param {Array<Object>} stickers - Sticker boxes ({ id, x, y, width, height, tags })
+ * @param {Object} workArea - Work area of the display ({ x, y, width, height })
+ * @param {Object} options - Layout options (see normalizeLayoutOptions)
+ * @returns {Array<Object>} New positions ({ id, x, y }), one per sticker
+ */
+function calculateLayout(stickers, workArea, options = {}) {
+  if (!Array.isArray(stickers) || stickers.length === 0) {
+    return [];
+  }
+
+  const { strategy, gap, margin, bottomMargin } = normalizeLayoutOptions(options);
+  const area = {
+    x: workArea.x + margin,
+    y: workArea.y + margin,
+    width: Math.max(0, workArea.width - 2 * margin),
+    height: Math.max(0, workArea.height - margin - bottomMargin)
+  };
+
+  return LAYOUT_FUNCTIONS[strategy](stickers, area, { gap }).map(({ id, x, y }) => ({
+    id,
+    x: Math.round(x),
+    y: Math.round(y)
+  }));
+}
+
+export {
+  LAYOUT_STRATEGIES,
+  LAYOUT_LABELS,
+  DEFAULT_LAYOUT_OPTIONS,
+  LAYOUT_SPACING_LIMITS,
+  normalizeLayoutOptions,
+  calculateLayout
+};
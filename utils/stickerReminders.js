@@ -0,0 +1,171 @@
+/**
+ * Sticker Reminders Utility
+ * Due dates and recurrence of sticker reminders. A reminder is stored on its
+ * sticker as { dueAt, recurrence } plus `snoozedUntil` while it is snoozed.
+ * Recurrences are stepped in local time, so a daily 9:00 reminder stays at
+ * 9:00 across daylight saving changes.
+ * This file is also loaded in the renderer process and has no dependencies.
+ */
+
+// How a reminder repeats once dismissed
+const REMINDER_RECURRENCES = {
+  NONE: 'none',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  WEEKDAYS: 'weekdays'   // Monday to Friday
+};
+
+// Snooze length offered by notifications and the sticker header
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Parse a timestamp
+ * @param {any} value - ISO timestamp, number or Date
+ * @returns {Date|null} Date, or null if the value isn't a valid time
+ * @private
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Sanitize a reminder
+ * @param {Object|null} reminder - Reminder to sanitize
+ * @returns {Object|null} Reminder ({ dueAt, recurrence, snoozedUntil? }), or null if it has no valid due time
+ */
+function normalizeReminder(reminder) {
+  if (!reminder || typeof reminder !== 'object') {
+    return null;
+  }
+
+  const dueAt = toDate(reminder.dueAt);
+  if (!dueAt) {
+    return null;
+  }
+
+  const normalized = {
+    dueAt: dueAt.toISOString(),
+    recurrence: Object.values(REMINDER_RECURRENCES).includes(reminder.recurrence)
+      ? reminder.recurrence
+      : REMINDER_RECURRENCES.NONE
+  };
+
+  const snoozedUntil = toDate(reminder.snoozedUntil);
+  if (snoozedUntil) {
+    normalized.snoozedUntil = snoozedUntil.toISOString();
+  }
+
+  return normalized;
+}
+
+/**
+ * Get when a reminder next goes off: the end of its snooze, or its due time
+ * @param {Object} reminder - Reminder
+ * @returns {number} Time in milliseconds since the epoch, or NaN for an invalid reminder
+ */
+function getReminderTime(reminder) {
+  const date = toDate(reminder?.snoozedUntil) || toDate(reminder?.dueAt);
+  return date ? date.getTime() : NaN;
+}
+
+/**
+ * Check whether a reminder has come due
+ * @param {Object|null} reminder - Reminder
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+function isReminderDue(reminder, now = Date.now()) {
+  return getReminderTime(reminder) <= now;
+}
+
+/**
+ * Check whether a date falls on a Saturday or Sunday (local time)
+ * @param {Date} date - Date to check
+ * @returns {boolean}
+ * @private
+ */
+function isWeekend(date) {
+  return date.getDay() === 0 || date.getDay() === 6;
+}
+
+/**
+ * Find the first occurrence of a recurring reminder after a given time
+ * @param {string} dueAt - Due time of an earlier occurrence
+ * @param {string} recurrence - One of REMINDER_RECURRENCES
+ * @param {number} after - Time in milliseconds the occurrence must follow
+ * @returns {string|null} ISO timestamp, or null for reminders that don't repeat
+ */
+function getNextOccurrence(dueAt, recurrence, after) {
+  const next = toDate(dueAt);
+  if (!next || !Object.values(REMINDER_RECURRENCES).includes(recurrence) || recurrence === REMINDER_RECURRENCES.NONE) {
+    return null;
+  }
+
+  const step = recurrence === REMINDER_RECURRENCES.WEEKLY ? 7 : 1;
+
+  // Jump close to `after` first (one step short, in case of a daylight saving change), then step
+  if (next.getTime() <= after) {
+    const steps = Math.floor((after - next.getTime()) / (step * DAY_MS)) - 1;
+    if (steps > 0) {
+      next.setDate(next.getDate() + steps * step);
+    }
+  }
+
+  while (next.getTime() <= after || (recurrence === REMINDER_RECURRENCES.WEEKDAYS && isWeekend(next))) {
+    next.setDate(next.getDate() + step);
+  }
+
+  return next.toISOString();
+}
+
+/**
+ * Snooze a reminder; recurring reminders keep their schedule
+ * @param {Object} reminder - Reminder to snooze
+ * @param {number} minutes - Snooze length in minutes
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} Snoozed reminder
+ */
+function snoozeReminder(reminder, minutes = DEFAULT_SNOOZE_MINUTES, now = Date.now()) {
+  const normalized = normalizeReminder(reminder);
+  if (!normalized) {
+    return null;
+  }
+
+  const length = Number(minutes) > 0 ? Number(minutes) : DEFAULT_SNOOZE_MINUTES;
+  return { ...normalized, snoozedUntil: new Date(now + length * MINUTE_MS).toISOString() };
+}
+
+/**
+ * Dismiss a reminder that came due
+ * @param {Object} reminder - Reminder to dismiss
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} The reminder's next occurrence, or null if it doesn't repeat
+ */
+function dismissReminder(reminder, now = Date.now()) {
+  const normalized = normalizeReminder(reminder);
+  if (!normalized) {
+    return null;
+  }
+
+  const dueAt = getNextOccurrence(normalized.dueAt, normalized.recurrence, now);
+  return dueAt ? { dueAt, recurrence: normalized.recurrence } : null;
+}
+
+export {
+  REMINDER_RECURRENCES,
+  DEFAULT_SNOOZE_MINUTES,
+  normalizeReminder,
+  getReminderTime,
+  isReminderDue,
+  getNextOccurrence,
+  snoozeReminder,
+  dismissReminder
+};
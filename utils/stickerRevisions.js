@@ -0,0 +1,210 @@
+/**
+ * Sticker Revisions Utility
+ * Bounded, coalesced content history for each sticker, with a line diff
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger.js';
+import { safeReadJSON, safeWriteJSON } from './jsonUtils.js';
+
+// Create a logger for revisions
+const logger = new Logger({ category: 'StickerRevisions' });
+
+// Directory (inside the data directory) holding one revision file per sticker
+const REVISIONS_DIR_NAME = 'revisions';
+
+// Maximum number of revisions kept per sticker
+const REVISION_LIMIT = 50;
+
+// Edits within this long of the start of the latest revision are folded into it
+const REVISION_COALESCE_MS = 60 * 1000; // 1 minute
+
+/**
+ * Compute a line-based diff between two texts
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Array<Object>} Diff parts ({ type: 'equal' | 'added' | 'removed', text })
+ */
+function diffLines(oldText, newText) {
+  const oldLines = String(oldText || '').split(/\r?\n/);
+  const newLines = String(newText || '').split(/\r?\n/);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      parts.push({ type: 'equal', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      parts.push({ type: 'removed', text: oldLines[i] });
+      i++;
+    } else {
+      parts.push({ type: 'added', text: newLines[j] });
+      j++;
+    }
+  }
+
+  while (i < oldLines.length) {
+    parts.push({ type: 'removed', text: oldLines[i++] });
+  }
+  while (j < newLines.length) {
+    parts.push({ type: 'added', text: newLines[j++] });
+  }
+
+  return parts;
+}
+
+/**
+ * Per-sticker revision log stored as one JSON file per sticker
+ */
+class StickerRevisionLog {
+  /**
+   * Create a new StickerRevisionLog
+   * @param {string} dirPath - Directory holding the revision files
+   * @param {Object} options - Log options
+   * @param {number} options.limit - Maximum revisions kept per sticker
+   * @param {number} options.coalesceMs - Window in which edits are folded into one revision
+   */
+  constructor(dirPath, options = {}) {
+    this.dirPath = dirPath;
+    this.limit = options.limit || REVISION_LIMIT;
+    this.coalesceMs = options.coalesceMs ?? REVISION_COALESCE_MS;
+  }
+
+  /**
+   * Get the revision file path for a sticker
+   * @param {string} stickerId - Sticker ID
+   * @returns {string} File path
+   * @private
+   */
+  getFilePath(stickerId) {
+    return path.join(this.dirPath, `${encodeURIComponent(stickerId)}.json`);
+  }
+
+  /**
+   * Get all revisions of a sticker
+   * @param {string} stickerId - Sticker ID
+   * @returns {Promise<Array<Object>>} Revisions ({ rev, content, startedAt, at }), oldest first
+   */
+  async getRevisions(stickerId) {
+    const data = await safeReadJSON(this.getFilePath(stickerId), null);
+    return data && Array.isArray(data.revisions) ? data.revisions : [];
+  }
+
+  /**
+   * Get a single revision of a sticker
+   * @param {string} stickerId - Sticker ID
+   * @param {number} rev - Revision number
+   * @returns {Promise<Object|null>} Revision or null if not found
+   */
+  async getRevision(stickerId, rev) {
+    const revisions = await this.getRevisions(stickerId);
+    return revisions.find(revision => revision.rev === Number(rev)) || null;
+  }
+
+  /**
+   * Record the current content of a sticker
+   * @param {string} stickerId - Sticker ID
+   * @param {string} content - Content to record
+   * @param {Object} options - Record options
+   * @param {number} options.now - Current time in milliseconds
+   * @param {boolean} options.coalesce - Whether the edit may be folded into the latest revision
+   * @returns {Promise<Object|null>} The recorded revision, or null if nothing changed
+   */
+  async record(stickerId, content, options = {}) {
+    const now = options.now ?? Date.now();
+    const revisions = await this.getRevisions(stickerId);
+    const latest = revisions[revisions.length - 1];
+    const at = new Date(now).toISOString();
+
+    if (latest && latest.content === content) {
+      return null;
+    }
+
+    const coalesce = options.coalesce !== false &&
+      latest && now - new Date(latest.startedAt).getTime() < this.coalesceMs;
+
+    let revision;
+    if (coalesce) {
+      // Still the same burst of typing: update the latest revision in place
+      revision = { ...latest, content, at };
+      revisions[revisions.length - 1] = revision;
+    } else {
+      revision = {
+        rev: latest ? latest.rev + 1 : 1,
+        content,
+        startedAt: at,
+        at
+      };
+      revisions.push(revision);
+    }
+
+    const bounded = revisions.slice(-this.limit);
+
+    // Revisions are rewritten often, so skip the pre-write backups safeWriteJSON would make
+    const saved = await safeWriteJSON(
+      this.getFilePath(stickerId),
+      { id: stickerId, revisions: bounded },
+      { atomic: true, createBackup: false }
+    );
+
+    if (!saved) {
+      throw new Error(`Failed to save revisions for sticker ${stickerId}`);
+    }
+
+    logger.debug(`Recorded revision ${revision.rev} for sticker ${stickerId}`);
+    return revision;
+  }
+
+  /**
+   * Delete the revision files of stickers that no longer exist anywhere
+   * @param {Iterable<string>} keepIds - IDs of the stickers whose history is kept
+   * @returns {Promise<number>} Number of revision files deleted
+   */
+  async prune(keepIds) {
+    const keep = new Set(Array.from(keepIds, id => path.basename(this.getFilePath(id))));
+
+    let fileNames;
+    try {
+      fileNames = await fs.promises.readdir(this.dirPath);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return 0;
+      }
+      throw err;
+    }
+
+    // Only revision files; temporary files of an interrupted write are left alone
+    const stale = fileNames.filter(fileName => fileName.endsWith('.json') && !keep.has(fileName));
+    for (const fileName of stale) {
+      await fs.promises.unlink(path.join(this.dirPath, fileName));
+    }
+
+    if (stale.length > 0) {
+      logger.info(`Deleted the revisions of ${stale.length} sticker(s) that no longer exist`);
+    }
+    return stale.length;
+  }
+}
+
+export {
+  StickerRevisionLog,
+  REVISIONS_DIR_NAME,
+  REVISION_LIMIT,
+  REVISION_COALESCE_MS,
+  diffLines
+};
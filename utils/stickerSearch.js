@@ -0,0 +1,177 @@
+/**
+ * Sticker Search Utility
+ * Fuzzy full-text search over sticker content, titles and tags for the search
+ * palette. Results carry a snippet split into plain and matched segments, so
+ * the palette can highlight matches without building HTML from sticker text.
+ */
+
+import Fuse from 'fuse.js';
+import { Logger } from './logger.js';
+import { getTrashItemLabel } from './stickerTrash.js';
+import { normalizeTags } from './stickerTags.js';
+
+// Create a logger for sticker search
+const logger = new Logger({ category: 'StickerSearch' });
+
+// Most results returned for one query
+const MAX_SEARCH_RESULTS = 20;
+
+// Length of a result snippet, and how much text is kept before the match
+const SNIPPET_LENGTH = 90;
+const SNIPPET_LEAD = 25;
+
+// Titles and tags count for more than a word somewhere in the content
+const SEARCH_KEYS = [
+  { name: 'title', weight: 2 },
+  { name: 'tags', weight: 1.5 },
+  { name: 'content', weight: 1 }
+];
+
+/**
+ * Cut a snippet around the longest match of a text and split it into segments
+ * @param {string} text - Text that matched
+ * @param {Array<Array<number>>} indices - Matched ranges as [start, end] (inclusive), as reported by Fuse
+ * @param {number} length - Snippet length
+ * @returns {Array<Object>} Segments ({ text, match }), with "…" where the text was cut
+ */
+function buildSnippet(text, indices = [], length = SNIPPET_LENGTH) {
+  // Line breaks become spaces one for one, so the match ranges stay valid
+  const flat = String(text || '').replace(/\s/g, ' ');
+  const ranges = [...indices].sort((a, b) => a[0] - b[0]);
+  const anchor = ranges.reduce((longest, range) =>
+    (!longest || range[1] - range[0] > longest[1] - longest[0] ? range : longest), null);
+
+  let start = anchor ? Math.max(0, anchor[0] - SNIPPET_LEAD) : 0;
+  const end = Math.min(flat.length, start + length);
+  start = Math.max(0, Math.min(start, end - length));
+
+  const segments = [];
+  let position = start;
+  for (const [from, to] of ranges) {
+    const matchStart = Math.max(from, position);
+    const matchEnd = Math.min(to + 1, end);
+    if (matchStart >= matchEnd) continue;
+
+    if (matchStart > position) {
+      segments.push({ text: flat.slice(position, matchStart), match: false });
+    }
+    segments.push({ text: flat.slice(matchStart, matchEnd), match: true });
+    position = matchEnd;
+  }
+  if (position < end) {
+    segments.push({ text: flat.slice(position, end), match: false });
+  }
+
+  if (start > 0) {
+    segments.unshift({ text: '…', match: false });
+  }
+  if (end < flat.length) {
+    segments.push({ text: '…', match: false });
+  }
+  return segments;
+}
+
+/**
+ * Pick the matched ranges worth highlighting. Fuzzy matching also reports
+ * stray letters scattered over the text; only runs of at least `minLength`
+ * characters are kept, or the longest run if none is that long.
+ * @param {Array<Array<number>>} indices - Matched ranges as [start, end] (inclusive)
+ * @param {number} minLength - Shortest run to highlight
+ * @returns {Array<Array<number>>} Ranges to highlight
+ * @private
+ */
+function getHighlights(indices, minLength) {
+  const runLength = ([from, to]) => to - from + 1;
+  const long = indices.filter(range => runLength(range) >= minLength);
+  if (long.length > 0 || indices.length === 0) {
+    return long;
+  }
+
+  return [indices.reduce((longest, range) => (runLength(range) > runLength(longest) ? range : longest))];
+}
+
+/**
+ * Describe a sticker as a search result
+ * @param {Object} sticker - Sticker record
+ * @param {Object|null} match - The Fuse match to show in the snippet, if any
+ * @param {number} minLength - Shortest matched run to highlight
+ * @returns {Object} Result ({ stickerId, label, tags, field, snippet })
+ * @private
+ */
+function toSearchResult(sticker, match, minLength = 2) {
+  const field = match ? match.key : 'content';
+  const text = match ? match.value : sticker.content;
+
+  return {
+    stickerId: String(sticker.id),
+    label: getTrashItemLabel(sticker, 60),
+    tags: normalizeTags(sticker.tags),
+    field,
+    snippet: buildSnippet(text, match ? getHighlights(match.indices, minLength) : [])
+  };
+}
+
+/**
+ * Searchable index of sticker records
+ */
+class StickerSearchIndex {
+  /**
+   * Create a new search index
+   * @param {Array<Object>} stickers - Sticker records to search
+   */
+  constructor(stickers = []) {
+    this.setStickers(stickers);
+  }
+
+  /**
+   * Replace the indexed stickers
+   * @param {Array<Object>} stickers - Sticker records to search
+   */
+  setStickers(stickers) {
+    this.stickers = (stickers || []).filter(sticker => sticker && sticker.id !== undefined);
+    this.fuse = new Fuse(this.stickers, {
+      keys: SEARCH_KEYS,
+      includeMatches: true,
+      ignoreLocation: true, // Words anywhere in a long sticker match as well as at its start
+      threshold: 0.35,
+      minMatchCharLength: 2
+    });
+    logger.debug(`Indexed ${this.stickers.length} stickers for search`);
+  }
+
+  /**
+   * Search the stickers. An empty query lists the most recently changed stickers.
+   * @param {string} query - Search text
+   * @param {number} limit - Most results to return
+   * @returns {Array<Object>} Results, best first ({ stickerId, label, tags, field, snippet })
+   */
+  search(query, limit = MAX_SEARCH_RESULTS) {
+    const text = typeof query === 'string' ? query.trim() : '';
+
+    if (text === '') {
+      return [...this.stickers]
+        .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')))
+        .slice(0, limit)
+        .map(sticker => toSearchResult(sticker, null));
+    }
+
+    // Highlight runs covering at least half the query
+    const minLength = Math.max(2, Math.ceil(text.length / 2));
+
+    return this.fuse.search(text, { limit }).map(({ item, matches }) => {
+      // Show the field with the longest matched run
+      const best = (matches || []).reduce((longest, match) => {
+        const run = Math.max(...match.indices.map(([from, to]) => to - from));
+        return !longest || run > longest.run ? { match, run } : longest;
+      }, null);
+
+      return toSearchResult(item, best ? best.match : null, minLength);
+    });
+  }
+}
+
+export {
+  MAX_SEARCH_RESULTS,
+  buildSnippet,
+  StickerSearchIndex
+};
@@ -0,0 +1,222 @@
+/**
+ * Sticker Snapping Utility
+ * Snaps sticker windows while they are dragged or resized: to the edges of the
+ * display's work area, to the edges of neighbouring stickers and otherwise to a
+ * grid. Everything here works on plain rectangles ({ x, y, width, height }) and
+ * can run without Electron.
+ */
+
+// Default snapping
+const DEFAULT_SNAP_OPTIONS = {
+  enabled: true,
+  gridSize: 20,        // Grid spacing from the work area's top-left corner; 0 turns the grid off
+  threshold: 10,       // How close an edge has to come to another edge to snap to it
+  screenEdges: true,   // Snap to the edges of the display's work area
+  stickerEdges: true   // Snap to the edges of neighbouring stickers
+};
+
+// Grid sizes and snap distances accepted, in pixels
+const SNAP_LIMITS = {
+  gridSize: { min: 0, max: 200 },
+  threshold: { min: 1, max: 50 }
+};
+
+/**
+ * Round a setting to its limits, falling back when it isn't numeric
+ * @param {any} value - Value to clamp
+ * @param {Object} limits - { min, max }
+ * @param {number} fallback - Fallback value
+ * @returns {number} Setting in pixels
+ * @private
+ */
+function clampSetting(value, limits, fallback) {
+  const number = Number(value);
+  if (value === null || value === '' || typeof value === 'boolean' || !Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.min(limits.max, Math.max(limits.min, Math.round(number)));
+}
+
+/**
+ * Sanitize the snapping options, filling in defaults
+ * @param {Object} options - Snapping options (see DEFAULT_SNAP_OPTIONS)
+ * @returns {Object} Snapping options
+ */
+function normalizeSnapOptions(options) {
+  const source = options && typeof options === 'object' ? options : {};
+  const flag = key => (typeof source[key] === 'boolean' ? source[key] : DEFAULT_SNAP_OPTIONS[key]);
+
+  return {
+    enabled: flag('enabled'),
+    gridSize: clampSetting(source.gridSize, SNAP_LIMITS.gridSize, DEFAULT_SNAP_OPTIONS.gridSize),
+    threshold: clampSetting(source.threshold, SNAP_LIMITS.threshold, DEFAULT_SNAP_OPTIONS.threshold),
+    screenEdges: flag('screenEdges'),
+    stickerEdges: flag('stickerEdges')
+  };
+}
+
+/**
+ * Names of a rectangle's properties along an axis and across it
+ * @param {string} axis - 'x' or 'y'
+ * @returns {Object} { start, size, crossStart, crossSize }
+ * @private
+ */
+function getAxis(axis) {
+  return axis === 'x'
+    ? { start: 'x', size: 'width', crossStart: 'y', crossSize: 'height' }
+    : { start: 'y', size: 'height', crossStart: 'x', crossSize: 'width' };
+}
+
+/**
+ * Collect the lines a window's edges can snap to along one axis. Neighbours only
+ * count when they are level with the window (or nearly), so a sticker at the
+ * other end of the screen doesn't pull on it.
+ * @param {Object} bounds - Window bounds
+ * @param {Object} workArea - Work area of the display the window is on
+ * @param {Array<Object>} neighbours - Bounds of the other stickers
+ * @param {Object} options - Snapping options
+ * @param {string} axis - 'x' or 'y'
+ * @returns {Array<number>} Snap lines
+ * @private
+ */
+function collectSnapLines(bounds, workArea, neighbours, options, axis) {
+  const { start, size, crossStart, crossSize } = getAxis(axis);
+  const lines = [];
+
+  if (options.screenEdges) {
+    lines.push(workArea[start], workArea[start] + workArea[size]);
+  }
+
+  if (options.stickerEdges) {
+    neighbours.forEach(neighbour => {
+      const level = bounds[crossStart] <= neighbour[crossStart] + neighbour[crossSize] + options.threshold &&
+        neighbour[crossStart] <= bounds[crossStart] + bounds[crossSize] + options.threshold;
+      if (level) {
+        lines.push(neighbour[start], neighbour[start] + neighbour[size]);
+      }
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * Find the snap line closest to an edge, within the snap distance
+ * @param {number} value - Edge position
+ * @param {Array<number>} lines - Snap lines
+ * @param {number} threshold - Snap distance
+ * @returns {Object|null} { line, distance }, or null if no line is close enough
+ * @private
+ */
+function findNearestLine(value, lines, threshold) {
+  let nearest = null;
+
+  lines.forEach(line => {
+    const distance = Math.abs(line - value);
+    if (distance <= threshold && (!nearest || distance < nearest.distance)) {
+      nearest = { line, distance };
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Round a position to the nearest grid line
+ * @param {number} value - Position
+ * @param {number} origin - Where the grid starts
+ * @param {number} gridSize - Grid spacing; 0 leaves the position as it is
+ * @returns {number} Position
+ * @private
+ */
+function snapToGrid(value, origin, gridSize) {
+  return gridSize > 0 ? origin + Math.round((value - origin) / gridSize) * gridSize : value;
+}
+
+/**
+ * Snap a window being dragged. Along each axis whichever of its edges is closest
+ * to a snap line lands on it; if neither is close enough, the window goes to the
+ * nearest grid position.
+ * @param {Object} bounds - Where the window is being dragged to ({ x, y, width, height })
+ * @param {Object} context - Snapping context
+ * @param {Object} context.workArea - Work area of the display the window is on
+ * @param {Array<Object>} context.neighbours - Bounds of the other visible stickers
+ * @param {Object} context.options - Snapping options (see normalizeSnapOptions)
+ * @returns {Object} Position ({ x, y })
+ */
+function snapPosition(bounds, { workArea, neighbours = [], options } = {}) {
+  const settings = normalizeSnapOptions(options);
+  const position = { x: Math.round(bounds.x), y: Math.round(bounds.y) };
+  if (!settings.enabled || !workArea) {
+    return position;
+  }
+
+  ['x', 'y'].forEach(axis => {
+    const { start, size } = getAxis(axis);
+    const lines = collectSnapLines(bounds, workArea, neighbours, settings, axis);
+    const nearStart = findNearestLine(bounds[start], lines, settings.threshold);
+    const nearEnd = findNearestLine(bounds[start] + bounds[size], lines, settings.threshold);
+
+    if (nearStart && (!nearEnd || nearStart.distance <= nearEnd.distance)) {
+      position[axis] = nearStart.line;
+    } else if (nearEnd) {
+      position[axis] = nearEnd.line - bounds[size];
+    } else {
+      position[axis] = Math.round(snapToGrid(bounds[start], workArea[start], settings.gridSize));
+    }
+  });
+
+  return position;
+}
+
+/**
+ * Snap a window being resized. Only the edges that moved snap, to the closest
+ * snap line or else to the grid; an edge whose snapping would make the window
+ * smaller than its minimum size stays where it was dragged.
+ * @param {Object} bounds - Bounds the window is being resized to
+ * @param {Object} previous - Bounds before this resize step
+ * @param {Object} context - Snapping context, as for snapPosition
+ * @param {Object} context.minSize - Smallest window size ({ width, height })
+ * @returns {Object} Bounds ({ x, y, width, height })
+ */
+function snapResize(bounds, previous, { workArea, neighbours = [], options, minSize = { width: 0, height: 0 } } = {}) {
+  const settings = normalizeSnapOptions(options);
+  const result = {
+    x: Math.round(bounds.x),
+    y: Math.round(bounds.y),
+    width: Math.round(bounds.width),
+    height: Math.round(bounds.height)
+  };
+  if (!settings.enabled || !workArea) {
+    return result;
+  }
+
+  ['x', 'y'].forEach(axis => {
+    const { start, size } = getAxis(axis);
+    const lines = collectSnapLines(bounds, workArea, neighbours, settings, axis);
+    const snapEdge = value => {
+      const nearest = findNearestLine(value, lines, settings.threshold);
+      return nearest ? nearest.line : Math.round(snapToGrid(value, workArea[start], settings.gridSize));
+    };
+
+    const startEdge = result[start];
+    const endEdge = result[start] + result[size];
+    const newStart = startEdge !== Math.round(previous[start]) ? snapEdge(startEdge) : startEdge;
+    const newEnd = endEdge !== Math.round(previous[start] + previous[size]) ? snapEdge(endEdge) : endEdge;
+
+    if (newEnd - newStart >= (minSize[size] || 0)) {
+      result[start] = newStart;
+      result[size] = newEnd - newStart;
+    }
+  });
+
+  return result;
+}
+
+export {
+  DEFAULT_SNAP_OPTIONS,
+  SNAP_LIMITS,
+  normalizeSnapOptions,
+  snapPosition,
+  snapResize
+};
@@ -0,0 +1,170 @@
+/**
+ * Sticker Snapshots Utility
+ * Timestamped full copies of the sticker store that a user can restore deliberately
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Logger } from './logger.js';
+import { safeReadJSON, safeWriteJSON } from './jsonUtils.js';
+import { EncryptionError, ENCRYPTION_ERROR_CODES } from './encryption.js';
+import { validateStickerStore } from './contentLoader.js';
+import { STORE_FILE_NAME } from './stickerStore.js';
+import { getTrashItemLabel } from './stickerTrash.js';
+import { parseBackupFileName, listBackups, pruneBackups } from './backupRetention.js';
+
+// Create a logger for snapshots
+const logger = new Logger({ category: 'StickerSnapshots' });
+
+// Directory (inside the data directory) holding the snapshots
+const SNAPSHOTS_DIR_NAME = 'snapshots';
+
+// How often a scheduled snapshot is taken while the app is running
+const SNAPSHOT_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+
+// Why a snapshot was taken; recorded in the file name like a backup reason
+const SNAPSHOT_REASONS = {
+  SCHEDULED: 'scheduled',
+  MANUAL: 'manual',
+  PRE_MIGRATION: 'pre-migration',
+  PRE_RESTORE: 'pre-restore'
+};
+
+// Snapshots are rarer and more deliberate than backups, so they are kept longer
+const SNAPSHOT_RETENTION = {
+  keepLast: 10,
+  keepDailyDays: 14,
+  keepWeeklyWeeks: 8,
+  maxTotalBytes: 100 * 1024 * 1024 // 100 MB
+};
+
+/**
+ * Summarize a store for the restore list
+ * @param {Object} store - Sticker store
+ * @param {number} previewCount - Number of sticker labels to include
+ * @returns {Object} { stickerCount, preview }
+ */
+function summarizeStore(store, previewCount = 3) {
+  return {
+    stickerCount: store.stickers.length,
+    preview: store.stickers.slice(0, previewCount).map(record => getTrashItemLabel(record))
+  };
+}
+
+/**
+ * Read a snapshot (or store backup) file
+ * @param {string} filePath - Snapshot file path
+ * @returns {Promise<Object|null>} Store object, or null if the file isn't a valid store
+ */
+async function readSnapshotFile(filePath) {
+  let store;
+  try {
+    store = await safeReadJSON(filePath, null);
+  } catch (err) {
+    // A snapshot encrypted with a key we no longer have can't be restored anyway
+    if (err instanceof EncryptionError && err.code === ENCRYPTION_ERROR_CODES.DECRYPT) {
+      logger.warn(`Skipping snapshot that can't be decrypted: ${filePath}`);
+      return null;
+    }
+    throw err;
+  }
+  return validateStickerStore(store) ? store : null;
+}
+
+/**
+ * Snapshot directory with one store copy per file, named like backups
+ * (`stickers.json.<reason>-<timestamp>`) so the backup helpers apply to them
+ */
+class StickerSnapshots {
+  /**
+   * Create a new StickerSnapshots
+   * @param {string} dirPath - Directory holding the snapshots
+   * @param {Object} options - Snapshot options
+   * @param {Object} options.retention - Retention policy (see SNAPSHOT_RETENTION)
+   */
+  constructor(dirPath, options = {}) {
+    this.dirPath = dirPath;
+    this.retention = { ...SNAPSHOT_RETENTION, ...options.retention };
+  }
+
+  /**
+   * Write a snapshot of a store and prune old snapshots
+   * @param {Object} store - Store to snapshot (with the journal already applied)
+   * @param {string} reason - Why the snapshot is taken (see SNAPSHOT_REASONS)
+   * @param {Object} options - Snapshot options
+   * @param {number} options.now - Current time in milliseconds
+   * @returns {Promise<Object>} Snapshot info ({ path, reason, time, stickerCount, preview })
+   */
+  async create(store, reason, options = {}) {
+    const time = options.now ?? Date.now();
+    const timestamp = new Date(time).toISOString().replace(/:/g, '-');
+    const filePath = path.join(this.dirPath, `${STORE_FILE_NAME}.${reason}-${timestamp}`);
+
+    const saved = await safeWriteJSON(filePath, store, { atomic: true, createBackup: false });
+    if (!saved) {
+      throw new Error(`Failed to write snapshot ${filePath}`);
+    }
+
+    logger.info(`Took ${reason} snapshot of ${store.stickers.length} stickers at ${filePath}`);
+
+    await this.prune();
+
+    return { path: filePath, reason, time, ...summarizeStore(store) };
+  }
+
+  /**
+   * List the snapshots, newest first. Only the file names are read, so this
+   * stays cheap however many and however large the snapshots are; use
+   * readSnapshotFile for what one holds.
+   * @returns {Promise<Array<Object>>} Snapshots ({ path, reason, time })
+   */
+  async list() {
+    const backups = await listBackups(this.dirPath);
+
+    return backups
+      .filter(backup => backup.baseName === STORE_FILE_NAME)
+      .map(backup => ({ path: backup.path, reason: backup.reason, time: backup.time }))
+      .sort((a, b) => b.time - a.time);
+  }
+
+  /**
+   * Get the time of the newest snapshot
+   * @returns {Promise<number|null>} Time in milliseconds, or null if there are none
+   */
+  async getLatestTime() {
+    if (!fs.existsSync(this.dirPath)) {
+      return null;
+    }
+
+    const files = await fs.promises.readdir(this.dirPath);
+    const times = files
+      .map(file => parseBackupFileName(file))
+      .filter(parsed => parsed && parsed.baseName === STORE_FILE_NAME)
+      .map(parsed => parsed.time);
+
+    return times.length > 0 ? Math.max(...times) : null;
+  }
+
+  /**
+   * Apply the retention policy to the snapshot directory
+   * @returns {Promise<Object>} { removed, kept, freedBytes }
+   */
+  async prune() {
+    try {
+      return await pruneBackups(this.dirPath, this.retention);
+    } catch (err) {
+      logger.warn('Failed to prune snapshots:', err);
+      return { removed: 0, kept: 0, freedBytes: 0 };
+    }
+  }
+}
+
+export {
+  StickerSnapshots,
+  SNAPSHOTS_DIR_NAME,
+  SNAPSHOT_INTERVAL,
+  SNAPSHOT_REASONS,
+  SNAPSHOT_RETENTION,
+  summarizeStore,
+  readSnapshotFile
+};
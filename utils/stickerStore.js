@@ -0,0 +1,245 @@
+/**
+ * Sticker Store Utility
+ * Shapes the records kept in the versioned (v2) sticker store file
+ */
+
+import { CURRENT_DATA_VERSION } from './versionDetection.js';
+import {
+  toCompletedMode,
+  normalizeChecklistItems,
+  checklistToText,
+  parseChecklistText
+} from './stickerChecklist.js';
+import { normalizeAppearance } from './stickerAppearance.js';
+import { normalizeReminder } from './stickerReminders.js';
+import { normalizeTitle, normalizeTags } from './stickerTags.js';
+import { normalizeStickerImage } from './stickerAttachments.js';
+import { normalizeStickerDisplay } from './stickerDisplays.js';
+import { normalizeStickerGroup } from './stickerGroups.js';
+
+// Name of the single versioned store file inside the data directory
+const STORE_FILE_NAME = 'stickers.json';
+
+// Lock file held while the store or journal is written, shared by every app instance
+const STORE_LOCK_FILE_NAME = 'stickers.lock';
+
+// Sticker types understood by the store schema
+const STICKER_TYPES = {
+  TEXT: 'text',
+  CHECKLIST: 'checklist',
+  IMAGE: 'image'
+};
+
+// How sticker content is shown. Markdown stickers store the Markdown source.
+const CONTENT_FORMATS = {
+  PLAIN: 'plain',
+  MARKDOWN: 'markdown'
+};
+
+// Default size for new stickers (header + a single line of text)
+const DEFAULT_STICKER_SIZE = {
+  width: 250,
+  height: 80
+};
+
+/**
+ * Create an empty store object
+ * @returns {Object} Store with version header and no stickers
+ */
+function createEmptyStore() {
+  return {
+    version: CURRENT_DATA_VERSION,
+    savedAt: new Date().toISOString(),
+    stickers: []
+  };
+}
+
+/**
+ * Convert a value to a number, falling back when it isn't numeric
+ * @param {any} value - Value to convert
+ * @param {number} fallback - Fallback value
+ * @returns {number} Numeric value
+ */
+function toNumber(value, fallback) {
+  return isNaN(value) || value === null || value === '' ? fallback : Number(value);
+}
+
+/**
+ * Normalize a content format, falling back to plain text for unknown values
+ * @param {any} format - Format to check
+ * @returns {string} One of CONTENT_FORMATS
+ */
+function toContentFormat(format) {
+  return Object.values(CONTENT_FORMATS).includes(format) ? format : CONTENT_FORMATS.PLAIN;
+}
+
+/**
+ * Work out the items of a checklist sticker. Incoming items win; otherwise
+ * content that no longer matches the current items (a revision rollback, an
+ * edit of the text) is read back into items, keeping IDs where the text matches.
+ * @param {Object} stickerData - Incoming sticker data
+ * @param {Object} base - Existing record, or an empty object
+ * @returns {Array<Object>} Checklist items
+ * @private
+ */
+function resolveChecklistItems(stickerData, base) {
+  if (Array.isArray(stickerData.items)) {
+    return normalizeChecklistItems(stickerData.items);
+  }
+
+  const current = normalizeChecklistItems(base.items);
+  if (typeof stickerData.content === 'string' && stickerData.content !== checklistToText(current)) {
+    return parseChecklistText(stickerData.content, current);
+  }
+  return current;
+}
+
+/**
+ * Build a store record from incoming sticker data, keeping metadata and any
+ * fields of an existing record that the incoming data doesn't carry.
+ * Checklist records also carry `items` and `completedItems`, and their content
+ * is always the text form of the items. Image records carry `image`
+ * ({ attachmentId, width, height }). A `reminder` of null removes the
+ * sticker's reminder; leaving it out keeps it. `display` ({ id, x, y, scaleFactor })
+ * is the display the sticker belongs on. `group` is the ID of the group the sticker
+ * moves with; null takes it out of its group.
+ * @param {Object} stickerData - Incoming sticker data (id, type, content, format, items, image, position, size, display, appearance, reminder, group)
+ * @param {Object|null} existing - Existing record for the same ID, if any
+ * @param {string} now - ISO timestamp to stamp the record with
+ * @returns {Object} Sanitized store record
+ */
+function createStickerRecord(stickerData, existing = null, now = new Date().toISOString()) {
+  const base = existing || {};
+  const type = stickerData.type || base.type || STICKER_TYPES.TEXT;
+
+  const record = {
+    ...base,
+    id: String(stickerData.id || base.id || Date.now()),
+    type,
+    format: toContentFormat(stickerData.format ?? base.format),
+    content: String(stickerData.content || ''),
+    position: {
+      x: toNumber(stickerData.position?.x, 0),
+      y: toNumber(stickerData.position?.y, 0)
+    },
+    size: {
+      width: toNumber(stickerData.size?.width, DEFAULT_STICKER_SIZE.width),
+      height: toNumber(stickerData.size?.height, DEFAULT_STICKER_SIZE.height)
+    },
+    // Appearance updates may be partial; missing fields keep the sticker's current look
+    appearance: normalizeAppearance(stickerData.appearance, base.appearance),
+    pinned: (stickerData.pinned ?? base.pinned) === true,
+    collapsed: (stickerData.collapsed ?? base.collapsed) === true,
+    createdAt: base.createdAt || stickerData.createdAt || now,
+    updatedAt: now
+  };
+
+  if (type === STICKER_TYPES.CHECKLIST) {
+    record.items = resolveChecklistItems(stickerData, base);
+    record.completedItems = toCompletedMode(stickerData.completedItems ?? base.completedItems);
+    record.content = checklistToText(record.items);
+  } else {
+    // Items belong to checklists; a sticker turned back into text keeps them only as its content
+    delete record.items;
+  }
+
+  // Image stickers refer to their image file by attachment ID
+  const image = type === STICKER_TYPES.IMAGE ? normalizeStickerImage(stickerData.image ?? base.image) : null;
+  if (image) {
+    record.image = image;
+  } else {
+    delete record.image;
+  }
+
+  // Title and tags are optional; saves that don't carry them keep the current ones
+  const title = normalizeTitle(stickerData.title ?? base.title);
+  const tags = normalizeTags(stickerData.tags ?? base.tags);
+  if (title) {
+    record.title = title;
+  } else {
+    delete record.title;
+  }
+  if (tags.length > 0) {
+    record.tags = tags;
+  } else {
+    delete record.tags;
+  }
+
+  // Collapsed stickers remember the height to go back to when they are expanded
+  if (record.collapsed) {
+    record.expandedHeight = toNumber(stickerData.expandedHeight ?? base.expandedHeight, record.size.height);
+  } else {
+    delete record.expandedHeight;
+  }
+
+  const reminder = stickerData.reminder === undefined ? normalizeReminder(base.reminder) : normalizeReminder(stickerData.reminder);
+  if (reminder) {
+    record.reminder = reminder;
+  } else {
+    delete record.reminder;
+  }
+
+  // Saves that don't carry the sticker's display keep the current one
+  const display = normalizeStickerDisplay(stickerData.display ?? base.display);
+  if (display) {
+    record.display = display;
+  } else {
+    delete record.display;
+  }
+
+  const group = stickerData.group === undefined ? normalizeStickerGroup(base.group) : normalizeStickerGroup(stickerData.group);
+  if (group) {
+    record.group = group;
+  } else {
+    delete record.group;
+  }
+
+  return record;
+}
+
+/**
+ * Derive a creation timestamp from a legacy `Date.now()` sticker ID
+ * @param {string} id - Sticker ID
+ * @returns {string|null} ISO timestamp or null if the ID isn't a timestamp
+ */
+function timestampFromLegacyId(id) {
+  if (typeof id !== 'string' || !/^\d{12,14}$/.test(id)) {
+    return null;
+  }
+
+  const date = new Date(Number(id));
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Compare two stores sticker by sticker. Only updatedAt is ignored, since it
+ * changes on every save without changing what the sticker shows.
+ * @param {Object} before - Earlier store
+ * @param {Object} after - Later store
+ * @returns {Object} { added, updated, removed }: added/updated records from `after`, removed IDs
+ */
+function diffStores(before, after) {
+  const comparable = ({ updatedAt: _updatedAt, ...record }) => JSON.stringify(record);
+  const beforeById = new Map(before.stickers.map(record => [record.id, record]));
+  const afterIds = new Set(after.stickers.map(record => record.id));
+
+  return {
+    added: after.stickers.filter(record => !beforeById.has(record.id)),
+    updated: after.stickers.filter(record =>
+      beforeById.has(record.id) && comparable(beforeById.get(record.id)) !== comparable(record)),
+    removed: before.stickers.filter(record => !afterIds.has(record.id)).map(record => record.id)
+  };
+}
+
+export {
+  STORE_FILE_NAME,
+  STORE_LOCK_FILE_NAME,
+  STICKER_TYPES,
+  CONTENT_FORMATS,
+  DEFAULT_STICKER_SIZE,
+  toContentFormat,
+  createEmptyStore,
+  createStickerRecord,
+  timestampFromLegacyId,
+  diffStores
+};
@@ -0,0 +1,79 @@
+/**
+ * Sticker Tags Utility
+ * Optional titles and free-form tags of stickers. Tags keep the spelling they
+ * were typed with but are matched case-insensitively, so "Work" and "work"
+ * are the same tag.
+ * This file is also loaded in the renderer process and has no dependencies.
+ */
+
+// Longest title and tag kept; longer ones are cut
+const MAX_TITLE_LENGTH = 100;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Sanitize a sticker title
+ * @param {any} title - Title to sanitize
+ * @returns {string} Single-line title, or an empty string for no title
+ */
+function normalizeTitle(title) {
+  if (typeof title !== 'string') {
+    return '';
+  }
+
+  return title.replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+}
+
+/**
+ * Sanitize a sticker's tags, dropping empty and duplicate ones
+ * @param {Array<string>|string} tags - Tags, or text with comma-separated tags
+ * @returns {Array<string>} Tags, in the order they were given
+ */
+function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  const seen = new Set();
+  return list
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.replace(/\s+/g, ' ').trim().replace(/^#+/, '').trim().slice(0, MAX_TAG_LENGTH))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (tag === '' || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Check whether a sticker carries a tag
+ * @param {Object} sticker - Sticker record (or anything with `tags`)
+ * @param {string} tag - Tag to look for
+ * @returns {boolean}
+ */
+function hasTag(sticker, tag) {
+  const key = String(tag || '').replace(/^#+/, '').trim().toLowerCase();
+  return key !== '' && normalizeTags(sticker?.tags).some(entry => entry.toLowerCase() === key);
+}
+
+/**
+ * List every tag used by a set of stickers
+ * @param {Array<Object>} stickers - Sticker records (or anything with `tags`)
+ * @returns {Array<string>} Tags sorted alphabetically, each once
+ */
+function collectTags(stickers) {
+  const tags = normalizeTags((stickers || []).flatMap(sticker => normalizeTags(sticker?.tags)));
+  return tags.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+}
+
+export {
+  MAX_TITLE_LENGTH,
+  MAX_TAG_LENGTH,
+  normalizeTitle,
+  normalizeTags,
+  hasTag,
+  collectTags
+};
@@ -0,0 +1,241 @@
+/**
+ * Sticker Templates Utility
+ * User-defined presets for new stickers: content, size, appearance and tags.
+ * Template content and titles may contain placeholders such as {{date}},
+ * {{time}} and {{clipboard}}, which are filled in when a sticker is created.
+ * Templates are the user's own writing, so they are kept in the data directory
+ * with the stickers (and encrypted with them) rather than with the preferences.
+ */
+
+import { STICKER_TYPES, CONTENT_FORMATS, DEFAULT_STICKER_SIZE } from './stickerStore.js';
+import { normalizeAppearance, STICKER_PALETTE } from './stickerAppearance.js';
+import { normalizeTitle, normalizeTags } from './stickerTags.js';
+import { parseChecklistText, checklistToText } from './stickerChecklist.js';
+
+// Name of the templates file inside the data directory
+const TEMPLATES_FILE_NAME = 'stickers-templates.json';
+
+// Most templates kept; the tray submenu has to stay usable
+const MAX_TEMPLATES = 30;
+
+// Longest template name kept
+const MAX_TEMPLATE_NAME_LENGTH = 60;
+
+// Sticker sizes a template may ask for (the smallest is a sticker window's minimum size)
+const TEMPLATE_SIZE_LIMITS = {
+  width: { min: 150, max: 1200 },
+  height: { min: 80, max: 1000 }
+};
+
+// Placeholders filled in when a sticker is created from a template
+const TEMPLATE_PLACEHOLDERS = ['date', 'time', 'clipboard'];
+
+// "{{date}}", "{{ Date }}" and so on
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z]+)\s*\}\}/gi;
+
+// Templates offered until the user changes them
+const DEFAULT_STICKER_TEMPLATES = [
+  {
+    id: 'standup',
+    name: 'Standup Note',
+    title: 'Standup {{date}}',
+    content: 'Yesterday:\n- \n\nToday:\n- \n\nBlockers:\n- ',
+    size: { width: 260, height: 240 },
+    appearance: { background: STICKER_PALETTE.blue },
+    tags: ['standup']
+  },
+  {
+    id: 'meeting-agenda',
+    name: 'Meeting Agenda',
+    title: 'Meeting {{date}}',
+    format: CONTENT_FORMATS.MARKDOWN,
+    content: '## Agenda\n1. \n\n## Notes\n\n## Actions\n- ',
+    size: { width: 300, height: 300 },
+    appearance: { background: STICKER_PALETTE.green },
+    tags: ['meeting']
+  },
+  {
+    id: 'checklist',
+    name: 'Checklist',
+    type: STICKER_TYPES.CHECKLIST,
+    content: '- [ ] \n- [ ] \n- [ ] ',
+    size: { width: 250, height: 160 },
+    tags: ['todo']
+  },
+  {
+    id: 'phone-message',
+    name: 'Phone Message',
+    title: 'Phone message',
+    content: 'From: \nNumber: \nReceived: {{date}} {{time}}\n\nMessage:\n{{clipboard}}',
+    size: { width: 260, height: 220 },
+    appearance: { background: STICKER_PALETTE.pink },
+    tags: ['phone']
+  }
+];
+
+/**
+ * Create a templates object with the templates that come with the app
+ * @returns {Object} Templates file content
+ */
+function createDefaultTemplates() {
+  return {
+    savedAt: new Date().toISOString(),
+    templates: normalizeTemplates(DEFAULT_STICKER_TEMPLATES)
+  };
+}
+
+/**
+ * Create a new template ID
+ * @returns {string} Template ID
+ * @private
+ */
+function createTemplateId() {
+  return `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Round a size to the template size limits, falling back when it isn't numeric
+ * @param {any} value - Value to clamp
+ * @param {Object} limits - { min, max }
+ * @param {number} fallback - Fallback value
+ * @returns {number} Size in pixels
+ * @private
+ */
+function clampSize(value, limits, fallback) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.round(Math.max(limits.min, Math.min(limits.max, number)));
+}
+
+/**
+ * Sanitize a template
+ * @param {Object} template - Template to sanitize
+ * @returns {Object|null} Template ({ id, name, type, format, title, content, size, appearance, tags }), or null if it isn't one
+ */
+function normalizeTemplate(template) {
+  if (!template || typeof template !== 'object') {
+    return null;
+  }
+
+  const id = typeof template.id === 'string' && template.id.trim() !== '' ? template.id.trim() : createTemplateId();
+  const name = typeof template.name === 'string' ? template.name.replace(/\s+/g, ' ').trim().slice(0, MAX_TEMPLATE_NAME_LENGTH) : '';
+
+  return {
+    id,
+    name: name || 'Untitled template',
+    type: Object.values(STICKER_TYPES).includes(template.type) ? template.type : STICKER_TYPES.TEXT,
+    format: Object.values(CONTENT_FORMATS).includes(template.format) ? template.format : CONTENT_FORMATS.PLAIN,
+    title: normalizeTitle(template.title),
+    content: typeof template.content === 'string' ? template.content : '',
+    size: {
+      width: clampSize(template.size?.width, TEMPLATE_SIZE_LIMITS.width, DEFAULT_STICKER_SIZE.width),
+      height: clampSize(template.size?.height, TEMPLATE_SIZE_LIMITS.height, DEFAULT_STICKER_SIZE.height)
+    },
+    appearance: normalizeAppearance(template.appearance),
+    tags: normalizeTags(template.tags)
+  };
+}
+
+/**
+ * Sanitize a list of templates, dropping invalid ones and renaming duplicate IDs
+ * @param {Array<Object>} templates - Templates to sanitize
+ * @returns {Array<Object>} Templates, at most MAX_TEMPLATES of them
+ */
+function normalizeTemplates(templates) {
+  if (!Array.isArray(templates)) {
+    return [];
+  }
+
+  const seen = new Set();
+  return templates
+    .map(normalizeTemplate)
+    .filter(Boolean)
+    .map(template => {
+      let id = template.id;
+      while (seen.has(id)) {
+        id = createTemplateId();
+      }
+      seen.add(id);
+      return { ...template, id };
+    })
+    .slice(0, MAX_TEMPLATES);
+}
+
+/**
+ * List the known placeholders a template uses
+ * @param {Object} template - Template to check
+ * @returns {Array<string>} Placeholder names, each once
+ */
+function getTemplatePlaceholders(template) {
+  const text = `${template?.title || ''}\n${template?.content || ''}`;
+  const names = [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1].toLowerCase());
+  return TEMPLATE_PLACEHOLDERS.filter(name => names.includes(name));
+}
+
+/**
+ * Fill in the placeholders of a text. Unknown placeholders are left as they are.
+ * @param {string} text - Text with placeholders
+ * @param {Object} values - Values to fill in
+ * @param {Date} values.now - Creation time, for {{date}} and {{time}}
+ * @param {string} values.clipboard - Clipboard text, for {{clipboard}}
+ * @returns {string} Filled-in text
+ */
+function fillPlaceholders(text, { now = new Date(), clipboard = '' } = {}) {
+  const values = {
+    date: now.toLocaleDateString(),
+    time: now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+    clipboard: String(clipboard ?? '')
+  };
+
+  return String(text ?? '').replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const key = name.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder;
+  });
+}
+
+/**
+ * Build the data of a new sticker from a template, filling in its placeholders
+ * @param {Object} template - Template to use
+ * @param {Object} values - Placeholder values (see fillPlaceholders)
+ * @returns {Object} Sticker data ({ type, format, title, content, items, size, appearance, tags }) without an ID
+ */
+function createStickerFromTemplate(template, values = {}) {
+  const preset = normalizeTemplate(template);
+  if (!preset) {
+    throw new Error('Invalid sticker template');
+  }
+
+  const stickerData = {
+    type: preset.type,
+    format: preset.format,
+    title: normalizeTitle(fillPlaceholders(preset.title, values)),
+    content: fillPlaceholders(preset.content, values),
+    size: { ...preset.size },
+    appearance: preset.appearance,
+    tags: preset.tags
+  };
+
+  // Checklists are created with their items, so the sticker opens as a list straight away
+  if (preset.type === STICKER_TYPES.CHECKLIST) {
+    stickerData.items = parseChecklistText(stickerData.content);
+    stickerData.content = checklistToText(stickerData.items);
+  }
+
+  return stickerData;
+}
+
+export {
+  TEMPLATES_FILE_NAME,
+  MAX_TEMPLATES,
+  TEMPLATE_SIZE_LIMITS,
+  TEMPLATE_PLACEHOLDERS,
+  DEFAULT_STICKER_TEMPLATES,
+  createDefaultTemplates,
+  normalizeTemplate,
+  normalizeTemplates,
+  getTemplatePlaceholders,
+  fillPlaceholders,
+  createStickerFromTemplate
+};
@@ -0,0 +1,75 @@
+/**
+ * Sticker Trash Utility
+ * Shapes the recycle bin that closed stickers are moved into
+ */
+
+import { STICKER_TYPES } from './stickerStore.js';
+import { normalizeTitle } from './stickerTags.js';
+
+// Name of the trash file inside the data directory
+const TRASH_FILE_NAME = 'stickers-trash.json';
+
+// How long closed stickers are kept, and how many at most
+const TRASH_RETENTION = {
+  maxItems: 50,
+  maxAgeDays: 30
+};
+
+/**
+ * Create an empty trash object
+ * @returns {Object} Trash with no items
+ */
+function createEmptyTrash() {
+  return {
+    savedAt: new Date().toISOString(),
+    items: []
+  };
+}
+
+/**
+ * Apply the retention policy to trashed stickers
+ * @param {Array} items - Trashed sticker records (each with a deletedAt timestamp)
+ * @param {Object} retention - Retention policy ({ maxItems, maxAgeDays })
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} Items to keep, most recently deleted first
+ */
+function pruneTrashItems(items, retention = TRASH_RETENTION, now = Date.now()) {
+  const maxAgeMs = retention.maxAgeDays * 24 * 60 * 60 * 1000;
+
+  return items
+    .filter(item => now - new Date(item.deletedAt).getTime() <= maxAgeMs)
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+    .slice(0, retention.maxItems);
+}
+
+/**
+ * Get a short single-line label for a trashed sticker, or any other sticker
+ * record (e.g. for menus): its title, or else the first non-empty line
+ * @param {Object} item - Sticker record
+ * @param {number} maxLength - Maximum label length
+ * @returns {string} Label text
+ */
+function getTrashItemLabel(item, maxLength = 40) {
+  const title = normalizeTitle(item.title);
+  const lines = title
+    ? [title]
+    : item.type === STICKER_TYPES.CHECKLIST && Array.isArray(item.items)
+      ? item.items.map(entry => String(entry.text))
+      : String(item.content || '').split(/\r?\n/);
+  const firstLine = lines.find(line => line.trim() !== '');
+
+  if (!firstLine) {
+    return item.type === STICKER_TYPES.IMAGE ? 'Image sticker' : 'Empty sticker';
+  }
+
+  const text = firstLine.trim();
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+export {
+  TRASH_FILE_NAME,
+  TRASH_RETENTION,
+  createEmptyTrash,
+  pruneTrashItems,
+  getTrashItemLabel
+};
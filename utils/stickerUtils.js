@@ -3,15 +3,53 @@ import path from 'path';
 import { safeReadJSON, safeWriteJSON, backupJSONFile, validateJSONData, validateArrayData } from './jsonUtils.js';
 import { Logger, LOG_LEVELS } from './logger.js';
 import {
+  loadContent,
   loadArrayContent,
-  loadArrayContentWithFeedback,
   validateStickerContent,
   validateStickerLayout,
   validateStickerContentArray,
-  validateStickerLayoutArray
+  validateStickerLayoutArray,
+  validateStickerRecord,
+  validateStickerStore,
+  validateStickerTrash,
+  validateStickerWorkspaces,
+  validateStickerTemplates
 } from './contentLoader.js';
 import { handleContentLoadingError, ERROR_CATEGORIES } from './errorHandler.js';
-import { recoverContent } from './contentRecovery.js';
+import { recoverContent, findBackupFiles } from './contentRecovery.js';
+import { detectDataVersion, CURRENT_DATA_VERSION } from './versionDetection.js';
+import { migrateData, extractValidStickers, buildStoreFromStickers } from './dataMigration.js';
+import { parseBackupFileName } from './backupRetention.js';
+import { STORE_FILE_NAME, STORE_LOCK_FILE_NAME, createEmptyStore, createStickerRecord, diffStores } from './stickerStore.js';
+import { StickerJournal, JOURNAL_FILE_NAME, JOURNAL_OPS, applyJournalEntries } from './stickerJournal.js';
+import { StickerRevisionLog, REVISIONS_DIR_NAME, diffLines } from './stickerRevisions.js';
+import { TRASH_FILE_NAME, TRASH_RETENTION, createEmptyTrash, pruneTrashItems } from './stickerTrash.js';
+import { StickerAttachments, ATTACHMENTS_DIR_NAME, getStickerAttachmentIds } from './stickerAttachments.js';
+import {
+  WORKSPACES_FILE_NAME,
+  createEmptyWorkspaces,
+  normalizeWorkspace,
+  captureWorkspace,
+  upsertWorkspace
+} from './stickerWorkspaces.js';
+import { TEMPLATES_FILE_NAME, createDefaultTemplates, normalizeTemplates } from './stickerTemplates.js';
+import {
+  StickerSnapshots,
+  SNAPSHOTS_DIR_NAME,
+  SNAPSHOT_REASONS,
+  summarizeStore,
+  readSnapshotFile
+} from './stickerSnapshots.js';
+import { CONFLICT_CHOICES, fingerprint } from './storeWatcher.js';
+import { FileLock, FileLockError } from './fileLock.js';
+import {
+  EncryptionError,
+  decodeFileValue,
+  enableEncryption,
+  changePassphrase,
+  disableEncryption,
+  lockEncryption
+} from './encryption.js';
 import { displayError, displayWarning, displayInfo } from '../ui/errorDisplay.js';
 
 // Create a logger for StickerDataManager
@@ -21,7 +59,9 @@ const logger = new Logger({
 });
 
 /**
- * Handles loading sticker layout and content data
+ * Handles loading and saving sticker data.
+ * Stickers live in a single versioned store file; the layout/content accessors
+ * only read and write the legacy v1 files and are kept for migration and tooling.
  */
 class StickerDataManager {
   /**
@@ -34,7 +74,26 @@ class StickerDataManager {
     this.userDataPath = userDataPath;
     this.layoutFilePath = path.join(userDataPath, 'stickers-layout.json');
     this.contentFilePath = path.join(userDataPath, 'stickers-content.json');
-
+    this.storeFilePath = path.join(userDataPath, STORE_FILE_NAME);
+    this.journal = new StickerJournal(path.join(userDataPath, JOURNAL_FILE_NAME));
+    this.trashFilePath = path.join(userDataPath, TRASH_FILE_NAME);
+    this.revisions = new StickerRevisionLog(path.join(userDataPath, REVISIONS_DIR_NAME));
+    this.snapshots = new StickerSnapshots(path.join(userDataPath, SNAPSHOTS_DIR_NAME));
+    this.attachments = new StickerAttachments(path.join(userDataPath, ATTACHMENTS_DIR_NAME));
+    this.workspacesFilePath = path.join(userDataPath, WORKSPACES_FILE_NAME);
+    this.templatesFilePath = path.join(userDataPath, TEMPLATES_FILE_NAME);
+
+    // Store and journal writes run one at a time so compaction never drops an append.
+    // The queue orders writes within this process, the lock file across processes.
+    this.writeQueue = Promise.resolve();
+    this.reloadQueue = Promise.resolve();
+    this.storeLock = new FileLock(path.join(userDataPath, STORE_LOCK_FILE_NAME));
+
+    // The store file as this app last wrote or accepted it ({ hash, store }), used
+    // to tell external edits apart from our own writes
+    this.storeBaseline = null;
+
+    console.log(`[DEBUG] StickerDataManager initialized with: Store file path: ${this.storeFilePath}`);
     console.log(`[DEBUG] StickerDataManager initialized with: Layout file path: ${this.layoutFilePath}`);
     console.log(`[DEBUG] StickerDataManager initialized with: Content file path: ${this.contentFilePath}`);
 
@@ -44,6 +103,39 @@ class StickerDataManager {
     });
   }
 
+  /**
+   * Run a store/journal write after all previously queued writes have finished,
+   * holding the store lock so another app instance can't write at the same time
+   * @param {Function} task - Async function performing the write
+   * @returns {Promise<any>} Result of the task
+   * @private
+   */
+  enqueueWrite(task) {
+    const result = this.writeQueue.then(() => this.storeLock.withLock(task));
+    // Keep the queue going even if this task fails
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Queue a write whose task returns a status object. If the store lock can't
+   * be taken in time, resolve with a failed status instead of rejecting, so
+   * callers retry the write like any other failed save.
+   * @param {Function} task - Async function performing the write
+   * @returns {Promise<Object>} Status object
+   * @private
+   */
+  enqueueStatusWrite(task) {
+    return this.enqueueWrite(task).catch(err => {
+      if (!(err instanceof FileLockError)) {
+        throw err;
+      }
+
+      logger.error('Failed to take the store lock:', err);
+      return { success: false, error: err.message };
+    });
+  }
+
   /**
    * Ensure the user data directory exists
    * @private
@@ -56,7 +148,8 @@ class StickerDataManager {
       }
 
       // Check if we can write to the directory
-      const testFile = path.join(this.userDataPath, 'test-write.tmp');
+      // Use a unique name so concurrent checks don't unlink each other's probe file
+      const testFile = path.join(this.userDataPath, `test-write-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.tmp`);
       try {
         await fs.promises.writeFile(testFile, 'test');
         await fs.promises.unlink(testFile);
@@ -136,12 +229,14 @@ class StickerDataManager {
         });
       }
 
-      // Create a new empty file if loading failed
-      try {
-        await safeWriteJSON(this.layoutFilePath, []);
-        logger.info(`Created new empty layout file after load failure`);
-      } catch (writeErr) {
-        logger.error('Failed to create new layout file:', writeErr);
+      // Create a new empty file if loading failed, unless the file is only locked
+      if (!(err instanceof EncryptionError)) {
+        try {
+          await safeWriteJSON(this.layoutFilePath, []);
+          logger.info(`Created new empty layout file after load failure`);
+        } catch (writeErr) {
+          logger.error('Failed to create new layout file:', writeErr);
+        }
       }
 
       return [];
@@ -223,12 +318,14 @@ class StickerDataManager {
         });
       }
 
-      // Create a new empty file if loading failed
-      try {
-        await safeWriteJSON(this.contentFilePath, []);
-        logger.info(`Created new empty content file after load failure`);
-      } catch (writeErr) {
-        logger.error('Failed to create new content file:', writeErr);
+      // Create a new empty file if loading failed, unless the file is only locked
+      if (!(err instanceof EncryptionError)) {
+        try {
+          await safeWriteJSON(this.contentFilePath, []);
+          logger.info(`Created new empty content file after load failure`);
+        } catch (writeErr) {
+          logger.error('Failed to create new content file:', writeErr);
+        }
       }
 
       return [];
@@ -403,187 +500,500 @@ class StickerDataManager {
   }
 
   /**
-   * Load combined sticker data (layout + content) with enhanced error handling, recovery, and user feedback
+   * Detect the on-disk data version and migrate legacy data to the versioned store
+   * @param {Object} options - Migration options
+   * @param {boolean} options.showErrors - Whether to display errors to the user
+   * @returns {Promise<Object>} Result with success and migrated flags
+   */
+  async checkAndMigrateData(options = {}) {
+    try {
+      const versionInfo = await detectDataVersion(
+        this.layoutFilePath,
+        this.contentFilePath,
+        this.storeFilePath
+      );
+
+      if (!versionInfo.needsMigration) {
+        return { success: true, migrated: false };
+      }
+
+      logger.info(`Sticker data is ${versionInfo.version}, migrating to ${CURRENT_DATA_VERSION}`);
+
+      await this.snapshotBeforeMigration(versionInfo);
+
+      const result = await migrateData(this.layoutFilePath, this.contentFilePath, {
+        showErrors: options.showErrors,
+        createBackup: true,
+        storeFilePath: this.storeFilePath
+      });
+
+      if (!result.success) {
+        logger.warn(`Data migration failed: ${result.message}${result.rolledBack ? ' (rolled back)' : ''}`);
+      }
+
+      return {
+        success: result.success,
+        migrated: result.migrated === true
+      };
+    } catch (err) {
+      logger.error('Error checking data version:', err);
+      return { success: false, migrated: false, error: err.message };
+    }
+  }
+
+  /**
+   * Snapshot the data about to be migrated so the user can go back to it.
+   * Failures are logged but never block the migration, which keeps its own backups.
+   * @param {Object} versionInfo - Result of detectDataVersion
+   * @returns {Promise<void>}
+   * @private
+   */
+  async snapshotBeforeMigration(versionInfo) {
+    try {
+      const store = validateStickerStore(versionInfo.storeData)
+        ? versionInfo.storeData
+        : buildStoreFromStickers(
+          extractValidStickers(versionInfo.layoutData ?? null, versionInfo.contentData ?? null).stickers
+        );
+
+      await this.snapshots.create(store, SNAPSHOT_REASONS.PRE_MIGRATION);
+    } catch (err) {
+      logger.warn('Failed to snapshot sticker data before migration:', err);
+    }
+  }
+
+  /**
+   * Load the versioned sticker store, migrating legacy data first if needed,
+   * with any journaled operations replayed on top of it
    * @param {Object} options - Loading options
    * @param {boolean} options.showErrors - Whether to display errors to the user
-   * @returns {Promise<Array>} Combined sticker data array
+   * @returns {Promise<Object>} Store object ({ version, savedAt, stickers })
    */
-  async loadStickerData(options = {}) {
-    logger.info('Loading sticker data');
+  async loadStore(options = {}) {
+    const snapshot = await this.loadSnapshot(options);
+    const entries = await this.journal.readEntries();
+
+    if (entries.length === 0) {
+      return snapshot;
+    }
+
+    logger.debug(`Replaying ${entries.length} journal entries on top of the store snapshot`);
+    return applyJournalEntries(snapshot, entries);
+  }
+
+  /**
+   * Load the last compacted store snapshot, without the journal
+   * @param {Object} options - Loading options
+   * @returns {Promise<Object>} Store object ({ version, savedAt, stickers })
+   * @private
+   */
+  async loadSnapshot(options = {}) {
+    if (!fs.existsSync(this.storeFilePath)) {
+      await this.checkAndMigrateData({ showErrors: options.showErrors });
+
+      // Nothing to migrate either, so this is a fresh install
+      if (!fs.existsSync(this.storeFilePath)) {
+        logger.info('No sticker store exists yet, using an empty store');
+        return createEmptyStore();
+      }
+    }
+
+    const result = await loadContent(this.storeFilePath, createEmptyStore(), {
+      maxRetries: options.maxRetries || 3,
+      retryDelay: options.retryDelay || 300,
+      timeout: options.timeout || 5000,
+      validator: validateStickerStore,
+      showErrors: options.showErrors,
+      useRecovery: options.useRecovery !== false,
+      operationKey: 'loadStickerStore'
+    });
+
+    if (result.recovered) {
+      logger.info(`Sticker store was recovered from ${result.source}`);
+
+      if (options.showErrors) {
+        displayInfo('Sticker data was recovered successfully.');
+      }
+    }
+
+    logger.debug(`Loaded sticker store ${result.content.version} with ${result.content.stickers.length} stickers`);
+    return result.content;
+  }
+
+  /**
+   * Save the versioned sticker store atomically
+   * @param {Object} store - Store object to save
+   * @param {Object} options - Save options
+   * @param {boolean} options.createBackup - Whether to back up the current store first
+   * @param {string} options.backupReason - Reason recorded in the backup file name
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveStore(store, options = {}) {
+    await this.ensureDirectoryExists();
 
     try {
-      // Check if files exist before trying to load them
-      const layoutExists = fs.existsSync(this.layoutFilePath);
-      const contentExists = fs.existsSync(this.contentFilePath);
+      if (!store || typeof store !== 'object' || !Array.isArray(store.stickers)) {
+        logger.error('Attempted to save invalid sticker store');
+        return false;
+      }
 
-      logger.info(`Layout file exists: ${layoutExists}, Content file exists: ${contentExists}`);
-      logger.info(`Layout path: ${this.layoutFilePath}`);
-      logger.info(`Content path: ${this.contentFilePath}`);
+      const validStickers = store.stickers.filter(record => {
+        const isValid = validateStickerRecord(record);
+        if (!isValid) {
+          logger.warn('Filtering out invalid sticker record', record);
+        }
+        return isValid;
+      });
 
-      // If files exist, check if they're readable and have content
-      if (layoutExists) {
+      if (options.createBackup !== false && fs.existsSync(this.storeFilePath)) {
         try {
-          const layoutStats = fs.statSync(this.layoutFilePath);
-          if (layoutStats.size === 0) {
-            logger.warn('Layout file exists but is empty');
-          }
-        } catch (err) {
-          logger.error(`Error checking layout file stats: ${err.message}`);
+          const backupPath = await backupJSONFile(this.storeFilePath, options.backupReason || 'pre-save');
+          logger.debug(`Created store backup at ${backupPath}`);
+        } catch (backupErr) {
+          logger.warn('Failed to create store backup before saving:', backupErr);
         }
       }
 
-      if (contentExists) {
-        try {
-          const contentStats = fs.statSync(this.contentFilePath);
-          if (contentStats.size === 0) {
-            logger.warn('Content file exists but is empty');
-          }
-        } catch (err) {
-          logger.error(`Error checking content file stats: ${err.message}`);
-        }
+      const result = await safeWriteJSON(this.storeFilePath, {
+        ...store,
+        version: CURRENT_DATA_VERSION,
+        savedAt: new Date().toISOString(),
+        stickers: validStickers
+      }, { atomic: true });
+
+      if (result) {
+        logger.info(`Successfully saved ${validStickers.length} stickers`);
+        await this.rememberStoreFile();
+      } else {
+        logger.error('Failed to save sticker store');
       }
 
-      // If neither file exists, return an empty array without writing anything
-      if (!layoutExists && !contentExists) {
-        logger.info('No sticker data files exist yet, returning empty array');
+      return result;
+    } catch (err) {
+      logger.error('Failed to save sticker store:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Replace the full set of stickers, keeping metadata of stickers that already exist
+   * @param {Array} stickers - Array of sticker data (id, content, position, size)
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveStickers(stickers) {
+    if (!Array.isArray(stickers)) {
+      logger.error('Attempted to save invalid sticker data: not an array');
+      return false;
+    }
 
-        if (options.showErrors) {
-          displayInfo('No sticker data found. Creating new data files.');
+    return await this.enqueueWrite(async () => {
+      try {
+        const store = await this.loadStore();
+        const existing = new Map(store.stickers.map(record => [record.id, record]));
+        const now = new Date().toISOString();
+
+        store.stickers = stickers
+          .filter(sticker => sticker && typeof sticker === 'object')
+          .map(sticker => createStickerRecord(sticker, existing.get(String(sticker.id)) || null, now));
+
+        // A full save supersedes everything in the journal
+        const saved = await this.saveStore(store);
+        if (saved) {
+          await this.journal.clear();
         }
+        return saved;
+      } catch (err) {
+        logger.error('Failed to save stickers:', err);
+        return false;
+      }
+    });
+  }
 
-        return [];
+  /**
+   * Fold the journal into the store snapshot and clear it
+   * @returns {Promise<boolean>} Success status
+   */
+  compactJournal() {
+    return this.enqueueWrite(() => this.compactJournalNow());
+  }
+
+  /**
+   * Compaction body; callers must already hold the write queue
+   * @returns {Promise<boolean>} Success status
+   * @private
+   */
+  async compactJournalNow() {
+    try {
+      const entries = await this.journal.readEntries();
+      if (entries.length === 0) {
+        return true;
       }
 
-      // Load layout and content data with enhanced error handling and recovery
-      logger.debug('Loading layout and content data with enhanced error handling...');
+      // Folding the journal into an externally changed store would save over the
+      // change before the windows see it; reloadExternalChanges merges it instead
+      if (await this.hasExternalChanges()) {
+        logger.info('Sticker store changed outside the app, postponing journal compaction');
+        return false;
+      }
 
-      // Use the loadArrayContentWithFeedback for automatic error handling and user feedback
-      const loadOptions = {
-        ...options,
-        showErrors: options.showErrors,
-        useRecovery: options.useRecovery !== false
-      };
+      logger.info(`Compacting ${entries.length} journal entries into ${this.storeFilePath}`);
 
-      // Load both layout and content data concurrently
-      const [layoutResult, contentResult] = await Promise.all([
-        loadArrayContentWithFeedback(this.layoutFilePath, [], {
-          ...loadOptions,
-          validator: validateStickerLayoutArray,
-          operationKey: 'loadStickerLayout'
-        }),
-        loadArrayContentWithFeedback(this.contentFilePath, [], {
-          ...loadOptions,
-          validator: validateStickerContentArray,
-          operationKey: 'loadStickerContent'
-        })
-      ]);
-
-      const layoutData = layoutResult.content;
-      const contentData = contentResult.content;
-
-      logger.debug(`Loaded ${layoutData.length} layout items and ${contentData.length} content items`);
-
-      // Log recovery information if applicable
-      if (layoutResult.recovered || contentResult.recovered) {
-        logger.info(`Data recovery was performed: layout=${layoutResult.recovered}, content=${contentResult.recovered}`);
+      const snapshot = await this.loadSnapshot();
+      const store = applyJournalEntries(snapshot, entries);
 
-        if (options.showErrors) {
-          displayInfo('Some sticker data was recovered from backups.');
-        }
+      // The snapshot is written before the journal is cleared. If we crash in
+      // between, replaying the journal over the new snapshot is harmless.
+      const saved = await this.saveStore(store, { backupReason: 'pre-compact' });
+      if (!saved) {
+        logger.error('Failed to write compacted store, keeping the journal');
+        return false;
       }
 
-      // Create a map of content by ID for efficient lookup
-      logger.info('Creating content map for lookup');
+      await this.journal.clear();
+      return true;
+    } catch (err) {
+      logger.error('Failed to compact journal:', err);
+      return false;
+    }
+  }
 
-      const contentMap = new Map();
-      contentData.forEach(item => {
-        if (item && typeof item.id === 'string' && item.id.trim() !== '') {
-          const contentStr = item.content || '';
-          contentMap.set(item.id, contentStr);
-          logger.debug(`Content for ID ${item.id}: ${contentStr ? 'Present' : 'Empty'} (${contentStr.length} chars)`);
-        } else {
-          logger.warn('Found invalid content item without valid ID', item);
+  /**
+   * Read the raw store file
+   * @returns {Promise<Object|null>} { hash, store }, or null if the file is missing, not JSON
+   *   or can't be decrypted
+   * @private
+   */
+  async readStoreFile() {
+    try {
+      const raw = await fs.promises.readFile(this.storeFilePath, 'utf8');
+      return { hash: fingerprint(raw), store: decodeFileValue(JSON.parse(raw)) };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember the store file as it is now as our own
+   * @returns {Promise<void>}
+   * @private
+   */
+  async rememberStoreFile() {
+    const file = await this.readStoreFile();
+    this.storeBaseline = file && validateStickerStore(file.store) ? file : null;
+  }
+
+  /**
+   * Check whether the store file changed since this app last wrote or accepted it
+   * @returns {Promise<boolean>} True if there is an external change not reconciled yet
+   */
+  async hasExternalChanges() {
+    if (!this.storeBaseline) {
+      return false;
+    }
+
+    const file = await this.readStoreFile();
+    return !file || file.hash !== this.storeBaseline.hash;
+  }
+
+  /**
+   * Merge an external change of the store file (a sync tool, a hand edit) with
+   * the edits made here that are still only in the journal or not even saved
+   * yet. A sticker changed on both sides is a conflict and is settled by
+   * options.resolveConflict; without it, the edits made here win. Conflicts are
+   * found and the merge is written in the write queue, but asking about them
+   * happens in between, so an open prompt doesn't hold up any saves.
+   * @param {Object} options - Reload options
+   * @param {Function} options.resolveConflict - async ({ id, local, external, unsaved }) => CONFLICT_CHOICES value
+   * @param {Function} options.readUnsavedContent - async (record) => content shown for the sticker
+   *   right now, which may not be saved yet, or null if there's nothing to compare
+   * @returns {Promise<Object>} { changed, added, updated, removed, conflicts } where added and
+   *   updated are the records to show and removed the IDs to close, relative to what was shown
+   */
+  reloadExternalChanges(options = {}) {
+    // One reload at a time, so a change noticed while a conflict is asked about isn't asked about twice
+    const result = this.reloadQueue.then(() => this.reloadExternalChangesNow(options));
+    this.reloadQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Reload external changes without waiting for an earlier reload
+   * @param {Object} options - Reload options (see reloadExternalChanges)
+   * @returns {Promise<Object>} Reload result (see reloadExternalChanges)
+   * @private
+   */
+  async reloadExternalChangesNow(options) {
+    const unchanged = { changed: false, added: [], updated: [], removed: [], conflicts: 0 };
+
+    try {
+      const found = await this.enqueueWrite(() => this.findExternalChanges());
+      if (!found) {
+        return unchanged;
+      }
+
+      // Stickers changed externally that also have journaled or unsaved edits here
+      const choices = new Map();
+      for (const id of found.changedIds) {
+        const local = found.local.get(id) || null;
+        const shown = local && options.readUnsavedContent ? await options.readUnsavedContent(local) : null;
+        const unsaved = typeof shown === 'string' && shown !== local.content ? shown : null;
+        if (!found.editedHere.has(id) && unsaved === null) {
+          continue;
         }
-      });
-      logger.info(`Content map contains ${contentMap.size} items`);
 
-      // Merge the data with defensive programming
-      logger.info('Merging layout and content data with validation');
+        const choice = options.resolveConflict
+          ? await options.resolveConflict({
+            id,
+            local: unsaved === null ? local : { ...local, content: unsaved },
+            external: found.external.get(id) || null,
+            unsaved: unsaved !== null
+          })
+          : CONFLICT_CHOICES.MINE;
 
-      // First, identify layouts that need content entries
-      const missingContentLayouts = layoutData
-        .filter(layout => {
-          const isValid = layout && typeof layout.id === 'string' && layout.id.trim() !== '';
-          return isValid && !contentMap.has(layout.id);
-        });
+        choices.set(id, { theirs: choice === CONFLICT_CHOICES.THEIRS, local, unsaved });
+      }
 
-      // Create content entries for layouts with missing content
-      if (missingContentLayouts.length > 0) {
-        logger.info(`Found ${missingContentLayouts.length} layouts with missing content, creating empty content entries`);
+      return await this.enqueueWrite(() => this.mergeExternalChanges(choices, found.checkedAt));
+    } catch (err) {
+      logger.error('Failed to reload external changes:', err);
+      return { ...unchanged, error: err.message };
+    }
+  }
 
-        // Create content entries for all missing layouts
-        const contentPromises = missingContentLayouts.map(layout => {
-          console.log(`No content found for sticker ID ${layout.id}, creating empty content entry`);
-          return this.updateStickerContent(layout.id, '');
-        });
+  /**
+   * Compare the store file with what this app last wrote or accepted
+   * @returns {Promise<Object|null>} { checkedAt, changedIds, editedHere, local, external }
+   *   where local and external map IDs to records, or null if there's nothing to reload
+   * @private
+   */
+  async findExternalChanges() {
+    const file = await this.readStoreFile();
+    const baseline = this.storeBaseline;
+
+    // A missing or half-written file is usually a sync in progress; wait for the next change
+    if (!file || !validateStickerStore(file.store)) {
+      logger.warn('Sticker store is missing or invalid after an external change, ignoring it for now');
+      return null;
+    }
 
-        // Wait for all content entries to be created
-        await Promise.all(contentPromises);
+    if (baseline && file.hash === baseline.hash) {
+      return null;
+    }
 
-        // Reload content data to include the newly created entries
-        logger.info('Reloading content data after creating missing entries');
-        const updatedContentData = await this.loadContentData();
+    const previous = baseline ? baseline.store : createEmptyStore();
+    const entries = await this.journal.readEntries();
+    const shown = applyJournalEntries(previous, entries);
+    const external = diffStores(previous, file.store);
+
+    return {
+      checkedAt: new Date().toISOString(),
+      changedIds: [
+        ...external.added.map(record => record.id),
+        ...external.updated.map(record => record.id),
+        ...external.removed
+      ],
+      editedHere: new Set(entries.map(entry => entry.id)),
+      local: new Map(shown.stickers.map(record => [record.id, record])),
+      external: new Map(file.store.stickers.map(record => [record.id, record]))
+    };
+  }
 
-        // Update content map with new entries
-        updatedContentData.forEach(item => {
-          if (item && typeof item.id === 'string' && item.id.trim() !== '') {
-            const contentStr = item.content || '';
-            contentMap.set(item.id, contentStr);
-            logger.debug(`Updated content map: ID ${item.id}: ${contentStr ? 'Present' : 'Empty'} (${contentStr.length} chars)`);
-          }
-        });
+  /**
+   * Merge the store file with the edits made here, as the conflicts were settled
+   * @param {Map<string, Object>} choices - Settled conflicts by ID ({ theirs, local, unsaved })
+   * @param {string} checkedAt - When the conflicts were found
+   * @returns {Promise<Object>} Reload result (see reloadExternalChanges)
+   * @private
+   */
+  async mergeExternalChanges(choices, checkedAt) {
+    const unchanged = { changed: false, added: [], updated: [], removed: [], conflicts: 0 };
+    const file = await this.readStoreFile();
+    const baseline = this.storeBaseline;
+
+    // Changed again (or back) while the conflicts were settled; the next reload picks it up
+    if (!file || !validateStickerStore(file.store) || (baseline && file.hash === baseline.hash)) {
+      return unchanged;
+    }
 
-        logger.info(`Content map now contains ${contentMap.size} items after updates`);
+    logger.info('Sticker store changed outside the app, reloading');
+
+    const previous = baseline ? baseline.store : createEmptyStore();
+    const entries = await this.journal.readEntries();
+    const shown = applyJournalEntries(previous, entries);
+
+    const useTheirs = new Set([...choices].filter(([, choice]) => choice.theirs).map(([id]) => id));
+    const kept = entries.filter(entry => !useTheirs.has(entry.id));
+    const merged = applyJournalEntries(file.store, kept);
+
+    // Keeping our version also keeps text that wasn't saved yet, and the sticker if it was deleted there
+    let keptHere = 0;
+    choices.forEach((choice, id) => {
+      if (choice.theirs) return;
+
+      const ownEntries = kept.filter(entry => entry.id === id);
+      // Text saved while the conflict was asked about is newer than the text read before
+      const unsaved = ownEntries.some(entry => entry.at >= checkedAt && entry.data?.content !== undefined)
+        ? null
+        : choice.unsaved;
+      const index = merged.stickers.findIndex(record => record.id === id);
+
+      if (index !== -1 && unsaved !== null) {
+        merged.stickers[index] = { ...merged.stickers[index], content: unsaved, updatedAt: new Date().toISOString() };
+        keptHere++;
+      } else if (index === -1 && choice.local && !ownEntries.some(entry => entry.op === JOURNAL_OPS.REMOVE)) {
+        merged.stickers.push(unsaved === null ? choice.local : { ...choice.local, content: unsaved });
+        keptHere++;
       }
+    });
 
-      const mergedData = layoutData
-        .filter(layout => {
-          const isValid = layout && typeof layout.id === 'string' && layout.id.trim() !== '';
-          if (!isValid) {
-            logger.warn('Filtering out invalid layout item', layout);
-          }
-          return isValid;
-        })
-        .map(layout => {
-          // Get content or use empty string as fallback
-          const content = contentMap.get(layout.id) || '';
-          logger.debug(`Merging sticker ID ${layout.id}: Content ${content ? 'found' : 'not found'}, length=${content.length}`);
-
-          // Ensure position and size have valid values
-          const position = layout.position && typeof layout.position === 'object'
-            ? {
-                x: typeof layout.position.x === 'number' ? layout.position.x : 0,
-                y: typeof layout.position.y === 'number' ? layout.position.y : 0
-              }
-            : { x: 0, y: 0 };
-
-          const size = layout.size && typeof layout.size === 'object'
-            ? {
-                width: typeof layout.size.width === 'number' ? layout.size.width : 250,
-                height: typeof layout.size.height === 'number' ? layout.size.height : 80
-              }
-            : { width: 250, height: 80 };
-
-          return {
-            id: layout.id,
-            content: typeof content === 'string' ? content : '',
-            position,
-            size
-          };
-        });
+    if (kept.length > 0 || keptHere > 0) {
+      // Write our edits on top of theirs; the external version is backed up first
+      const saved = await this.saveStore(merged, { backupReason: 'pre-reload' });
+      if (!saved) {
+        return { ...unchanged, error: 'Failed to save merged sticker store' };
+      }
+    } else {
+      this.storeBaseline = file;
+    }
+
+    if (entries.length > 0) {
+      await this.journal.clear();
+    }
 
-      logger.info(`Successfully merged data, returning ${mergedData.length} stickers`);
-      return mergedData;
+    const changes = diffStores(shown, merged);
+    logger.info(`Reloaded sticker store: ${changes.added.length} added, ${changes.updated.length} updated, ` +
+      `${changes.removed.length} removed, ${choices.size} conflicts`);
+
+    return { changed: true, ...changes, conflicts: choices.size };
+  }
+
+  /**
+   * Load sticker data with enhanced error handling, recovery, and user feedback
+   * @param {Object} options - Loading options
+   * @param {boolean} options.showErrors - Whether to display errors to the user
+   * @returns {Promise<Array>} Sticker records
+   */
+  async loadStickerData(options = {}) {
+    logger.info('Loading sticker data');
+
+    try {
+      await this.checkAndMigrateData({ showErrors: options.showErrors });
+
+      logger.info(`Store path: ${this.storeFilePath}`);
+
+      const store = await this.loadStore(options);
+
+      // Edits that never made it into the snapshot (e.g. after a crash) are folded in now
+      if (this.journal.entryCount > 0) {
+        logger.info(`Recovered ${this.journal.entryCount} journaled operations, compacting`);
+        await this.compactJournal();
+      }
+
+      // Everything loaded so far is what the windows will show
+      await this.rememberStoreFile();
+
+      logger.info(`Successfully loaded ${store.stickers.length} stickers`);
+      return store.stickers;
     } catch (err) {
       logger.error('Failed to load sticker data:', err);
 
@@ -619,168 +1029,125 @@ class StickerDataManager {
    * @returns {Promise<boolean>} Success status
    */
   async updateStickerContent(id, content) {
-    try {
-      logger.info(`updateStickerContent called for sticker ID=${id}, content length=${content ? content.length : 0}`);
-      console.log(`[DEBUG] updateStickerContent called for sticker ID=${id}, content length=${content ? content.length : 0}`);
+    logger.info(`updateStickerContent called for sticker ID=${id}, content length=${content ? content.length : 0}`);
 
-      // Load current content data
-      const contentData = await this.loadContentData();
-      console.log(`[DEBUG] updateStickerContent: Loaded ${contentData.length} content items for update`);
-      logger.debug(`Loaded ${contentData.length} content items for update`);
+    // Read the record inside the queued task so changes queued before this one are kept
+    const result = await this.enqueueStatusWrite(async () => {
+      try {
+        const store = await this.loadStore({ maxRetries: 2 });
+        const existing = store.stickers.find(record => record.id === id);
 
-      // Find existing content item
-      const existingIndex = contentData.findIndex(item => item && item.id === id);
-      console.log('[DEBUG] Content data for update:', contentData);
+        if (!existing) {
+          logger.warn(`No sticker found for ID ${id}, cannot update content`);
+          return { success: false, error: 'Sticker not found' };
+        }
 
-      // Log the result of the search
-      if (existingIndex >= 0) {
-        logger.debug(`Found existing content at index ${existingIndex} for ID ${id}`);
-      } else {
-        logger.debug(`No existing content found for ID ${id}, will create new entry`);
+        return await this.writeStickerUpdate({ ...existing, items: undefined, content });
+      } catch (err) {
+        logger.error(`Failed to update content for sticker ID ${id}:`, err);
+        return { success: false, error: err.message };
       }
+    });
 
-      if (existingIndex >= 0) {
-        // Update existing content
-        const oldContent = contentData[existingIndex].content || '';
-        contentData[existingIndex].content = content;
-        logger.info(`Updated content for ID ${id}: ${oldContent.length} chars -> ${(content || '').length} chars`);
-        console.log(`[DEBUG] Updated content for ID ${id}: ${oldContent.length} chars -> ${(content || '').length} chars`);
-      } else {
-        // Add new content item
-        contentData.push({
-          id,
-          content: content || ''
-        });
-        logger.info(`Added new content item for ID ${id}, content length=${content ? content.length : 0}`);
-        console.log(`[DEBUG] Added new content item for ID ${id}, content length=${content ? content.length : 0}`);
-      }
+    return result.success;
+  }
 
-      // Save updated content data
-      logger.debug(`Saving updated content data with ${contentData.length} items`);
-      console.log(`[DEBUG] Saving updated content data with ${contentData.length} items`);
-      const result = await this.saveContentData(contentData);
+  /**
+   * Work out which journal operations turn one record into another
+   * @param {Object|null} existing - Current record, or null for a new sticker
+   * @param {Object} record - Updated record
+   * @returns {Array<Object>} Journal entries ({ op, id, data }), empty if nothing changed
+   * @private
+   */
+  diffRecords(existing, record) {
+    const { id } = record;
 
-      // Log the result of the save operation
-      if (result) {
-        logger.info(`Successfully saved content for ID ${id}`);
-        console.log(`[DEBUG] Successfully saved content for ID ${id}`);
-      } else {
-        logger.error(`Failed to save content for ID ${id}`);
-        console.log(`[ERROR] Failed to save content for ID ${id}`);
-      }
+    if (!existing) {
+      return [{ op: JOURNAL_OPS.CREATE, id, data: record }];
+    }
 
-      return result;
-    } catch (err) {
-      logger.error(`Failed to update content for sticker ID ${id}:`, err);
-      console.error(`[ERROR] Failed to update content for sticker ID ${id}:`, err);
-      return false;
+    const entries = [];
+    const changed = key => JSON.stringify(existing[key]) !== JSON.stringify(record[key]);
+
+    if (changed('content')) {
+      entries.push({ op: JOURNAL_OPS.UPDATE_CONTENT, id, data: { content: record.content } });
+    }
+    if (changed('position')) {
+      entries.push({ op: JOURNAL_OPS.MOVE, id, data: { position: record.position } });
+    }
+    if (changed('size')) {
+      entries.push({ op: JOURNAL_OPS.RESIZE, id, data: { size: record.size } });
+    }
+
+    // Anything else (type, format, checklist items...) goes in a generic update,
+    // along with fields the record no longer has
+    const handled = ['id', 'content', 'position', 'size', 'createdAt', 'updatedAt'];
+    const otherKeys = Object.keys(record).filter(key => !handled.includes(key) && changed(key));
+    const unset = Object.keys(existing).filter(key => !handled.includes(key) && !(key in record));
+    if (otherKeys.length > 0 || unset.length > 0) {
+      const data = {};
+      otherKeys.forEach(key => { data[key] = record[key]; });
+      entries.push(unset.length > 0 ? { op: JOURNAL_OPS.UPDATE, id, data, unset } : { op: JOURNAL_OPS.UPDATE, id, data });
     }
+
+    return entries;
   }
 
   /**
-   * Update a single sticker's data with enhanced validation and error handling
+   * Update a single sticker's data with enhanced validation and error handling.
+   * Only the changed fields are appended to the journal; the store itself is
+   * rewritten when the journal is compacted.
    * @param {Object} stickerData - The sticker data to update
+   * @param {Object} options - Update options
+   * @param {boolean} options.coalesceRevision - Whether a content change may be folded into the latest revision
    * @returns {Promise<Object>} Status object with success flags
    */
-  async updateSticker(stickerData) {
+  async updateSticker(stickerData, options = {}) {
     logger.debug(`Updating sticker data:`, stickerData ? { id: stickerData.id } : 'undefined');
 
-    try {
-      // Validate input
-      if (!stickerData || typeof stickerData !== 'object') {
-        logger.error('Invalid sticker data provided: not an object');
-        return { success: false, error: 'Invalid sticker data provided' };
-      }
-
-      // Sanitize the incoming sticker data with defensive programming
-      const sanitizedStickerData = {
-        id: String(stickerData.id || Date.now()),
-        content: String(stickerData.content || ''),
-        position: {
-          x: Number(isNaN(stickerData.position?.x) ? 0 : stickerData.position.x),
-          y: Number(isNaN(stickerData.position?.y) ? 0 : stickerData.position.y)
-        },
-        size: {
-          width: Number(isNaN(stickerData.size?.width) ? 250 : stickerData.size.width),
-          height: Number(isNaN(stickerData.size?.height) ? 80 : stickerData.size.height)
-        }
-      };
-
-      logger.debug(`Sanitized sticker data for ID=${sanitizedStickerData.id}`);
-
-      // Load existing data with retry mechanism
-      logger.debug(`Loading existing data for update`);
-      const layoutPromise = this.loadLayoutData({ maxRetries: 2 });
-      const contentPromise = this.loadContentData({ maxRetries: 2 });
+    // Validate input
+    if (!stickerData || typeof stickerData !== 'object') {
+      logger.error('Invalid sticker data provided: not an object');
+      return { success: false, error: 'Invalid sticker data provided' };
+    }
 
-      // Create backups before updating
-      logger.debug(`Creating backups before update`);
-      const layoutBackupPromise = backupJSONFile(this.layoutFilePath, 'pre-update');
-      const contentBackupPromise = backupJSONFile(this.contentFilePath, 'pre-update');
+    return await this.enqueueStatusWrite(() => this.writeStickerUpdate(stickerData, options));
+  }
 
-      // Wait for all promises to resolve
-      const [layoutData, contentData, layoutBackup, contentBackup] =
-        await Promise.all([layoutPromise, contentPromise, layoutBackupPromise, contentBackupPromise]);
+  /**
+   * Apply an update to the store; runs inside the write queue
+   * @param {Object} stickerData - The sticker data to update
+   * @param {Object} options - Update options (see updateSticker)
+   * @returns {Promise<Object>} Status object with success flags
+   * @private
+   */
+  async writeStickerUpdate(stickerData, options = {}) {
+    try {
+      await this.ensureDirectoryExists();
 
-      logger.debug(`Loaded layout (${layoutData.length} items) and content (${contentData.length} items)`);
-      logger.debug(`Created backups: layout=${layoutBackup}, content=${contentBackup}`);
+      const store = await this.loadStore({ maxRetries: 2 });
+      const id = String(stickerData.id || Date.now());
+      const existing = store.stickers.find(record => record.id === id) || null;
+      const record = createStickerRecord({ ...stickerData, id }, existing);
 
-      // Validate loaded data
-      if (!Array.isArray(layoutData) || !Array.isArray(contentData)) {
-        logger.error(`Invalid data loaded: layout=${Array.isArray(layoutData)}, content=${Array.isArray(contentData)}`);
-        return { success: false, error: 'Failed to load current data' };
+      const entries = this.diffRecords(existing, record);
+      if (entries.length === 0) {
+        logger.debug(`No changes for sticker ID=${id}, nothing to journal`);
+        return { success: true };
       }
 
-      // Update or add layout data
-      const layoutIndex = layoutData.findIndex(item => item && item.id === sanitizedStickerData.id);
-      const layoutItem = {
-        id: sanitizedStickerData.id,
-        position: sanitizedStickerData.position,
-        size: sanitizedStickerData.size
-      };
+      await this.journal.append(entries);
+      logger.info(`Journaled ${entries.map(entry => entry.op).join(', ')} for sticker ID=${id}`);
 
-      if (layoutIndex !== -1) {
-        logger.debug(`Updating existing layout at index ${layoutIndex}`);
-        layoutData[layoutIndex] = layoutItem;
-      } else {
-        logger.debug(`Adding new layout item`);
-        layoutData.push(layoutItem);
+      if (entries.some(entry => entry.op === JOURNAL_OPS.CREATE || entry.op === JOURNAL_OPS.UPDATE_CONTENT)) {
+        await this.recordRevision(id, record.content, options.coalesceRevision !== false);
       }
 
-      // Update or add content data
-      const contentIndex = contentData.findIndex(item => item && item.id === sanitizedStickerData.id);
-      const contentItem = {
-        id: sanitizedStickerData.id,
-        content: sanitizedStickerData.content
-      };
-
-      if (contentIndex !== -1) {
-        logger.debug(`Updating existing content at index ${contentIndex}`);
-        contentData[contentIndex] = contentItem;
-      } else {
-        logger.debug(`Adding new content item`);
-        contentData.push(contentItem);
+      if (this.journal.needsCompaction()) {
+        await this.compactJournalNow();
       }
 
-      // Save both files
-      logger.debug(`Saving updated data`);
-      const layoutSavePromise = this.saveLayoutData(layoutData);
-      const contentSavePromise = this.saveContentData(contentData);
-
-      const [layoutSaved, contentSaved] = await Promise.all([layoutSavePromise, contentSavePromise]);
-
-      const success = layoutSaved && contentSaved;
-      if (success) {
-        logger.info(`Successfully updated sticker ID=${sanitizedStickerData.id}`);
-      } else {
-        logger.warn(`Partial update for sticker ID=${sanitizedStickerData.id}: layout=${layoutSaved}, content=${contentSaved}`);
-      }
-
-      return {
-        success,
-        layoutSaved,
-        contentSaved
-      };
+      return { success: true };
     } catch (err) {
       logger.error('Error updating sticker:', err);
       return { success: false, error: err.message };
@@ -788,88 +1155,750 @@ class StickerDataManager {
   }
 
   /**
-   * Remove a sticker by ID with enhanced validation and error handling
+   * Set, change or remove a sticker's reminder, leaving the rest of the sticker as it is
+   * @param {string} stickerId - Sticker ID
+   * @param {Object|null|Function} reminder - New reminder, null to remove it, or a function
+   *   that gets the current reminder (or null) and returns the new one
+   * @returns {Promise<Object>} Status object with the updated sticker record
+   */
+  updateStickerReminder(stickerId, reminder) {
+    const id = String(stickerId);
+
+    return this.enqueueStatusWrite(async () => {
+      try {
+        const store = await this.loadStore({ maxRetries: 2 });
+        const existing = store.stickers.find(record => record.id === id);
+
+        if (!existing) {
+          logger.warn(`No sticker found for ID ${id}, cannot update its reminder`);
+          return { success: false, error: 'Sticker not found' };
+        }
+
+        const next = typeof reminder === 'function' ? reminder(existing.reminder || null) : reminder;
+        const update = { ...existing, reminder: next ?? null };
+        const result = await this.writeStickerUpdate(update);
+
+        return result.success ? { success: true, sticker: createStickerRecord(update, existing) } : result;
+      } catch (err) {
+        logger.error('Error updating sticker reminder:', err);
+        return { success: false, error: err.message };
+      }
+    });
+  }
+
+  /**
+   * Change several stickers at once, leaving the rest of each sticker as it is
+   * (e.g. to color, tag or group a selection)
+   * @param {Array<string>} stickerIds - Sticker IDs
+   * @param {Object|Function} changes - Fields to set, or a function that gets a
+   *   sticker's current record and returns the fields to set on it
+   * @returns {Promise<Object>} Status object with the updated sticker records
+   */
+  updateStickers(stickerIds, changes) {
+    const ids = new Set((stickerIds || []).map(String));
+
+    return this.enqueueStatusWrite(async () => {
+      try {
+        const store = await this.loadStore({ maxRetries: 2 });
+        const stickers = [];
+
+        for (const existing of store.stickers.filter(record => ids.has(record.id))) {
+          const update = { ...existing, ...(typeof changes === 'function' ? changes(existing) : changes) };
+          const result = await this.writeStickerUpdate(update);
+          if (!result.success) {
+            return { ...result, stickers };
+          }
+          stickers.push(createStickerRecord(update, existing));
+        }
+
+        return { success: true, stickers };
+      } catch (err) {
+        logger.error('Error updating stickers:', err);
+        return { success: false, error: err.message };
+      }
+    });
+  }
+
+  /**
+   * Record a content revision; failures are logged but never fail the update
+   * @param {string} id - Sticker ID
+   * @param {string} content - Content to record
+   * @param {boolean} coalesce - Whether the edit may be folded into the latest revision
+   * @returns {Promise<void>}
+   * @private
+   */
+  async recordRevision(id, content, coalesce) {
+    try {
+      await this.revisions.record(id, content, { coalesce });
+    } catch (err) {
+      logger.warn(`Failed to record revision for sticker ID=${id}:`, err);
+    }
+  }
+
+  /**
+   * Delete the revision history of every sticker not in the given records;
+   * failures are logged but never fail the caller
+   * @param {Array<Object>} records - Stickers on the board and in the trash
+   * @returns {Promise<void>}
+   * @private
+   */
+  async pruneRevisions(records) {
+    try {
+      await this.revisions.prune(records.map(record => record.id));
+    } catch (err) {
+      logger.warn('Failed to delete the revisions of removed stickers:', err);
+    }
+  }
+
+  /**
+   * Get the revision history of a sticker
+   * @param {string} stickerId - Sticker ID
+   * @returns {Promise<Array>} Revisions ({ rev, content, startedAt, at }), newest first
+   */
+  async getStickerRevisions(stickerId) {
+    const revisions = await this.revisions.getRevisions(String(stickerId));
+    return revisions.slice().reverse();
+  }
+
+  /**
+   * Diff a revision against the sticker's current content
+   * @param {string} stickerId - Sticker ID
+   * @param {number} rev - Revision number
+   * @returns {Promise<Object>} Status object with the revision and diff parts
+   */
+  async getRevisionDiff(stickerId, rev) {
+    const id = String(stickerId);
+    const revision = await this.revisions.getRevision(id, rev);
+    if (!revision) {
+      return { success: false, error: `Revision ${rev} not found` };
+    }
+
+    const store = await this.loadStore();
+    const current = store.stickers.find(record => record.id === id);
+
+    return {
+      success: true,
+      revision,
+      diff: diffLines(revision.content, current ? current.content : '')
+    };
+  }
+
+  /**
+   * Roll a sticker's content back to an earlier revision
+   * @param {string} stickerId - Sticker ID
+   * @param {number} rev - Revision number
+   * @returns {Promise<Object>} Status object with the updated sticker record
+   */
+  restoreRevision(stickerId, rev) {
+    const id = String(stickerId);
+
+    // Read and write in one queued task, so a move or resize queued meanwhile
+    // isn't undone by a stale copy of the record
+    return this.enqueueStatusWrite(async () => {
+      try {
+        const revision = await this.revisions.getRevision(id, rev);
+        if (!revision) {
+          return { success: false, error: `Revision ${rev} not found` };
+        }
+
+        const store = await this.loadStore({ maxRetries: 2 });
+        const existing = store.stickers.find(record => record.id === id);
+        if (!existing) {
+          return { success: false, error: 'Sticker not found' };
+        }
+
+        // Keep the rollback as its own revision so it can be undone.
+        // Checklist items are read back from the restored content.
+        const update = { ...existing, items: undefined, content: revision.content };
+        const result = await this.writeStickerUpdate(update, { coalesceRevision: false });
+        if (!result.success) {
+          return result;
+        }
+
+        logger.info(`Restored sticker ID=${id} to revision ${rev}`);
+        return { success: true, sticker: createStickerRecord(update, existing) };
+      } catch (err) {
+        logger.error(`Failed to restore sticker ID=${id} to revision ${rev}:`, err);
+        return { success: false, error: err.message };
+      }
+    });
+  }
+
+  /**
+   * Remove a sticker by ID, moving it to the trash so it can be restored later
    * @param {string} stickerId - ID of the sticker to remove
    * @returns {Promise<Object>} Status object with success flags
    */
   async removeSticker(stickerId) {
     logger.debug(`Removing sticker with ID: ${stickerId}`);
 
+    // Validate input
+    if (!stickerId) {
+      logger.error('No sticker ID provided for removal');
+      return { success: false, error: 'No sticker ID provided' };
+    }
+
+    // Ensure stickerId is a string
+    const sanitizedStickerId = String(stickerId);
+
+    return await this.enqueueStatusWrite(async () => {
+      try {
+        await this.ensureDirectoryExists();
+
+        const store = await this.loadStore({ maxRetries: 2 });
+        const record = store.stickers.find(item => item.id === sanitizedStickerId);
+        if (!record) {
+          logger.warn(`Sticker with ID ${sanitizedStickerId} not found`);
+          return { success: true };
+        }
+
+        // Trash first: if that fails the sticker stays where it was
+        const trash = await this.loadTrash();
+        trash.items = trash.items.filter(item => item.id !== sanitizedStickerId);
+        trash.items.push({ ...record, deletedAt: new Date().toISOString() });
+
+        if (!await this.saveTrash(trash)) {
+          return { success: false, error: 'Failed to move sticker to trash' };
+        }
+
+        await this.journal.append([{ op: JOURNAL_OPS.REMOVE, id: sanitizedStickerId }]);
+        logger.info(`Moved sticker ID=${sanitizedStickerId} to trash`);
+
+        // Stickers that just dropped out of the trash are gone for good, and so is their history
+        await this.pruneRevisions([...store.stickers, ...pruneTrashItems(trash.items)]);
+
+        if (this.journal.needsCompaction()) {
+          await this.compactJournalNow();
+        }
+
+        return { success: true };
+      } catch (err) {
+        logger.error('Error removing sticker:', err);
+        return { success: false, error: err.message };
+      }
+    });
+  }
+
+  /**
+   * Load the trash, with the retention policy applied
+   * @param {Object} options - Loading options
+   * @param {Object} options.retention - Retention policy ({ maxItems, maxAgeDays })
+   * @returns {Promise<Object>} Trash object ({ savedAt, items }), most recently deleted first
+   */
+  async loadTrash(options = {}) {
+    if (!fs.existsSync(this.trashFilePath)) {
+      return createEmptyTrash();
+    }
+
+    const result = await loadContent(this.trashFilePath, createEmptyTrash(), {
+      maxRetries: 2,
+      validator: validateStickerTrash,
+      useRecovery: options.useRecovery !== false,
+      operationKey: 'loadStickerTrash'
+    });
+
+    return {
+      ...result.content,
+      items: pruneTrashItems(result.content.items, options.retention || TRASH_RETENTION)
+    };
+  }
+
+  /**
+   * Save the trash atomically, applying the retention policy
+   * @param {Object} trash - Trash object to save
+   * @param {Object} options - Save options
+   * @param {Object} options.retention - Retention policy ({ maxItems, maxAgeDays })
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveTrash(trash, options = {}) {
     try {
-      // Validate input
-      if (!stickerId) {
-        logger.error('No sticker ID provided for removal');
-        return { success: false, error: 'No sticker ID provided' };
+      const items = pruneTrashItems(trash.items, options.retention || TRASH_RETENTION);
+
+      return await safeWriteJSON(this.trashFilePath, {
+        ...trash,
+        savedAt: new Date().toISOString(),
+        items
+      }, { atomic: true });
+    } catch (err) {
+      logger.error('Failed to save sticker trash:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Get recently closed stickers, most recent first
+   * @param {number} limit - Maximum number of stickers to return
+   * @returns {Promise<Array>} Trashed sticker records (with deletedAt)
+   */
+  async getRecentlyClosed(limit = 10) {
+    try {
+      const trash = await this.loadTrash();
+      return trash.items.slice(0, limit);
+    } catch (err) {
+      logger.error('Failed to load recently closed stickers:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Restore a sticker from the trash with its original content, position and size
+   * @param {string} stickerId - ID of the sticker to restore
+   * @returns {Promise<Object>} Status object with the restored sticker record
+   */
+  restoreSticker(stickerId) {
+    const sanitizedStickerId = String(stickerId);
+
+    return this.enqueueStatusWrite(async () => {
+      try {
+        const trash = await this.loadTrash();
+        const item = trash.items.find(entry => entry.id === sanitizedStickerId);
+
+        if (!item) {
+          logger.warn(`Sticker with ID ${sanitizedStickerId} not found in trash`);
+          return { success: false, error: 'Sticker not found in trash' };
+        }
+
+        const { deletedAt, ...record } = item;
+
+        // Restore first: if the trash write fails we'd rather have a duplicate than lose it
+        await this.journal.append([{ op: JOURNAL_OPS.CREATE, id: record.id, data: record }]);
+
+        trash.items = trash.items.filter(entry => entry.id !== sanitizedStickerId);
+        if (!await this.saveTrash(trash)) {
+          logger.warn(`Restored sticker ID=${sanitizedStickerId} but failed to remove it from trash`);
+        }
+
+        logger.info(`Restored sticker ID=${sanitizedStickerId} deleted at ${deletedAt}`);
+        return { success: true, sticker: record };
+      } catch (err) {
+        logger.error('Error restoring sticker:', err);
+        return { success: false, error: err.message };
       }
+    });
+  }
 
-      // Ensure stickerId is a string
-      const sanitizedStickerId = String(stickerId);
-      logger.debug(`Sanitized sticker ID: ${sanitizedStickerId}`);
+  /**
+   * Load the saved workspaces
+   * @returns {Promise<Array<Object>>} Workspaces ({ id, name, savedAt, stickers }), in the order they were saved
+   */
+  async loadWorkspaces() {
+    if (!fs.existsSync(this.workspacesFilePath)) {
+      return [];
+    }
 
-      // Load existing data with retry mechanism
-      logger.debug(`Loading existing data for removal`);
-      const layoutPromise = this.loadLayoutData({ maxRetries: 2 });
-      const contentPromise = this.loadContentData({ maxRetries: 2 });
+    const result = await loadContent(this.workspacesFilePath, createEmptyWorkspaces(), {
+      maxRetries: 2,
+      validator: validateStickerWorkspaces,
+      operationKey: 'loadStickerWorkspaces'
+    });
 
-      // Create backups before modifying
-      logger.debug(`Creating backups before removal`);
-      const layoutBackupPromise = backupJSONFile(this.layoutFilePath, 'pre-delete');
-      const contentBackupPromise = backupJSONFile(this.contentFilePath, 'pre-delete');
+    return result.content.workspaces.map(normalizeWorkspace).filter(Boolean);
+  }
 
-      // Wait for all promises to resolve
-      const [layoutData, contentData, layoutBackup, contentBackup] =
-        await Promise.all([layoutPromise, contentPromise, layoutBackupPromise, contentBackupPromise]);
+  /**
+   * Save the visible stickers as a workspace, replacing the workspace with the same name
+   * @param {string} name - Workspace name
+   * @param {Array<Object>} stickers - Visible stickers ({ id, position, size, pinned, collapsed, display })
+   * @returns {Promise<Object>} Status object with the saved workspace
+   */
+  saveWorkspace(name, stickers) {
+    return this.enqueueStatusWrite(async () => {
+      try {
+        const captured = captureWorkspace(name, stickers);
+        const workspaces = upsertWorkspace(await this.loadWorkspaces(), captured);
+
+        const saved = await safeWriteJSON(this.workspacesFilePath, {
+          savedAt: new Date().toISOString(),
+          workspaces
+        }, { atomic: true });
+        if (!saved) {
+          return { success: false, error: 'Failed to save workspaces' };
+        }
 
-      logger.debug(`Loaded layout (${layoutData.length} items) and content (${contentData.length} items)`);
-      logger.debug(`Created backups: layout=${layoutBackup}, content=${contentBackup}`);
+        // Saving under an existing name keeps that workspace's ID
+        const workspace = workspaces.find(entry => entry.name.toLowerCase() === captured.name.toLowerCase());
+        logger.info(`Saved workspace "${workspace.name}" with ${workspace.stickers.length} stickers`);
+        return { success: true, workspace };
+      } catch (err) {
+        logger.error('Error saving workspace:', err);
+        return { success: false, error: err.message };
+      }
+    });
+  }
 
-      // Validate loaded data
-      if (!Array.isArray(layoutData) || !Array.isArray(contentData)) {
-        logger.error(`Invalid data loaded: layout=${Array.isArray(layoutData)}, content=${Array.isArray(contentData)}`);
-        return { success: false, error: 'Failed to load current data' };
+  /**
+   * Delete a workspace. Its stickers are not affected.
+   * @param {string} workspaceId - ID of the workspace to delete
+   * @returns {Promise<Object>} Status object
+   */
+  deleteWorkspace(workspaceId) {
+    return this.enqueueStatusWrite(async () => {
+      try {
+        const workspaces = await this.loadWorkspaces();
+        const remaining = workspaces.filter(workspace => workspace.id !== workspaceId);
+        if (remaining.length === workspaces.length) {
+          return { success: false, error: 'Workspace not found' };
+        }
+
+        const saved = await safeWriteJSON(this.workspacesFilePath, {
+          savedAt: new Date().toISOString(),
+          workspaces: remaining
+        }, { atomic: true });
+        return saved ? { success: true } : { success: false, error: 'Failed to save workspaces' };
+      } catch (err) {
+        logger.error('Error deleting workspace:', err);
+        return { success: false, error: err.message };
       }
+    });
+  }
+
+  /**
+   * Load the templates for new stickers
+   * @returns {Promise<Array<Object>>} Templates, or the ones that come with the app if none were saved
+   */
+  async loadTemplates() {
+    if (!fs.existsSync(this.templatesFilePath)) {
+      return createDefaultTemplates().templates;
+    }
 
-      // Check if sticker exists before removal
-      const layoutExists = layoutData.some(item => item && item.id === sanitizedStickerId);
-      const contentExists = contentData.some(item => item && item.id === sanitizedStickerId);
+    const result = await loadContent(this.templatesFilePath, createDefaultTemplates(), {
+      maxRetries: 2,
+      validator: validateStickerTemplates,
+      operationKey: 'loadStickerTemplates'
+    });
 
-      if (!layoutExists && !contentExists) {
-        logger.warn(`Sticker with ID ${sanitizedStickerId} not found in either layout or content data`);
-      } else {
-        logger.debug(`Sticker found: layout=${layoutExists}, content=${contentExists}`);
+    return normalizeTemplates(result.content.templates);
+  }
+
+  /**
+   * Save the templates for new stickers, replacing the saved ones
+   * @param {Array<Object>} templates - Templates to save
+   * @returns {Promise<Object>} Status object with the saved templates
+   */
+  saveTemplates(templates) {
+    return this.enqueueStatusWrite(() => this.writeTemplates(templates));
+  }
+
+  /**
+   * Save templates kept somewhere else by an older version, unless templates
+   * were saved here already
+   * @param {Array<Object>} templates - Templates to take over
+   * @returns {Promise<Object>} Status object; imported is false if templates were saved already
+   */
+  importTemplates(templates) {
+    return this.enqueueStatusWrite(async () => {
+      if (fs.existsSync(this.templatesFilePath)) {
+        return { success: true, imported: false };
+      }
+
+      const result = await this.writeTemplates(templates);
+      return { ...result, imported: result.success };
+    });
+  }
+
+  /**
+   * Write the templates file. Callers hold the write queue.
+   * @param {Array<Object>} templates - Templates to write
+   * @returns {Promise<Object>} Status object with the saved templates
+   * @private
+   */
+  async writeTemplates(templates) {
+    try {
+      const content = { savedAt: new Date().toISOString(), templates: normalizeTemplates(templates) };
+      const saved = await safeWriteJSON(this.templatesFilePath, content, { atomic: true });
+      if (!saved) {
+        return { success: false, error: 'Failed to save templates' };
+      }
+
+      logger.info(`Saved ${content.templates.length} sticker templates`);
+      return { success: true, templates: content.templates };
+    } catch (err) {
+      logger.error('Error saving templates:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Take a full snapshot of the current stickers, journal included
+   * @param {string} reason - Why the snapshot is taken (see SNAPSHOT_REASONS)
+   * @returns {Promise<Object>} Status object with the snapshot info
+   */
+  createSnapshot(reason = SNAPSHOT_REASONS.MANUAL) {
+    return this.enqueueStatusWrite(async () => {
+      try {
+        const store = await this.loadStore();
+        const snapshot = await this.snapshots.create(store, reason);
+        return { success: true, snapshot };
+      } catch (err) {
+        logger.error('Failed to take snapshot:', err);
+        return { success: false, error: err.message };
       }
+    });
+  }
 
-      // Remove the sticker from both files
-      const filteredLayoutData = layoutData.filter(item => item && item.id !== sanitizedStickerId);
-      const filteredContentData = contentData.filter(item => item && item.id !== sanitizedStickerId);
+  /**
+   * Take a scheduled snapshot unless a recent one already exists
+   * @param {number} interval - Minimum time between snapshots in milliseconds
+   * @returns {Promise<Object>} Status object with the snapshot info (null if none was due)
+   */
+  async createSnapshotIfDue(interval) {
+    // Nothing to snapshot on a fresh install
+    if (!fs.existsSync(this.storeFilePath)) {
+      return { success: true, snapshot: null };
+    }
 
-      logger.debug(`Filtered out sticker: layout ${layoutData.length} -> ${filteredLayoutData.length}, content ${contentData.length} -> ${filteredContentData.length}`);
+    const latest = await this.snapshots.getLatestTime();
+    if (latest !== null && Date.now() - latest < interval) {
+      return { success: true, snapshot: null };
+    }
 
-      // Save both files
-      logger.debug(`Saving updated data`);
-      const layoutSavePromise = this.saveLayoutData(filteredLayoutData);
-      const contentSavePromise = this.saveContentData(filteredContentData);
+    return this.createSnapshot(SNAPSHOT_REASONS.SCHEDULED);
+  }
 
-      const [layoutSaved, contentSaved] = await Promise.all([layoutSavePromise, contentSavePromise]);
+  /**
+   * List everything the store can be restored from: snapshots and the store's
+   * own backups (as found by content recovery), newest first. Only file names
+   * are read; see getSnapshotSummary for what an entry holds.
+   * @returns {Promise<Array<Object>>} Entries ({ id, path, source, reason, time })
+   */
+  async listSnapshots() {
+    const entries = (await this.snapshots.list()).map(snapshot => ({ ...snapshot, source: 'snapshot' }));
+
+    for (const backupPath of await findBackupFiles(this.storeFilePath)) {
+      // Legacy backup names carry no timestamp, fall back to the file time
+      const parsed = parseBackupFileName(path.basename(backupPath));
+      const time = parsed ? parsed.time : (await fs.promises.stat(backupPath)).mtimeMs;
+
+      entries.push({
+        path: backupPath,
+        source: 'backup',
+        reason: parsed ? parsed.reason : 'backup',
+        time
+      });
+    }
 
-      const success = layoutSaved && contentSaved;
-      if (success) {
-        logger.info(`Successfully removed sticker ID=${sanitizedStickerId}`);
-      } else {
-        logger.warn(`Partial removal for sticker ID=${sanitizedStickerId}: layout=${layoutSaved}, content=${contentSaved}`);
+    return entries
+      .map(entry => ({ ...entry, id: path.relative(this.userDataPath, entry.path) }))
+      .sort((a, b) => b.time - a.time);
+  }
+
+  /**
+   * Read a snapshot listed by listSnapshots
+   * @param {string} snapshotId - Snapshot ID as returned by listSnapshots
+   * @returns {Promise<Object>} Status object with the entry and its store
+   * @private
+   */
+  async readListedSnapshot(snapshotId) {
+    // Only read files we listed ourselves
+    const entry = (await this.listSnapshots()).find(snapshot => snapshot.id === snapshotId);
+    if (!entry) {
+      return { success: false, error: 'Snapshot not found' };
+    }
+
+    const store = await readSnapshotFile(entry.path);
+    if (!store) {
+      return { success: false, error: 'Snapshot is not a valid sticker store' };
+    }
+
+    return { success: true, entry, store };
+  }
+
+  /**
+   * Describe what restoring a snapshot would bring back
+   * @param {string} snapshotId - Snapshot ID as returned by listSnapshots
+   * @returns {Promise<Object>} Status object with the snapshot entry and its { stickerCount, preview }
+   */
+  async getSnapshotSummary(snapshotId) {
+    try {
+      const read = await this.readListedSnapshot(snapshotId);
+      if (!read.success) {
+        return read;
       }
 
-      return {
-        success,
-        layoutSaved,
-        contentSaved
-      };
+      return { success: true, snapshot: { ...read.entry, ...summarizeStore(read.store) } };
+    } catch (err) {
+      logger.error('Error reading snapshot:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Replace the live store with a snapshot. The current stickers are
+   * snapshotted first so the restore itself can be undone.
+   * @param {string} snapshotId - Snapshot ID as returned by listSnapshots
+   * @returns {Promise<Object>} Status object with the restored sticker records
+   */
+  restoreSnapshot(snapshotId) {
+    return this.enqueueStatusWrite(async () => {
+      try {
+        const read = await this.readListedSnapshot(snapshotId);
+        if (!read.success) {
+          return read;
+        }
+        const { entry, store: restored } = read;
+
+        const current = await this.loadStore();
+        await this.snapshots.create(current, SNAPSHOT_REASONS.PRE_RESTORE);
+
+        // The journal belongs to the board being replaced. It is cleared before the
+        // swap so a crash in between can't replay it over the restored stickers;
+        // the pre-restore snapshot above still holds those edits.
+        await this.journal.clear();
+
+        // The pre-restore snapshot already covers what a store backup would
+        const saved = await this.saveStore(restored, { createBackup: false });
+        if (!saved) {
+          return { success: false, error: 'Failed to write restored sticker store' };
+        }
+
+        logger.info(`Restored ${restored.stickers.length} stickers from ${entry.path}`);
+        return { success: true, stickers: restored.stickers };
+      } catch (err) {
+        logger.error('Error restoring snapshot:', err);
+        return { success: false, error: err.message };
+      }
+    });
+  }
+
+  /**
+   * Store the image of an image sticker in the attachments folder
+   * @param {Buffer} buffer - Image data (PNG, JPEG, GIF or WebP)
+   * @returns {Promise<Object>} Status object with the attachment ({ id, mimeType, bytes })
+   */
+  async saveAttachment(buffer) {
+    try {
+      const attachment = await this.attachments.save(buffer);
+      return { success: true, attachment };
+    } catch (err) {
+      logger.error('Failed to store attachment:', err);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Delete attachment files no sticker refers to any more. Stickers in the trash,
+   * snapshots and store backups can still be restored, so their images are kept.
+   * Nothing is deleted if the stickers can't be read (e.g. while encryption is locked).
+   *
+   * Snapshots and backups are never changed once written, so they are read
+   * before taking the write queue; saves don't wait while they are decrypted and
+   * parsed. Only the store, the trash and files added meanwhile are read under it.
+   * @returns {Promise<Object>} Status object ({ success, removed, kept, freedBytes })
+   */
+  async collectAttachmentGarbage() {
+    try {
+      if ((await this.attachments.list()).length === 0) {
+        return { success: true, removed: 0, kept: 0, freedBytes: 0 };
+      }
+
+      const scanned = await this.listSnapshots();
+      const referenced = await this.getSnapshotAttachmentIds(scanned);
+
+      return await this.enqueueStatusWrite(async () => {
+        try {
+          // A restore or a new snapshot since the scan may hold the only reference to an image
+          const scannedPaths = new Set(scanned.map(entry => entry.path));
+          const added = (await this.listSnapshots()).filter(entry => !scannedPaths.has(entry.path));
+          (await this.getSnapshotAttachmentIds(added)).forEach(id => referenced.add(id));
+
+          const store = await this.loadStore();
+          const trash = await this.loadTrash();
+          getStickerAttachmentIds([...store.stickers, ...trash.items]).forEach(id => referenced.add(id));
+
+          const result = await this.attachments.collectGarbage(referenced);
+          return { success: true, ...result };
+        } catch (err) {
+          logger.error('Failed to delete unused attachments:', err);
+          return { success: false, error: err.message };
+        }
+      });
     } catch (err) {
-      logger.error('Error removing sticker:', err);
+      logger.error('Failed to delete unused attachments:', err);
       return { success: false, error: err.message };
     }
   }
 
+  /**
+   * Collect the attachments referenced by snapshots and store backups
+   * @param {Array<Object>} entries - Entries as returned by listSnapshots
+   * @returns {Promise<Set<string>>} Attachment IDs
+   * @private
+   */
+  async getSnapshotAttachmentIds(entries) {
+    const ids = new Set();
+
+    for (const entry of entries) {
+      const snapshot = await readSnapshotFile(entry.path);
+      if (snapshot) {
+        getStickerAttachmentIds(snapshot.stickers).forEach(id => ids.add(id));
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Turn on encryption at rest and encrypt the store, journal, trash, revisions,
+   * snapshots and backups already on disk
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<Object>} Status object ({ success, updated, failed, error })
+   */
+  enableEncryption(passphrase) {
+    return this.runEncryptionChange(() => enableEncryption(passphrase));
+  }
+
+  /**
+   * Change the passphrase; every data file is re-encrypted with a new key
+   * @param {string} currentPassphrase - Current passphrase
+   * @param {string} newPassphrase - New passphrase
+   * @returns {Promise<Object>} Status object ({ success, updated, failed, error })
+   */
+  changeEncryptionPassphrase(currentPassphrase, newPassphrase) {
+    return this.runEncryptionChange(() => changePassphrase(currentPassphrase, newPassphrase));
+  }
+
+  /**
+   * Turn encryption off and write every data file back in plain text
+   * @param {string} passphrase - Current passphrase
+   * @returns {Promise<Object>} Status object ({ success, updated, failed, error })
+   */
+  disableEncryption(passphrase) {
+    return this.runEncryptionChange(() => disableEncryption(passphrase));
+  }
+
+  /**
+   * Forget the encryption key once the writes already queued have finished;
+   * until it is unlocked again, sticker data can't be read or written
+   * @returns {Promise<void>}
+   */
+  lockEncryption() {
+    return this.enqueueWrite(() => {
+      lockEncryption();
+      this.storeBaseline = null;
+    });
+  }
+
+  /**
+   * Rewrite the data files in the write queue, so no save interleaves with it
+   * @param {Function} change - async () => result of the encryption change
+   * @returns {Promise<Object>} Status object ({ success, updated, failed, error })
+   * @private
+   */
+  runEncryptionChange(change) {
+    return this.enqueueStatusWrite(async () => {
+      try {
+        const result = await change();
+
+        // The store file was rewritten by us, not changed externally
+        await this.rememberStoreFile();
+        return { success: true, ...result };
+      } catch (err) {
+        logger.error('Failed to change sticker encryption:', err);
+        return { success: false, error: err.message };
+      }
+    });
+  }
+
   /**
    * Strip HTML tags from content with improved error handling
    * @param {string} html - HTML content to strip
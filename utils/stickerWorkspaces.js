@@ -0,0 +1,182 @@
+/**
+ * Sticker Workspaces Utility
+ * Named arrangements of the stickers, such as "coding", "meetings" or "home".
+ * A workspace lists the stickers that are shown in it with their position,
+ * size and pin state; stickers it doesn't list are hidden when it is switched to.
+ */
+
+import { normalizeStickerDisplay } from './stickerDisplays.js';
+
+// Name of the workspaces file inside the data directory
+const WORKSPACES_FILE_NAME = 'stickers-workspaces.json';
+
+// Most workspaces kept; the tray submenu has to stay usable
+const MAX_WORKSPACES = 20;
+
+// Longest workspace name kept
+const MAX_WORKSPACE_NAME_LENGTH = 40;
+
+/**
+ * Create an empty workspaces object
+ * @returns {Object} Workspaces file content with no workspaces
+ */
+function createEmptyWorkspaces() {
+  return {
+    savedAt: new Date().toISOString(),
+    workspaces: []
+  };
+}
+
+/**
+ * Sanitize a workspace name: collapse whitespace and cap the length
+ * @param {any} name - Name to sanitize
+ * @returns {string} Name, or '' if there is none
+ */
+function normalizeWorkspaceName(name) {
+  return typeof name === 'string' ? name.replace(/\s+/g, ' ').trim().slice(0, MAX_WORKSPACE_NAME_LENGTH) : '';
+}
+
+/**
+ * Turn a value into a rounded number, or a fallback
+ * @param {any} value - Value to convert
+ * @param {number} fallback - Fallback value
+ * @returns {number}
+ * @private
+ */
+function toInteger(value, fallback) {
+  const number = Number(value);
+  return value === null || value === '' || !Number.isFinite(number) ? fallback : Math.round(number);
+}
+
+/**
+ * Sanitize one sticker of a workspace
+ * @param {Object} entry - Sticker ({ id, position, size, pinned, collapsed, display })
+ * @returns {Object|null} Sticker, or null if it has no ID
+ */
+function normalizeWorkspaceSticker(entry) {
+  if (!entry || typeof entry !== 'object' || entry.id === undefined || entry.id === null || entry.id === '') {
+    return null;
+  }
+
+  const sticker = {
+    id: String(entry.id),
+    position: {
+      x: toInteger(entry.position?.x, 0),
+      y: toInteger(entry.position?.y, 0)
+    },
+    size: {
+      width: toInteger(entry.size?.width, 250),
+      height: toInteger(entry.size?.height, 80)
+    },
+    pinned: entry.pinned === true,
+    collapsed: entry.collapsed === true
+  };
+
+  // Positions are also kept relative to their display, like the stickers' own
+  const display = normalizeStickerDisplay(entry.display);
+  if (display) {
+    sticker.display = display;
+  }
+
+  return sticker;
+}
+
+/**
+ * Sanitize a workspace
+ * @param {Object} workspace - Workspace ({ id, name, savedAt, stickers })
+ * @returns {Object|null} Workspace, or null if it has no ID or name
+ */
+function normalizeWorkspace(workspace) {
+  if (!workspace || typeof workspace !== 'object') {
+    return null;
+  }
+
+  const id = typeof workspace.id === 'string' ? workspace.id.trim() : '';
+  const name = normalizeWorkspaceName(workspace.name);
+  if (!id || !name) {
+    return null;
+  }
+
+  const seen = new Set();
+  const stickers = (Array.isArray(workspace.stickers) ? workspace.stickers : [])
+    .map(normalizeWorkspaceSticker)
+    .filter(sticker => sticker && !seen.has(sticker.id) && seen.add(sticker.id));
+
+  return {
+    id,
+    name,
+    savedAt: typeof workspace.savedAt === 'string' ? workspace.savedAt : new Date(0).toISOString(),
+    stickers
+  };
+}
+
+/**
+ * Capture the visible stickers as a workspace
+ * @param {string} name - Workspace name
+ * @param {Array<Object>} stickers - Visible stickers ({ id, position, size, pinned, collapsed, display })
+ * @param {Object} options - Capture options
+ * @param {string} options.id - Workspace ID; a new one is made when it is missing
+ * @param {string} options.now - ISO timestamp to stamp the workspace with
+ * @returns {Object} Workspace
+ * @throws {Error} If the name is empty
+ */
+function captureWorkspace(name, stickers, { id, now = new Date().toISOString() } = {}) {
+  const workspaceName = normalizeWorkspaceName(name);
+  if (!workspaceName) {
+    throw new Error('A workspace needs a name');
+  }
+
+  return normalizeWorkspace({
+    id: id || `workspace-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: workspaceName,
+    savedAt: now,
+    stickers
+  });
+}
+
+/**
+ * Add a workspace to a list, replacing the one with the same name (in any case)
+ * and keeping that one's ID and place in the list
+ * @param {Array<Object>} workspaces - Current workspaces
+ * @param {Object} workspace - Workspace to add
+ * @returns {Array<Object>} Updated workspaces
+ * @throws {Error} If the workspace is new and the list is already full
+ */
+function upsertWorkspace(workspaces, workspace) {
+  const key = workspace.name.toLowerCase();
+  const index = workspaces.findIndex(entry => entry.name.toLowerCase() === key);
+
+  if (index !== -1) {
+    return workspaces.map((entry, i) => (i === index ? { ...workspace, id: entry.id } : entry));
+  }
+  if (workspaces.length >= MAX_WORKSPACES) {
+    throw new Error(`At most ${MAX_WORKSPACES} workspaces can be saved`);
+  }
+  return [...workspaces, workspace];
+}
+
+/**
+ * Get the workspace after the current one, wrapping around
+ * @param {Array<Object>} workspaces - Workspaces, in order
+ * @param {string|null} currentId - ID of the current workspace, if any
+ * @returns {Object|null} Next workspace, or null if there are none
+ */
+function getNextWorkspace(workspaces, currentId) {
+  if (!Array.isArray(workspaces) || workspaces.length === 0) {
+    return null;
+  }
+
+  const index = workspaces.findIndex(workspace => workspace.id === currentId);
+  return workspaces[(index + 1) % workspaces.length];
+}
+
+export {
+  WORKSPACES_FILE_NAME,
+  MAX_WORKSPACES,
+  createEmptyWorkspaces,
+  normalizeWorkspaceName,
+  normalizeWorkspace,
+  captureWorkspace,
+  upsertWorkspace,
+  getNextWorkspace
+};
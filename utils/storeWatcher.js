@@ -0,0 +1,120 @@
+/**
+ * Store Watcher Utility
+ * Notices when the sticker store is changed by something other than this app,
+ * e.g. a sync tool or a hand edit
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Logger } from './logger.js';
+
+// Create a logger for the store watcher
+const logger = new Logger({ category: 'StoreWatcher' });
+
+// Quiet period after the last file event before the change is reported.
+// Sync tools often write a file in several steps.
+const STORE_WATCH_DEBOUNCE = 500;
+
+// How a sticker changed both here and outside the app is resolved
+const CONFLICT_CHOICES = {
+  MINE: 'mine',
+  THEIRS: 'theirs'
+};
+
+/**
+ * Fingerprint file contents so our own writes can be told apart from external ones
+ * @param {string} raw - File contents
+ * @returns {string} Hex digest
+ */
+function fingerprint(raw) {
+  return crypto.createHash('sha1').update(raw).digest('hex');
+}
+
+/**
+ * Watches a single file for changes. The parent directory is watched rather
+ * than the file itself, because atomic writes replace the file and a watch on
+ * the old file would go quiet.
+ */
+class StoreWatcher {
+  /**
+   * Create a new StoreWatcher
+   * @param {string} filePath - File to watch
+   * @param {Object} options - Watcher options
+   * @param {Function} options.onChange - Called (without arguments) after the file changed
+   * @param {number} options.debounceMs - Quiet period before onChange is called
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.onChange = options.onChange || (() => {});
+    this.debounceMs = options.debounceMs ?? STORE_WATCH_DEBOUNCE;
+    this.watcher = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start watching
+   * @returns {boolean} True if the watch could be set up
+   */
+  start() {
+    if (this.watcher) {
+      return true;
+    }
+
+    const dir = path.dirname(this.filePath);
+    const baseName = path.basename(this.filePath);
+
+    try {
+      this.watcher = fs.watch(dir, (eventType, fileName) => {
+        // Some platforms don't report the file name; check the file anyway
+        if (fileName && fileName.toString() !== baseName) return;
+        this.schedule();
+      });
+
+      this.watcher.on('error', err => {
+        logger.error(`Error watching ${this.filePath}:`, err);
+      });
+
+      logger.info(`Watching ${this.filePath} for external changes`);
+      return true;
+    } catch (err) {
+      logger.error(`Failed to watch ${this.filePath}:`, err);
+      this.watcher = null;
+      return false;
+    }
+  }
+
+  /**
+   * Report a change once the file has been quiet for debounceMs
+   * @private
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      Promise.resolve()
+        .then(() => this.onChange())
+        .catch(err => logger.error(`Error handling change to ${this.filePath}:`, err));
+    }, this.debounceMs);
+  }
+
+  /**
+   * Stop watching; a pending change report is dropped
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+export {
+  StoreWatcher,
+  STORE_WATCH_DEBOUNCE,
+  CONFLICT_CHOICES,
+  fingerprint
+};
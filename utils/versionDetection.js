@@ -14,20 +14,41 @@ const logger = new Logger({ category: 'VersionDetection' });
 // Version identifiers
 const DATA_VERSIONS = {
   UNKNOWN: 'unknown',
-  V1: 'v1',       // Original format (no version field)
-  V2: 'v2'        // New format with version field (future)
+  V1: 'v1',       // Original format (separate layout/content files, no version field)
+  V2: 'v2'        // Single versioned store file with per-sticker metadata
 };
 
+// The version new data is written in
+const CURRENT_DATA_VERSION = DATA_VERSIONS.V2;
+
 /**
  * Detect the version of sticker data files
  * @param {string} layoutFilePath - Path to layout file
  * @param {string} contentFilePath - Path to content file
+ * @param {string|null} storeFilePath - Path to the versioned (v2+) store file, if any
  * @returns {Promise<Object>} Version information
  */
-async function detectDataVersion(layoutFilePath, contentFilePath) {
-  logger.debug(`Detecting data version for layout: ${layoutFilePath}, content: ${contentFilePath}`);
+async function detectDataVersion(layoutFilePath, contentFilePath, storeFilePath = null) {
+  logger.debug(`Detecting data version for layout: ${layoutFilePath}, content: ${contentFilePath}, store: ${storeFilePath}`);
   
   try {
+    // A versioned store takes precedence over any leftover v1 files
+    if (storeFilePath && fs.existsSync(storeFilePath)) {
+      const storeData = await safeReadJSON(storeFilePath, null);
+      const version = determineStoreVersion(storeData);
+      
+      logger.info(`Detected store version: ${version}`);
+      
+      return {
+        version,
+        storeExists: true,
+        layoutExists: fs.existsSync(layoutFilePath),
+        contentExists: fs.existsSync(contentFilePath),
+        storeData,
+        needsMigration: needsMigration(version)
+      };
+    }
+    
     // Check if files exist
     const layoutExists = fs.existsSync(layoutFilePath);
     const contentExists = fs.existsSync(contentFilePath);
@@ -37,7 +58,8 @@ async function detectDataVersion(layoutFilePath, contentFilePath) {
     if (!layoutExists && !contentExists) {
       logger.info('No data files found, assuming latest version');
       return {
-        version: DATA_VERSIONS.V1,
+        version: CURRENT_DATA_VERSION,
+        storeExists: false,
         layoutExists: false,
         contentExists: false,
         needsMigration: false
@@ -63,11 +85,13 @@ async function detectDataVersion(layoutFilePath, contentFilePath) {
     
     return {
       version,
+      storeExists: false,
       layoutExists,
       contentExists,
       layoutData,
       contentData,
-      needsMigration: version !== DATA_VERSIONS.V1 // Currently V1 is the latest
+      // Unknown data still goes through migration so valid stickers can be extracted
+      needsMigration: version === DATA_VERSIONS.UNKNOWN || needsMigration(version)
     };
   } catch (err) {
     logger.error('Error detecting data version:', err);
@@ -112,6 +136,23 @@ function determineVersion(layoutData, contentData) {
   return DATA_VERSIONS.UNKNOWN;
 }
 
+/**
+ * Determine the version of a versioned store file
+ * @param {Object|null} storeData - Parsed store file
+ * @returns {string} Version identifier
+ */
+function determineStoreVersion(storeData) {
+  if (!storeData || typeof storeData !== 'object' || Array.isArray(storeData)) {
+    return DATA_VERSIONS.UNKNOWN;
+  }
+  
+  if (typeof storeData.version !== 'string' || !Array.isArray(storeData.stickers)) {
+    return DATA_VERSIONS.UNKNOWN;
+  }
+  
+  return storeData.version;
+}
+
 /**
  * Check if data matches V1 format
  * @param {Array|null} layoutData - Layout data array
@@ -182,14 +223,16 @@ function isV1Format(layoutData, contentData) {
  * @returns {boolean} True if migration is needed
  */
 function needsMigration(version) {
-  // Currently, only V1 is supported, so any other version needs migration
-  return version !== DATA_VERSIONS.V1 && version !== DATA_VERSIONS.UNKNOWN;
+  // Anything that isn't the current version (and is recognisable) needs migration
+  return version !== CURRENT_DATA_VERSION && version !== DATA_VERSIONS.UNKNOWN;
 }
 
 export {
   detectDataVersion,
   determineVersion,
+  determineStoreVersion,
   isV1Format,
   needsMigration,
-  DATA_VERSIONS
+  DATA_VERSIONS,
+  CURRENT_DATA_VERSION
 };
@@ -40,7 +40,7 @@ class WorkerManager {
     try {
       // Create workers
       for (let i = 0; i < this.maxWorkers; i++) {
-        const worker = new Worker(this.workerPath);
+        const worker = new Worker(this.workerPath, { type: 'module' });
         
         // Set up message handler
         worker.onmessage = this.handleWorkerMessage.bind(this);
@@ -245,12 +245,14 @@ class WorkerManager {
   }
 
   /**
-   * Calculate optimal layout for multiple stickers using a worker
-   * @param {Array} stickers - Array of sticker data
-   * @returns {Promise<Array>} - Stickers with updated positions
+   * Arrange the stickers on one display using a worker (see calculateLayout in utils/stickerLayout.js)
+   * @param {Array<Object>} stickers - Sticker boxes ({ id, x, y, width, height, tags })
+   * @param {Object} workArea - Work area of the display ({ x, y, width, height })
+   * @param {Object} options - Layout options (see normalizeLayoutOptions)
+   * @returns {Promise<Array<Object>>} - New positions ({ id, x, y }), one per sticker
    */
-  async calculateLayout(stickers) {
-    return this.runTask('calculate-layout', { stickers });
+  async calculateLayout(stickers, workArea, options = {}) {
+    return this.runTask('calculate-layout', { stickers, workArea, options });
   }
 
   /**